@@ -1,16 +1,20 @@
 const { ethers } = require('ethers');
+const { getNetwork } = require('./src/config/networks');
+
+// NETWORK selects the profile, base-sepolia by default
+const network = getNetwork();
 
 module.exports = {
   // Network configuration
-  NETWORK: process.env.NETWORK || 'base-sepolia',
-  RPC_URL: process.env.RPC_URL || 'https://sepolia.base.org',
-  CHAIN_ID: parseInt(process.env.CHAIN_ID) || 84532,
+  NETWORK: network.name,
+  RPC_URL: process.env.RPC_URL || network.rpcUrl,
+  CHAIN_ID: network.chainId,
   
   // Contract addresses
   CONTRACTS: {
-    VEPLN: '0x3a28AB567b661B3edaF9Ef0bDE9489558EDB3995',
-    PLN: '0x0000000000000000000000000000000000000000', // Replace with actual PLN token address
-    POLLEN_DAO: '0x0000000000000000000000000000000000000000' // Replace with actual Pollen DAO address
+    VEPLN: network.contracts.vePLN,
+    PLN: network.contracts.plnToken,
+    POLLEN_DAO: network.contracts.pollenDAO
   },
   
   // Gas settings
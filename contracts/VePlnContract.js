@@ -243,6 +243,7 @@ class VePlnContract {
         throw enhancedError;
       }
     });
+  }
 
   async _withRetry(operation, retryCount = 0, lastError = null) {
     try {
@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/// @title MockPLN
+/// @notice Freely mintable PLN token for the local Hardhat network
+contract MockPLN is ERC20 {
+    constructor() ERC20("Pollen", "PLN") {}
+
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+}
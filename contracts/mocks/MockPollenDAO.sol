@@ -0,0 +1,355 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+interface IVotingPower {
+    function getVotingPower(address account) external view returns (uint256);
+}
+
+/// @title MockPollenDAO
+/// @notice Portfolio, delegation and governance functions of PollenDAO as called by
+/// multi-bot-launcher.js, src/modules/delegation.js and src/modules/governance.js.
+/// Portfolios only hold PLN and their value only changes through deposits,
+/// withdrawals and setPortfolioValue; there is no price feed. Delegations keep
+/// the amount delegated and do not follow the delegate's portfolio value.
+/// Votes weigh the voter's vePLN voting power when cast, not at a snapshot.
+contract MockPollenDAO {
+    struct Portfolio {
+        uint256[] weights;
+        bool[] isShort;
+        uint256 totalValue;
+        uint256 depositPLN;
+        uint256 withdrawn;
+        bool isOpen;
+        uint256 lastUpdated;
+        uint256 benchmarkRef;
+    }
+
+    struct Proposal {
+        address proposer;
+        address[] targets;
+        uint256[] values;
+        string[] signatures;
+        bytes[] calldatas;
+        uint256 startBlock;
+        uint256 endBlock;
+        uint256 forVotes;
+        uint256 againstVotes;
+        bool executed;
+    }
+
+    event PortfolioCreated(address indexed user, address indexed token, uint256 amount, uint256[] weights, bool[] isShort, bool tokenType);
+    event PortfolioRebalanced(address indexed user, uint256[] weights, bool[] isShort, uint256 benchmarkRef);
+    event Deposited(address indexed user, address indexed recipient, uint256 amount);
+    event Withdrawn(address indexed user, address indexed recipient, uint256 amount);
+    event Delegated(address indexed delegator, address indexed delegate, uint256 amount);
+    event Undelegated(address indexed delegator, address indexed delegate, uint256 amount);
+    event ProposalCreated(
+        uint256 indexed proposalId,
+        address indexed proposer,
+        address[] targets,
+        uint256[] values,
+        string[] signatures,
+        bytes[] calldatas,
+        uint256 startBlock,
+        uint256 endBlock,
+        string description
+    );
+    event ProposalExecuted(uint256 indexed proposalId);
+    event VoteCast(address indexed voter, uint256 indexed proposalId, uint8 support, uint256 weight);
+
+    /// @notice Number of whitelisted assets, in the order of PORTFOLIO_ASSETS
+    uint256 public constant ASSET_COUNT = 7;
+
+    /// @notice Blocks a proposal stays Active after the block it was created in
+    uint256 public constant votingPeriod = 20;
+    /// @notice For votes a proposal needs to succeed
+    uint256 public constant quorum = 1e18;
+    /// @notice Voting power needed to propose
+    uint256 public constant proposalThreshold = 0;
+
+    /// @dev state() values, as in Compound's GovernorBravo
+    uint8 private constant PENDING = 0;
+    uint8 private constant ACTIVE = 1;
+    uint8 private constant DEFEATED = 3;
+    uint8 private constant SUCCEEDED = 4;
+    uint8 private constant EXECUTED = 7;
+
+    IERC20 public immutable pln;
+    IVotingPower public immutable vePLN;
+    uint256 public benchmarkValue = 1e18;
+    uint256 public proposalCount;
+
+    mapping(address => Portfolio) private portfolios;
+
+    /// @notice PLN delegated by delegator to delegate
+    mapping(address => mapping(address => uint256)) public delegations;
+
+    mapping(uint256 => Proposal) private proposals;
+    mapping(uint256 => mapping(address => bool)) public hasVoted;
+
+    constructor(IERC20 _pln, IVotingPower _vePLN) {
+        pln = _pln;
+        vePLN = _vePLN;
+    }
+
+    function createPortfolio(uint256 amount, uint256[] calldata weights, bool[] calldata isShort, bool tokenType) external {
+        require(!tokenType, "Only PLN portfolios are supported");
+        require(portfolios[msg.sender].weights.length == 0, "Portfolio has been initialized");
+        require(amount > 0, "Amount must be positive");
+        _checkWeights(weights, isShort);
+
+        require(pln.transferFrom(msg.sender, address(this), amount), "PLN transfer failed");
+
+        Portfolio storage portfolio = portfolios[msg.sender];
+        portfolio.weights = weights;
+        portfolio.isShort = isShort;
+        portfolio.totalValue = amount;
+        portfolio.depositPLN = amount;
+        portfolio.isOpen = true;
+        portfolio.lastUpdated = block.timestamp;
+        portfolio.benchmarkRef = benchmarkValue;
+
+        emit PortfolioCreated(msg.sender, address(0), amount, weights, isShort, tokenType);
+    }
+
+    function rebalancePortfolio(uint256[] calldata newWeights, bool[] calldata newIsShort) external {
+        Portfolio storage portfolio = _openPortfolio(msg.sender);
+        _checkWeights(newWeights, newIsShort);
+
+        portfolio.weights = newWeights;
+        portfolio.isShort = newIsShort;
+        portfolio.lastUpdated = block.timestamp;
+        portfolio.benchmarkRef = benchmarkValue;
+
+        emit PortfolioRebalanced(msg.sender, newWeights, newIsShort, benchmarkValue);
+    }
+
+    function depositPLN(uint256 amount, address recipient) external {
+        Portfolio storage portfolio = _openPortfolio(recipient);
+        require(pln.transferFrom(msg.sender, address(this), amount), "PLN transfer failed");
+
+        portfolio.totalValue += amount;
+        portfolio.depositPLN += amount;
+
+        emit Deposited(msg.sender, recipient, amount);
+    }
+
+    function withdraw(uint256 amount, address recipient) external {
+        Portfolio storage portfolio = _openPortfolio(msg.sender);
+        require(amount <= portfolio.totalValue, "Amount exceeds portfolio value");
+
+        portfolio.totalValue -= amount;
+        portfolio.withdrawn += amount;
+        if (portfolio.totalValue == 0) {
+            portfolio.isOpen = false;
+        }
+        require(pln.transfer(recipient, amount), "PLN transfer failed");
+
+        emit Withdrawn(msg.sender, recipient, amount);
+    }
+
+    function delegatePollen(address[] calldata delegates, uint256[] calldata amounts, bool tokenType) external {
+        require(!tokenType, "Only PLN delegations are supported");
+        require(delegates.length == amounts.length, "Invalid amounts length");
+
+        uint256 total;
+        for (uint256 i = 0; i < delegates.length; i++) {
+            require(delegates[i] != msg.sender, "Cannot delegate to yourself");
+            _openPortfolio(delegates[i]);
+            delegations[msg.sender][delegates[i]] += amounts[i];
+            total += amounts[i];
+            emit Delegated(msg.sender, delegates[i], amounts[i]);
+        }
+        require(pln.transferFrom(msg.sender, address(this), total), "PLN transfer failed");
+    }
+
+    function undelegate(address[] calldata delegates, uint256[] calldata amounts, bool tokenType) external {
+        require(!tokenType, "Only PLN delegations are supported");
+        require(delegates.length == amounts.length, "Invalid amounts length");
+
+        uint256 total;
+        for (uint256 i = 0; i < delegates.length; i++) {
+            require(amounts[i] <= delegations[msg.sender][delegates[i]], "Amount exceeds delegation");
+            delegations[msg.sender][delegates[i]] -= amounts[i];
+            total += amounts[i];
+            emit Undelegated(msg.sender, delegates[i], amounts[i]);
+        }
+        require(pln.transfer(msg.sender, total), "PLN transfer failed");
+    }
+
+    /// @return weights, totalValue, depositPLN, withdrawn, isOpen, lastUpdated, benchmarkRef, isShort
+    function getPortfolio(address user, address) external view returns (
+        uint256[] memory,
+        uint256,
+        uint256,
+        uint256,
+        bool,
+        uint256,
+        uint256,
+        bool[] memory
+    ) {
+        Portfolio storage portfolio = portfolios[user];
+        return (
+            portfolio.weights,
+            portfolio.totalValue,
+            portfolio.depositPLN,
+            portfolio.withdrawn,
+            portfolio.isOpen,
+            portfolio.lastUpdated,
+            portfolio.benchmarkRef,
+            portfolio.isShort
+        );
+    }
+
+    /// @notice Not part of IPollenDAO; stands in for however proposals reach the DAO
+    /// @dev A non-empty signature makes the calldata the arguments only, as in GovernorBravo
+    function propose(
+        address[] calldata targets,
+        uint256[] calldata values,
+        string[] calldata signatures,
+        bytes[] calldata calldatas,
+        string calldata description
+    ) external returns (uint256 proposalId) {
+        require(targets.length > 0, "Proposal has no actions");
+        require(
+            values.length == targets.length && signatures.length == targets.length && calldatas.length == targets.length,
+            "Invalid proposal length"
+        );
+        require(vePLN.getVotingPower(msg.sender) >= proposalThreshold, "Voting power below threshold");
+
+        proposalId = ++proposalCount;
+        Proposal storage proposal = proposals[proposalId];
+        proposal.proposer = msg.sender;
+        // One by one; the legacy code generator cannot copy nested calldata arrays to storage
+        for (uint256 i = 0; i < targets.length; i++) {
+            proposal.targets.push(targets[i]);
+            proposal.values.push(values[i]);
+            proposal.signatures.push(signatures[i]);
+            proposal.calldatas.push(calldatas[i]);
+        }
+        proposal.startBlock = block.number;
+        proposal.endBlock = block.number + votingPeriod;
+
+        _emitProposalCreated(proposalId, description);
+    }
+
+    function getProposal(uint256 proposalId) external view returns (
+        address proposer,
+        uint256 startBlock,
+        uint256 endBlock,
+        uint256 forVotes,
+        uint256 againstVotes,
+        bool executed
+    ) {
+        Proposal storage proposal = _proposal(proposalId);
+        return (
+            proposal.proposer,
+            proposal.startBlock,
+            proposal.endBlock,
+            proposal.forVotes,
+            proposal.againstVotes,
+            proposal.executed
+        );
+    }
+
+    function state(uint256 proposalId) public view returns (uint8) {
+        Proposal storage proposal = _proposal(proposalId);
+        if (proposal.executed) {
+            return EXECUTED;
+        }
+        if (block.number <= proposal.startBlock) {
+            return PENDING;
+        }
+        if (block.number <= proposal.endBlock) {
+            return ACTIVE;
+        }
+        if (proposal.forVotes > proposal.againstVotes && proposal.forVotes >= quorum) {
+            return SUCCEEDED;
+        }
+        return DEFEATED;
+    }
+
+    /// @param support 0 against, 1 for, 2 abstain; abstentions are not tallied
+    function castVote(uint256 proposalId, uint8 support) external {
+        require(state(proposalId) == ACTIVE, "Voting is closed");
+        require(support <= 2, "Invalid vote type");
+        require(!hasVoted[proposalId][msg.sender], "Already voted");
+        uint256 weight = vePLN.getVotingPower(msg.sender);
+        require(weight > 0, "No voting power");
+
+        hasVoted[proposalId][msg.sender] = true;
+        Proposal storage proposal = proposals[proposalId];
+        if (support == 1) {
+            proposal.forVotes += weight;
+        } else if (support == 0) {
+            proposal.againstVotes += weight;
+        }
+
+        emit VoteCast(msg.sender, proposalId, support, weight);
+    }
+
+    /// @notice Make the calls of a succeeded proposal from the DAO
+    function execute(uint256 proposalId) external {
+        require(state(proposalId) == SUCCEEDED, "Proposal has not succeeded");
+        Proposal storage proposal = proposals[proposalId];
+        proposal.executed = true;
+
+        for (uint256 i = 0; i < proposal.targets.length; i++) {
+            bytes memory callData = bytes(proposal.signatures[i]).length == 0
+                ? proposal.calldatas[i]
+                : abi.encodePacked(bytes4(keccak256(bytes(proposal.signatures[i]))), proposal.calldatas[i]);
+            (bool success, ) = proposal.targets[i].call{value: proposal.values[i]}(callData);
+            require(success, "Proposal action reverted");
+        }
+
+        emit ProposalExecuted(proposalId);
+    }
+
+    /// @notice Test hook standing in for price movements
+    function setPortfolioValue(address user, uint256 value) external {
+        _openPortfolio(user).totalValue = value;
+    }
+
+    /// @notice Test hook for the benchmark reference recorded at each rebalance
+    function setBenchmarkValue(uint256 value) external {
+        benchmarkValue = value;
+    }
+
+    function _openPortfolio(address user) private view returns (Portfolio storage portfolio) {
+        portfolio = portfolios[user];
+        require(portfolio.weights.length > 0, "Portfolio not initialized");
+        require(portfolio.isOpen, "Portfolio is closed");
+    }
+
+    /// @dev Emitted from storage, since the calldata arguments leave no stack room for it
+    function _emitProposalCreated(uint256 proposalId, string calldata description) private {
+        Proposal storage proposal = proposals[proposalId];
+        emit ProposalCreated(
+            proposalId,
+            proposal.proposer,
+            proposal.targets,
+            proposal.values,
+            proposal.signatures,
+            proposal.calldatas,
+            proposal.startBlock,
+            proposal.endBlock,
+            description
+        );
+    }
+
+    function _proposal(uint256 proposalId) private view returns (Proposal storage proposal) {
+        proposal = proposals[proposalId];
+        require(proposal.proposer != address(0), "Unknown proposal");
+    }
+
+    function _checkWeights(uint256[] calldata weights, bool[] calldata isShort) private pure {
+        require(weights.length == ASSET_COUNT && isShort.length == ASSET_COUNT, "Invalid weights length");
+        uint256 sum;
+        for (uint256 i = 0; i < weights.length; i++) {
+            sum += weights[i];
+        }
+        require(sum == 100, "Weights must sum to 100");
+    }
+}
@@ -0,0 +1,175 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/// @title MockVePLN
+/// @notice vePLN lock and reward functions as called by pollen-contract-interface.js.
+/// Voting power decays linearly to zero at the lock end; rewards accrue at
+/// rewardRate per locked PLN per second and are paid from PLN sent to this contract.
+contract MockVePLN {
+    struct Lock {
+        uint256 lockStart;
+        uint256 lockEnd;
+        uint256 amount;
+        uint256 offset;
+        uint256 claimable;
+    }
+
+    event Locked(address indexed account, uint256 amount, uint256 lockEnd);
+    event LockIncreased(address indexed account, uint256 amount);
+    event LockExtended(address indexed account, uint256 lockEnd);
+    event Unlocked(address indexed account, uint256 amount, uint256 rewards);
+    event RewardsClaimed(address indexed account, uint256 amount);
+
+    uint256 public constant MAX_LOCK_PERIOD = 4 * 365 days;
+
+    IERC20 public immutable pln;
+    address public immutable owner;
+    uint256 public totalLocked;
+    uint256 public rewardRate;
+    uint256 public rewardRateUpdatedAt;
+
+    /// @dev offset is kept for ABI compatibility and always zero
+    mapping(address => Lock) public locks;
+    mapping(address => uint256) private rewardsUpdatedAt;
+
+    constructor(IERC20 _pln) {
+        pln = _pln;
+        owner = msg.sender;
+    }
+
+    function setRewardRate(uint256 rate) external {
+        require(msg.sender == owner, "Only owner");
+        rewardRate = rate;
+        rewardRateUpdatedAt = block.timestamp;
+    }
+
+    function rewardCurve() external view returns (uint256 rate, uint256 updatedAt) {
+        return (rewardRate, rewardRateUpdatedAt);
+    }
+
+    function lock(uint256 amount, uint256 lockEnd) external {
+        require(locks[msg.sender].amount == 0, "Lock already exists");
+        require(amount > 0, "Amount must be positive");
+        _checkLockEnd(lockEnd);
+
+        require(pln.transferFrom(msg.sender, address(this), amount), "PLN transfer failed");
+        locks[msg.sender] = Lock(block.timestamp, lockEnd, amount, 0, 0);
+        rewardsUpdatedAt[msg.sender] = block.timestamp;
+        totalLocked += amount;
+
+        emit Locked(msg.sender, amount, lockEnd);
+    }
+
+    function increaseLock(uint256 amount) external {
+        Lock storage current = _activeLock(msg.sender);
+        require(amount > 0, "Amount must be positive");
+        _checkpoint(msg.sender);
+
+        require(pln.transferFrom(msg.sender, address(this), amount), "PLN transfer failed");
+        current.amount += amount;
+        totalLocked += amount;
+
+        emit LockIncreased(msg.sender, amount);
+    }
+
+    function extendLock(uint256 newLockEnd) external {
+        Lock storage current = _activeLock(msg.sender);
+        require(newLockEnd > current.lockEnd, "Lock end must increase");
+        _checkLockEnd(newLockEnd);
+        _checkpoint(msg.sender);
+
+        current.lockEnd = newLockEnd;
+
+        emit LockExtended(msg.sender, newLockEnd);
+    }
+
+    /// @notice Return the principal and any unclaimed rewards once the lock has expired
+    function unlock() external {
+        Lock storage current = locks[msg.sender];
+        require(current.amount > 0, "No lock");
+        require(block.timestamp >= current.lockEnd, "Lock not expired");
+        _checkpoint(msg.sender);
+
+        uint256 amount = current.amount;
+        uint256 rewards = current.claimable;
+        _checkRewardReserve(rewards);
+        totalLocked -= amount;
+        delete locks[msg.sender];
+        delete rewardsUpdatedAt[msg.sender];
+
+        require(pln.transfer(msg.sender, amount + rewards), "PLN transfer failed");
+
+        emit Unlocked(msg.sender, amount, rewards);
+    }
+
+    function claimRewards() external {
+        _checkpoint(msg.sender);
+        uint256 rewards = locks[msg.sender].claimable;
+        require(rewards > 0, "No rewards");
+
+        _checkRewardReserve(rewards);
+        locks[msg.sender].claimable = 0;
+        require(pln.transfer(msg.sender, rewards), "PLN transfer failed");
+
+        emit RewardsClaimed(msg.sender, rewards);
+    }
+
+    function getAvailableRewards(address account) public view returns (uint256) {
+        return locks[account].claimable + _pendingRewards(account);
+    }
+
+    function getClaimableRewards() external view returns (uint256) {
+        return getAvailableRewards(msg.sender);
+    }
+
+    function balanceOf(address account) public view returns (uint256) {
+        Lock storage current = locks[account];
+        if (block.timestamp >= current.lockEnd) {
+            return 0;
+        }
+        return current.amount * (current.lockEnd - block.timestamp) / MAX_LOCK_PERIOD;
+    }
+
+    function getVotingPower(address account) external view returns (uint256) {
+        return balanceOf(account);
+    }
+
+    /// @notice Voting power per locked PLN, in basis points
+    function getBoostingRate(address account) external view returns (uint256) {
+        uint256 amount = locks[account].amount;
+        return amount == 0 ? 0 : balanceOf(account) * 10000 / amount;
+    }
+
+    function _activeLock(address account) private view returns (Lock storage current) {
+        current = locks[account];
+        require(current.amount > 0, "No lock");
+        require(block.timestamp < current.lockEnd, "Lock expired");
+    }
+
+    function _checkLockEnd(uint256 lockEnd) private view {
+        require(lockEnd > block.timestamp, "Lock end must be in the future");
+        require(lockEnd <= block.timestamp + MAX_LOCK_PERIOD, "Lock exceeds maximum period");
+    }
+
+    function _pendingRewards(address account) private view returns (uint256) {
+        Lock storage current = locks[account];
+        uint256 accruedUntil = block.timestamp < current.lockEnd ? block.timestamp : current.lockEnd;
+        uint256 from = rewardsUpdatedAt[account];
+        if (current.amount == 0 || accruedUntil <= from) {
+            return 0;
+        }
+        return current.amount * rewardRate * (accruedUntil - from) / 1e18;
+    }
+
+    function _checkpoint(address account) private {
+        locks[account].claimable += _pendingRewards(account);
+        rewardsUpdatedAt[account] = block.timestamp;
+    }
+
+    /// @dev Rewards come out of PLN held beyond the locked principal
+    function _checkRewardReserve(uint256 rewards) private view {
+        require(pln.balanceOf(address(this)) >= totalLocked + rewards, "Insufficient reward reserve");
+    }
+}
@@ -1,24 +1,27 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+const { getNetwork } = require("./src/config/networks");
+
+// Network profiles, with the RPC endpoints from AVALANCHE_RPC_URL etc.
+const avalanche = getNetwork("avalanche");
+const avalancheFuji = getNetwork("avalanche-fuji");
+const base = getNetwork("base");
+const baseSepolia = getNetwork("base-sepolia");
 
 // Contract addresses on different networks
 const CONTRACTS = {
-  // Avalanche mainnet
-  avalanche: {
-    vePLN: "0x2eCB6F9dF29163758024d416997764922E4528d4",
-    plnToken: "0x7b2B702706D9b361dfE3f00bD138C0CFDA7FB2Cf",
-    pollenDAO: "0x8B312F4503790CBd1030b97C545c7F3eFDaDE717",
-    proxyStorage: "0xDd612d373D6ba328901571434ef76bd1751Df661"
-  },
-  // Base Sepolia testnet
-  baseSepolia: {
-    pollenDAO: "0xEF789258233E6cFBB5E0bb093FC9537E69e81Bb7",
-    leagues: "0x55F04Ee2775925b80125F412C05cF5214Fd1317a",
-    vePLN: "0x3a28AB567b661B3edaF9Ef0bDE9489558EDB3995",
-    plnToken: "0x9E1c51E1fAa1381D8a7Dbdd19402c5fCce9274C6"
-  }
+  avalanche: avalanche.contracts,
+  baseSepolia: baseSepolia.contracts
 };
 
+function networkConfig(network) {
+  return {
+    url: network.rpcUrl,
+    chainId: network.chainId,
+    accounts: process.env.WALLET_PRIVATE_KEY ? [process.env.WALLET_PRIVATE_KEY] : []
+  };
+}
+
 module.exports = {
   solidity: {
     compilers: [
@@ -44,21 +47,21 @@ module.exports = {
   },
   networks: {
     hardhat: {
+      // Fork Avalanche mainnet with HARDHAT_FORK=true; tests run on a plain local chain with the mocks in contracts/mocks
       forking: {
-        url: process.env.AVALANCHE_RPC_URL || "https://api.avax.network/ext/bc/C/rpc",
+        enabled: process.env.HARDHAT_FORK === "true",
+        url: avalanche.rpcUrl,
         blockNumber: process.env.FORK_BLOCK_NUMBER ? parseInt(process.env.FORK_BLOCK_NUMBER) : undefined
       },
-      chainId: 43114 // Avalanche mainnet
-    },
-    avalanche: {
-      url: process.env.AVALANCHE_RPC_URL || "https://api.avax.network/ext/bc/C/rpc",
-      chainId: 43114,
-      accounts: process.env.WALLET_PRIVATE_KEY ? [process.env.WALLET_PRIVATE_KEY] : []
+      // The bots send legacy transactions at sub-gwei gas prices
+      initialBaseFeePerGas: 0,
+      chainId: avalanche.chainId
     },
+    avalanche: networkConfig(avalanche),
+    avalancheFuji: networkConfig(avalancheFuji),
+    base: networkConfig(base),
     baseSepolia: {
-      url: process.env.BASE_SEPOLIA_RPC_URL || "https://sepolia.base.org",
-      chainId: 84532,
-      accounts: process.env.WALLET_PRIVATE_KEY ? [process.env.WALLET_PRIVATE_KEY] : [],
+      ...networkConfig(baseSepolia),
       gasPrice: "auto",
       gas: "auto"
     }
@@ -71,10 +74,10 @@ module.exports = {
     customChains: [
       {
         network: "baseSepolia",
-        chainId: 84532,
+        chainId: baseSepolia.chainId,
         urls: {
           apiURL: "https://api-sepolia.basescan.org/api",
-          browserURL: "https://sepolia.basescan.org"
+          browserURL: baseSepolia.explorerUrl
         }
       }
     ]
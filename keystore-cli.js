@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * Bot Keystore CLI
+ * Import, list, rotate and export the encrypted bot signing keys in
+ * config/keystore. The passphrase is read from POLLEN_KEYSTORE_PASSPHRASE
+ * or prompted for.
+ */
+
+const readline = require('readline');
+const { Keystore } = require('./src/modules/keystore');
+const { loadBotRegistry, getBot } = require('./src/modules/bot-registry');
+
+function prompt(question, { hidden = false } = {}) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+  if (hidden) {
+    rl._writeToOutput = (text) => {
+      if (text.includes(question)) rl.output.write(text);
+    };
+  }
+
+  return new Promise(resolve => {
+    rl.question(question, answer => {
+      if (hidden) rl.output.write('\n');
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
+}
+
+async function askPassphrase(label = 'Keystore passphrase', { confirm = false, fromEnv = true } = {}) {
+  if (fromEnv && process.env.POLLEN_KEYSTORE_PASSPHRASE) {
+    return process.env.POLLEN_KEYSTORE_PASSPHRASE;
+  }
+
+  const passphrase = await prompt(`${label}: `, { hidden: true });
+  if (!passphrase) {
+    throw new Error('Passphrase must not be empty');
+  }
+  if (confirm && await prompt(`Repeat ${label.toLowerCase()}: `, { hidden: true }) !== passphrase) {
+    throw new Error('Passphrases do not match');
+  }
+  return passphrase;
+}
+
+function parseArgs(argv) {
+  const flags = {};
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const name = argv[i].slice(2);
+      flags[name] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { flags, positional };
+}
+
+function requireBotId(value) {
+  const botId = Number(value);
+  if (!Number.isInteger(botId) || botId < 1) {
+    throw new Error('Please specify a bot id');
+  }
+  return botId;
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const { flags, positional } = parseArgs(rest);
+  const keystore = new Keystore();
+  const registry = loadBotRegistry();
+
+  switch (command) {
+    case 'import': {
+      const botId = requireBotId(positional[0]);
+      const privateKey = flags['from-env']
+        ? process.env[flags['from-env']]
+        : await prompt(`Private key for bot ${botId}: `, { hidden: true });
+      if (!privateKey) {
+        throw new Error(flags['from-env'] ? `${flags['from-env']} is not set` : 'No private key entered');
+      }
+
+      const passphrase = await askPassphrase('Keystore passphrase', { confirm: !keystore.list().length });
+      const address = await keystore.importKey(botId, privateKey, { passphrase, overwrite: Boolean(flags.force) });
+      console.log(`✅ Imported key for bot ${botId}: ${address}`);
+
+      const bot = getBot(registry, botId);
+      if (bot && bot.address && bot.address.toLowerCase() !== address.toLowerCase()) {
+        console.log(`⚠️  Registry expects ${bot.address} for bot ${botId}`);
+      }
+      break;
+    }
+
+    case 'list': {
+      const entries = keystore.list();
+      console.log(`🔐 Keystore: ${keystore.dir}`);
+      entries.forEach(entry => {
+        const bot = getBot(registry, entry.botId);
+        const name = bot ? bot.name : 'not in registry';
+        const match = bot && bot.address && bot.address.toLowerCase() !== entry.address.toLowerCase() ? ' ⚠️ address mismatch' : '';
+        console.log(`  Bot ${entry.botId}: ${entry.address} (${name})${match}`);
+      });
+      registry.bots
+        .filter(bot => bot.key === 'keystore' && !keystore.has(bot.id))
+        .forEach(bot => console.log(`  Bot ${bot.id}: missing (${bot.name})`));
+      break;
+    }
+
+    case 'rotate': {
+      const passphrase = await askPassphrase('Current passphrase');
+
+      if (flags.passphrase) {
+        const newPassphrase = await askPassphrase('New passphrase', { confirm: true, fromEnv: false });
+        const botIds = await keystore.changePassphrase(newPassphrase, { passphrase });
+        console.log(`✅ Re-encrypted ${botIds.length} keys with the new passphrase`);
+        break;
+      }
+
+      const botId = requireBotId(positional[0]);
+      const result = await keystore.rotateKey(botId, { passphrase });
+      console.log(`✅ Rotated key for bot ${botId}: ${result.address}`);
+      console.log(`   Previous key kept at ${result.archive}`);
+      console.log(`⚠️  Move funds from ${result.previousAddress} and update the address in config/bots.json`);
+      break;
+    }
+
+    case 'export': {
+      const botId = requireBotId(positional[0]);
+      const passphrase = await askPassphrase();
+      console.error('⚠️  The private key below is unencrypted. Do not store it in plaintext.');
+      console.log(await keystore.exportKey(botId, passphrase));
+      break;
+    }
+
+    default:
+      console.log('📖 Usage:');
+      console.log('  node keystore-cli.js import <botId> [--from-env VAR] [--force]  - Encrypt and store a bot key');
+      console.log('  node keystore-cli.js list                                      - List stored keys');
+      console.log('  node keystore-cli.js rotate <botId>                            - Replace a bot key with a new one');
+      console.log('  node keystore-cli.js rotate --passphrase                       - Re-encrypt all keys with a new passphrase');
+      console.log('  node keystore-cli.js export <botId>                            - Print a decrypted key');
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
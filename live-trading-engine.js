@@ -7,75 +7,10 @@
  */
 
 require('dotenv').config({ path: './config/base-sepolia-pods-default.env' });
+require('dotenv').config({ path: './config/.env' }); // keystore passphrase and env: key references
 const { ethers } = require('ethers');
 const logger = require('./src/modules/logger');
-
-// Bot configurations
-const BOTS = [
-  {
-    id: 1,
-    name: 'Conservative Bot',
-    privateKey: 'd74ae2c1a798042c9bbf56f15d2649df6d114e763f9444e2cddcde050900f1d0',
-    address: '0x561529036AB886c1FD3D112360383D79fBA9E71c',
-    strategy: 'conservative',
-    riskLevel: 'low',
-    maxAllocation: 15
-  },
-  {
-    id: 2,
-    name: 'Momentum Bot',
-    privateKey: '241083ae625b93b41b555052840c09458c71704889b22774101d21b4d1482e62',
-    address: '0x48B2353954496679CF7C73d239bc12098cB0C5B4',
-    strategy: 'momentum',
-    riskLevel: 'moderate',
-    maxAllocation: 20
-  },
-  {
-    id: 3,
-    name: 'Technical Bot',
-    privateKey: '0aa4b2f50b7efc44721b23a2ef7fc3ab11b658369af23381752c6d86b42628b1',
-    address: '0x43f76157E9696302E287181828cB3B0C6B89d31e',
-    strategy: 'technical',
-    riskLevel: 'moderate',
-    maxAllocation: 20
-  },
-  {
-    id: 4,
-    name: 'Mean Reversion Bot',
-    privateKey: '7dde37bea0f47ea849c9a7a285f3a277acd81c908accdb501ca036db1a5b11da',
-    address: '0xC02764913ce2F23B094F0338a711EFD984024A46',
-    strategy: 'mean-reversion',
-    riskLevel: 'moderate',
-    maxAllocation: 20
-  },
-  {
-    id: 5,
-    name: 'Breakout Bot',
-    privateKey: '64da71a2688d24c0f970ded84d2d744081e467ae493f4c3256c4f8ee9bb959ee',
-    address: '0x00FfF703fa6837A1a46b3DF9B6a047404046379E',
-    strategy: 'breakout',
-    riskLevel: 'high',
-    maxAllocation: 25
-  },
-  {
-    id: 6,
-    name: 'Scalping Bot',
-    privateKey: '01c9ebbb878c20446425a726bd4d47f99620afa3cfcb3103866337054949f87c',
-    address: '0xD5404dd1Af9701A5ba8C8064240529594849450D',
-    strategy: 'scalping',
-    riskLevel: 'moderate',
-    maxAllocation: 15
-  },
-  {
-    id: 7,
-    name: 'Grid Trading Bot',
-    privateKey: 'f56adb2c0b947f7d5f94c63b81a679dda6de49987bc99008779bb57827a600fe',
-    address: '0x0E27bFe07Fb67497b093AFA6c94BF76a2A81ee13',
-    strategy: 'grid-trading',
-    riskLevel: 'low',
-    maxAllocation: 18
-  }
-];
+const { loadBotRegistry, getBotSigner } = require('./src/modules/bot-registry');
 
 // Contract addresses
 const CONTRACTS = {
@@ -111,7 +46,8 @@ const LEAGUES_ABI = [
 ];
 
 class LiveTradingEngine {
-  constructor() {
+  constructor(registry = loadBotRegistry()) {
+    this.botConfigs = registry.bots.filter(bot => bot.enabled);
     this.provider = new ethers.JsonRpcProvider('https://sepolia.base.org');
     this.bots = new Map();
     this.running = false;
@@ -123,7 +59,7 @@ class LiveTradingEngine {
       logger.info(`🔄 Initializing ${bot.name} (Bot ${bot.id})`);
       
       // Create wallet
-      const wallet = new ethers.Wallet(bot.privateKey, this.provider);
+      const wallet = await getBotSigner(bot, this.provider);
       
       // Initialize contracts
       const plnToken = new ethers.Contract(CONTRACTS.plnToken, PLN_TOKEN_ABI, wallet);
@@ -324,7 +260,7 @@ class LiveTradingEngine {
 
     // Initialize all bots
     const initResults = [];
-    for (const bot of BOTS) {
+    for (const bot of this.botConfigs) {
       const initialized = await this.initializeBot(bot);
       if (initialized) {
         initResults.push(initialized);
@@ -336,7 +272,7 @@ class LiveTradingEngine {
       return;
     }
 
-    logger.info(`✅ ${initResults.length}/${BOTS.length} bots initialized`);
+    logger.info(`✅ ${initResults.length}/${this.botConfigs.length} bots initialized`);
     logger.info('🔥 Starting live trading operations...');
 
     this.running = true;
@@ -409,9 +345,8 @@ class LiveTradingEngine {
 
 // Main execution
 async function main() {
-  const engine = new LiveTradingEngine();
-
   try {
+    const engine = new LiveTradingEngine();
     await engine.startLiveTrading();
 
     // Handle graceful shutdown
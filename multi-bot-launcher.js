@@ -1,6 +1,7 @@
 /**
- * Multi-Bot Launcher for Base Sepolia
- * Launches 7 trading bots with different strategies
+ * Multi-Bot Launcher
+ * Launches the trading bots declared in config/bots.json on the network
+ * profile named by NETWORK, Base Sepolia by default
  */
 
 // Polyfill for AbortController
@@ -10,134 +11,49 @@ if (typeof globalThis.AbortController === 'undefined') {
 }
 
 require('dotenv').config({ path: './config/base-sepolia-pods-default.env' });
+require('dotenv').config({ path: './config/.env' }); // keystore passphrase and env: key references
+const { EventEmitter } = require('events');
+const { randomUUID } = require('crypto');
 const { ethers } = require('ethers');
 const logger = require('./src/modules/logger');
-
-// All 7 bot configurations with provided private keys
-const BOTS = [
-  {
-    id: 1,
-    name: 'Conservative Bot',
-    privateKey: 'd74ae2c1a798042c9bbf56f15d2649df6d114e763f9444e2cddcde050900f1d0',
-    address: '0x561529036AB886c1FD3D112360383D79fBA9E71c',
-    strategy: 'conservative',
-    risk: 'low',
-    maxAllocation: 15,
-    initialStake: '2'
-  },
-  {
-    id: 2,
-    name: 'Momentum Bot',
-    privateKey: '241083ae625b93b41b555052840c09458c71704889b22774101d21b4d1482e62',
-    address: '0x48B2353954496679CF7C73d239bc12098cB0C5B4',
-    strategy: 'momentum',
-    risk: 'moderate',
-    maxAllocation: 20,
-    initialStake: '3'
-  },
-  {
-    id: 3,
-    name: 'Technical Bot',
-    privateKey: '0aa4b2f50b7efc44721b23a2ef7fc3ab11b658369af23381752c6d86b42628b1',
-    address: '0x43f76157E9696302E287181828cB3B0C6B89d31e',
-    strategy: 'technical',
-    risk: 'moderate',
-    maxAllocation: 20,
-    initialStake: '3'
-  },
-  {
-    id: 4,
-    name: 'Mean Reversion Bot',
-    privateKey: '7dde37bea0f47ea849c9a7a285f3a277acd81c908accdb501ca036db1a5b11da',
-    address: '0xC02764913ce2F23B094F0338a711EFD984024A46',
-    strategy: 'mean-reversion',
-    risk: 'moderate',
-    maxAllocation: 20,
-    initialStake: '4'
-  },
-  {
-    id: 5,
-    name: 'Breakout Bot',
-    privateKey: '64da71a2688d24c0f970ded84d2d744081e467ae493f4c3256c4f8ee9bb959ee',
-    address: '0x00FfF703fa6837A1a46b3DF9B6a047404046379E',
-    strategy: 'breakout',
-    risk: 'high',
-    maxAllocation: 25,
-    initialStake: '2'
-  },
-  {
-    id: 6,
-    name: 'Scalping Bot',
-    privateKey: '01c9ebbb878c20446425a726bd4d47f99620afa3cfcb3103866337054949f87c',
-    address: '0xD5404dd1Af9701A5ba8C8064240529594849450D',
-    strategy: 'scalping',
-    risk: 'moderate',
-    maxAllocation: 15,
-    initialStake: '3'
-  },
-  {
-    id: 7,
-    name: 'Grid Trading Bot',
-    privateKey: 'f56adb2c0b947f7d5f94c63b81a679dda6de49987bc99008779bb57827a600fe',
-    address: '0x0E27bFe07Fb67497b093AFA6c94BF76a2A81ee13',
-    strategy: 'grid-trading',
-    risk: 'low',
-    maxAllocation: 18,
-    initialStake: '4'
-  },
-  {
-    id: 8,
-    name: 'High-Frequency Bot',
-    privateKey: 'bb835fbebd77b913b1e9df9d2088e4ed19493a551745bdffe990bc54cc51c6dd',
-    address: '0x0A0025182D874cccd509055E67990B317B5Ac3e9',
-    strategy: 'high-frequency',
-    risk: 'high',
-    maxAllocation: 20,
-    initialStake: '2'
-  },
-  {
-    id: 9,
-    name: 'Liquidity Provision Bot',
-    privateKey: '6798f078a4011ef08cf7c5e8c40a20c9e4e7042dd40a9b7a7f99aedfbc702e59',
-    address: '0x57B445073008C9Ed50ef3740dDba21A1C344d4Ec',
-    strategy: 'liquidity-provision',
-    risk: 'moderate',
-    maxAllocation: 18,
-    initialStake: '3'
-  },
-  {
-    id: 10,
-    name: 'Cross-Chain Arbitrage Bot',
-    privateKey: 'f7ca927b8dbeb8c58c72a2939901fc74aaef383f6e0a446bf3382b6264d9b47b',
-    address: '0xA3a0eF7472fbdE00f4d06C1F7f1233B778F47477',
-    strategy: 'cross-chain-arbitrage',
-    risk: 'high',
-    maxAllocation: 22,
-    initialStake: '4'
-  },
-  {
-    id: 11,
-    name: 'Test Integration Bot',
-    privateKey: '1f684d93e5906902964c59749b106f6d04e0a9ec8174cb9b27bb55d14c63653c',
-    address: '0x8b312F4503790Cbd1030b97C545C7F3EfdAde717',
-    strategy: 'technical',
-    risk: 'moderate',
-    maxAllocation: 18,
-    initialStake: '3'
-  }
-];
-
-// Base Sepolia configuration
-const BASE_SEPOLIA_CONFIG = {
-  chainId: 84532,
-  rpcUrl: 'https://sepolia.base.org',
-  explorerUrl: 'https://sepolia.basescan.org',
-  contracts: {
-    plnToken: '0x9E1c51E1fAa1381D8a7Dbdd19402c5fCce9274C6',
-    pollenDAO: '0xEF789258233E6cFBB5E0bb093FC9537E69e81Bb7',
-    vePLN: '0x3a28AB567b661B3edaF9Ef0bDE9489558EDB3995',
-    leagues: '0x55F04Ee2775925b80125F412C05cF5214Fd1317a'
-  }
+const { getNetwork, assertChainId } = require('./src/config/networks');
+const { RpcPool } = require('./src/modules/rpc-pool');
+const { loadBotRegistry, getBotSigner } = require('./src/modules/bot-registry');
+const { PortfolioStateReader } = require('./src/modules/portfolio-state-reader');
+const { AssetRegistry } = require('./src/modules/asset-registry');
+const { getMarketData, getAssetPrice } = require('./src/modules/market-data-sources');
+const { planRebalance } = require('./src/modules/strategy-pipelines');
+const { EventIndexer } = require('./src/modules/event-indexer');
+const { benchmark } = require('./src/modules/pollen-benchmark');
+const { PaperTradingLedger } = require('./src/modules/paper-trading');
+const { DelegationManager } = require('./src/modules/delegation');
+const { RewardCompounder } = require('./src/modules/reward-compounder');
+const { GovernanceMonitor, loadGovernancePolicy } = require('./src/modules/governance');
+const { getTransactionManager, closeTransactionManagers } = require('./src/modules/transaction-manager');
+const { registry: metrics, startMetricsServer } = require('./src/modules/metrics');
+const {
+  ContractError,
+  PortfolioAlreadyInitialized,
+  PortfolioNotInitialized,
+  InvalidWeights,
+  toContractError
+} = require('./src/modules/contract-errors');
+
+// Per-bot metrics, served on /metrics by the config server or on METRICS_PORT when run standalone
+const botMetrics = {
+  rebalancesAttempted: metrics.counter('pollen_rebalances_attempted_total', 'Rebalances sent to the contract or the paper ledger', ['bot']),
+  rebalancesSucceeded: metrics.counter('pollen_rebalances_succeeded_total', 'Rebalances that completed', ['bot']),
+  rebalancesReverted: metrics.counter('pollen_rebalances_reverted_total', 'Rebalances the contract reverted, on chain or during gas estimation', ['bot']),
+  gasSpent: metrics.counter('pollen_gas_spent_eth_total', 'ETH paid for gas by mined transactions', ['bot']),
+  confirmationSeconds: metrics.histogram(
+    'pollen_transaction_confirmation_seconds',
+    'Time from submitting a transaction to its receipt',
+    ['bot'],
+    [1, 2, 5, 10, 20, 30, 60, 120, 300, 600]
+  ),
+  plnBalance: metrics.gauge('pollen_pln_balance', 'PLN balance of the bot wallet, virtual for paper bots', ['bot']),
+  ethBalance: metrics.gauge('pollen_eth_balance', 'ETH balance of the bot wallet', ['bot']),
+  portfolioValue: metrics.gauge('pollen_portfolio_value_pln', 'Portfolio value in PLN at the last read', ['bot'])
 };
 
 // Contract ABIs
@@ -159,17 +75,66 @@ const POLLEN_DAO_ABI = [
   'event PortfolioCreated(address indexed user, address indexed token, uint256 amount, uint256[] weights, bool[] isShort, bool tokenType)'
 ];
 
-const LEAGUES_ABI = [
-  'function getPortfolioValue(address _portfolio) view returns (uint256)',
-  'function rebalancePortfolio(address _portfolio, address[] calldata _assets, uint256[] calldata _weights) returns (bool)'
-];
+// ABIs whose custom errors the launcher decodes
+const POLLEN_ERROR_ABIS = [POLLEN_DAO_ABI, PLN_TOKEN_ABI];
 
-class MultiBotManager {
-  constructor() {
+/**
+ * Emits 'botScheduled' ({ botId, nextRunAt }), 'botCycle' ({ botId, rebalanced }),
+ * 'botError' ({ botId, error }) and 'transaction' ({ botId, type, hash }) as the bots trade
+ */
+class MultiBotManager extends EventEmitter {
+  /**
+   * @param {Object} [registry] - Bot registry, loaded from config/bots.json by default
+   * @param {Object} [options]
+   * @param {string} [options.network] - Network profile name, NETWORK or base-sepolia by default
+   * @param {ethers.Provider} [options.provider] - Defaults to an RpcPool over the profile's RPC endpoints
+   * @param {Object} [options.contracts] - Contract address overrides, e.g. local deployments
+   * @param {Function} [options.getMarketData] - Market data source for the signal pipelines
+   * @param {Function} [options.getAssetPrice] - Price lookup for drift tracking and the PLN price of reward compounding
+   * @param {Object} [options.transactions] - TransactionManager options for the bot wallets
+   * @param {EventIndexer} [options.indexer] - Event index, by default data/indexer/events.db
+   * @param {Object} [options.paper] - PaperTradingLedger options for bots with mode 'paper'
+   * @param {Object} [options.governance] - Voting policy, loaded from config/governance.json by default
+   * @param {ReputationTracker} [options.reputationTracker] - Records the return of every rebalance, the web interface's by default
+   * @param {Function} [options.getBenchmarkValue] - Current market benchmark value, sampled from the Pollen benchmark by default
+   */
+  constructor(registry = loadBotRegistry(), options = {}) {
+    super();
     this.bots = [];
-    this.provider = new ethers.JsonRpcProvider(BASE_SEPOLIA_CONFIG.rpcUrl);
+    this.botConfigs = registry.bots.filter(bot => bot.enabled);
+    this.network = getNetwork(options.network);
+    this.rpcPool = options.provider ? null : new RpcPool(this.network);
+    this.provider = options.provider || this.rpcPool;
+    this.contracts = { ...this.network.contracts, ...options.contracts };
+    this.assetRegistry = new AssetRegistry({ ...this.network, contracts: this.contracts });
+    this.getMarketData = options.getMarketData || getMarketData;
+    this.getAssetPrice = options.getAssetPrice || getAssetPrice;
+    // The profile's gas policy prices every bot transaction, and its chain id keys each wallet's manager
+    this.transactionOptions = { gasOptions: this.network.gas, chainId: this.network.chainId, ...options.transactions };
+    this.indexer = options.indexer || new EventIndexer(this.provider, { contracts: this.contracts, startBlock: this.network.deployBlock });
+    this.paperOptions = { getAssetPrice: options.getAssetPrice, ...options.paper };
+    this.paperLedgers = new Map();
+    this.delegationManagers = new Map();
+    this.compounders = new Map();
+    this.governancePolicy = options.governance || loadGovernancePolicy();
+    this.governance = null;
+    this.governancePoll = null;
+    this.initPromise = null;
     this.running = false;
+    // Pending trading loop timer of each bot; a bot without one is paused or stopped
+    this.tradingTimers = new Map();
     this.portfolios = new Map();
+    this.portfolioReader = new PortfolioStateReader(this.provider, this.contracts.pollenDAO, {
+      assets: this.assetRegistry.symbols,
+      simulation: process.env.SIMULATION_MODE === 'true',
+      getAssetPrice: options.getAssetPrice
+    });
+    // Asset prices at each bot's last rebalance, used to measure weight drift
+    this.rebalancePrices = new Map();
+    // Value per PLN deposited and benchmark value at each bot's last rebalance, the start of its reputation period
+    this.reputationTracker = options.reputationTracker || require('./web-interface/server/analytics/reputation-tracker').reputationTracker;
+    this.getBenchmarkValue = options.getBenchmarkValue || (() => benchmark.currentValue());
+    this.reputationMarks = new Map();
 
     // Known portfolio addresses from successful transactions
     // These will be populated by the verification script
@@ -178,20 +143,19 @@ class MultiBotManager {
 
   async validateBot(bot) {
     try {
-      const wallet = new ethers.Wallet(bot.privateKey, this.provider);
-
-      if (wallet.address.toLowerCase() !== bot.address.toLowerCase()) {
-        logger.error(`❌ Bot ${bot.id}: Address mismatch`);
-        return false;
+      if (bot.mode === 'paper') {
+        const ledger = await this.paperLedgerFor(bot);
+        const plnBalance = await ledger.getPLNBalance();
+        botMetrics.plnBalance.set({ bot: bot.id }, Number(plnBalance));
+        logger.info(`✅ Bot ${bot.id} (${bot.name}): paper trading`);
+        logger.info(`   PLN Balance: ${plnBalance} PLN (virtual)`);
+        logger.info(`   Strategy: ${bot.strategy}`);
+        return true;
       }
 
-      const balance = await this.provider.getBalance(wallet.address);
-      const balanceEth = ethers.formatEther(balance);
-
-      // Check PLN balance
-      const plnContract = new ethers.Contract(BASE_SEPOLIA_CONFIG.contracts.plnToken, PLN_TOKEN_ABI, wallet);
-      const plnBalance = await plnContract.balanceOf(wallet.address);
-      const plnFormatted = ethers.formatEther(plnBalance);
+      // Throws when the resolved key does not match the registered address
+      const wallet = await getBotSigner(bot, this.provider);
+      const { balanceEth, plnFormatted } = await this.readBalances(bot, wallet);
 
       logger.info(`✅ Bot ${bot.id} (${bot.name}): ${wallet.address}`);
       logger.info(`   ETH Balance: ${balanceEth} ETH`);
@@ -205,13 +169,42 @@ class MultiBotManager {
     }
   }
 
+  /**
+   * ETH and PLN balances of a live bot's wallet, also reported as metrics
+   */
+  async readBalances(bot, wallet) {
+    const balance = await this.provider.getBalance(wallet.address);
+    const plnContract = new ethers.Contract(this.contracts.plnToken, PLN_TOKEN_ABI, wallet);
+    const plnBalance = await plnContract.balanceOf(wallet.address);
+
+    const balanceEth = ethers.formatEther(balance);
+    const plnFormatted = ethers.formatEther(plnBalance);
+    botMetrics.ethBalance.set({ bot: bot.id }, Number(balanceEth));
+    botMetrics.plnBalance.set({ bot: bot.id }, Number(plnFormatted));
+    return { balanceEth, plnFormatted };
+  }
+
+  /**
+   * Confirmation latency and gas cost of a bot transaction's receipt
+   * @param {number} submittedAt - When sendTransaction returned, ms
+   */
+  recordReceipt(bot, receipt, submittedAt) {
+    botMetrics.confirmationSeconds.observe({ bot: bot.id }, (Date.now() - submittedAt) / 1000);
+    const fee = receipt.fee ?? receipt.gasUsed * (receipt.gasPrice || 0n);
+    botMetrics.gasSpent.inc({ bot: bot.id }, Number(ethers.formatEther(fee)));
+  }
+
   async createPortfolioForBot(bot) {
     try {
       logger.info(`\n🏗️ Creating portfolio for ${bot.name} (Bot ${bot.id})`);
 
-      const wallet = new ethers.Wallet(bot.privateKey, this.provider);
-      const plnContract = new ethers.Contract(BASE_SEPOLIA_CONFIG.contracts.plnToken, PLN_TOKEN_ABI, wallet);
-      const pollenDAO = new ethers.Contract(BASE_SEPOLIA_CONFIG.contracts.pollenDAO, POLLEN_DAO_ABI, wallet);
+      if (bot.mode === 'paper') {
+        return await this.createPaperPortfolio(bot);
+      }
+
+      const wallet = await getBotSigner(bot, this.provider);
+      const plnContract = new ethers.Contract(this.contracts.plnToken, PLN_TOKEN_ABI, wallet);
+      const pollenDAO = new ethers.Contract(this.contracts.pollenDAO, POLLEN_DAO_ABI, wallet);
 
       // Check if portfolio already exists using improved detection
       const existingPortfolio = await this.findExistingPortfolio(wallet.address, bot.id);
@@ -241,24 +234,25 @@ class MultiBotManager {
       }
 
       // Check and set PLN allowance
-      const allowance = await plnContract.allowance(wallet.address, BASE_SEPOLIA_CONFIG.contracts.pollenDAO);
+      const allowance = await plnContract.allowance(wallet.address, this.contracts.pollenDAO);
       const allowanceFormatted = ethers.formatEther(allowance);
       logger.info(`🔓 Bot ${bot.id} current allowance: ${allowanceFormatted} PLN`);
 
       if (allowance < stakeAmount) {
         logger.info(`🔓 Bot ${bot.id} approving PLN spending...`);
         try {
-          const approveTx = await plnContract.approve(BASE_SEPOLIA_CONFIG.contracts.pollenDAO, stakeAmount, {
-            gasLimit: 120000,
-            gasPrice: ethers.parseUnits('0.1', 'gwei')
-          });
+          const approveTx = await this.sendTransaction(
+            wallet,
+            await plnContract.approve.populateTransaction(this.contracts.pollenDAO, stakeAmount),
+            `Bot ${bot.id} PLN approval`
+          );
 
           logger.info(`📡 Bot ${bot.id} approval transaction: ${approveTx.hash}`);
           const approveReceipt = await approveTx.wait();
           logger.info(`✅ Bot ${bot.id} PLN approved in block: ${approveReceipt.blockNumber}`);
 
           // Verify approval
-          const newAllowance = await plnContract.allowance(wallet.address, BASE_SEPOLIA_CONFIG.contracts.pollenDAO);
+          const newAllowance = await plnContract.allowance(wallet.address, this.contracts.pollenDAO);
           logger.info(`✅ Bot ${bot.id} new allowance: ${ethers.formatEther(newAllowance)} PLN`);
 
         } catch (approveError) {
@@ -273,27 +267,28 @@ class MultiBotManager {
 
       // Check if contract supports the function
       try {
-        const contractCode = await this.provider.getCode(BASE_SEPOLIA_CONFIG.contracts.pollenDAO);
+        const contractCode = await this.provider.getCode(this.contracts.pollenDAO);
         if (contractCode === '0x') {
           throw new Error('Portfolio contract has no code deployed');
         }
-        logger.info(`✅ Contract code verified at ${BASE_SEPOLIA_CONFIG.contracts.pollenDAO}`);
+        logger.info(`✅ Contract code verified at ${this.contracts.pollenDAO}`);
       } catch (error) {
         logger.error(`❌ Contract validation failed: ${error.message}`);
         return null;
       }
 
+      // One weight per whitelisted asset, in the registry's order
+      const weights = this.generateRebalanceWeights(bot.strategy);
+      const isShort = this.generateShortPositions(bot.strategy, weights);
+      const tokenType = false; // false for PLN token (based on documentation)
+
       // Test function exists by estimating gas
       try {
-        const weights = [16, 14, 14, 14, 14, 14, 14];
-        const isShort = [false, false, false, false, false, false, false];
-        const tokenType = false;
-
         const gasEstimate = await pollenDAO.createPortfolio.estimateGas(stakeAmount, weights, isShort, tokenType);
         logger.info(`⛽ Gas estimate: ${gasEstimate.toString()}`);
       } catch (error) {
         logger.error(`❌ Gas estimation failed: ${error.message}`);
-        if (error.message.includes('Portfolio has been initialized')) {
+        if (toContractError(error, POLLEN_ERROR_ABIS) instanceof PortfolioAlreadyInitialized) {
           logger.info(`ℹ️ Portfolio already exists for Bot ${bot.id}`);
           return `portfolio_${bot.id}_existing`;
         }
@@ -306,279 +301,61 @@ class MultiBotManager {
       try {
         // Use the correct createPortfolio interface for Base Sepolia
         // Based on Sepolia Developer Guide: createPortfolio(uint256 amount, uint256[] calldata weights, bool[] calldata isShort, bool tokenType)
-        const weights = [16, 14, 14, 14, 14, 14, 14]; // Must sum to 100
-        const isShort = this.generateShortPositions(bot.strategy, weights);
-        const tokenType = false; // false for PLN token (based on documentation)
-
         logger.info(`📊 Portfolio parameters:`);
         logger.info(`   Amount: ${ethers.formatEther(stakeAmount)} PLN`);
         logger.info(`   Weights: [${weights.join(', ')}] (sum: ${weights.reduce((a, b) => a + b, 0)})`);
         logger.info(`   IsShort: [${isShort.join(', ')}]`);
         logger.info(`   TokenType: ${tokenType}`);
 
-        const createTx = await pollenDAO.createPortfolio(stakeAmount, weights, isShort, tokenType, {
-          gasLimit: 1000000,
-          gasPrice: ethers.parseUnits('2', 'gwei')
-        });
+        const createTx = await this.sendTransaction(
+          wallet,
+          await pollenDAO.createPortfolio.populateTransaction(stakeAmount, weights, isShort, tokenType),
+          `Bot ${bot.id} portfolio creation`
+        );
+        const submittedAt = Date.now();
 
-        logger.info(`📡 Bot ${bot.id} transaction submitted: ${createTx.hash}`);
-        logger.info(`🔗 Explorer: ${BASE_SEPOLIA_CONFIG.explorerUrl}/tx/${createTx.hash}`);
+        logger.info(`📡 Bot ${bot.id} transaction submitted: ${createTx.hash}`, { txHash: createTx.hash });
+        this.emit('transaction', { botId: bot.id, type: 'create', hash: createTx.hash });
+        logger.info(`🔗 Explorer: ${this.network.explorerUrl}/tx/${createTx.hash}`);
         logger.info(`📄 Transaction data: ${createTx.data ? createTx.data.substring(0, 100) + '...' : 'undefined'}`);
 
         const receipt = await createTx.wait();
+        this.recordReceipt(bot, receipt, submittedAt);
 
         if (receipt.status === 1) {
-          logger.info(`✅ Bot ${bot.id} portfolio creation confirmed in block: ${receipt.blockNumber}`);
+          logger.info(`✅ Bot ${bot.id} portfolio creation confirmed in block: ${receipt.blockNumber}`, { txHash: receipt.hash });
           logger.info(`⛽ Gas used: ${receipt.gasUsed.toString()}`);
         } else {
           logger.error(`❌ Bot ${bot.id} transaction failed with status: ${receipt.status}`);
           throw new Error(`Transaction reverted with status ${receipt.status}`);
         }
 
-        const { hash: txHash } = createTx;
-
-// Enhanced portfolio address detection
-        let portfolioAddress = null;
-
-        // Method 1: Look for PortfolioCreated events with correct signature
-        console.log(`🔍 Parsing transaction logs for PortfolioCreated events...`);
-
-        try {
-          const eventSignatures = [
-            'PortfolioCreated(address,address,uint256,uint256[],bool[],bool)'
-          ];
-
-          for (const signature of eventSignatures) {
-            try {
-              const eventTopic = ethers.id(signature);
-
-              for (const log of receipt.logs) {
-                if (log.topics && log.topics[0] === eventTopic) {
-                  console.log(`✅ Found event matching ${signature}`);
-
-                  // For PortfolioCreated events, portfolio address might be in topics[1] or topics[2]
-                  if (signature.includes('PortfolioCreated')) {
-                    for (let topicIndex = 1; topicIndex < log.topics.length; topicIndex++) {
-                      try {
-                        const topic = log.topics[topicIndex];
-                        if (topic && topic.length === 66) {
-                          const potentialAddr = ethers.getAddress('0x' + topic.slice(26));
-                          const code = await this.provider.getCode(potentialAddr);
-
-                          if (code !== '0x' && code.length > 2) {
-                            console.log(`🎯 Portfolio address found in topic[${topicIndex}]: ${potentialAddr}`);
-                            portfolioAddress = potentialAddr;
-                            break;
-                          }
-                        }
-                      } catch (e) {
-                        // Continue to next topic
-                      }
-                    }
-                  }
-
-                  if (portfolioAddress) break;
-                }
-              }
-
-              if (portfolioAddress) break;
-            } catch (e) {
-              // Continue to next signature
-              console.log(`⚠️ Error processing signature ${signature}: ${e.message}`);
-            }
-          }
-        } catch (error) {
-          console.log(`⚠️ Error in event signature processing: ${error.message}`);
-        }
-
-        // Method 2: Scan all logs for potential contract addresses in data fields
-        if (!portfolioAddress) {
-          console.log(`🔍 Scanning log data for contract addresses...`);
-
-          try {
-            for (let i = 0; i < receipt.logs.length; i++) {
-              const log = receipt.logs[i];
-
-              // Check log data for addresses
-              if (log.data && log.data.length >= 66) {
-                try {
-                  const dataHex = log.data.slice(2); // Remove 0x prefix
-
-                  // Check for addresses at common positions (32-byte aligned)
-                  for (let pos = 24; pos <= dataHex.length - 40; pos += 64) {
-                    const addressHex = dataHex.slice(pos, pos + 40);
-                    if (addressHex.length === 40 && !addressHex.match(/^0+$/)) {
-                      try {
-                        const potentialAddr = ethers.getAddress('0x' + addressHex);
-                        const code = await this.provider.getCode(potentialAddr);
-
-                        if (code !== '0x' && code.length > 2) {
-                          console.log(`🎯 Found contract in log ${i + 1} data: ${potentialAddr}`);
-                          portfolioAddress = potentialAddr;
-                          break;
-                        }
-                      } catch (e) {
-                        // Not a valid address, continue
-                      }
-                    }
-                  }
-                } catch (e) {
-                  // Error processing log data
-                }
-              }
-
-              if (portfolioAddress) break;
-            }
-          } catch (error) {
-            console.log(`⚠️ Error scanning log data: ${error.message}`);
-          }
-        }
-
-        // Method 3: Check contract creation from transaction trace
-        if (!portfolioAddress) {
-          console.log(`🔍 Checking transaction trace for contract creation...`);
-
-          // Check if this transaction created any new contracts
-          try {
-            const transaction = await this.provider.getTransaction(createTx.hash);
-            if (transaction && transaction.to === null) {
-              // This is a contract creation transaction
-              const contractAddress = ethers.getCreateAddress({
-                from: transaction.from,
-                nonce: transaction.nonce
-              });
-
-              const code = await this.provider.getCode(contractAddress);
-              if (code !== '0x' && code.length > 2) {
-                console.log(`🎯 Contract created at: ${contractAddress}`);
-                portfolioAddress = contractAddress;
-              }
-            }
-          } catch (e) {
-            console.log(`⚠️ Could not check contract creation: ${e.message}`);
-          }
-        }
-
-        // Method 4: Enhanced event log parsing
-        if (!portfolioAddress) {
-          console.log(`🔍 Enhanced event log parsing...`);
-
-          try {
-            // Parse all logs more thoroughly
-            for (let i = 0; i < receipt.logs.length; i++) {
-              const log = receipt.logs[i];
-
-              // Check if this log is from the PollenDAO contract
-              if (log.address.toLowerCase() === BASE_SEPOLIA_CONFIG.contracts.pollenDAO.toLowerCase()) {
-                console.log(`📋 Found PollenDAO log ${i + 1}`);
-
-                // Try to decode as PortfolioCreated event with correct signature
-                try {
-                  const iface = new ethers.Interface([
-                    'event PortfolioCreated(address indexed user, address indexed token, uint256 amount, uint256[] weights, bool[] isShort, bool tokenType)'
-                  ]);
-
-                  const decoded = iface.parseLog(log);
-                  if (decoded && decoded.name === 'PortfolioCreated') {
-                    const eventUser = decoded.args.user;
-                    const eventToken = decoded.args.token;
-
-                    if (eventUser.toLowerCase() === wallet.address.toLowerCase()) {
-                      console.log(`🎯 Portfolio created for token: ${eventToken}`);
-                      // For this contract design, the portfolio is managed by the contract itself
-                      portfolioAddress = `portfolio_${bot.id}_verified`;
-                      break;
-                    }
-                  }
-                } catch (parseError) {
-                  // Continue to next log
-                }
-              }
-            }
-          } catch (e) {
-            console.log(`⚠️ Enhanced parsing failed: ${e.message}`);
-          }
-        }
-
-        // Method 4: Query the contract directly for the portfolio after successful creation
-        if (!portfolioAddress) {
-          console.log(`🔍 Querying contract for portfolio address...`);
-
-          try {
-            // Wait a moment for state to settle
-            await new Promise(resolve => setTimeout(resolve, 2000));
-
-            // Query portfolio using the correct method from Sepolia Developer Guide
-            try {
-              const portfolioData = await pollenDAO.getPortfolio(wallet.address, ethers.ZeroAddress);
-              if (portfolioData && portfolioData.length > 1 && portfolioData[1] > 0) {
-                console.log(`🎯 Portfolio detected via getPortfolio - has value: ${ethers.formatEther(portfolioData[1])} PLN`);
-                // Portfolio exists and is managed by the PollenDAO contract itself
-                // According to Base Sepolia docs, portfolios are tracked by user address, not separate contracts
-                portfolioAddress = `portfolio_${bot.id}_verified`;
-                console.log(`📝 Portfolio verified and marked: ${portfolioAddress}`);
-              }
-            } catch (e) {
-              console.log(`⚠️ getPortfolio failed: ${e.message}`);
-            }
-          } catch (error) {
-            console.log(`⚠️ Error querying contract: ${error.message}`);
-          }
-        }
+        // Pollen portfolios are kept per owner inside PollenDAO, so the event confirms it rather than giving an address
+        const created = this.indexer.findPortfolioCreated(receipt, wallet.address);
+        this.indexer.sync().catch(error => logger.warn(`⚠️ Event indexer sync failed: ${error.message}`));
 
-        // Final attempt: Analyze transaction receipt more deeply
-        if (!portfolioAddress) {
-          console.log(`🔍 Final attempt: Deep transaction analysis...`);
-
-          try {
-            // Look for any contract interactions in the receipt
-            const internalTxs = receipt.logs.filter(log => 
-              log.topics.length > 0 && 
-              log.data && 
-              log.data.length > 2
-            );
-
-            if (internalTxs.length > 0) {
-              console.log(`📋 Found ${internalTxs.length} internal transactions`);
-
-              // For now, we'll mark as successful and use a deterministic approach
-              const portfolioId = `portfolio_${bot.id}_${createTx.hash.slice(2, 10)}`;
-              this.portfolios.set(bot.id, portfolioId);
-              logger.info(`✅ Bot ${bot.id} portfolio marked as created with ID: ${portfolioId}`);
-              return portfolioId;
-            }
-          } catch (e) {
-            console.log(`⚠️ Deep analysis failed: ${e.message}`);
-          }
-        }
-
-        if (portfolioAddress && portfolioAddress !== ethers.ZeroAddress) {
-          this.portfolios.set(bot.id, portfolioAddress);
-          logger.info(`🎉 Bot ${bot.id} portfolio successfully created: ${portfolioAddress}`);
-          return portfolioAddress;
-        } else {
-          // The transaction succeeded but we couldn't detect the address
-          // This might still be a successful portfolio creation
-          logger.info(`✅ Bot ${bot.id} portfolio creation transaction confirmed but address detection failed`);
-          logger.info(`🔗 You can verify the portfolio was created at: ${BASE_SEPOLIA_CONFIG.explorerUrl}/tx/${createTx.hash}`);
-
-          // Create a deterministic portfolio reference
-          const portfolioRef = `portfolio_${bot.id}_${createTx.hash.slice(2, 10)}`;
-          this.portfolios.set(bot.id, portfolioRef);
-          return portfolioRef;
+        const portfolioRef = created
+          ? `portfolio_${bot.id}_verified`
+          : `portfolio_${bot.id}_${createTx.hash.slice(2, 10)}`;
+        if (!created) {
+          logger.warn(`⚠️ Bot ${bot.id} portfolio transaction confirmed without a PortfolioCreated event for ${wallet.address}`);
         }
+        this.portfolios.set(bot.id, portfolioRef);
+        logger.info(`🎉 Bot ${bot.id} portfolio successfully created: ${portfolioRef}`);
+        return portfolioRef;
 
       } catch (createError) {
         logger.error(`❌ Bot ${bot.id} portfolio creation transaction failed:`);
         logger.error(`   Error message: ${createError.message || 'Unknown error'}`);
         logger.error(`   Error code: ${createError.code || 'undefined'}`);
 
-        if (createError.reason) {
-          logger.error(`   Revert reason: ${createError.reason}`);
+        const revert = toContractError(createError, POLLEN_ERROR_ABIS);
+        if (revert instanceof ContractError) {
+          logger.error(`   Revert: ${revert.name} (${revert.message})`);
         }
 
         if (createError.transaction && createError.transaction.hash) {
-          logger.error(`   Failed transaction: ${BASE_SEPOLIA_CONFIG.explorerUrl}/tx/${createError.transaction.hash}`);
+          logger.error(`   Failed transaction: ${this.network.explorerUrl}/tx/${createError.transaction.hash}`);
         }
 
         // Log full error for debugging - safely
@@ -599,54 +376,66 @@ class MultiBotManager {
     }
   }
 
-  async rebalancePortfolio(bot) {
-    try {
-      const portfolioAddress = this.portfolios.get(bot.id);
+  transactionsFor(wallet) {
+    return getTransactionManager(wallet, this.transactionOptions);
+  }
 
-      // Check if we have a valid portfolio or if one exists that we haven't detected
-      if (!portfolioAddress) {
-        // Try to detect portfolio using gas estimation method
-        const wallet = new ethers.Wallet(bot.privateKey, this.provider);
-        const pollenDAO = new ethers.Contract(BASE_SEPOLIA_CONFIG.contracts.pollenDAO, POLLEN_DAO_ABI, wallet);
+  /**
+   * Send through the wallet's TransactionManager, which assigns the nonce,
+   * prices the transaction and replaces it if it stalls
+   */
+  sendTransaction(wallet, request, label) {
+    return this.transactionsFor(wallet).send(request, { label });
+  }
 
-        try {
-          // If gas estimation fails with "Portfolio has been initialized", portfolio exists
-          const testAmount = ethers.parseEther("1");
-          const testWeights = [16, 14, 14, 14, 14, 14, 14];
-          const testShorts = [false, false, false, false, false, false, false];
+  async rebalancePortfolio(bot) {
+    try {
+      if (bot.mode === 'paper') {
+        return await this.rebalancePaperPortfolio(bot);
+      }
 
-          await pollenDAO.createPortfolio.estimateGas(testAmount, testWeights, testShorts, false);
+      let portfolioAddress = this.portfolios.get(bot.id);
 
-          // If we get here, no portfolio exists
+      // A portfolio this manager didn't create is looked up through getPortfolio and the event index
+      if (!portfolioAddress) {
+        const wallet = await getBotSigner(bot, this.provider);
+        portfolioAddress = await this.findExistingPortfolio(wallet.address, bot.id);
+        if (!portfolioAddress) {
           logger.warn(`⚠️ Bot ${bot.id} (${bot.name}): No portfolio found for rebalancing`);
           return false;
-        } catch (gasError) {
-          if (gasError.reason === "Portfolio has been initialized" || gasError.message.includes("Portfolio has been initialized")) {
-            // Portfolio exists! Store it and proceed
-            const portfolioRef = `portfolio_${bot.id}_detected`;
-            this.portfolios.set(bot.id, portfolioRef);
-            portfolioAddress = portfolioRef;
-            logger.info(`📊 Bot ${bot.id} (${bot.name}): Detected existing portfolio for rebalancing`);
-          } else {
-            logger.warn(`⚠️ Bot ${bot.id} (${bot.name}): Gas estimation failed: ${gasError.message}`);
-            return false;
-          }
         }
+        this.portfolios.set(bot.id, portfolioAddress);
       }
 
       // Portfolio exists, proceed with rebalancing
       logger.info(`📊 Bot ${bot.id} (${bot.name}): Portfolio confirmed (${portfolioAddress}), proceeding with rebalancing`);
 
-      const wallet = new ethers.Wallet(bot.privateKey, this.provider);
-      const pollenDAO = new ethers.Contract(BASE_SEPOLIA_CONFIG.contracts.pollenDAO, POLLEN_DAO_ABI, wallet);
+      const wallet = await getBotSigner(bot, this.provider);
+      const pollenDAO = new ethers.Contract(this.contracts.pollenDAO, POLLEN_DAO_ABI, wallet);
+
+      // A stalled transaction is still being replaced; another one would only queue behind it.
+      // ready() also picks up transactions left pending by a previous run
+      const transactions = this.transactionsFor(wallet);
+      await transactions.ready();
+      if (transactions.hasPending()) {
+        logger.warn(`⏳ Bot ${bot.id} (${bot.name}) has a pending transaction, skipping this rebalance`);
+        return false;
+      }
 
-      // Generate new weights based on strategy (ensure they sum to 100)
-      const newWeights = this.generateRebalanceWeights(bot.strategy);
-      const newIsShort = this.generateShortPositions(bot.strategy, newWeights);
+      // Target weights from the strategy's signal pipeline, only when drift exceeds the threshold
+      const plan = await this.planBotRebalance(bot);
+      if (!plan) {
+        return false;
+      }
+      const newWeights = plan.weights;
+      const newIsShort = plan.isShort;
 
       logger.info(`🔄 Bot ${bot.id} (${bot.name}) rebalancing portfolio with strategy: ${bot.strategy}`);
       logger.info(`📊 Target weights: [${newWeights.join(', ')}] (sum: ${newWeights.reduce((a, b) => a + b, 0)})`);
 
+      let submittedAt = null;
+      // Counted before estimation, since a revert there is counted as reverted too
+      botMetrics.rebalancesAttempted.inc({ bot: bot.id });
       try {
         // First check if rebalancePortfolio function exists and estimate gas
         const gasEstimate = await pollenDAO.rebalancePortfolio.estimateGas(newWeights, newIsShort);
@@ -657,22 +446,33 @@ class MultiBotManager {
         const maxGas = 500000n;
         let finalGasLimit = gasBuffer > maxGas ? maxGas : gasBuffer;
 
-        const rebalanceTx = await pollenDAO.rebalancePortfolio(newWeights, newIsShort, {
-          gasLimit: finalGasLimit,
-          gasPrice: ethers.parseUnits('1', 'gwei') // Increased gas price for faster confirmation
-        });
+        const rebalanceTx = await this.sendTransaction(
+          wallet,
+          { ...await pollenDAO.rebalancePortfolio.populateTransaction(newWeights, newIsShort), gasLimit: finalGasLimit },
+          `Bot ${bot.id} rebalance`
+        );
+        submittedAt = Date.now();
 
-        logger.info(`📡 Bot ${bot.id} rebalance transaction submitted: ${rebalanceTx.hash}`);
-        logger.info(`🔗 Explorer: ${BASE_SEPOLIA_CONFIG.explorerUrl}/tx/${rebalanceTx.hash}`);
+        logger.info(`📡 Bot ${bot.id} rebalance transaction submitted: ${rebalanceTx.hash}`, { txHash: rebalanceTx.hash });
+        this.emit('transaction', { botId: bot.id, type: 'rebalance', hash: rebalanceTx.hash });
+        logger.info(`🔗 Explorer: ${this.network.explorerUrl}/tx/${rebalanceTx.hash}`);
 
         const receipt = await rebalanceTx.wait();
+        this.recordReceipt(bot, receipt, submittedAt);
 
         if (receipt.status === 1) {
-          logger.info(`✅ Bot ${bot.id} (${bot.name}) rebalanced successfully in block ${receipt.blockNumber}`);
+          logger.info(`✅ Bot ${bot.id} (${bot.name}) rebalanced successfully in block ${receipt.blockNumber}`, { txHash: receipt.hash });
           logger.info(`⛽ Gas used: ${receipt.gasUsed.toString()}`);
+          botMetrics.rebalancesSucceeded.inc({ bot: bot.id });
+          await this.recordRebalancePrices(bot);
+          await this.recordReputation(bot, receipt.hash);
+          await this.readBalances(bot, wallet).catch(error => {
+            logger.warn(`⚠️ Bot ${bot.id} balances unavailable: ${error.message}`);
+          });
           return true;
         } else {
           logger.error(`❌ Bot ${bot.id} rebalance transaction failed with status: ${receipt.status}`);
+          botMetrics.rebalancesReverted.inc({ bot: bot.id });
           return false;
         }
 
@@ -684,19 +484,90 @@ class MultiBotManager {
           logger.error(`   Code: ${rebalanceError.code}`);
         }
 
-        if (rebalanceError.reason) {
-          logger.error(`   Reason: ${rebalanceError.reason}`);
+        const revert = toContractError(rebalanceError, POLLEN_ERROR_ABIS);
+        if (revert instanceof ContractError) {
+          logger.error(`   Revert: ${revert.name} (${revert.message})`);
+        }
+        // TransactionManager rejects with the receipt attached when the transaction reverted on chain
+        if (rebalanceError.receipt) {
+          this.recordReceipt(bot, rebalanceError.receipt, submittedAt);
+        }
+        if (rebalanceError.receipt || revert instanceof ContractError) {
+          botMetrics.rebalancesReverted.inc({ bot: bot.id });
+        }
+        this.emit('botError', { botId: bot.id, error: revert instanceof ContractError ? revert.name : rebalanceError.message });
+
+        if (revert instanceof InvalidWeights) {
+          logger.error(`   Weights length: ${newWeights.length}, IsShort length: ${newIsShort.length}`);
+          logger.error(`   Weights sum: ${newWeights.reduce((a, b) => a + b, 0)}`);
+        } else if (revert instanceof PortfolioNotInitialized) {
+          // The cached reference is stale; detect the portfolio again next cycle
+          this.portfolios.delete(bot.id);
         }
-
-        // Log array lengths for debugging
-        logger.error(`   Weights length: ${newWeights.length}, IsShort length: ${newIsShort.length}`);
-        logger.error(`   Weights sum: ${newWeights.reduce((a, b) => a + b, 0)}`);
 
         return false;
       }
 
     } catch (error) {
       logger.error(`❌ Bot ${bot.id} (${bot.name}) rebalance failed with unexpected error: ${error.message}`);
+      this.emit('botError', { botId: bot.id, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Virtual PLN ledger of a paper-trading bot, in data/paper/ by default
+   */
+  async paperLedgerFor(bot) {
+    if (!this.paperLedgers.has(bot.id)) {
+      const ledger = new PaperTradingLedger({ botId: bot.id, account: bot.address, ...this.paperOptions });
+      await ledger.initialize();
+      this.paperLedgers.set(bot.id, ledger);
+    }
+    return this.paperLedgers.get(bot.id);
+  }
+
+  async createPaperPortfolio(bot) {
+    const ledger = await this.paperLedgerFor(bot);
+    const status = await ledger.getPortfolioStatus();
+    if (status.hasPortfolio) {
+      logger.info(`✅ Paper portfolio already exists: ${status.portfolioId}`);
+      this.portfolios.set(bot.id, status.portfolioId);
+      return status.portfolioId;
+    }
+
+    const weights = this.generateRebalanceWeights(bot.strategy);
+    const isShort = this.generateShortPositions(bot.strategy, weights);
+    const result = await ledger.createVirtualPortfolio(this.portfolioReader.assets, weights, bot.initialStake, { isShort });
+
+    logger.info(`📝 Bot ${bot.id} paper portfolio created: ${result.portfolioId}`);
+    this.portfolios.set(bot.id, result.portfolioId);
+    return result.portfolioId;
+  }
+
+  async rebalancePaperPortfolio(bot) {
+    const ledger = await this.paperLedgerFor(bot);
+    const plan = await this.planBotRebalance(bot);
+    if (!plan) {
+      return false;
+    }
+
+    botMetrics.rebalancesAttempted.inc({ bot: bot.id });
+    try {
+      const result = await ledger.rebalanceVirtualPortfolio(this.portfolioReader.assets, plan.weights, {
+        isShort: plan.isShort,
+        force: true // planBotRebalance already applied the bot's threshold
+      });
+      logger.info(`📝 Bot ${bot.id} (${bot.name}) paper rebalance: ${result.value.toFixed(4)} PLN, ${(result.periodReturn * 100).toFixed(2)}% since the last rebalance`);
+      botMetrics.rebalancesSucceeded.inc({ bot: bot.id });
+      await this.recordReputation(bot);
+      return true;
+    } catch (error) {
+      logger.error(`❌ Bot ${bot.id} (${bot.name}) paper rebalance failed: ${error.message}`);
+      this.emit('botError', { botId: bot.id, error: error.message });
+      if (error instanceof PortfolioNotInitialized) {
+        this.portfolios.delete(bot.id);
+      }
       return false;
     }
   }
@@ -708,6 +579,11 @@ class MultiBotManager {
         const knownAddress = this.knownPortfolios.get(botId);
         logger.info(`🎯 Using known portfolio for Bot ${botId}: ${knownAddress}`);
 
+        // References such as portfolio_1_verified point into PollenDAO, not at a contract
+        if (!ethers.isAddress(knownAddress)) {
+          return knownAddress;
+        }
+
         // Verify it's still valid
         const code = await this.provider.getCode(knownAddress);
         if (code !== '0x') {
@@ -719,7 +595,7 @@ class MultiBotManager {
       }
 
       // According to Base Sepolia docs, check if portfolio exists using getPortfolio
-      const pollenDAO = new ethers.Contract(BASE_SEPOLIA_CONFIG.contracts.pollenDAO, POLLEN_DAO_ABI, this.provider);
+      const pollenDAO = new ethers.Contract(this.contracts.pollenDAO, POLLEN_DAO_ABI, this.provider);
 
       try {
         const portfolioData = await pollenDAO.getPortfolio(userAddress, ethers.ZeroAddress);
@@ -737,50 +613,19 @@ class MultiBotManager {
         logger.warn(`⚠️ Error checking portfolio via getPortfolio: ${error.message}`);
       }
 
-      // Create filter for PortfolioCreated events using correct signature
-      const filter = {
-        address: BASE_SEPOLIA_CONFIG.contracts.pollenDAO,
-        topics: [
-          ethers.id('PortfolioCreated(address,address,uint256,uint256[],bool[],bool)'),
-          ethers.zeroPadValue(userAddress.toLowerCase(), 32) // User address as indexed parameter
-        ]
-      };
-
-      // Query recent blocks (last 2000 blocks to cover more history)
-      const currentBlock = await this.provider.getBlockNumber();
-      const fromBlock = Math.max(0, currentBlock - 2000);
-
-      logger.info(`🔍 Searching for portfolio events from block ${fromBlock} to ${currentBlock}`);
-
-      const events = await this.provider.getLogs({
-        ...filter,
-        fromBlock: fromBlock,
-        toBlock: 'latest'
-      });
-
-      logger.info(`📅 Found ${events.length} PortfolioCreated events for ${userAddress}`);
-
-      if (events.length > 0) {
-        // Get the most recent portfolio creation
-        const latestEvent = events[events.length - 1];
-
-        // Extract portfolio address from topics[2]
-        if (latestEvent.topics.length >= 3) {
-          const portfolioAddress = ethers.getAddress('0x' + latestEvent.topics[2].slice(26));
-
-          // Verify it's still a valid contract
-          const code = await this.provider.getCode(portfolioAddress);
-          if (code !== '0x') {
-            logger.info(`✅ Found portfolio via events: ${portfolioAddress}`);
-
-            // Cache it for future use
-            if (botId) {
-              this.knownPortfolios.set(botId, portfolioAddress);
-            }
-
-            return portfolioAddress;
+      // The event index covers the full history, e.g. portfolios whose value was withdrawn
+      try {
+        const indexed = await this.indexer.getPortfolioForUser(userAddress);
+        if (indexed) {
+          const portfolioRef = `portfolio_${botId}_${indexed.createdAt.txHash.slice(2, 10)}`;
+          logger.info(`✅ Found portfolio via indexed events: ${portfolioRef} (block ${indexed.createdAt.blockNumber})`);
+          if (botId) {
+            this.knownPortfolios.set(botId, portfolioRef);
           }
+          return portfolioRef;
         }
+      } catch (error) {
+        logger.warn(`⚠️ Event index unavailable: ${error.message}`);
       }
 
       return null;
@@ -790,8 +635,55 @@ class MultiBotManager {
     }
   }
 
+  /**
+   * The bot's on-chain rebalances from the event index, oldest first
+   * @param {Object} bot - Bot registry entry
+   * @param {number} [limit] - Only return the most recent rebalances
+   */
+  async getRebalanceHistory(bot, limit) {
+    const wallet = await getBotSigner(bot, this.provider);
+    return this.indexer.getRebalancesForUser(wallet.address, limit);
+  }
+
+  /**
+   * Run the bot's signal pipeline against live market data and its current
+   * portfolio. Returns the plan when a rebalance is due, otherwise null.
+   */
+  async planBotRebalance(bot) {
+    try {
+      const [marketData, snapshot] = await Promise.all([
+        this.getMarketData(this.portfolioReader.assets),
+        this.getCurrentPortfolio(bot)
+      ]);
+
+      const plan = await planRebalance(bot, marketData, snapshot, {
+        assets: this.portfolioReader.assets,
+        simulation: this.portfolioReader.simulation
+      });
+
+      if (!plan.rebalance) {
+        logger.info(`⏸️ Bot ${bot.id} (${bot.name}): no rebalance, ${plan.reason}`);
+        return null;
+      }
+      return plan;
+    } catch (error) {
+      logger.warn(`⚠️ Bot ${bot.id} (${bot.name}) could not plan a rebalance: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Initial weights of a bot's portfolio, one per whitelisted asset: the
+   * strategy's pattern repeated over the assets and scaled to sum to 100
+   */
   generateRebalanceWeights(strategy) {
-    // Generate strategy-specific weights that sum to 100 (7 assets)
+    const pattern = this.weightPattern(strategy);
+    const allocation = Object.fromEntries(this.assetRegistry.symbols.map((symbol, i) => [symbol, pattern[i % pattern.length]]));
+    return this.assetRegistry.toContractWeights(allocation).weights;
+  }
+
+  weightPattern(strategy) {
+    // Strategy-specific weight patterns, front to back in asset order
     switch (strategy) {
       case 'conservative':
         return [25, 20, 15, 15, 10, 10, 5]; // Stable allocation
@@ -819,7 +711,7 @@ class MultiBotManager {
   }
 
   generateShortPositions(strategy, weights) {
-    // Generate strategy-specific short positions (7 elements to match weights)
+    // Generate strategy-specific short positions, one per weight
     const length = weights.length;
     switch (strategy) {
       case 'mean-reversion':
@@ -875,69 +767,175 @@ class MultiBotManager {
         return weights.map(weight => Math.floor(weight * 100));
     }
 
-    async getCurrentPortfolio(bot) {
-      const portfolioAddress = this.portfolios.get(bot.id);
-      if (!portfolioAddress) {
-          logger.warn(`⚠️ Bot ${bot.id} has no portfolio to fetch`);
+  async getCurrentPortfolio(bot) {
+    try {
+      if (bot.mode === 'paper') {
+        const snapshot = await (await this.paperLedgerFor(bot)).readSnapshot();
+        if (!snapshot.exists) {
           return null;
+        }
+        botMetrics.portfolioValue.set({ bot: bot.id }, Number(ethers.formatEther(snapshot.totalValue)));
+        return snapshot;
       }
 
-      // If we don't have a real address, return mock data for now
-      if (portfolioAddress.startsWith('portfolio_')) {
-          logger.info(`📊 Bot ${bot.id} using mock portfolio data (address detection pending)`);
-          const weights = this.generateRebalanceWeights(bot.strategy);
-          return {
-              address: portfolioAddress,
-              value: ethers.parseEther("10"), // Mock value
-              weights: weights
-          };
+      const wallet = await getBotSigner(bot, this.provider);
+      const weights = this.generateRebalanceWeights(bot.strategy);
+      const isShort = this.generateShortPositions(bot.strategy, weights);
+
+      const snapshot = await this.portfolioReader.read(wallet.address, {
+        rebalancePrices: this.rebalancePrices.get(bot.id),
+        // Only used when SIMULATION_MODE=true
+        simulatedPositions: weights.map((weight, i) => ({ weight, isShort: isShort[i] }))
+      });
+
+      if (!snapshot.exists) {
+        logger.warn(`⚠️ Bot ${bot.id} has no portfolio on chain`);
+        return null;
       }
+      botMetrics.portfolioValue.set({ bot: bot.id }, Number(ethers.formatEther(snapshot.totalValue)));
+      return snapshot;
+    } catch (error) {
+      logger.warn(`⚠️ Bot ${bot.id} could not read portfolio state: ${error.message}`);
+      return null;
+    }
+  }
 
-      try {
-          const leagues = new ethers.Contract(BASE_SEPOLIA_CONFIG.contracts.leagues, LEAGUES_ABI, this.provider);
-          const portfolioValue = await leagues.getPortfolioValue(portfolioAddress);
+  /**
+   * Portfolio interface of a bot for actions outside its trading loop, such
+   * as risk controls: the paper ledger of a paper bot, otherwise the on-chain
+   * portfolio read through the state reader and rebalanced through the
+   * wallet's transaction manager
+   * @returns {Promise<Object>} getPortfolioStatus() and rebalanceVirtualPortfolio()
+   */
+  async portfolioInterfaceFor(bot) {
+    if (bot.mode === 'paper') {
+      return this.paperLedgerFor(bot);
+    }
 
-          const weights = this.generateRebalanceWeights(bot.strategy);
+    const wallet = await getBotSigner(bot, this.provider);
+    return {
+      getPortfolioStatus: async () => {
+        const snapshot = await this.portfolioReader.read(wallet.address, { rebalancePrices: this.rebalancePrices.get(bot.id) });
+        if (!snapshot.exists) {
+          return { hasPortfolio: false, error: `Bot ${bot.id} has no portfolio on chain` };
+        }
+        const drifted = snapshot.assets.every(asset => asset.currentWeight !== null);
+        return {
+          hasPortfolio: true,
+          assets: snapshot.assets.map(asset => asset.symbol),
+          weights: snapshot.assets.map(asset => asset.weight),
+          currentWeights: drifted ? snapshot.assets.map(asset => asset.currentWeight) : null,
+          isShort: snapshot.assets.map(asset => asset.isShort)
+        };
+      },
+      rebalanceVirtualPortfolio: async (assets, weights, options = {}) => {
+        const isShort = options.isShort || [];
+        const allocation = Object.fromEntries(assets.map((asset, i) => [asset, isShort[i] ? -weights[i] : weights[i]]));
+        return this.submitAllocation(bot, wallet, allocation);
+      }
+    };
+  }
 
-          return {
-              address: portfolioAddress,
-              value: portfolioValue,
-              weights: weights
-          };
-      } catch (error) {
-          logger.warn(`⚠️ Bot ${bot.id} could not fetch portfolio value: ${error.message}`);
-          // Return mock data as fallback
-          const weights = this.generateRebalanceWeights(bot.strategy);
-          return {
-              address: portfolioAddress,
-              value: ethers.parseEther("10"),
-              weights: weights
-          };
+  /**
+   * Rebalance a live bot's portfolio to a signed allocation outside its
+   * trading loop
+   * @param {Object} allocation - Map of asset to signed weight
+   * @returns {Promise<{transactionHash: string}>} Rejects when a transaction is pending or the rebalance reverts
+   */
+  async submitAllocation(bot, wallet, allocation) {
+    const transactions = this.transactionsFor(wallet);
+    await transactions.ready();
+    if (transactions.hasPending()) {
+      throw new Error(`Bot ${bot.id} has a pending transaction`);
+    }
+
+    const { weights, isShort } = this.assetRegistry.toContractWeights(allocation);
+    const pollenDAO = new ethers.Contract(this.contracts.pollenDAO, POLLEN_DAO_ABI, wallet);
+    botMetrics.rebalancesAttempted.inc({ bot: bot.id });
+    const tx = await this.sendTransaction(
+      wallet,
+      await pollenDAO.rebalancePortfolio.populateTransaction(weights, isShort),
+      `Bot ${bot.id} risk rebalance`
+    );
+    const submittedAt = Date.now();
+    this.emit('transaction', { botId: bot.id, type: 'rebalance', hash: tx.hash });
+
+    try {
+      const receipt = await tx.wait();
+      this.recordReceipt(bot, receipt, submittedAt);
+      botMetrics.rebalancesSucceeded.inc({ bot: bot.id });
+      await this.recordRebalancePrices(bot);
+      await this.recordReputation(bot, receipt.hash);
+      return { transactionHash: receipt.hash };
+    } catch (error) {
+      if (error.receipt) {
+        this.recordReceipt(bot, error.receipt, submittedAt);
+        botMetrics.rebalancesReverted.inc({ bot: bot.id });
       }
+      throw error;
+    }
   }
 
-  async initializeBots() {
-    logger.info('🚀 Initializing Multi-Bot System on Base Sepolia');
-    logger.info('═'.repeat(60));
+  async recordRebalancePrices(bot) {
+    try {
+      this.rebalancePrices.set(bot.id, await this.portfolioReader.fetchPrices());
+    } catch (error) {
+      this.rebalancePrices.delete(bot.id);
+      logger.warn(`⚠️ Bot ${bot.id} rebalance prices unavailable, drift will not be tracked: ${error.message}`);
+    }
+  }
 
-    // Validate network connection
+  /**
+   * Record the bot's return and the benchmark's since its previous rebalance
+   * with the reputation tracker. The bot's return is that of its value per PLN
+   * deposited, so deposits don't count as gains. The first rebalance of a run
+   * only marks the start of the next period.
+   * @param {Object} bot - Bot registry entry
+   * @param {string} [txHash] - Rebalance transaction
+   * @returns {Promise<Object|null>} The stored reputation event
+   */
+  async recordReputation(bot, txHash) {
     try {
-      const network = await this.provider.getNetwork();
-      logger.info(`🌐 Connected to Base Sepolia (Chain ID: ${network.chainId})`);
+      const snapshot = await this.getCurrentPortfolio(bot);
+      const benchmarkValue = await this.getBenchmarkValue();
+      if (!snapshot || snapshot.depositPLN === 0n || snapshot.totalValue === 0n || !(benchmarkValue > 0)) {
+        this.reputationMarks.delete(bot.id);
+        logger.warn(`⚠️ Bot ${bot.id} reputation not updated: portfolio or benchmark value unavailable`);
+        return null;
+      }
+
+      const mark = { valueIndex: Number(snapshot.totalValue) / Number(snapshot.depositPLN), benchmarkValue };
+      const previous = this.reputationMarks.get(bot.id);
+      this.reputationMarks.set(bot.id, mark);
+      if (!previous) {
+        return null;
+      }
+      const event = await this.reputationTracker.recordRebalance(bot.id, {
+        portfolioReturn: mark.valueIndex / previous.valueIndex - 1,
+        benchmarkReturn: mark.benchmarkValue / previous.benchmarkValue - 1,
+        txHash
+      });
+      logger.info(`🏅 Bot ${bot.id} reputation ${event.reputation.toFixed(4)} (${(event.excessReturn * 100).toFixed(2)}% against the benchmark)`);
+      return event;
     } catch (error) {
-      logger.error('❌ Failed to connect to Base Sepolia:', error.message);
-      return false;
+      logger.warn(`⚠️ Bot ${bot.id} reputation not updated: ${error.message}`);
+      return null;
     }
+  }
+
+  async initializeBots() {
+    logger.info(`🚀 Initializing Multi-Bot System on ${this.network.displayName}`);
+    logger.info('═'.repeat(60));
 
     // Validate all bots
     let validBots = 0;
-    for (const bot of BOTS) {
-      if (await this.validateBot(bot)) {
+    for (const bot of this.botConfigs) {
+      if (await logger.withContext(this.logContext(bot, 'validate'), () => this.validateBot(bot))) {
         validBots++;
       }
     }
 
-    logger.info(`✅ ${validBots}/${BOTS.length} bots validated successfully`);
+    logger.info(`✅ ${validBots}/${this.botConfigs.length} bots validated successfully`);
     return validBots > 0;
   }
 
@@ -946,8 +944,8 @@ class MultiBotManager {
     logger.info('─'.repeat(50));
 
     const results = [];
-    for (const bot of BOTS) {
-      const portfolioAddress = await this.createPortfolioForBot(bot);
+    for (const bot of this.botConfigs) {
+      const portfolioAddress = await logger.withContext(this.logContext(bot, 'create_portfolio'), () => this.createPortfolioForBot(bot));
       results.push({
         botId: bot.id,
         botName: bot.name,
@@ -972,67 +970,316 @@ class MultiBotManager {
     this.running = true;
 
     // Start trading loops for each bot
-    for (const bot of BOTS) {
+    for (const bot of this.botConfigs) {
       this.startBotTradingLoop(bot);
     }
 
-    logger.info('✅ All bots are now actively trading on Base Sepolia');
+    logger.info(`✅ All bots are now actively trading on ${this.network.displayName}`);
     logger.info('📊 Real blockchain transactions are being executed');
     logger.info('🔄 Portfolio rebalancing is active');
   }
 
-  startBotTradingLoop(bot) {
-    // Set strategy-specific trading intervals
-    let baseInterval;
-    switch (bot.strategy) {
-      case 'high-frequency':
-        baseInterval = 30000; // 30 seconds for high-frequency
-        break;
-      case 'cross-chain-arbitrage':
-        baseInterval = 120000; // 2 minutes for arbitrage
-        break;
-      case 'liquidity-provision':
-        baseInterval = 300000; // 5 minutes for liquidity provision
-        break;
-      case 'scalping':
-        baseInterval = 90000; // 1.5 minutes for scalping
-        break;
-      case 'breakout':
-        baseInterval = 180000; // 3 minutes for breakout
-        break;
-      default:
-        baseInterval = 120000; // 2 minutes default
+  /**
+   * Validates a single bot, creates its portfolio if it has none yet and starts its trading loop
+   * @returns {Promise<boolean>} Whether the bot is now trading
+   */
+  async startBot(bot) {
+    await this.init();
+    const started = await logger.withContext(this.logContext(bot, 'start'), async () => {
+      if (!await this.validateBot(bot)) {
+        return false;
+      }
+      return this.portfolios.has(bot.id) || await this.createPortfolioForBot(bot) !== null;
+    });
+    if (!started) {
+      return false;
     }
 
+    this.running = true;
+    this.startBotTradingLoop(bot);
+    return true;
+  }
+
+  startBotTradingLoop(bot, delay = null) {
     // Add some randomization (±25%)
     const randomFactor = 0.75 + Math.random() * 0.5;
-    const tradingInterval = Math.floor(baseInterval * randomFactor);
+    const tradingInterval = delay === null ? Math.floor(bot.interval * randomFactor) : delay;
 
-    setTimeout(async () => {
-      if (!this.running) return;
+    clearTimeout(this.tradingTimers.get(bot.id));
+    const timer = setTimeout(async () => {
+      // Paused or stopped while this run was pending
+      if (!this.running || this.tradingTimers.get(bot.id) !== timer) return;
 
       try {
-        // Execute real rebalancing
-        const success = await this.rebalancePortfolio(bot);
+        // Execute real rebalancing; everything logged during this cycle shares its correlation id
+        const success = await logger.withContext(this.logContext(bot, 'rebalance'), () => this.rebalancePortfolio(bot));
 
         if (success) {
           logger.info(`🎯 Bot ${bot.id} (${bot.name}): Live rebalancing completed`);
         } else {
           logger.warn(`⚠️ Bot ${bot.id} (${bot.name}): Rebalancing skipped`);
         }
+        this.emit('botCycle', { botId: bot.id, rebalanced: success });
 
-        // Schedule next trading action
-        this.startBotTradingLoop(bot);
+        await logger.withContext(this.logContext(bot, 'delegation'), () => this.runDelegation(bot));
+        await logger.withContext(this.logContext(bot, 'compounding'), () => this.runCompounding(bot));
+
+        // Schedule next trading action, unless the bot was paused during the rebalance
+        if (this.tradingTimers.get(bot.id) === timer) {
+          this.startBotTradingLoop(bot);
+        }
 
       } catch (error) {
         logger.error(`❌ Bot ${bot.id} trading error:`, error.message);
+        this.emit('botError', { botId: bot.id, error: error.message });
         // Retry after longer delay
-        setTimeout(() => this.startBotTradingLoop(bot), 300000); // 5 minutes
+        if (this.tradingTimers.get(bot.id) === timer) {
+          this.startBotTradingLoop(bot, 300000); // 5 minutes
+        }
       }
     }, tradingInterval);
+
+    this.tradingTimers.set(bot.id, timer);
+    this.emit('botScheduled', { botId: bot.id, nextRunAt: Date.now() + tradingInterval });
+  }
+
+  /**
+   * Delegation manager of a live bot whose delegation policy is enabled, otherwise null
+   */
+  async delegationFor(bot) {
+    if (!bot.delegation || !bot.delegation.enabled || bot.mode === 'paper') {
+      return null;
+    }
+    if (!this.delegationManagers.has(bot.id)) {
+      const wallet = await getBotSigner(bot, this.provider);
+      this.delegationManagers.set(bot.id, new DelegationManager(wallet, {
+        contracts: this.contracts,
+        policy: bot.delegation,
+        botId: bot.id,
+        reader: this.portfolioReader,
+        indexer: this.indexer,
+        transactions: this.transactionOptions
+      }));
+    }
+    return this.delegationManagers.get(bot.id);
+  }
+
+  /**
+   * Reads delegate candidates and, when due, rebalances the bot's delegations
+   * @returns {Promise<Object|null>} The executed plan
+   */
+  async runDelegation(bot) {
+    try {
+      const delegation = await this.delegationFor(bot);
+      if (!delegation) {
+        return null;
+      }
+      const plan = await delegation.rebalance();
+      if (plan) {
+        const { principal, unrealizedPnl } = delegation.getSummary();
+        logger.info(`🤝 Bot ${bot.id} (${bot.name}) delegations: ${plan.delegate.length} added, ${plan.undelegate.length} withdrawn, ${principal.toFixed(2)} PLN delegated (P&L ${unrealizedPnl.toFixed(4)} PLN)`);
+      }
+      return plan;
+    } catch (error) {
+      logger.error(`❌ Bot ${bot.id} (${bot.name}) delegation failed: ${error.message}`);
+      this.emit('botError', { botId: bot.id, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Reward compounder of a live bot whose compounding policy is enabled, otherwise null
+   */
+  async compounderFor(bot) {
+    if (!bot.compounding || !bot.compounding.enabled || bot.mode === 'paper') {
+      return null;
+    }
+    if (!this.compounders.has(bot.id)) {
+      const wallet = await getBotSigner(bot, this.provider);
+      this.compounders.set(bot.id, new RewardCompounder(wallet, {
+        contracts: this.contracts,
+        policy: bot.compounding,
+        botId: bot.id,
+        reader: this.portfolioReader,
+        getPlnPrice: () => this.getPlnPriceEth(),
+        transactions: this.transactionOptions
+      }));
+    }
+    return this.compounders.get(bot.id);
+  }
+
+  /**
+   * ETH per PLN from the consensus USD prices of both
+   * @returns {Promise<number|null>} null when either price is a fallback or disputed
+   */
+  async getPlnPriceEth() {
+    try {
+      const [pln, eth] = await Promise.all(['PLN', 'ETH'].map(asset => this.getAssetPrice(asset)));
+      const usable = quote => quote && quote.price > 0 && !quote.isFallback && !quote.weakConsensus;
+      return usable(pln) && usable(eth) ? pln.price / eth.price : null;
+    } catch (error) {
+      logger.warn(`Could not price PLN in ETH: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Claims and compounds the bot's vePLN rewards when they are due and worth the gas
+   * @returns {Promise<Object|null>} The outcome of the check
+   */
+  async runCompounding(bot) {
+    try {
+      const compounder = await this.compounderFor(bot);
+      if (!compounder) {
+        return null;
+      }
+      const result = await compounder.check();
+      if (result && result.claimed) {
+        const { entry } = result;
+        const apr = entry.apr === null ? 'n/a' : `${(entry.apr * 100).toFixed(2)}%`;
+        logger.info(`🌱 Bot ${bot.id} (${bot.name}) claimed ${entry.rewards.toFixed(4)} PLN rewards into its ${entry.destination} (realized APR ${apr})`);
+      } else if (result) {
+        logger.debug(`Bot ${bot.id} (${bot.name}) rewards not claimed: ${result.reason}`);
+      }
+      return result;
+    } catch (error) {
+      logger.error(`❌ Bot ${bot.id} (${bot.name}) reward compounding failed: ${error.message}`);
+      this.emit('botError', { botId: bot.id, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Governance monitor voting from the live bots named in the voting policy, otherwise null
+   */
+  async governanceMonitor() {
+    if (!this.governance) {
+      const bots = this.botConfigs.filter(bot => this.governancePolicy.voters.includes(bot.id) && bot.mode !== 'paper');
+      if (bots.length === 0) {
+        return null;
+      }
+      const voters = [];
+      for (const bot of bots) {
+        voters.push({ botId: bot.id, wallet: await getBotSigner(bot, this.provider) });
+      }
+      this.governance = new GovernanceMonitor(this.provider, {
+        contracts: this.contracts,
+        indexer: this.indexer,
+        voters,
+        policy: this.governancePolicy,
+        transactions: this.transactionOptions
+      });
+    }
+    return this.governance;
+  }
+
+  /**
+   * Reviews new DAO proposals and votes on the open ones; runs after each event index sync
+   * @returns {Promise<Object[]>} Decisions made during this run
+   */
+  async runGovernance() {
+    if (this.governancePoll) {
+      return [];
+    }
+    this.governancePoll = (async () => {
+      try {
+        const governance = await this.governanceMonitor();
+        return governance ? await governance.poll() : [];
+      } catch (error) {
+        logger.error(`❌ Governance monitor failed: ${error.message}`);
+        return [];
+      } finally {
+        this.governancePoll = null;
+      }
+    })();
+    return this.governancePoll;
+  }
+
+  /**
+   * Fields added to every log record written for this bot during one action
+   */
+  logContext(bot, action) {
+    return {
+      botId: bot.id,
+      strategy: bot.strategy,
+      network: bot.mode === 'paper' ? 'paper' : this.network.name,
+      correlationId: randomUUID(),
+      action
+    };
+  }
+
+  /**
+   * Cancels the bot's next trading run; a rebalance already in flight still completes
+   * @returns {boolean} Whether the bot was trading
+   */
+  stopBotTradingLoop(botId) {
+    const timer = this.tradingTimers.get(botId);
+    clearTimeout(timer);
+    return this.tradingTimers.delete(botId);
+  }
+
+  isTrading(botId) {
+    return this.tradingTimers.has(botId);
+  }
+
+  /**
+   * Take the asset order of the weight arrays from the PollenDAO whitelist,
+   * keeping the profile's when the whitelist can't be read
+   */
+  async syncAssets() {
+    try {
+      await this.assetRegistry.sync(this.provider);
+      this.portfolioReader.assets = this.assetRegistry.symbols;
+      logger.info(`🪙 ${this.assetRegistry.symbols.length} whitelisted assets: ${this.assetRegistry.symbols.join(', ')}`);
+    } catch (error) {
+      logger.warn(`⚠️ Could not read the asset whitelist, using the ${this.network.displayName} profile's: ${error.message}`);
+    }
+  }
+
+  /**
+   * Startup shared by start() and startBot(): start the RPC pool, refuse an
+   * endpoint on another chain than the profile's, sync the asset whitelist
+   * and keep the event index current. Runs once per manager; a failed
+   * attempt is retried by the next call.
+   * @returns {Promise<void>} Rejects when the chain is wrong or has no PollenDAO
+   */
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = (async () => {
+        if (this.rpcPool) {
+          const health = await this.rpcPool.start();
+          logger.info(`🌐 ${health.healthy}/${health.endpoints.length} ${this.network.displayName} RPC endpoints healthy`);
+        }
+
+        // Refuse to trade through an RPC endpoint on another chain than the profile's
+        const chainId = await assertChainId(this.provider, this.network);
+        logger.info(`🌐 Connected to ${this.network.displayName} (Chain ID: ${chainId})`);
+        if (!this.contracts.pollenDAO) {
+          throw new Error(`No PollenDAO address is configured for ${this.network.displayName}`);
+        }
+
+        await this.syncAssets();
+
+        // Keep the event index current while the bots trade, and act on new proposals once indexed
+        this.onIndexerSynced = () => logger.withContext({ correlationId: randomUUID(), action: 'governance' }, () => this.runGovernance());
+        this.indexer.on('synced', this.onIndexerSynced);
+        this.indexer.start();
+      })().catch(error => {
+        this.initPromise = null;
+        throw error;
+      });
+    }
+    return this.initPromise;
   }
 
   async start() {
+    try {
+      await this.init();
+    } catch (error) {
+      logger.error(`❌ Failed to connect to ${this.network.displayName}: ${error.message}`);
+      return;
+    }
+
     const initialized = await this.initializeBots();
     if (!initialized) {
       logger.error('❌ Failed to initialize bots');
@@ -1051,101 +1298,40 @@ class MultiBotManager {
 
     logger.info('\n🎉 MULTI-BOT SYSTEM ACTIVE');
     logger.info('═'.repeat(60));
-    logger.info('✅ All 7 bots running in LIVE TRADING mode');
-    logger.info('🌐 Real Base Sepolia blockchain transactions');
+    logger.info(`✅ All ${this.botConfigs.length} bots running in LIVE TRADING mode`);
+    logger.info(`🌐 Real ${this.network.displayName} blockchain transactions`);
     logger.info('📈 Portfolio creation and rebalancing active');
     logger.info('🔄 No mock data - all transactions are real');
   }
 
   async stop() {
     this.running = false;
+    for (const botId of [...this.tradingTimers.keys()]) {
+      this.stopBotTradingLoop(botId);
+    }
+    if (this.onIndexerSynced) {
+      this.indexer.off('synced', this.onIndexerSynced);
+      this.onIndexerSynced = null;
+    }
+    this.initPromise = null;
+    await this.governancePoll;
+    closeTransactionManagers();
+    await this.indexer.close();
+    if (this.rpcPool) {
+      this.rpcPool.stop();
+    }
     logger.info('🛑 Multi-Bot System stopped');
   }
 }
 
-async function findPortfolioAddress(userAddress, provider, pollenDAO) {
-    try {
-        console.log('🔍 Parsing transaction logs for PortfolioCreated events...');
-
-        // Get recent transactions for this wallet
-        const latestBlock = await provider.getBlockNumber();
-        const fromBlock = latestBlock - 2000; // Search last 2000 blocks
-
-        // Look for PortfolioCreated events using correct signature
-        const filter = {
-            address: pollenDAO,
-            topics: [
-                ethers.id('PortfolioCreated(address,uint256,uint256[],bool[],bool)')
-            ],
-            fromBlock: fromBlock,
-            toBlock: 'latest'
-        };
-
-        const events = await provider.getLogs(filter);
-
-        for (const event of events) {
-            try {
-                const eventUserAddress = '0x' + event.topics[1].slice(-40);
-                if (eventUserAddress.toLowerCase() === userAddress.toLowerCase()) {
-                    console.log(`✅ Found PortfolioCreated event for user: ${userAddress}`);
-
-                    // The portfolio address is determined by the PollenDAO contract
-                    // Try to get it using the correct getPortfolio function
-                    const pollenDAOContract = new ethers.Contract(pollenDAO, [
-                        'function getPortfolio(address user, address token) view returns (uint256[], uint256, uint256, uint256, bool, uint256, uint256, bool[])'
-                    ], provider);
-
-                    try {
-                        // Use zero address as token parameter (common pattern)
-                        const portfolioData = await pollenDAOContract.getPortfolio(userAddress, ethers.constants.AddressZero);
-                        console.log(`✅ Successfully called getPortfolio for user: ${userAddress}`);
-
-                        // The portfolio exists if we get valid data
-                        if (portfolioData && portfolioData[1] > 0) { // Check if totalValue > 0
-                            // Portfolio exists, but we need to construct the reference
-                            return `portfolio_${userAddress.slice(-8)}_verified`;
-                        }
-                    } catch (error) {
-                        console.log(`⚠️ getPortfolio failed: ${error.message}`);
-                    }
-                }
-            } catch (error) {
-                // Continue to next event
-            }
-        }
-
-        console.log('🔍 Trying alternative portfolio detection methods...');
-
-        // Try direct contract query with correct ABI
-        const pollenDAOContract = new ethers.Contract(pollenDAO, [
-            'function getPortfolio(address user, address token) view returns (uint256[], uint256, uint256, uint256, bool, uint256, uint256, bool[])'
-        ], provider);
-
-        try {
-            const portfolioData = await pollenDAOContract.getPortfolio(userAddress, ethers.constants.AddressZero);
-            if (portfolioData && portfolioData[1] > 0) { // Check if totalValue > 0
-                console.log(`✅ Found existing portfolio via getPortfolio: ${userAddress}`);
-                return `portfolio_${userAddress.slice(-8)}_verified`;
-            }
-        } catch (error) {
-            console.log(`⚠️ Direct getPortfolio query failed: ${error.message}`);
-        }
-
-        console.log('🔍 Final attempt: Check for any portfolio creation transactions...');
-
-        return null;
-    } catch (error) {
-        console.log(`❌ Error finding portfolio address: ${error.message}`);
-        return null;
-    }
-}
-
 // This code implements automatic portfolio rebalancing with portfolio optimizer in the multibot system.
 // Start the multi-bot system
 async function main() {
-  const manager = new MultiBotManager();
-
   try {
+    const manager = new MultiBotManager();
+    if (process.env.METRICS_PORT) {
+      startMetricsServer(Number(process.env.METRICS_PORT));
+    }
     await manager.start();
 
     // Handle graceful shutdown
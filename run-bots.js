@@ -1,9 +1,10 @@
 require('dotenv').config({ path: require('path').resolve(__dirname, 'base-sepolia.env') });
+require('dotenv').config({ path: require('path').resolve(__dirname, 'config/.env') }); // keystore passphrase and env: key references
 const { ethers } = require('ethers');
 const logger = require('./utils/logger');
 const TradingBot = require('./bots/TradingBot');
 const config = require('./config');
-const wallets = require('./config/wallets');
+const { loadBotRegistry, getBotSigner } = require('./src/modules/bot-registry');
 
 // Error handling for uncaught exceptions
 process.on('uncaughtException', (error) => {
@@ -46,68 +47,24 @@ async function main() {
       rpcUrl: config.RPC_URL
     });
 
-    // Define bot strategies with different intervals and parameters
-    const strategies = wallets.BOTS.map(bot => ({
-      id: bot.id,
-      name: bot.name,
-      privateKey: bot.privateKey,
-      interval: getStrategyInterval(bot.name),
-      params: getStrategyParams(bot.name)
-    }));
-    
-    function getStrategyInterval(strategyName) {
-      const intervals = {
-        conservative: 300000,  // 5 minutes
-        balanced: 180000,     // 3 minutes
-        aggressive: 60000,    // 1 minute
-        arbitrage: 120000,    // 2 minutes
-        market_maker: 90000   // 1.5 minutes
-      };
-      return intervals[strategyName] || 120000; // Default to 2 minutes
-    }
-    
-    function getStrategyParams(strategyName) {
-      const params = {
-        conservative: {
-          stakeThreshold: 0.7,  // 70% chance to stake
-          extendThreshold: 0.8,  // 80% chance to extend
-          minStakeAmount: '1.0', // Minimum 1.0 PLN to stake
-          lockDuration: 2 * 365 * 24 * 60 * 60 // 2 years
-        },
-        balanced: {
-          stakeThreshold: 0.6,
-          extendThreshold: 0.75,
-          minStakeAmount: '0.5',
-          lockDuration: 1 * 365 * 24 * 60 * 60 // 1 year
-        },
-        aggressive: {
-          stakeThreshold: 0.5,
-          extendThreshold: 0.7,
-          minStakeAmount: '0.1',
-          lockDuration: 4 * 365 * 24 * 60 * 60 // 4 years
-        },
-        arbitrage: {
-          stakeThreshold: 0.65,
-          extendThreshold: 0.8,
-          minStakeAmount: '0.25',
-          lockDuration: 3 * 365 * 24 * 60 * 60 // 3 years
-        },
-        market_maker: {
-          stakeThreshold: 0.55,
-          extendThreshold: 0.75,
-          minStakeAmount: '0.2',
-          lockDuration: 6 * 30 * 24 * 60 * 60 // 6 months
-        }
-      };
-      return params[strategyName] || params.balanced; // Default to balanced
-    }
+    // Intervals and staking parameters come from the bot registry (config/bots.json)
+    const registry = loadBotRegistry();
+    const strategies = registry.bots
+      .filter(bot => bot.enabled)
+      .map(bot => ({
+        id: bot.id,
+        name: bot.name,
+        bot,
+        interval: bot.interval,
+        params: bot.staking
+      }));
 
     // Initialize and start bots
     const bots = [];
     for (const strategy of strategies) {
       try {
-        // Create wallet from private key
-        const wallet = new ethers.Wallet(strategy.privateKey, provider);
+        // Create wallet from the bot's key reference
+        const wallet = await getBotSigner(strategy.bot, provider);
         
         // Log wallet info
         const balance = await provider.getBalance(wallet.address);
@@ -1,5 +1,8 @@
-// Base Sepolia Network Configuration
+// Script Network Configuration, resolved from the network profile NETWORK selects
 const { ethers } = require('ethers');
+const { getNetwork } = require('../src/config/networks');
+
+const network = getNetwork();
 
 // Helper function to validate addresses
 function validateAddress(address, name) {
@@ -9,9 +12,17 @@ function validateAddress(address, name) {
     return address;
 }
 
+// Profile address, validated; null where the network has no deployment
+function networkAddress(key, name) {
+    return network.contracts[key] ? validateAddress(network.contracts[key], name) : null;
+}
+
 module.exports = {
-  // Network RPC URL - Using a reliable provider
-  RPC_URL: 'https://sepolia.base.org', // Base Sepolia
+  NETWORK: network.name,
+  CHAIN_ID: network.chainId,
+
+  // Network RPC URL - BASE_SEPOLIA_RPC_URL etc. override the profile's
+  RPC_URL: network.rpcUrl,
   
   // Gas settings
   GAS: {
@@ -19,13 +30,13 @@ module.exports = {
     MULTIPLIER: 1.2
   },
   
-  // Contract addresses (Base Sepolia)
+  // Contract addresses
   CONTRACTS: {
     // Core Protocol Contracts
-    POLLEN_DAO: validateAddress('0xEF789258233E6cFBB5E0bb093FC9537E69e81Bb7', 'PollenDAO'),
-    LEAGUES: validateAddress('0x55F04Ee2775925b80125F412C05cF5214Fd1317a', 'Leagues'),
-    VEPLN: validateAddress('0x3a28AB567b661B3edaF9Ef0bDE9489558EDB3995', 'vePLN'),
-    PLN: validateAddress('0x9E1c51E1fAa1381D8a7Dbdd19402c5fCce9274C6', 'PLN'),
+    POLLEN_DAO: networkAddress('pollenDAO', 'PollenDAO'),
+    LEAGUES: networkAddress('leagues', 'Leagues'),
+    VEPLN: networkAddress('vePLN', 'vePLN'),
+    PLN: networkAddress('plnToken', 'PLN'),
     
     // Portfolio contract (not yet found)
     PORTFOLIO: null, // Will be set when found
@@ -2,6 +2,9 @@ const fs = require('fs');
 const path = require('path');
 const { ethers } = require('ethers');
 require('dotenv').config({ path: path.resolve(__dirname, '../base-sepolia.env') });
+const { getNetwork } = require('../src/config/networks');
+
+const network = getNetwork('base-sepolia');
 
 // Helper function to safely parse ether amounts
 const parseEtherSafe = (value, defaultValue = '1') => {
@@ -15,26 +18,22 @@ const parseEtherSafe = (value, defaultValue = '1') => {
 // Export the configuration
 module.exports = {
   network: {
-    name: process.env.NETWORK || 'base-sepolia',
-    rpcUrl: process.env.BASE_SEPOLIA_RPC_URL || 'https://sepolia.base.org',
-    chainId: parseInt(process.env.CHAIN_ID || '84532'),
-    explorerUrl: 'https://sepolia.basescan.org',
-    nativeCurrency: {
-      name: 'Ethereum',
-      symbol: 'ETH',
-      decimals: 18
-    }
+    name: network.name,
+    rpcUrl: network.rpcUrl,
+    chainId: network.chainId,
+    explorerUrl: network.explorerUrl,
+    nativeCurrency: network.nativeCurrency
   },
   wallet: {
     privateKey: process.env.WALLET_PRIVATE_KEY,
     address: process.env.WALLET_ADDRESS
   },
   contracts: {
-    virtualContract: process.env.LEAGUES_CONTRACT_ADDRESS,
-    plnToken: process.env.PLN_TOKEN_ADDRESS,
-    pollenDAO: process.env.POLLEN_DAO_ADDRESS,
-    vePLN: process.env.VEPLN_CONTRACT_ADDRESS,
-    leagues: process.env.LEAGUES_CONTRACT_ADDRESS
+    virtualContract: process.env.LEAGUES_CONTRACT_ADDRESS || network.contracts.virtualContract,
+    plnToken: process.env.PLN_TOKEN_ADDRESS || network.contracts.plnToken,
+    pollenDAO: process.env.POLLEN_DAO_ADDRESS || network.contracts.pollenDAO,
+    vePLN: process.env.VEPLN_CONTRACT_ADDRESS || network.contracts.vePLN,
+    leagues: process.env.LEAGUES_CONTRACT_ADDRESS || network.contracts.leagues
   },
   trading: {
     minTradeSize: parseEtherSafe(process.env.MIN_PLN_STAKE, '1'),
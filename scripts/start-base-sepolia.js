@@ -8,11 +8,13 @@
 require('dotenv').config({ path: '.env.sepolia' });
 const { ethers } = require('ethers');
 const logger = require('../src/modules/logger');
-const baseSepoliaConfig = require('../src/config/networks/base-sepolia');
+const { getNetwork } = require('../src/config/networks');
+
+const baseSepoliaConfig = getNetwork('base-sepolia');
 
 // Force Base Sepolia network
-process.env.NETWORK = 'base-sepolia';
-process.env.CHAIN_ID = '84532';
+process.env.NETWORK = baseSepoliaConfig.name;
+process.env.CHAIN_ID = String(baseSepoliaConfig.chainId);
 process.env.RPC_URL = baseSepoliaConfig.rpcUrl;
 
 // Set contract addresses from config
@@ -21,7 +23,7 @@ Object.entries(baseSepoliaConfig.contracts).forEach(([key, value]) => {
 });
 
 // Log startup info
-logger.info(`Starting Pollen Trading Bot on ${baseSepoliaConfig.name}`);
+logger.info(`Starting Pollen Trading Bot on ${baseSepoliaConfig.displayName}`);
 logger.info(`RPC URL: ${baseSepoliaConfig.rpcUrl}`);
 logger.info('Contract Addresses:', baseSepoliaConfig.contracts);
 
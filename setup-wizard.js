@@ -10,6 +10,8 @@ const readline = require('readline');
 const fs = require('fs');
 const path = require('path');
 const { ethers } = require('ethers');
+const { saveBotRegistry } = require('./src/modules/bot-registry');
+const { Keystore } = require('./src/modules/keystore');
 
 class SetupWizard {
   constructor() {
@@ -129,7 +131,7 @@ class SetupWizard {
     }
     
     console.log('\n⚠️  IMPORTANT: Save these private keys securely!');
-    console.log('They will be written to config/wallets.js');
+    console.log('They will be encrypted into config/keystore');
   }
 
   async importWallets() {
@@ -220,20 +222,21 @@ WEB_PORT=${this.config.trading.webPort}
     fs.writeFileSync('config/.env', envContent);
     console.log('✅ Created config/.env');
     
-    // Create wallets configuration
+    // Encrypt bot keys into the keystore and create the bot registry
     if (this.config.bots) {
-      const walletsContent = `/**
- * PollenOS Bot Wallet Configuration
- * Generated by setup wizard
- */
-
-const BOTS = ${JSON.stringify(this.config.bots, null, 2)};
+      const passphrase = await this.question('Keystore passphrase (set POLLEN_KEYSTORE_PASSPHRASE to this when running bots): ');
+      const keystore = new Keystore({ passphrase });
+      for (const bot of this.config.bots) {
+        await keystore.importKey(bot.id, bot.privateKey, { overwrite: true });
+      }
+      console.log(`✅ Encrypted ${this.config.bots.length} bot keys into ${keystore.dir}`);
 
-module.exports = { BOTS };
-`;
-      
-      fs.writeFileSync('config/wallets.js', walletsContent);
-      console.log('✅ Created config/wallets.js');
+      saveBotRegistry(this.config.bots.map(({ privateKey, ...bot }) => ({
+        ...bot,
+        interval: 120000,
+        key: 'keystore'
+      })));
+      console.log('✅ Created config/bots.json');
       
       // Display funding instructions
       console.log('\n💰 FUNDING INSTRUCTIONS:');
@@ -6,6 +6,7 @@
 const PollenAPI = require('../modules/pollen-api');
 const performanceTracker = require('../modules/performance-tracker');
 const logger = require('../modules/logger');
+const { PaperTradingLedger } = require('../modules/paper-trading');
 
 const checkPortfolioAction = {
   name: 'CHECK_PORTFOLIO',
@@ -136,22 +137,35 @@ async function getPortfolioData(config) {
 }
 
 /**
- * Get simulated portfolio data for demonstration
+ * Portfolio data from the bot's paper-trading ledger
  */
 async function getSimulatedPortfolioData(config) {
-  // This would normally come from cache or database
+  const ledger = new PaperTradingLedger({ botId: config.botId });
+  const [status, balance] = await Promise.all([ledger.getPortfolioStatus(), ledger.getPLNBalance()]);
+  const cash = Number(balance);
+
+  if (!status.hasPortfolio) {
+    return { totalValue: cash, totalStaked: 0, availableBalance: cash, positions: [], cash, lastUpdated: new Date().toISOString() };
+  }
+
   return {
-    totalValue: 10000,
-    totalStaked: 1500,
-    availableBalance: 8500,
-    positions: [
-      { asset: 'WBTC', allocation: 25, value: 2500, pnl: 150, pnlPercent: 6.38 },
-      { asset: 'WETH', allocation: 20, value: 2000, pnl: -50, pnlPercent: -2.44 },
-      { asset: 'WAVAX', allocation: 15, value: 1500, pnl: 75, pnlPercent: 5.26 },
-      { asset: 'AAVE', allocation: 10, value: 1000, pnl: 25, pnlPercent: 2.56 },
-      { asset: 'UNI', allocation: 10, value: 1000, pnl: -25, pnlPercent: -2.44 }
-    ],
-    cash: 2000,
+    totalValue: status.value + cash,
+    totalStaked: status.plnStaked,
+    availableBalance: cash,
+    positions: status.assets.map((asset, i) => {
+      // Each position's P&L since the last rebalance
+      const cost = status.entryValue * status.weights[i];
+      const value = status.value * status.currentWeights[i];
+      const pnl = value - cost;
+      return {
+        asset: status.isShort[i] ? `${asset} (short)` : asset,
+        allocation: status.currentWeights[i] * 100,
+        value,
+        pnl,
+        pnlPercent: cost === 0 ? 0 : pnl / cost * 100
+      };
+    }),
+    cash,
     lastUpdated: new Date().toISOString()
   };
 }
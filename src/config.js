@@ -33,6 +33,8 @@ const baseConfig = {
 
   // Trading parameters
   trading: {
+    // 'paper' runs portfolios on a virtual PLN ledger (src/modules/paper-trading.js)
+    mode: process.env.TRADING_MODE || 'live',
     minTradeSize: ethers.parseEther('0.1'),
     maxTradeSize: ethers.parseEther('1000'),
     maxSlippage: 0.01,
@@ -0,0 +1,142 @@
+/**
+ * Asset Catalog
+ * Every asset the bots know across networks: its category, which sets its
+ * risk level, and its IDs at the price sources. A network profile lists the
+ * assets its PollenDAO trades; src/modules/asset-registry.js joins that list
+ * with this catalog and the whitelist read from chain.
+ *
+ * Bridged Avalanche tokens keep their .E suffix and answer to the plain
+ * symbol as an alias. Assets without a category are only priced, e.g. for
+ * benchmarks, and are not tradable.
+ */
+
+// Risk levels for different asset categories
+const CATEGORY_RISK_LEVELS = {
+  BLUE_CHIP: 'low',
+  STABLECOINS: 'very_low',
+  DEFI: 'medium',
+  LAYER1: 'medium',
+  AVALANCHE_ECOSYSTEM: 'medium-high',
+  INFRASTRUCTURE: 'medium',
+  GAMING_NFT: 'high',
+  EMERGING: 'very_high'
+};
+
+/**
+ * @param {string} symbol - Symbol the bots and strategies use
+ * @param {string|null} category - Key of CATEGORY_RISK_LEVELS
+ * @param {string} coingecko - CoinGecko coin ID
+ * @param {string} ticker - Market ticker, the CryptoCompare symbol
+ * @param {Object} [options]
+ * @param {string|null} [options.binance] - Binance pair, <ticker>USDT by default; null when Binance has none
+ * @param {string[]} [options.aliases]
+ */
+function asset(symbol, category, coingecko, ticker, options = {}) {
+  return {
+    symbol,
+    aliases: options.aliases || [],
+    category,
+    riskLevel: category ? CATEGORY_RISK_LEVELS[category] : null,
+    priceIds: {
+      coingecko,
+      cryptocompare: ticker,
+      binance: options.binance === undefined ? `${ticker}USDT` : options.binance
+    }
+  };
+}
+
+// Ordered by category. pollen-assets.js recommends the first assets of a
+// category, so the Base Sepolia assets follow the Avalanche ones.
+const ASSETS = [
+  // Blue chips
+  asset('WBTC.E', 'BLUE_CHIP', 'wrapped-bitcoin', 'BTC'),
+  asset('WETH.E', 'BLUE_CHIP', 'weth', 'ETH'),
+  asset('WAVAX', 'BLUE_CHIP', 'wrapped-avax', 'AVAX'),
+  asset('WBTC', 'BLUE_CHIP', 'wrapped-bitcoin', 'BTC'),
+  asset('WETH', 'BLUE_CHIP', 'weth', 'ETH'),
+  asset('cbETH', 'BLUE_CHIP', 'coinbase-wrapped-staked-eth', 'CBETH', { binance: null }),
+
+  // Stablecoins
+  asset('USDT.E', 'STABLECOINS', 'tether', 'USDT', { binance: null }),
+  asset('USDC', 'STABLECOINS', 'usd-coin', 'USDC'),
+  asset('USDT', 'STABLECOINS', 'tether', 'USDT', { binance: null }),
+  asset('DAI', 'STABLECOINS', 'dai', 'DAI'),
+
+  // DeFi tokens
+  asset('AAVE.E', 'DEFI', 'aave', 'AAVE', { aliases: ['AAVE'] }),
+  asset('UNI.E', 'DEFI', 'uniswap', 'UNI', { aliases: ['UNI'] }),
+  asset('SUSHI.E', 'DEFI', 'sushi', 'SUSHI', { aliases: ['SUSHI'] }),
+  asset('COMP.E', 'DEFI', 'compound-governance-token', 'COMP', { aliases: ['COMP'] }),
+  asset('YFI.E', 'DEFI', 'yearn-finance', 'YFI', { aliases: ['YFI'] }),
+  asset('CRV.E', 'DEFI', 'curve-dao-token', 'CRV', { aliases: ['CRV'] }),
+  asset('MKR.E', 'DEFI', 'maker', 'MKR', { aliases: ['MKR'] }),
+  asset('CVX', 'DEFI', 'convex-finance', 'CVX'),
+  asset('SNX', 'DEFI', 'havven', 'SNX'),
+  asset('KNC', 'DEFI', 'kyber-network-crystal', 'KNC'),
+  asset('FXS', 'DEFI', 'frax-share', 'FXS'),
+  asset('SPELL', 'DEFI', 'spell-token', 'SPELL'),
+
+  // Layer 1/2 tokens
+  asset('MATIC', 'LAYER1', 'matic-network', 'MATIC'),
+  asset('DOT.E', 'LAYER1', 'polkadot', 'DOT', { aliases: ['DOT'] }),
+  asset('FTM', 'LAYER1', 'fantom', 'FTM'),
+  asset('NEAR', 'LAYER1', 'near', 'NEAR'),
+  asset('FIL', 'LAYER1', 'filecoin', 'FIL'),
+
+  // Avalanche ecosystem
+  asset('JOE', 'AVALANCHE_ECOSYSTEM', 'joe', 'JOE'),
+  asset('XAVA', 'AVALANCHE_ECOSYSTEM', 'avalaunch', 'XAVA', { binance: null }),
+  asset('QI', 'AVALANCHE_ECOSYSTEM', 'benqi', 'QI'),
+
+  // Infrastructure/Utility tokens
+  asset('LINK.E', 'INFRASTRUCTURE', 'chainlink', 'LINK'),
+  asset('CHZ', 'INFRASTRUCTURE', 'chiliz', 'CHZ'),
+  asset('BAT', 'INFRASTRUCTURE', 'basic-attention-token', 'BAT'),
+  asset('LINK', 'INFRASTRUCTURE', 'chainlink', 'LINK'),
+
+  // Gaming/NFT tokens
+  asset('APE', 'GAMING_NFT', 'apecoin', 'APE'),
+  asset('AXS', 'GAMING_NFT', 'axie-infinity', 'AXS'),
+  asset('MANA', 'GAMING_NFT', 'decentraland', 'MANA'),
+
+  // Emerging tokens
+  asset('ALPHA.E', 'EMERGING', 'alpha-finance', 'ALPHA', { aliases: ['ALPHA'] }),
+  asset('CAKE', 'EMERGING', 'pancakeswap-token', 'CAKE'),
+  asset('COQ', 'EMERGING', 'coq-inu', 'COQ', { binance: null }),
+  asset('WOO', 'EMERGING', 'woo-network', 'WOO'),
+
+  // Priced only
+  asset('BTC', null, 'bitcoin', 'BTC'),
+  asset('ETH', null, 'ethereum', 'ETH'),
+  asset('AVAX', null, 'avalanche-2', 'AVAX'),
+  asset('PLN', null, 'pollen', 'PLN', { binance: null })
+];
+
+/**
+ * Catalog entry of an asset
+ * @param {string} symbol - Symbol or alias, in any case
+ * @returns {Object|null} Entry, or null when the asset is not in the catalog
+ */
+function getAsset(symbol) {
+  const key = String(symbol).toUpperCase();
+  const entry = ASSETS.find(candidate => candidate.symbol.toUpperCase() === key)
+    || ASSETS.find(candidate => candidate.aliases.includes(key));
+  return entry ? { ...entry, aliases: [...entry.aliases], priceIds: { ...entry.priceIds } } : null;
+}
+
+/**
+ * Every catalog entry, in catalog order
+ * @param {Object} [options]
+ * @param {boolean} [options.tradable=false] - Only assets with a category
+ */
+function listAssets(options = {}) {
+  return ASSETS
+    .filter(entry => !options.tradable || entry.category)
+    .map(entry => getAsset(entry.symbol));
+}
+
+module.exports = {
+  CATEGORY_RISK_LEVELS,
+  getAsset,
+  listAssets
+};
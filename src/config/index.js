@@ -1,6 +1,7 @@
 // Main configuration file
 const path = require('path');
 const fs = require('fs');
+const { getNetwork } = require('./networks');
 
 // Load environment variables - try base-sepolia.env first, then fall back to .env
 const baseSepoliaEnvPath = path.join(__dirname, '../../base-sepolia.env');
@@ -28,23 +29,32 @@ if (!process.env.PRIVATE_KEY && !process.env.WALLET_PRIVATE_KEY) {
   console.log('✅ Using WALLET_PRIVATE_KEY from base-sepolia.env');
 }
 
+// NETWORK, or the --network option of src/index.js, picks the profile
+const network = getNetwork();
+
 const config = {
   network: {
-    name: 'base-sepolia',
-    rpcUrl: process.env.BASE_SEPOLIA_RPC_URL || process.env.RPC_URL || 'https://sepolia.base.org',
-    chainId: parseInt(process.env.CHAIN_ID) || 84532,
-    explorerUrl: 'https://sepolia.basescan.org'
+    name: network.name,
+    displayName: network.displayName,
+    rpcUrl: network.rpcUrl,
+    rpcUrls: network.rpcUrls,
+    chainId: network.chainId,
+    explorerUrl: network.explorerUrl,
+    nativeCurrency: network.nativeCurrency,
+    rpcEnv: network.rpcEnv
   },
   wallet: {
     privateKey: process.env.PRIVATE_KEY || process.env.WALLET_PRIVATE_KEY || process.env.PRIVATE_KEY_1,
     address: process.env.WALLET_ADDRESS
   },
   contracts: {
-    virtualContract: process.env.LEAGUES_CONTRACT_ADDRESS || process.env.VIRTUAL_CONTRACT_ADDRESS || '0x55F04Ee2775925b80125F412C05cF5214Fd1317a',
-    plnToken: '0x9E1c51E1fAa1381D8a7Dbdd19402c5fCce9274C6', // Fixed to match Sepolia Developer Guide
-    pollenDAO: process.env.POLLEN_DAO_ADDRESS || '0xEF789258233E6cFBB5E0bb093FC9537E69e81Bb7',
-    vePLN: process.env.VEPLN_CONTRACT_ADDRESS || '0x3a28AB567b661B3edaF9Ef0bDE9489558EDB3995'
+    ...network.contracts,
+    virtualContract: process.env.LEAGUES_CONTRACT_ADDRESS || process.env.VIRTUAL_CONTRACT_ADDRESS || network.contracts.virtualContract,
+    pollenDAO: process.env.POLLEN_DAO_ADDRESS || network.contracts.pollenDAO,
+    vePLN: process.env.VEPLN_CONTRACT_ADDRESS || network.contracts.vePLN
   },
+  assets: network.assets,
+  gas: network.gas,
   trading: {
     maxGasPrice: process.env.MAX_GAS_PRICE || '50000000000', // 50 gwei
     slippage: process.env.SLIPPAGE || '0.01', // 1%
@@ -108,62 +118,19 @@ config.wallet = {
   address: config.wallet.address || process.env.WALLET_ADDRESS
 };
 
-// Validate Base Sepolia specific configuration per Developer Guide
-if (config.network.name === 'base-sepolia' || config.network.chainId === 84532) {
-  console.log('🔗 Validating Base Sepolia configuration...');
-
-  // Validate network settings
-  if (config.network.chainId !== 84532) {
-    console.warn('⚠️ Expected Chain ID 84532 for Base Sepolia, got:', config.network.chainId);
-  }
+console.log(`🔗 Network: ${config.network.displayName} (Chain ID ${config.network.chainId}), RPC ${config.network.rpcUrl}`);
 
-  // Validate RPC URL - Fix incorrect Avalanche RPC
-  if (config.network.rpcUrl.includes('avax.network') || config.network.rpcUrl.includes('avalanche')) {
-    console.error('❌ CRITICAL: Using Avalanche RPC URL for Base Sepolia network!');
-    console.error('   Current RPC:', config.network.rpcUrl);
-    console.error('   Expected Base Sepolia RPC: https://sepolia.base.org');
-    console.error('   Check your environment variables - RPC_URL or BASE_SEPOLIA_RPC_URL may be incorrect');
-    config.network.rpcUrl = 'https://sepolia.base.org';
-    console.log('✅ Auto-corrected: Using correct Base Sepolia RPC URL');
-  } else if (!config.network.rpcUrl.includes('sepolia.base.org') && !config.network.rpcUrl.includes('base-sepolia')) {
-    console.warn('⚠️ Using non-standard Base Sepolia RPC URL:', config.network.rpcUrl);
-    console.warn('   Expected: https://sepolia.base.org');
-  } else {
-    console.log('✅ Using correct Base Sepolia RPC URL:', config.network.rpcUrl);
+// Contract addresses overridden from the environment are worth a second look
+Object.entries(network.contracts).forEach(([key, expectedAddress]) => {
+  if (config.contracts[key] && config.contracts[key].toLowerCase() !== expectedAddress.toLowerCase()) {
+    console.warn(`⚠️ Contract address mismatch for ${key}:`);
+    console.warn(`   Expected: ${expectedAddress}`);
+    console.warn(`   Got: ${config.contracts[key]}`);
+  } else if (config.contracts[key]) {
+    console.log(`✅ ${key}: ${config.contracts[key]}`);
   }
-
-  // Validate contract addresses per Developer Guide
-  const expectedContracts = {
-    plnToken: '0x9E1c51E1fAa1381D8a7Dbdd19402c5fCce9274C6',
-    pollenDAO: '0xEF789258233E6cFBB5E0bb093FC9537E69e81Bb7',
-    vePLN: '0x3a28AB567b661B3edaF9Ef0bDE9489558EDB3995',
-    virtualContract: '0x55F04Ee2775925b80125F412C05cF5214Fd1317a'
-  };
-
-  Object.entries(expectedContracts).forEach(([key, expectedAddress]) => {
-    if (config.contracts[key] && config.contracts[key].toLowerCase() !== expectedAddress.toLowerCase()) {
-      console.warn(`⚠️ Contract address mismatch for ${key}:`);
-      console.warn(`   Expected: ${expectedAddress}`);
-      console.warn(`   Got: ${config.contracts[key]}`);
-    } else if (config.contracts[key]) {
-      console.log(`✅ ${key}: ${config.contracts[key]}`);
-    }
-  });
-}
-
-// Validate required configuration with better fallbacks
-const requiredEnvVars = ['RPC_URL'];
-const missingEnvVars = requiredEnvVars.filter(varName => {
-  return !process.env[varName] && 
-         !process.env[varName.replace('RPC_URL', 'BASE_SEPOLIA_RPC_URL')] &&
-         !config.network.rpcUrl;
 });
 
-if (missingEnvVars.length > 0) {
-  console.warn(`Warning: Missing environment variables: ${missingEnvVars.join(', ')}`);
-  console.warn('Using default Base Sepolia RPC URL as fallback');
-}
-
 // Validate contract addresses
 if (!config.contracts.plnToken || !config.contracts.vePLN) {
   console.warn('Warning: Missing contract addresses. Bot will run in simulation mode.');
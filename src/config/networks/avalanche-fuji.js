@@ -0,0 +1,26 @@
+// Avalanche Fuji Testnet Network Configuration
+module.exports = {
+  name: 'avalanche-fuji',
+  displayName: 'Avalanche Fuji',
+  aliases: ['avalanche-testnet', 'fuji'],
+  chainId: 43113,
+  testnet: true,
+  rpcEnv: 'AVALANCHE_FUJI_RPC_URL',
+  rpcUrls: ['https://api.avax-test.network/ext/bc/C/rpc', 'https://rpc.ankr.com/avalanche_fuji'],
+  infuraNetwork: 'avalanche-fuji',
+  explorerUrl: 'https://testnet.snowtrace.io',
+  nativeCurrency: {
+    name: 'Avalanche',
+    symbol: 'AVAX',
+    decimals: 18
+  },
+  // No Pollen deployment is known on Fuji
+  contracts: {},
+  deployBlock: null,
+  assets: [],
+  gas: {
+    maxFeePerGasGwei: 150,
+    maxPriorityFeeGwei: 1.5,
+    gasLimitMultiplier: 1.2
+  }
+};
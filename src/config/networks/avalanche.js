@@ -0,0 +1,32 @@
+// Avalanche C-Chain Network Configuration
+module.exports = {
+  name: 'avalanche',
+  displayName: 'Avalanche C-Chain',
+  aliases: ['avalanche-mainnet', 'avax'],
+  chainId: 43114,
+  testnet: false,
+  rpcEnv: 'AVALANCHE_RPC_URL',
+  rpcUrls: ['https://api.avax.network/ext/bc/C/rpc', 'https://rpc.ankr.com/avalanche'],
+  infuraNetwork: 'avalanche-mainnet',
+  explorerUrl: 'https://snowtrace.io',
+  nativeCurrency: {
+    name: 'Avalanche',
+    symbol: 'AVAX',
+    decimals: 18
+  },
+  contracts: {
+    plnToken: '0x7b2B702706D9b361dfE3f00bD138C0CFDA7FB2Cf',
+    pollenDAO: '0x8B312F4503790CBd1030b97C545c7F3eFDaDE717',
+    vePLN: '0x2eCB6F9dF29163758024d416997764922E4528d4',
+    proxyStorage: '0xDd612d373D6ba328901571434ef76bd1751Df661'
+  },
+  // Block the PollenDAO was deployed in, where event scans start; not recorded yet
+  deployBlock: null,
+  // Bridged assets from the whitepaper benchmark plus USDT.E
+  assets: ['WBTC.E', 'WETH.E', 'WAVAX', 'USDT.E', 'LINK.E'],
+  gas: {
+    maxFeePerGasGwei: 150,
+    maxPriorityFeeGwei: 1.5,
+    gasLimitMultiplier: 1.2
+  }
+};
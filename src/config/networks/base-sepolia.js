@@ -1,8 +1,13 @@
 // Base Sepolia Network Configuration
 module.exports = {
   name: 'base-sepolia',
+  displayName: 'Base Sepolia',
+  aliases: ['base-testnet', 'baseSepolia'],
   chainId: 84532,
-  rpcUrl: process.env.BASE_SEPOLIA_RPC_URL || 'https://sepolia.base.org',
+  testnet: true,
+  rpcEnv: 'BASE_SEPOLIA_RPC_URL',
+  rpcUrls: ['https://sepolia.base.org', 'https://base-sepolia-rpc.publicnode.com'],
+  infuraNetwork: 'base-sepolia',
   explorerUrl: 'https://sepolia.basescan.org',
   nativeCurrency: {
     name: 'Ethereum',
@@ -15,5 +20,14 @@ module.exports = {
     pollenDAO: '0xEF789258233E6cFBB5E0bb093FC9537E69e81Bb7',
     leagues: '0x55F04Ee2775925b80125F412C05cF5214Fd1317a',
     vePLN: '0x3a28AB567b661B3edaF9Ef0bDE9489558EDB3995'
+  },
+  // Block the PollenDAO was deployed in, where event scans start; not recorded yet
+  deployBlock: null,
+  // Portfolio assets in the order the PollenDAO indexes their weights
+  assets: ['WBTC', 'cbETH', 'WETH', 'USDC', 'USDT', 'DAI', 'LINK'],
+  gas: {
+    maxFeePerGasGwei: 5,
+    maxPriorityFeeGwei: 0.01,
+    gasLimitMultiplier: 1.2
   }
 };
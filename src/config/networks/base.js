@@ -0,0 +1,26 @@
+// Base Mainnet Network Configuration
+module.exports = {
+  name: 'base',
+  displayName: 'Base',
+  aliases: ['base-mainnet'],
+  chainId: 8453,
+  testnet: false,
+  rpcEnv: 'BASE_RPC_URL',
+  rpcUrls: ['https://mainnet.base.org', 'https://base-rpc.publicnode.com'],
+  infuraNetwork: 'base-mainnet',
+  explorerUrl: 'https://basescan.org',
+  nativeCurrency: {
+    name: 'Ethereum',
+    symbol: 'ETH',
+    decimals: 18
+  },
+  // No Pollen deployment is known on Base mainnet
+  contracts: {},
+  deployBlock: null,
+  assets: [],
+  gas: {
+    maxFeePerGasGwei: 5,
+    maxPriorityFeeGwei: 0.01,
+    gasLimitMultiplier: 1.2
+  }
+};
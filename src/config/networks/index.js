@@ -0,0 +1,107 @@
+/**
+ * Network Profiles
+ * One registry of the networks the bots run on: chain id, RPC endpoints,
+ * explorer, Pollen contract addresses, asset whitelist and gas policy.
+ * The launcher, src/index.js, the shared configs of the scripts, Hardhat
+ * and the web interface resolve their network here by name or alias, from
+ * NETWORK unless told otherwise. Each profile's rpcEnv variable, e.g.
+ * BASE_SEPOLIA_RPC_URL, puts an RPC endpoint in front of the defaults.
+ * deployBlock is the PollenDAO's deployment block, where the event indexer
+ * and the whitelist replay start; INDEXER_START_BLOCK overrides it.
+ *
+ * assertChainId() is the startup guard: a profile only describes a chain,
+ * so an RPC URL pointing at another one is refused before anything is signed.
+ */
+const { ethers } = require('ethers');
+
+const PROFILES = [
+  require('./avalanche'),
+  require('./avalanche-fuji'),
+  require('./base'),
+  require('./base-sepolia')
+];
+
+const DEFAULT_NETWORK = 'base-sepolia';
+
+class ChainMismatchError extends Error {
+  constructor(network, chainId) {
+    super(`Connected to chain ${chainId}, but ${network.displayName} is chain ${network.chainId}; check ${network.rpcEnv}`);
+    this.name = 'ChainMismatchError';
+    this.network = network.name;
+    this.expected = network.chainId;
+    this.actual = chainId;
+  }
+}
+
+function findProfile(name) {
+  const key = String(name).toLowerCase();
+  return PROFILES.find(profile => profile.name === key || profile.aliases.some(alias => alias.toLowerCase() === key));
+}
+
+/**
+ * Profile of a network, with the RPC endpoint from its env variable first
+ * @param {string|number} [name] - Name, alias or chain id; NETWORK or base-sepolia by default
+ * @returns {Object} Profile; rpcUrl is the first of rpcUrls, deployBlock null when unknown
+ */
+function getNetwork(name = process.env.NETWORK || DEFAULT_NETWORK) {
+  const profile = typeof name === 'number' || /^\d+$/.test(String(name))
+    ? PROFILES.find(candidate => candidate.chainId === Number(name))
+    : findProfile(name);
+  if (!profile) {
+    throw new Error(`Unknown network "${name}", expected one of: ${PROFILES.map(candidate => candidate.name).join(', ')}`);
+  }
+
+  const override = process.env[profile.rpcEnv];
+  const rpcUrls = override ? [override, ...profile.rpcUrls.filter(url => url !== override)] : [...profile.rpcUrls];
+  return {
+    ...profile,
+    rpcUrls,
+    rpcUrl: rpcUrls[0],
+    deployBlock: process.env.INDEXER_START_BLOCK ? Number(process.env.INDEXER_START_BLOCK) : profile.deployBlock,
+    contracts: { ...profile.contracts },
+    assets: [...profile.assets],
+    gas: { ...profile.gas }
+  };
+}
+
+/**
+ * Every profile, resolved as by getNetwork()
+ */
+function listNetworks() {
+  return PROFILES.map(profile => getNetwork(profile.name));
+}
+
+/**
+ * Provider for a network that never asks the RPC which chain it is on;
+ * pair it with assertChainId() at startup
+ * @param {Object} network - getNetwork() result
+ * @param {string} [rpcUrl] - Defaults to the network's first RPC endpoint
+ */
+function createProvider(network, rpcUrl = network.rpcUrl) {
+  return new ethers.JsonRpcProvider(rpcUrl, new ethers.Network(network.name, network.chainId), { staticNetwork: true });
+}
+
+/**
+ * Refuse an RPC endpoint on another chain than the network's
+ * @param {ethers.Provider} provider
+ * @param {Object} network - getNetwork() result
+ * @returns {Promise<number>} The chain id
+ * @throws {ChainMismatchError}
+ */
+async function assertChainId(provider, network) {
+  // Asked from the node itself; a provider with a static network would answer from its configuration
+  const chainId = Number(await provider.send('eth_chainId', []));
+  if (chainId !== network.chainId) {
+    throw new ChainMismatchError(network, chainId);
+  }
+  return chainId;
+}
+
+module.exports = {
+  DEFAULT_NETWORK,
+  ChainMismatchError,
+  getNetwork,
+  listNetworks,
+  createProvider,
+  assertChainId
+};
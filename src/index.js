@@ -4,7 +4,7 @@
  * Pollen Trading Bot using elizaOS framework
  * 
  * This bot connects to TradingView data sources and executes trades on Pollen app
- * on both Avalanche and Base networks.
+ * on the networks profiled in src/config/networks.
  */
 
 // Polyfill for AbortController in older Node.js versions
@@ -31,7 +31,7 @@ const ethers = require('ethers');
 const logger = require('./modules/logger');
 const PollenContractVerifier = require('./modules/pollen-verification');
 const validateBaseSepoliaContracts = require('./actions/validate_base_sepolia_contracts');
-const config = require('./config/index.js');
+const { getNetwork, createProvider, assertChainId, ChainMismatchError } = require('./config/networks');
 
 // Load required modules
 const EnhancedTradingEngine = require('./modules/enhanced-trading-engine');
@@ -51,7 +51,7 @@ if (process.env.ENABLE_TRADINGVIEW !== 'false') {
 const argv = yargs(hideBin(process.argv))
   .option('network', {
     alias: 'n',
-    description: 'Blockchain network to use (avalanche, base, avalanche-testnet, base-testnet)',
+    description: 'Blockchain network to use (avalanche, avalanche-fuji, base, base-sepolia)',
     type: 'string',
   })
   .option('setup', {
@@ -78,6 +78,12 @@ const argv = yargs(hideBin(process.argv))
   .alias('help', 'h')
   .argv;
 
+// The network flag wins over NETWORK; the config resolves its profile from it
+if (argv.network) {
+  process.env.NETWORK = argv.network;
+}
+const config = require('./config/index.js');
+
 // If setup flag is provided, run the setup wizard
 if (argv.setup) {
   logger.info('Starting setup wizard...');
@@ -94,6 +100,7 @@ if (argv.verbose) {
 const testMode = process.argv.includes('--test');
 if (testMode) {
   process.env.TEST_MODE = 'true';
+  process.env.TRADING_MODE = 'paper';
   logger.info('Running in TEST MODE - using simulated data and transactions');
 } else {
   process.env.LIVE_TRADING = 'true';
@@ -109,6 +116,7 @@ if (extendedBackoff) {
 class TradingBotManager {
   constructor() {
     this.config = config;
+    this.network = getNetwork();
     this.bot = null;
     this.tradingView = null;
     this.optimizer = null;
@@ -137,13 +145,15 @@ class TradingBotManager {
     try {
       logger.info('Initializing trading bot manager...');
 
+      await this.verifyNetwork();
+
       // Step 1: Initialize TradingView integration
       logger.info('Step 1: Initializing TradingView integration...');
       await this.initializeTradingView();
       logger.info('✅ TradingView integration completed');
 
-      // Step 2: Validate Base Sepolia contracts
-      logger.info('Step 2: Validating Base Sepolia contracts...');
+      // Step 2: Validate Pollen contracts
+      logger.info(`Step 2: Validating ${this.network.displayName} contracts...`);
       try {
         logger.info('Config being passed to validation:', JSON.stringify({
           network: this.config.network,
@@ -201,6 +211,28 @@ class TradingBotManager {
     }
   }
 
+  /**
+   * Startup chain guard: refuse to run against an RPC endpoint on another
+   * chain than the selected network. An unreachable endpoint is left to the
+   * contract interface, which falls back to simulation mode.
+   */
+  async verifyNetwork() {
+    if (process.env.TEST_MODE === 'true') {
+      return;
+    }
+
+    try {
+      const chainId = await assertChainId(createProvider(this.network), this.network);
+      logger.info(`✅ Connected to ${this.network.displayName} (Chain ID: ${chainId})`);
+    } catch (error) {
+      if (error instanceof ChainMismatchError) {
+        logger.error(`❌ ${error.message}`);
+        throw error;
+      }
+      logger.warn(`Could not verify the chain of ${this.network.rpcUrl}: ${error.message}`);
+    }
+  }
+
   async initializeTradingView() {
     try {
       if (!this.tradingView) {
@@ -240,40 +272,35 @@ class TradingBotManager {
         return;
       }
 
-      logger.info(`Connecting to Base Sepolia at ${this.config.network.rpcUrl}`);
+      logger.info(`Connecting to ${this.network.displayName} at ${this.config.network.rpcUrl}`);
       logger.info(`Network configuration: Chain ID ${this.config.network.chainId}`);
 
       // Create provider first
-      const provider = new ethers.JsonRpcProvider(this.config.network.rpcUrl);
+      const provider = createProvider(this.network, this.config.network.rpcUrl);
       const wallet = new ethers.Wallet(this.config.wallet.privateKey, provider);
 
       // Test connection with timeout
-      const networkPromise = provider.getNetwork();
+      const chainPromise = assertChainId(provider, this.network);
       const timeoutPromise = new Promise((_, reject) => 
         setTimeout(() => reject(new Error('Network connection timeout')), 10000)
       );
 
-      const network = await Promise.race([networkPromise, timeoutPromise]);
-      logger.info(`✅ Connected to network: ${network.name} (Chain ID: ${network.chainId})`);
-
-      // Validate we're connected to Base Sepolia per Developer Guide
-      if (network.chainId !== 84532) {
-        logger.warn(`⚠️ Expected Base Sepolia Chain ID 84532, got ${network.chainId}`);
-      }
+      const chainId = await Promise.race([chainPromise, timeoutPromise]);
+      logger.info(`✅ Connected to network: ${this.network.name} (Chain ID: ${chainId})`);
 
       // Test basic wallet functionality
       const balance = await provider.getBalance(wallet.address);
-      logger.info(`Wallet balance: ${ethers.formatEther(balance)} ETH`);
+      logger.info(`Wallet balance: ${ethers.formatEther(balance)} ${this.network.nativeCurrency.symbol}`);
 
       if (balance === 0n) {
-        logger.warn('⚠️ Wallet has no ETH for gas fees. Get testnet ETH from Base Sepolia faucet.');
+        logger.warn(`⚠️ Wallet has no ${this.network.nativeCurrency.symbol} for gas fees on ${this.network.displayName}.`);
       }
 
-      // Validate PLN token contract per Sepolia Developer Guide
+      // Validate PLN token contract against the network profile
       const plnTokenAddress = this.config.contracts.plnToken;
-      const expectedPlnAddress = '0x9E1c51E1fAa1381D8a7Dbdd19402c5fCce9274C6';
+      const expectedPlnAddress = this.network.contracts.plnToken;
 
-      if (plnTokenAddress.toLowerCase() !== expectedPlnAddress.toLowerCase()) {
+      if (expectedPlnAddress && plnTokenAddress.toLowerCase() !== expectedPlnAddress.toLowerCase()) {
         logger.warn(`⚠️ PLN token address mismatch. Expected: ${expectedPlnAddress}, Got: ${plnTokenAddress}`);
       }
 
@@ -482,8 +509,8 @@ class TradingBotManager {
         }
       }, 60 * 1000); // Check every minute
     } else {
-      // Alternative gas monitoring using Base Sepolia provider
-      const provider = new ethers.providers.JsonRpcProvider(this.config.network.rpcUrl);
+      // Alternative gas monitoring using the network's provider
+      const provider = createProvider(this.network, this.config.network.rpcUrl);
       setInterval(async () => {
         try {
           const gasPrice = await provider.getGasPrice();
@@ -0,0 +1,266 @@
+/**
+ * Asset Registry
+ * The assets of one network in the order the PollenDAO indexes their
+ * weights, each with its token address, price-source IDs, category and risk
+ * level from the catalog in src/config/assets.js. The order starts out as the
+ * network profile's and sync() replaces it with the DAO whitelist read from
+ * chain, matching each whitelisted token to the catalog by its ERC-20
+ * symbol. Strategies reason in symbol-keyed allocations; toContractWeights()
+ * and fromContractWeights() convert them to and from the weight and isShort
+ * arrays the DAO takes.
+ */
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const { getNetwork } = require('../config/networks');
+const { getAsset } = require('../config/assets');
+
+const POLLEN_DAO_ASSETS_ABI = [
+  'function getAssets() view returns (address[])',
+  'event AssetAdded(address indexed asset)',
+  'event AssetRemoved(address indexed asset)'
+];
+
+const ERC20_SYMBOL_ABI = ['function symbol() view returns (string)'];
+
+// Blocks per eth_getLogs request, as in the event indexer
+const EVENT_CHUNK_SIZE = 2000;
+
+/**
+ * Convert a signed percent allocation into PollenDAO arrays. Weights are
+ * whole percentages that sum to 100, rounded by largest remainder.
+ * @param {Object} allocation - Map of asset to signed percent
+ * @param {string[]} assets - Asset order of the DAO weight arrays
+ * @returns {{weights: number[], isShort: boolean[]}}
+ */
+function toContractWeights(allocation, assets) {
+  const ignored = Object.keys(allocation).filter(asset => !assets.includes(asset) && allocation[asset] !== 0);
+  if (ignored.length > 0) {
+    logger.warn(`Ignoring allocation to assets outside the portfolio: ${ignored.join(', ')}`);
+  }
+
+  const magnitudes = assets.map(asset => Math.abs(allocation[asset] || 0));
+  const total = magnitudes.reduce((sum, value) => sum + value, 0);
+  if (total === 0) {
+    throw new Error('Allocation has no weight on any portfolio asset');
+  }
+
+  const exact = magnitudes.map(value => value / total * 100);
+  const weights = exact.map(Math.floor);
+  let remainder = 100 - weights.reduce((sum, value) => sum + value, 0);
+  exact
+    .map((value, i) => ({ i, fraction: value - Math.floor(value) }))
+    .sort((a, b) => b.fraction - a.fraction)
+    .forEach(({ i }) => {
+      if (remainder > 0) {
+        weights[i]++;
+        remainder--;
+      }
+    });
+
+  return {
+    weights,
+    isShort: assets.map((asset, i) => weights[i] > 0 && (allocation[asset] || 0) < 0)
+  };
+}
+
+/**
+ * Convert PollenDAO weight and isShort arrays into a signed allocation
+ * @param {Array<number|bigint>} weights - Weight per asset index
+ * @param {boolean[]} isShort - Short flag per asset index
+ * @param {string[]} assets - Asset order of the DAO weight arrays
+ * @returns {Object} Map of asset to signed weight, negative when short
+ */
+function fromContractWeights(weights, isShort, assets) {
+  if (weights.length > assets.length) {
+    throw new Error(`Got ${weights.length} weights but only ${assets.length} assets are mapped`);
+  }
+
+  const allocation = {};
+  Array.from(weights, Number).forEach((weight, i) => {
+    allocation[assets[i]] = isShort[i] ? -Math.abs(weight) : Math.abs(weight);
+  });
+  return allocation;
+}
+
+class AssetRegistry {
+  /**
+   * @param {Object} [network] - getNetwork() result, NETWORK by default
+   * @param {Object} [options]
+   * @param {number} [options.fromBlock] - PollenDAO deployment block, or any block before it; the network's deployBlock by default
+   * @param {number} [options.chunkSize] - Blocks per eth_getLogs request
+   */
+  constructor(network = getNetwork(), options = {}) {
+    this.network = network;
+    this.fromBlock = options.fromBlock ?? network.deployBlock ?? null;
+    this.chunkSize = options.chunkSize || EVENT_CHUNK_SIZE;
+    this.whitelist = network.assets.map(symbol => ({ symbol, address: null }));
+    this.syncedAt = null;
+  }
+
+  /**
+   * Asset symbols in DAO index order
+   * @returns {string[]}
+   */
+  get symbols() {
+    return this.whitelist.map(entry => entry.symbol);
+  }
+
+  /**
+   * Every asset with its index, address and catalog data
+   * @returns {Object[]}
+   */
+  list() {
+    return this.whitelist.map(({ symbol, address }, index) => {
+      const entry = getAsset(symbol);
+      return {
+        index,
+        symbol,
+        address,
+        category: entry ? entry.category : null,
+        riskLevel: entry ? entry.riskLevel : null,
+        priceIds: entry ? entry.priceIds : {}
+      };
+    });
+  }
+
+  /**
+   * An asset by symbol, alias or token address
+   * @param {string} key
+   * @returns {Object|null}
+   */
+  get(key) {
+    const value = String(key).toLowerCase();
+    const entry = getAsset(key);
+    return this.list().find(candidate => candidate.symbol.toLowerCase() === value
+      || candidate.address && candidate.address.toLowerCase() === value
+      || entry && candidate.symbol === entry.symbol) || null;
+  }
+
+  /**
+   * Index of an asset in the DAO weight arrays, -1 when it is not whitelisted
+   * @param {string} key - Symbol, alias or token address
+   */
+  indexOf(key) {
+    const asset = this.get(key);
+    return asset ? asset.index : -1;
+  }
+
+  /**
+   * Take the asset order from the PollenDAO whitelist. Falls back to
+   * replaying AssetAdded and AssetRemoved events since fromBlock when the DAO
+   * has no getAssets(), or keeps the profile order when fromBlock is unknown
+   * rather than scanning from genesis. A replayed whitelist only replaces a
+   * profile order of the same length, since a scan that started after the DAO
+   * was deployed would shift every weight index.
+   * @param {ethers.Provider} provider
+   * @returns {Promise<Object[]>} list()
+   */
+  async sync(provider) {
+    const daoAddress = this.network.contracts.pollenDAO;
+    if (!daoAddress) {
+      throw new Error(`${this.network.displayName} has no PollenDAO address`);
+    }
+
+    const dao = new ethers.Contract(daoAddress, POLLEN_DAO_ASSETS_ABI, provider);
+    let addresses;
+    let replayed = false;
+    try {
+      addresses = [...await dao.getAssets()];
+    } catch (error) {
+      if (this.fromBlock === null) {
+        logger.warn(`getAssets() failed on ${daoAddress} and ${this.network.displayName} has no deployBlock to replay whitelist events from; keeping the profile's order`);
+        return this.list();
+      }
+      logger.debug(`getAssets() failed on ${daoAddress}, replaying whitelist events: ${error.message}`);
+      addresses = await this.replayWhitelist(provider, dao);
+      replayed = true;
+    }
+    if (addresses.length === 0) {
+      throw new Error(`No whitelisted assets found on PollenDAO ${daoAddress}`);
+    }
+    const expected = this.network.assets.length;
+    if (replayed && expected > 0 && addresses.length !== expected) {
+      logger.warn(`${this.network.displayName} whitelist events since block ${this.fromBlock} name ${addresses.length} assets, the profile ${expected}; keeping the profile's order`);
+      return this.list();
+    }
+
+    const whitelist = [];
+    for (const address of addresses) {
+      whitelist.push({ symbol: await this.readSymbol(provider, address), address: ethers.getAddress(address) });
+    }
+
+    const symbols = whitelist.map(entry => entry.symbol);
+    if (symbols.join() !== this.network.assets.join()) {
+      logger.warn(`${this.network.displayName} whitelist differs from the profile's assets: ${symbols.join(', ')}`);
+    }
+    this.whitelist = whitelist;
+    this.syncedAt = new Date();
+    return this.list();
+  }
+
+  /**
+   * Whitelist from the DAO's AssetAdded and AssetRemoved events, read in
+   * chunks from fromBlock to the head
+   * @returns {Promise<string[]>} Token addresses in the order they were added
+   */
+  async replayWhitelist(provider, dao) {
+    const topics = [['AssetAdded', 'AssetRemoved'].map(name => dao.interface.getEvent(name).topicHash)];
+    const head = await provider.getBlockNumber();
+    const whitelist = [];
+    for (let fromBlock = this.fromBlock; fromBlock <= head; fromBlock += this.chunkSize) {
+      const toBlock = Math.min(fromBlock + this.chunkSize - 1, head);
+      const logs = await provider.getLogs({ address: await dao.getAddress(), topics, fromBlock, toBlock });
+      for (const log of logs) {
+        const { name, args } = dao.interface.parseLog(log);
+        const address = ethers.getAddress(args.asset);
+        const index = whitelist.indexOf(address);
+        if (name === 'AssetAdded' && index === -1) {
+          whitelist.push(address);
+        } else if (name === 'AssetRemoved' && index !== -1) {
+          // The assets after a removed one move up an index
+          whitelist.splice(index, 1);
+        }
+      }
+    }
+    return whitelist;
+  }
+
+  /**
+   * Catalog symbol of a token, its ERC-20 symbol when the catalog doesn't
+   * know it, or its address when it has none
+   */
+  async readSymbol(provider, address) {
+    try {
+      const symbol = await new ethers.Contract(address, ERC20_SYMBOL_ABI, provider).symbol();
+      const entry = getAsset(symbol);
+      if (!entry) {
+        logger.warn(`Whitelisted token ${symbol} (${address}) is not in the asset catalog`);
+      }
+      return entry ? entry.symbol : symbol;
+    } catch (error) {
+      logger.warn(`Could not read the symbol of whitelisted token ${address}: ${error.message}`);
+      return ethers.getAddress(address);
+    }
+  }
+
+  /**
+   * Weight and isShort arrays in this network's asset order
+   * @param {Object} allocation - Map of asset to signed percent
+   */
+  toContractWeights(allocation) {
+    return toContractWeights(allocation, this.symbols);
+  }
+
+  /**
+   * Signed allocation from weight and isShort arrays in this network's asset order
+   */
+  fromContractWeights(weights, isShort) {
+    return fromContractWeights(weights, isShort, this.symbols);
+  }
+}
+
+module.exports = {
+  AssetRegistry,
+  toContractWeights,
+  fromContractWeights
+};
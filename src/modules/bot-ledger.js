@@ -0,0 +1,73 @@
+/**
+ * Bot Ledger
+ * Helpers shared by the modules that keep a JSON ledger next to the bots and
+ * send their own transactions through the TransactionManager: delegation,
+ * reward compounding and governance.
+ */
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const { getTransactionManager } = require('./transaction-manager');
+
+// PLN amounts are kept as numbers; the contract takes wei
+function toWei(amount) {
+  return ethers.parseEther(Number(amount).toFixed(18));
+}
+
+/**
+ * Ledger file of one bot, named after its ID or else its wallet address
+ * @param {string|null} storeDir - Ledger directory, null keeps the ledger in memory
+ * @param {number|string} [botId]
+ * @param {ethers.Signer} wallet
+ * @returns {string|null}
+ */
+function botLedgerFile(storeDir, botId, wallet) {
+  if (!storeDir) return null;
+  const name = botId !== undefined ? `bot-${botId}` : wallet.address.toLowerCase();
+  return path.join(storeDir, `${name}.json`);
+}
+
+/**
+ * @param {string|null} file
+ * @param {Object} initial - State when there is no ledger yet
+ */
+function readLedger(file, initial) {
+  return file && fs.existsSync(file)
+    ? JSON.parse(fs.readFileSync(file, 'utf8'))
+    : initial;
+}
+
+/**
+ * @param {string|null} file - Nothing is written when null
+ * @param {Object} state
+ */
+function writeLedger(file, state) {
+  if (!file) return;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(state, null, 2));
+}
+
+/**
+ * Send a transaction through the wallet's TransactionManager and wait for its receipt
+ * @param {ethers.Signer} wallet
+ * @param {Object} transactionOptions - TransactionManager options
+ * @param {Object} request - Populated transaction
+ * @param {string} label - Names the transaction in the logs
+ * @param {string} action - Log action, e.g. 'delegation'
+ * @returns {Promise<ethers.TransactionReceipt>}
+ */
+async function sendAndConfirm(wallet, transactionOptions, request, label, action) {
+  const tx = await getTransactionManager(wallet, transactionOptions).send(request, { label });
+  const receipt = await tx.wait();
+  logger.info(`✅ ${label} confirmed in block ${receipt.blockNumber}`, { txHash: receipt.hash, action });
+  return receipt;
+}
+
+module.exports = {
+  botLedgerFile,
+  readLedger,
+  sendAndConfirm,
+  toWei,
+  writeLedger
+};
@@ -0,0 +1,270 @@
+/**
+ * Bot Registry
+ * Loads and validates the declarative bot definitions in config/bots.json.
+ * Every bot runner reads its bots from here, so adding a bot means editing
+ * the registry file rather than source code.
+ */
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { keystore } = require('./keystore');
+
+const DEFAULT_REGISTRY_PATH = path.resolve(__dirname, '../../config/bots.json');
+const SCHEMA_PATH = path.resolve(__dirname, '../../config/bots.schema.json');
+
+const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+
+function resolveRef(node) {
+  if (!node.$ref) return node;
+  const name = node.$ref.replace('#/definitions/', '');
+  return schema.definitions[name];
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check a value against the subset of JSON Schema used by bots.schema.json
+ */
+function checkNode(value, node, where, errors) {
+  node = resolveRef(node);
+  const actual = typeOf(value);
+
+  if (node.type && node.type !== actual && !(node.type === 'number' && actual === 'integer')) {
+    errors.push(`${where} must be of type ${node.type}`);
+    return;
+  }
+
+  if (node.enum && !node.enum.includes(value)) {
+    errors.push(`${where} must be one of: ${node.enum.join(', ')}`);
+  }
+
+  if (actual === 'string') {
+    if (node.minLength !== undefined && value.length < node.minLength) {
+      errors.push(`${where} must not be empty`);
+    }
+    if (node.pattern && !new RegExp(node.pattern).test(value)) {
+      errors.push(`${where} must match ${node.pattern}`);
+    }
+  }
+
+  if (actual === 'integer' || actual === 'number') {
+    if (node.minimum !== undefined && value < node.minimum) {
+      errors.push(`${where} must be >= ${node.minimum}`);
+    }
+    if (node.exclusiveMinimum !== undefined && value <= node.exclusiveMinimum) {
+      errors.push(`${where} must be > ${node.exclusiveMinimum}`);
+    }
+    if (node.maximum !== undefined && value > node.maximum) {
+      errors.push(`${where} must be <= ${node.maximum}`);
+    }
+  }
+
+  if (actual === 'array') {
+    if (node.minItems !== undefined && value.length < node.minItems) {
+      errors.push(`${where} must contain at least ${node.minItems} item(s)`);
+    }
+    if (node.items) {
+      value.forEach((item, i) => checkNode(item, node.items, `${where}[${i}]`, errors));
+    }
+  }
+
+  if (actual === 'object') {
+    const properties = node.properties || {};
+    (node.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${where}.${key} is required`);
+    });
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        checkNode(value[key], properties[key], `${where}.${key}`, errors);
+      } else if (node.additionalProperties === false) {
+        errors.push(`${where}.${key} is not an allowed property`);
+      }
+    });
+  }
+}
+
+/**
+ * Validate a parsed registry document
+ * @param {Object} registry - Parsed contents of bots.json
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validateRegistry(registry) {
+  const errors = [];
+  checkNode(registry, schema, 'registry', errors);
+  if (errors.length > 0 || !Array.isArray(registry.bots)) {
+    return { valid: false, errors };
+  }
+
+  const seen = { id: new Set(), key: new Set(), address: new Set() };
+  registry.bots.forEach((bot, i) => {
+    // Keystore entries are per bot id, so only env references can collide
+    const fields = bot.key === 'keystore' ? ['id'] : ['id', 'key'];
+    fields.forEach(field => {
+      if (seen[field].has(bot[field])) errors.push(`registry.bots[${i}].${field} ${bot[field]} is already used`);
+      seen[field].add(bot[field]);
+    });
+
+    if (bot.address) {
+      try {
+        ethers.getAddress(bot.address);
+      } catch (error) {
+        errors.push(`registry.bots[${i}].address has an invalid checksum`);
+      }
+      const address = bot.address.toLowerCase();
+      if (seen.address.has(address)) errors.push(`registry.bots[${i}].address ${bot.address} is already used`);
+      seen.address.add(address);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+function invalidRegistryError(message, errors) {
+  const error = new Error(message);
+  error.validationErrors = errors;
+  return error;
+}
+
+/**
+ * Fill optional fields from the schema defaults
+ */
+function applyDefaults(bot) {
+  const { properties } = schema.definitions.bot;
+  const withDefaults = { ...bot };
+  Object.entries(properties).forEach(([key, node]) => {
+    const resolved = resolveRef(node);
+    if (withDefaults[key] === undefined && resolved.default !== undefined) {
+      withDefaults[key] = JSON.parse(JSON.stringify(resolved.default));
+    }
+  });
+  return withDefaults;
+}
+
+/**
+ * Load and validate the bot registry. Throws when the file is missing or
+ * invalid so runners fail at startup instead of mid-trade.
+ * @param {string} [filePath] - Registry path, defaults to BOT_REGISTRY_PATH or config/bots.json
+ * @returns {{path: string, bots: Object[]}}
+ */
+function loadBotRegistry(filePath = process.env.BOT_REGISTRY_PATH || DEFAULT_REGISTRY_PATH) {
+  let registry;
+  try {
+    registry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to read bot registry ${filePath}: ${error.message}`);
+  }
+
+  const { valid, errors } = validateRegistry(registry);
+  if (!valid) {
+    throw invalidRegistryError(`Invalid bot registry ${filePath}:\n  - ${errors.join('\n  - ')}`, errors);
+  }
+
+  return {
+    path: filePath,
+    bots: registry.bots.map(applyDefaults)
+  };
+}
+
+/**
+ * Validate and write a registry back to disk
+ * @param {Object[]} bots - Bot definitions without schema defaults applied
+ * @param {string} [filePath] - Registry path
+ */
+function saveBotRegistry(bots, filePath = process.env.BOT_REGISTRY_PATH || DEFAULT_REGISTRY_PATH) {
+  const registry = { $schema: './bots.schema.json', bots };
+  const { valid, errors } = validateRegistry(registry);
+  if (!valid) {
+    throw invalidRegistryError(`Invalid bot registry: ${errors.join('; ')}`, errors);
+  }
+  fs.writeFileSync(filePath, `${JSON.stringify(registry, null, 2)}\n`);
+}
+
+/**
+ * Add a bot to the registry file and return the reloaded registry
+ * @param {Object} bot - New bot definition
+ * @param {string} [filePath] - Registry path
+ */
+function addBot(bot, filePath = process.env.BOT_REGISTRY_PATH || DEFAULT_REGISTRY_PATH) {
+  const { bots } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  saveBotRegistry([...bots, bot], filePath);
+  return loadBotRegistry(filePath);
+}
+
+/**
+ * Update a bot in the registry file and return the reloaded registry
+ * @param {number|string} botId - Id of the bot to update
+ * @param {Object} changes - Fields to overwrite; the id cannot change
+ * @param {string} [filePath] - Registry path
+ */
+function updateBot(botId, changes, filePath = process.env.BOT_REGISTRY_PATH || DEFAULT_REGISTRY_PATH) {
+  const { bots } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const index = bots.findIndex(bot => bot.id === Number(botId));
+  if (index === -1) {
+    throw new Error(`Bot ${botId} not found in registry`);
+  }
+
+  bots[index] = { ...bots[index], ...changes, id: bots[index].id };
+  saveBotRegistry(bots, filePath);
+  return loadBotRegistry(filePath);
+}
+
+/**
+ * Find a bot by id in a loaded registry. Accepts 3, '3' or 'bot3'.
+ */
+function getBot(registry, botId) {
+  const id = Number(String(botId).replace(/^bot/, ''));
+  return registry.bots.find(bot => bot.id === id) || null;
+}
+
+/**
+ * Resolve an env: key reference to a private key
+ * @param {Object} bot - Registry bot
+ * @param {Object} [env=process.env] - Environment to read env: references from
+ * @returns {string} Private key
+ */
+function resolvePrivateKey(bot, env = process.env) {
+  const [scheme, name] = bot.key.split(':');
+  if (scheme !== 'env') {
+    throw new Error(`Bot ${bot.id}: key reference ${bot.key} is not an environment variable`);
+  }
+  if (!env[name]) {
+    throw new Error(`Bot ${bot.id}: environment variable ${name} is not set`);
+  }
+  return env[name];
+}
+
+/**
+ * Resolve a bot's signer through its key reference and check it matches
+ * the registered address
+ * @param {Object} bot - Registry bot
+ * @param {ethers.Provider} [provider] - Provider to connect the signer to
+ * @param {Keystore} [store] - Keystore for keystore references
+ * @returns {Promise<ethers.Wallet>}
+ */
+async function getBotSigner(bot, provider, store = keystore) {
+  const wallet = bot.key === 'keystore'
+    ? await store.getSigner(bot.id, provider)
+    : new ethers.Wallet(resolvePrivateKey(bot), provider);
+
+  if (bot.address && wallet.address.toLowerCase() !== bot.address.toLowerCase()) {
+    throw new Error(`Bot ${bot.id}: key ${bot.key} resolves to ${wallet.address}, expected ${bot.address}`);
+  }
+  return wallet;
+}
+
+module.exports = {
+  DEFAULT_REGISTRY_PATH,
+  loadBotRegistry,
+  saveBotRegistry,
+  addBot,
+  updateBot,
+  validateRegistry,
+  getBot,
+  resolvePrivateKey,
+  getBotSigner
+};
@@ -7,21 +7,14 @@ const path = require('path');
 const { ethers } = require('ethers');
 const logger = require('./logger');
 const RpcProvider = require('./rpcProvider');
+const { getNetwork } = require('../config/networks');
 
-// Network RPC URLs - Used as fallbacks when Infura is not available
-const RPC_URLS = {
-  'avalanche': 'https://api.avax.network/ext/bc/C/rpc',
-  'base': 'https://mainnet.base.org',
-  'avalanche-testnet': 'https://api.avax-test.network/ext/bc/C/rpc',
-  'base-testnet': 'https://goerli.base.org',
-};
-
-// Contract addresses per network
+// Contract address overrides per network; the profile's PollenDAO otherwise
 const CONTRACT_ADDRESSES = {
   'avalanche': process.env.POLLEN_CONTRACT_AVALANCHE,
   'base': process.env.POLLEN_CONTRACT_BASE,
-  'avalanche-testnet': process.env.POLLEN_CONTRACT_AVALANCHE_TESTNET,
-  'base-testnet': process.env.POLLEN_CONTRACT_BASE_TESTNET,
+  'avalanche-fuji': process.env.POLLEN_CONTRACT_AVALANCHE_TESTNET,
+  'base-sepolia': process.env.POLLEN_CONTRACT_BASE_TESTNET,
 };
 
 /**
@@ -127,10 +120,11 @@ function validateConfig(config) {
   }
 
   // Validate network
-  const validNetworks = Object.keys(RPC_URLS);
-  if (!validNetworks.includes(config.network)) {
-    logger.error(`Invalid network: ${config.network}. Must be one of: ${validNetworks.join(', ')}`);
-    throw new Error(`Invalid network: ${config.network}`);
+  try {
+    getNetwork(config.network);
+  } catch (error) {
+    logger.error(`Invalid network: ${error.message}`);
+    throw error;
   }
 }
 
@@ -157,10 +151,7 @@ async function getProvider(config) {
     }
 
     // Fallback to direct provider with wallet support
-    const rpcUrl = RPC_URLS[config.network];
-    if (!rpcUrl) {
-      throw new Error(`No RPC URL configured for network: ${config.network}`);
-    }
+    const { rpcUrl } = getNetwork(config.network);
     
     const provider = new ethers.JsonRpcProvider(rpcUrl);
     
@@ -180,7 +171,8 @@ async function getProvider(config) {
  * Get contract address for the specified network
  */
 function getContractAddress(network) {
-  const address = CONTRACT_ADDRESSES[network];
+  const profile = getNetwork(network);
+  const address = CONTRACT_ADDRESSES[profile.name] || profile.contracts.pollenDAO;
   if (!address) {
     logger.warn(`No contract address configured for network: ${network}`);
   }
@@ -200,10 +192,7 @@ async function getContract(config, abi, address) {
 
     // Fallback to direct Web3 instance
     const Web3 = require('web3');
-    const rpcUrl = RPC_URLS[config.network];
-    if (!rpcUrl) {
-      throw new Error(`No RPC URL configured for network: ${config.network}`);
-    }
+    const { rpcUrl } = getNetwork(config.network);
     const web3 = new Web3(rpcUrl);
     return new web3.eth.Contract(abi, address || config.pollenContractAddress);
   } catch (error) {
@@ -0,0 +1,229 @@
+/**
+ * Contract Errors
+ * Decodes reverts from Pollen contracts - Error(string) reasons, Panic(uint256)
+ * codes and custom errors declared in an ABI - and maps them to typed errors,
+ * so callers can branch with instanceof instead of matching message text.
+ */
+const { ethers } = require('ethers');
+
+const ERROR_STRING_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+const PANIC_CODES = {
+  0x01: 'assertion failed',
+  0x11: 'arithmetic overflow or underflow',
+  0x12: 'division or modulo by zero',
+  0x21: 'invalid enum value',
+  0x22: 'invalid storage byte array',
+  0x31: 'pop on empty array',
+  0x32: 'array index out of bounds',
+  0x41: 'out of memory',
+  0x51: 'call to uninitialized function'
+};
+
+// Custom errors of the token contracts (OpenZeppelin 5 ERC20)
+const COMMON_ERROR_ABI = [
+  'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)',
+  'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)'
+];
+
+class ContractError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {string} [details.reason] - Revert reason string
+   * @param {string} [details.errorName] - Custom error name, 'Error' or 'Panic'
+   * @param {Array} [details.args] - Custom error arguments
+   * @param {number} [details.panicCode] - Solidity panic code
+   * @param {string} [details.data] - Raw revert data
+   * @param {Error} [details.cause] - Original provider error
+   */
+  constructor(message, details = {}) {
+    super(message, details.cause ? { cause: details.cause } : undefined);
+    this.name = new.target.name;
+    this.reason = details.reason || null;
+    this.errorName = details.errorName || null;
+    this.args = details.args || [];
+    this.panicCode = details.panicCode ?? null;
+    this.data = details.data || null;
+  }
+}
+
+class ContractPanic extends ContractError {}
+class PortfolioAlreadyInitialized extends ContractError {}
+class PortfolioNotInitialized extends ContractError {}
+class PortfolioClosed extends ContractError {}
+class InvalidWeights extends ContractError {}
+class InsufficientAllowance extends ContractError {}
+class InsufficientBalance extends ContractError {}
+class LockAlreadyExists extends ContractError {}
+class LockNotFound extends ContractError {}
+class LockExpired extends ContractError {}
+class LockNotExpired extends ContractError {}
+class NoRewards extends ContractError {}
+
+const ERROR_TYPES = {
+  ContractPanic,
+  PortfolioAlreadyInitialized,
+  PortfolioNotInitialized,
+  PortfolioClosed,
+  InvalidWeights,
+  InsufficientAllowance,
+  InsufficientBalance,
+  LockAlreadyExists,
+  LockNotFound,
+  LockExpired,
+  LockNotExpired,
+  NoRewards
+};
+
+// Custom errors whose names differ from the type they map to; a custom error
+// named after a type (e.g. `error LockExpired()`) maps to it directly
+const CUSTOM_ERRORS = {
+  ERC20InsufficientAllowance: InsufficientAllowance,
+  ERC20InsufficientBalance: InsufficientBalance
+};
+
+// Revert reason strings, checked in order
+const REVERT_REASONS = [
+  [/portfolio has been initialized/i, PortfolioAlreadyInitialized],
+  [/portfolio not initialized/i, PortfolioNotInitialized],
+  [/portfolio is closed/i, PortfolioClosed],
+  [/invalid weights|weights must sum|INVALID_PORTFOLIO|INVALID_REBALANCE/i, InvalidWeights],
+  [/insufficient allowance/i, InsufficientAllowance],
+  [/transfer amount exceeds balance|insufficient balance/i, InsufficientBalance],
+  [/lock already exists/i, LockAlreadyExists],
+  [/^no lock$/i, LockNotFound],
+  [/lock not expired/i, LockNotExpired],
+  [/lock expired/i, LockExpired],
+  [/^no rewards$/i, NoRewards]
+];
+
+// Revert descriptions providers only put in the message
+const MESSAGE_PATTERNS = [
+  [/reverted with reason string '([^']*)'/, match => ({ errorName: 'Error', reason: match[1] })],
+  [/reverted with custom error '(\w+)\(/, match => ({ errorName: match[1] })],
+  [/reverted with panic code (0x[0-9a-f]+)/i, match => ({ errorName: 'Panic', panicCode: Number(match[1]) })],
+  [/execution reverted: "?([^"]+?)"?(?: \(|$)/, match => ({ errorName: 'Error', reason: match[1] })]
+];
+
+function toInterface(abi) {
+  return abi instanceof ethers.Interface ? abi : new ethers.Interface(abi);
+}
+
+// Providers nest the JSON-RPC error differently; search the usual places
+function findRevertData(error, depth = 0) {
+  if (!error || typeof error !== 'object' || depth > 4) return null;
+
+  const { data } = error;
+  if (typeof data === 'string' && /^0x[0-9a-f]{8}/i.test(data)) return data;
+  if (data && typeof data === 'object' && typeof data.data === 'string') return findRevertData(data, depth + 1);
+
+  for (const key of ['error', 'info', 'cause']) {
+    const found = findRevertData(error[key], depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+function decodeRevertData(data, abis) {
+  const selector = data.slice(0, 10).toLowerCase();
+  const payload = ethers.dataSlice(data, 4);
+  try {
+    if (selector === ERROR_STRING_SELECTOR) {
+      const [reason] = ethers.AbiCoder.defaultAbiCoder().decode(['string'], payload);
+      return { errorName: 'Error', reason, data };
+    }
+    if (selector === PANIC_SELECTOR) {
+      const [code] = ethers.AbiCoder.defaultAbiCoder().decode(['uint256'], payload);
+      return { errorName: 'Panic', panicCode: Number(code), data };
+    }
+  } catch (error) {
+    return null;
+  }
+
+  for (const abi of [...abis, COMMON_ERROR_ABI]) {
+    const parsed = toInterface(abi).parseError(data);
+    if (parsed) {
+      return { errorName: parsed.name, args: [...parsed.args], data };
+    }
+  }
+  return { errorName: null, data };
+}
+
+/**
+ * Extract the revert from a provider or contract error
+ * @param {Error} error - Error thrown by a call, estimateGas or a transaction
+ * @param {Array} [abis] - Contract ABIs (or ethers Interfaces) declaring custom errors
+ * @returns {Object|null} { errorName, reason, args, panicCode, data }, or null when the error is not a revert
+ */
+function decodeRevert(error, abis = []) {
+  if (!error) return null;
+
+  const data = findRevertData(error);
+  if (data) {
+    const decoded = decodeRevertData(data, abis);
+    if (decoded && decoded.errorName) return decoded;
+  }
+
+  // ethers decodes errors declared in the contract's own ABI
+  if (error.revert && error.revert.name) {
+    const { name, args } = error.revert;
+    if (name === 'Error') return { errorName: 'Error', reason: args[0], data };
+    if (name === 'Panic') return { errorName: 'Panic', panicCode: Number(args[0]), data };
+    return { errorName: name, args: [...args], data };
+  }
+  if (error.code === 'CALL_EXCEPTION' && error.reason) {
+    return { errorName: 'Error', reason: error.reason, data };
+  }
+
+  const message = String(error.message || '');
+  for (const [pattern, describe] of MESSAGE_PATTERNS) {
+    const match = message.match(pattern);
+    if (match) return { ...describe(match), data };
+  }
+
+  // A revert without reason or with an error none of the ABIs declare
+  return data || error.code === 'CALL_EXCEPTION' ? { errorName: null, data } : null;
+}
+
+function classify({ errorName, reason }) {
+  if (errorName === 'Panic') return ContractPanic;
+  if (errorName && errorName !== 'Error') {
+    return CUSTOM_ERRORS[errorName] || ERROR_TYPES[errorName] || ContractError;
+  }
+  const entry = reason && REVERT_REASONS.find(([pattern]) => pattern.test(reason));
+  return entry ? entry[1] : ContractError;
+}
+
+function describeRevert({ errorName, reason, panicCode }) {
+  if (errorName === 'Panic') return `Panic 0x${panicCode.toString(16)}: ${PANIC_CODES[panicCode] || 'unknown panic code'}`;
+  if (reason) return reason;
+  if (errorName && errorName !== 'Error') return `Reverted with ${errorName}`;
+  return 'Reverted without a reason';
+}
+
+/**
+ * Convert a revert into its typed ContractError. Errors that are not reverts
+ * (network failures, insufficient gas funds, ...) are returned unchanged.
+ * @param {Error} error - Error thrown by a contract interaction
+ * @param {Array} [abis] - Contract ABIs declaring custom errors
+ * @returns {Error}
+ */
+function toContractError(error, abis = []) {
+  if (error instanceof ContractError) return error;
+
+  const decoded = decodeRevert(error, abis);
+  if (!decoded) return error;
+
+  const Type = classify(decoded);
+  return new Type(describeRevert(decoded), { ...decoded, cause: error });
+}
+
+module.exports = {
+  PANIC_CODES,
+  ContractError,
+  ...ERROR_TYPES,
+  decodeRevert,
+  toContractError
+};
@@ -233,10 +233,42 @@ function detectAnomalies(currentData, previousData = null) {
   return anomalies;
 }
 
+/**
+ * Detect sources whose quote deviates from a reference price
+ * @param {Array} quotes Source quotes with source and price
+ * @param {number} reference Reference price, e.g. the median of all quotes
+ * @param {number} tolerancePercent Largest accepted deviation
+ * @returns {Object} Anomaly report
+ */
+function detectSourceDeviations(quotes, reference, tolerancePercent) {
+  const anomalies = {
+    detected: false,
+    details: []
+  };
+
+  for (const quote of quotes) {
+    const deviationPercent = (quote.price - reference) / reference * 100;
+
+    if (Math.abs(deviationPercent) > tolerancePercent) {
+      anomalies.detected = true;
+      anomalies.details.push({
+        source: quote.source,
+        type: 'source_deviation',
+        price: quote.price,
+        reference,
+        deviationPercent
+      });
+    }
+  }
+
+  return anomalies;
+}
+
 module.exports = {
   validatePriceData,
   validateIndicators,
   validateMarketData,
   detectAnomalies,
+  detectSourceDeviations,
   validateNumber
 };
\ No newline at end of file
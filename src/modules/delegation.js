@@ -0,0 +1,417 @@
+/**
+ * Delegation
+ * Lets a bot delegate PLN to other users' portfolios, as described in the
+ * whitepaper's Delegation section: the delegator's stake follows the
+ * delegate's portfolio, and the delegate keeps a share of the gains (20%,
+ * subject to governance) while losses are borne by the delegator in full.
+ *
+ * Candidates are ranked on reputation computed locally with the whitepaper
+ * formula, reputation = Π (1 + R(t) - Rm(t)), from periodic readings of
+ * their portfolio value per PLN deposited against the market benchmark.
+ * Positions, their entry value and realized P&L are kept in a JSON ledger
+ * per bot in data/delegation/, next to the candidate readings. The DAO
+ * delegates and undelegates principal, so a position's gains and losses are
+ * booked as realized P&L in the ledger rather than withdrawn.
+ */
+const path = require('path');
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const { PortfolioStateReader } = require('./portfolio-state-reader');
+const { botLedgerFile, readLedger, sendAndConfirm, toWei, writeLedger } = require('./bot-ledger');
+const { benchmark } = require('./pollen-benchmark');
+const { reputationTracker } = require('../../web-interface/server/analytics/reputation-tracker');
+
+const DEFAULT_STORE_DIR = path.resolve(__dirname, '../../data/delegation');
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Share of a delegate's gains kept by the delegate
+const DELEGATE_SHARE = 0.2;
+
+const DELEGATION_ABI = [
+  'function delegatePollen(address[] delegates, uint256[] amounts, bool tokenType)',
+  'function undelegate(address[] delegates, uint256[] amounts, bool tokenType)'
+];
+
+const PLN_ABI = [
+  'function balanceOf(address) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)'
+];
+
+const DEFAULT_POLICY = {
+  maxPerDelegate: '100', // PLN delegated to one delegate at most
+  maxTotal: '300', // PLN delegated across all delegates at most
+  maxDelegates: 3,
+  minReputation: 1, // 1 tracks the benchmark; lower means the delegate trailed it
+  minReadings: 3, // Readings of a candidate before it can be ranked
+  readingInterval: MS_PER_DAY, // Candidates are read at most this often
+  minAmount: '1', // Smaller top-ups are not worth the gas
+  rebalanceInterval: 7 * MS_PER_DAY,
+  candidates: [] // Addresses to consider besides the portfolios found by the event indexer
+};
+
+const MAX_READINGS = 500;
+
+/**
+ * Whitepaper reputation over consecutive readings of a portfolio, scored by
+ * the ReputationTracker from the returns between readings
+ * @param {Array<{valueIndex: number, benchmarkValue: number|null}>} readings - Oldest first
+ * @returns {number}
+ */
+function calculateReputation(readings) {
+  return reputationTracker.calculateReputation(readings.slice(1).map((current, i) => {
+    const previous = readings[i];
+    return {
+      portfolioReturn: current.valueIndex / previous.valueIndex - 1,
+      benchmarkReturn: previous.benchmarkValue > 0 && current.benchmarkValue > 0
+        ? current.benchmarkValue / previous.benchmarkValue - 1
+        : 0
+    };
+  }));
+}
+
+/**
+ * Delegator's share of a position's result: gains are shared with the
+ * delegate, losses are not
+ * @param {number} gain - Gross gain in PLN, negative for a loss
+ * @param {number} [delegateShare]
+ */
+function netOfDelegateShare(gain, delegateShare = DELEGATE_SHARE) {
+  return gain > 0 ? gain * (1 - delegateShare) : gain;
+}
+
+/**
+ * Delegations that bring current positions in line with the policy.
+ * Delegates that dropped out of the ranking are undelegated in full; the
+ * freed principal goes to the best-ranked delegates first.
+ * @param {Object} params
+ * @param {Object[]} params.ranked - Eligible candidates, best first
+ * @param {Object[]} params.positions - Current positions with principal in PLN
+ * @param {Object} params.policy - Normalized policy
+ * @param {number} params.available - Undelegated PLN the bot can spend
+ * @returns {{undelegate: Object[], delegate: Object[]}} Amounts in PLN
+ */
+function planDelegations({ ranked, positions, policy, available }) {
+  const targets = ranked.slice(0, policy.maxDelegates).map(candidate => candidate.address.toLowerCase());
+  const undelegate = positions
+    .filter(position => !targets.includes(position.delegate.toLowerCase()))
+    .map(position => ({ delegate: position.delegate, amount: position.principal, reason: 'no longer ranked' }));
+
+  const kept = positions.filter(position => targets.includes(position.delegate.toLowerCase()));
+  let budget = Math.min(
+    available + undelegate.reduce((sum, item) => sum + item.amount, 0),
+    policy.maxTotal - kept.reduce((sum, position) => sum + position.principal, 0)
+  );
+
+  const delegate = [];
+  for (const address of targets) {
+    const held = kept.find(position => position.delegate.toLowerCase() === address);
+    const amount = Math.min(policy.maxPerDelegate - (held ? held.principal : 0), budget);
+    if (amount >= policy.minAmount) {
+      delegate.push({ delegate: ranked.find(candidate => candidate.address.toLowerCase() === address).address, amount });
+      budget -= amount;
+    }
+  }
+
+  return { undelegate, delegate };
+}
+
+/**
+ * Fill policy defaults and convert PLN amounts to numbers
+ * @param {Object} [policy] - Partial policy, e.g. a bot's "delegation" entry
+ */
+function normalizePolicy(policy = {}) {
+  const merged = { ...DEFAULT_POLICY, ...policy };
+  const normalized = {
+    ...merged,
+    maxPerDelegate: Number(merged.maxPerDelegate),
+    maxTotal: Number(merged.maxTotal),
+    minAmount: Number(merged.minAmount),
+    candidates: merged.candidates.map(address => ethers.getAddress(address))
+  };
+  ['maxPerDelegate', 'maxTotal', 'minAmount', 'minReputation', 'readingInterval', 'rebalanceInterval'].forEach(field => {
+    if (!Number.isFinite(normalized[field]) || normalized[field] < 0) {
+      throw new Error(`Delegation policy ${field} must be a non-negative number`);
+    }
+  });
+  if (!Number.isInteger(normalized.maxDelegates) || normalized.maxDelegates < 1) {
+    throw new Error('Delegation policy maxDelegates must be a positive integer');
+  }
+  return normalized;
+}
+
+class DelegationManager {
+  /**
+   * @param {ethers.Signer} wallet - Delegating wallet
+   * @param {Object} options
+   * @param {Object} options.contracts - pollenDAO and plnToken addresses
+   * @param {Object} [options.policy] - See DEFAULT_POLICY
+   * @param {number|string} [options.botId] - Names the ledger file
+   * @param {PortfolioStateReader} [options.reader] - Reads candidate portfolios
+   * @param {EventIndexer} [options.indexer] - Finds candidate portfolios from PortfolioCreated events
+   * @param {Function} [options.getBenchmarkValue] - Current benchmark value, the recorded benchmark series by default
+   * @param {Object} [options.transactions] - TransactionManager options for the wallet
+   * @param {string|null} [options.storeDir] - Ledger directory, null keeps the ledger in memory
+   * @param {number} [options.delegateShare] - Share of gains kept by delegates
+   * @param {Function} [options.now] - Clock in ms
+   */
+  constructor(wallet, options = {}) {
+    this.wallet = wallet;
+    this.contracts = options.contracts;
+    this.policy = normalizePolicy(options.policy);
+    this.botId = options.botId;
+    this.reader = options.reader || new PortfolioStateReader(wallet.provider, this.contracts.pollenDAO);
+    this.indexer = options.indexer || null;
+    this.getBenchmarkValue = options.getBenchmarkValue || (() => {
+      const { points } = benchmark.getSeries();
+      return points.length > 0 ? points[points.length - 1].value : null;
+    });
+    this.transactionOptions = options.transactions || {};
+    this.storeDir = options.storeDir === undefined ? DEFAULT_STORE_DIR : options.storeDir;
+    this.delegateShare = options.delegateShare === undefined ? DELEGATE_SHARE : options.delegateShare;
+    this.now = options.now || Date.now;
+    this.dao = new ethers.Contract(this.contracts.pollenDAO, DELEGATION_ABI, wallet);
+    this.pln = new ethers.Contract(this.contracts.plnToken, PLN_ABI, wallet);
+    this.state = null;
+  }
+
+  get ledgerFile() {
+    return botLedgerFile(this.storeDir, this.botId, this.wallet);
+  }
+
+  load() {
+    if (!this.state) {
+      this.state = readLedger(this.ledgerFile, { positions: {}, candidates: {}, realizedPnl: 0, lastRebalanceAt: null });
+    }
+    return this.state;
+  }
+
+  save() {
+    writeLedger(this.ledgerFile, this.state);
+  }
+
+  /**
+   * Candidate addresses: the policy's list and every portfolio owner the event index knows
+   */
+  async discoverCandidates() {
+    const addresses = new Set(this.policy.candidates);
+    if (this.indexer) {
+      const created = await this.indexer.getEvents({ contract: 'pollenDAO', eventName: 'PortfolioCreated' });
+      created.forEach(event => addresses.add(ethers.getAddress(event.account)));
+    }
+    addresses.delete(ethers.getAddress(this.wallet.address));
+    return [...addresses];
+  }
+
+  /**
+   * Read a candidate's portfolio and record its value per PLN deposited
+   * @param {string} address - Portfolio owner
+   * @returns {Promise<Object|null>} The candidate, or null without an open portfolio
+   */
+  async observe(address) {
+    const snapshot = await this.reader.read(address);
+    if (!snapshot.exists || !snapshot.isOpen || snapshot.depositPLN === 0n) {
+      return null;
+    }
+
+    const state = this.load();
+    const key = address.toLowerCase();
+    const candidate = state.candidates[key] || { address, readings: [] };
+    const valueIndex = Number(snapshot.totalValue + snapshot.withdrawn) / Number(snapshot.depositPLN);
+    candidate.readings = [
+      ...candidate.readings,
+      { timestamp: this.now(), valueIndex, benchmarkValue: this.getBenchmarkValue() }
+    ].slice(-MAX_READINGS);
+    state.candidates[key] = candidate;
+    return this.describeCandidate(candidate);
+  }
+
+  describeCandidate(candidate) {
+    const latest = candidate.readings[candidate.readings.length - 1];
+    return {
+      address: candidate.address,
+      reputation: calculateReputation(candidate.readings),
+      return: latest.valueIndex - 1,
+      valueIndex: latest.valueIndex,
+      readings: candidate.readings.length,
+      observedAt: latest.timestamp
+    };
+  }
+
+  /**
+   * Read the candidates not read within the reading interval and rank the
+   * eligible ones by reputation, then return
+   * @returns {Promise<Object[]>} Best first
+   */
+  async rankCandidates() {
+    const state = this.load();
+    const ranked = [];
+    for (const address of await this.discoverCandidates()) {
+      try {
+        const known = state.candidates[address.toLowerCase()];
+        const fresh = known && this.now() - known.readings[known.readings.length - 1].timestamp < this.policy.readingInterval;
+        const candidate = fresh ? this.describeCandidate(known) : await this.observe(address);
+        if (candidate && candidate.readings >= this.policy.minReadings && candidate.reputation >= this.policy.minReputation) {
+          ranked.push(candidate);
+        }
+      } catch (error) {
+        logger.warn(`Could not read delegate candidate ${address}: ${error.message}`);
+      }
+    }
+    this.save();
+    return ranked.sort((a, b) => b.reputation - a.reputation || b.return - a.return);
+  }
+
+  /**
+   * Delegated positions valued at each delegate's latest reading, amounts in PLN
+   */
+  getPositions() {
+    const state = this.load();
+    return Object.values(state.positions).map(position => {
+      const candidate = state.candidates[position.delegate.toLowerCase()];
+      const valueIndex = candidate ? candidate.readings[candidate.readings.length - 1].valueIndex : position.entryIndex;
+      const gross = position.units * valueIndex;
+      const pnl = netOfDelegateShare(gross - position.principal, this.delegateShare);
+      return {
+        delegate: position.delegate,
+        principal: position.principal,
+        value: position.principal + pnl,
+        pnl,
+        delegatedAt: position.delegatedAt,
+        txHashes: position.txHashes
+      };
+    });
+  }
+
+  /**
+   * Positions and realized P&L, amounts in PLN
+   */
+  getSummary() {
+    const positions = this.getPositions();
+    return {
+      positions,
+      principal: positions.reduce((sum, position) => sum + position.principal, 0),
+      unrealizedPnl: positions.reduce((sum, position) => sum + position.pnl, 0),
+      realizedPnl: this.load().realizedPnl,
+      lastRebalanceAt: this.load().lastRebalanceAt
+    };
+  }
+
+  send(request, label) {
+    return sendAndConfirm(this.wallet, this.transactionOptions, request, label, 'delegation');
+  }
+
+  /**
+   * Delegate PLN to a delegate's portfolio through the DAO
+   * @param {string} delegate - Portfolio owner
+   * @param {number|string} amount - PLN
+   */
+  async delegate(delegate, amount) {
+    const address = ethers.getAddress(delegate);
+    const wei = toWei(amount);
+    const state = this.load();
+    const candidate = state.candidates[address.toLowerCase()];
+    if (!candidate) {
+      throw new Error(`Delegate ${address} has not been observed yet`);
+    }
+
+    const allowance = await this.pln.allowance(this.wallet.address, this.contracts.pollenDAO);
+    if (allowance < wei) {
+      await this.send(await this.pln.approve.populateTransaction(this.contracts.pollenDAO, wei), `Delegation approval for ${address}`);
+    }
+    const receipt = await this.send(
+      await this.dao.delegatePollen.populateTransaction([address], [wei], false),
+      `Delegation of ${amount} PLN to ${address}`
+    );
+
+    // Units of the delegate's value index, so later readings value the position
+    const entryIndex = candidate.readings[candidate.readings.length - 1].valueIndex;
+    const position = state.positions[address.toLowerCase()] || { delegate: address, principal: 0, units: 0, delegatedAt: this.now(), txHashes: [] };
+    position.principal += Number(amount);
+    position.units += Number(amount) / entryIndex;
+    position.entryIndex = entryIndex;
+    position.txHashes.push(receipt.hash);
+    state.positions[address.toLowerCase()] = position;
+    this.save();
+    return receipt;
+  }
+
+  /**
+   * Withdraw delegated principal from a delegate's portfolio and realize the
+   * P&L of the withdrawn share
+   * @param {string} delegate - Portfolio owner
+   * @param {number|string} [amount] - Principal in PLN, the whole position by default
+   */
+  async undelegate(delegate, amount = null) {
+    const address = ethers.getAddress(delegate);
+    const position = this.getPositions().find(item => item.delegate.toLowerCase() === address.toLowerCase());
+    if (!position) {
+      throw new Error(`No delegation to ${address}`);
+    }
+    const withdrawn = amount === null ? position.principal : Math.min(Number(amount), position.principal);
+
+    const receipt = await this.send(
+      await this.dao.undelegate.populateTransaction([address], [toWei(withdrawn)], false),
+      `Undelegation of ${withdrawn.toFixed(4)} PLN from ${address}`
+    );
+
+    const state = this.load();
+    const stored = state.positions[address.toLowerCase()];
+    const fraction = position.principal > 0 ? withdrawn / position.principal : 1;
+    state.realizedPnl += position.pnl * fraction;
+    if (fraction >= 1 - 1e-9) {
+      delete state.positions[address.toLowerCase()];
+    } else {
+      stored.principal *= 1 - fraction;
+      stored.units *= 1 - fraction;
+      stored.txHashes.push(receipt.hash);
+    }
+    this.save();
+    return receipt;
+  }
+
+  /**
+   * Apply the policy. Candidates are read on every call, within the reading
+   * interval; once per rebalance interval the bot leaves delegates that
+   * dropped out of the ranking and tops up the best-ranked ones.
+   * @returns {Promise<Object|null>} The executed plan, or null when not due yet
+   */
+  async rebalance() {
+    const ranked = await this.rankCandidates();
+    const state = this.load();
+    if (state.lastRebalanceAt && this.now() - state.lastRebalanceAt < this.policy.rebalanceInterval) {
+      return null;
+    }
+
+    const balance = Number(ethers.formatEther(await this.pln.balanceOf(this.wallet.address)));
+    const plan = planDelegations({ ranked, positions: this.getPositions(), policy: this.policy, available: balance });
+
+    for (const { delegate, amount, reason } of plan.undelegate) {
+      logger.info(`↩️ Undelegating from ${delegate}: ${reason}`);
+      await this.undelegate(delegate, amount);
+    }
+    for (const { delegate, amount } of plan.delegate) {
+      logger.info(`🤝 Delegating ${amount} PLN to ${delegate}`);
+      await this.delegate(delegate, amount);
+    }
+
+    // Until a candidate qualifies, keep checking on every call
+    if (ranked.length > 0 || plan.undelegate.length > 0) {
+      state.lastRebalanceAt = this.now();
+      this.save();
+    }
+    return plan;
+  }
+}
+
+module.exports = {
+  DEFAULT_STORE_DIR,
+  DEFAULT_POLICY,
+  DELEGATE_SHARE,
+  DELEGATION_ABI,
+  DelegationManager,
+  calculateReputation,
+  netOfDelegateShare,
+  normalizePolicy,
+  planDelegations
+};
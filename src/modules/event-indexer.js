@@ -0,0 +1,546 @@
+/**
+ * Event Indexer
+ * Backfills PollenDAO, vePLN and Leagues logs in chunked block ranges and
+ * keeps them in SQLite together with a per-contract checkpoint (last indexed
+ * block and its hash). When the checkpointed block hash no longer matches the
+ * chain, the last blocks are dropped and indexed again, which covers the
+ * shallow reorgs of an L2. Query helpers answer the questions the bots and
+ * scripts used to answer by scanning logs themselves.
+ */
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const logger = require('./logger');
+
+const DEFAULT_DB_PATH = path.resolve(__dirname, '../../data/indexer/events.db');
+
+const EVENT_ABIS = {
+  pollenDAO: [
+    'event PortfolioCreated(address indexed user, address indexed token, uint256 amount, uint256[] weights, bool[] isShort, bool tokenType)',
+    'event PortfolioRebalanced(address indexed user, uint256[] weights, bool[] isShort, uint256 benchmarkRef)',
+    'event Deposited(address indexed user, address indexed recipient, uint256 amount)',
+    'event Withdrawn(address indexed user, address indexed recipient, uint256 amount)',
+    // Governance, see contracts/interfaces/IPollenDAO.sol
+    'event ProposalCreated(uint256 indexed proposalId, address indexed proposer, address[] targets, uint256[] values, string[] signatures, bytes[] calldatas, uint256 startBlock, uint256 endBlock, string description)',
+    'event ProposalExecuted(uint256 indexed proposalId)',
+    'event VoteCast(address indexed voter, uint256 indexed proposalId, uint8 support, uint256 weight)'
+  ],
+  vePLN: [
+    'event Locked(address indexed account, uint256 amount, uint256 lockEnd)',
+    'event LockIncreased(address indexed account, uint256 amount)',
+    'event LockExtended(address indexed account, uint256 lockEnd)',
+    'event Unlocked(address indexed account, uint256 amount, uint256 rewards)',
+    'event RewardsClaimed(address indexed account, uint256 amount)'
+  ],
+  // The Leagues ABI is not published; its logs are kept undecoded (event_name NULL)
+  leagues: []
+};
+
+const DEFAULT_OPTIONS = {
+  startBlock: null, // The PollenDAO deployment block; unknown indexes from the head on
+  chunkSize: 2000, // Most public RPCs cap eth_getLogs at a few thousand blocks
+  reorgDepth: 12, // Blocks indexed again when the checkpoint is no longer canonical
+  intervalMs: 60000
+};
+
+// Decoded arguments as JSON: bigints as decimal strings, Results as arrays
+function toJson(value) {
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return [...value].map(toJson);
+  return value;
+}
+
+class EventIndexer extends EventEmitter {
+  /**
+   * @param {ethers.Provider} provider - Network provider
+   * @param {Object} options
+   * @param {Object} options.contracts - pollenDAO, vePLN and leagues addresses; missing ones are skipped
+   * @param {sqlite3.Database} [options.db] - Database handle, opened from options.dbPath otherwise
+   * @param {string} [options.dbPath] - Defaults to data/indexer/events.db
+   * @param {number|null} [options.startBlock] - First block to backfill, the network's deployBlock; null skips the backfill
+   * @param {number} [options.chunkSize] - Blocks per eth_getLogs request
+   * @param {number} [options.reorgDepth] - Blocks to rewind on a reorg
+   */
+  constructor(provider, options = {}) {
+    super();
+    this.provider = provider;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.db = options.db || null;
+    this.ownsDb = !options.db;
+    this.tablesReady = null;
+    this.storedDecoded = false;
+    this.syncing = null;
+    this.timer = null;
+    this.chainId = null;
+
+    this.sources = Object.entries(EVENT_ABIS)
+      .filter(([name]) => options.contracts && options.contracts[name])
+      .map(([name, abi]) => ({
+        name,
+        address: ethers.getAddress(options.contracts[name]),
+        iface: new ethers.Interface(abi)
+      }));
+  }
+
+  getDb() {
+    if (!this.db) {
+      // Native module, only loaded when the indexer opens its own database
+      const sqlite3 = require('sqlite3');
+      const dbPath = this.options.dbPath || DEFAULT_DB_PATH;
+      fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+      this.db = new sqlite3.Database(dbPath);
+    }
+    return this.db;
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.getDb().run(sql, params, function (err) {
+        if (err) return reject(err);
+        resolve(this);
+      });
+    });
+  }
+
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.getDb().get(sql, params, (err, row) => err ? reject(err) : resolve(row || null));
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.getDb().all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+    });
+  }
+
+  initializeTables() {
+    if (!this.tablesReady) {
+      this.tablesReady = new Promise((resolve, reject) => {
+        this.getDb().exec(`
+          CREATE TABLE IF NOT EXISTS chain_events (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            chain_id INTEGER NOT NULL,
+            contract TEXT NOT NULL,
+            address TEXT NOT NULL,
+            event_name TEXT,
+            account TEXT,
+            args TEXT,
+            topics TEXT NOT NULL,
+            data TEXT NOT NULL,
+            block_number INTEGER NOT NULL,
+            block_hash TEXT NOT NULL,
+            tx_hash TEXT NOT NULL,
+            log_index INTEGER NOT NULL,
+            UNIQUE (chain_id, tx_hash, log_index)
+          );
+
+          CREATE INDEX IF NOT EXISTS idx_chain_events_account
+            ON chain_events(chain_id, contract, account, event_name, block_number);
+
+          CREATE INDEX IF NOT EXISTS idx_chain_events_block
+            ON chain_events(chain_id, address, block_number);
+
+          CREATE TABLE IF NOT EXISTS indexer_checkpoints (
+            chain_id INTEGER NOT NULL,
+            address TEXT NOT NULL,
+            block_number INTEGER NOT NULL,
+            block_hash TEXT NOT NULL,
+            updated_at TIMESTAMP NOT NULL,
+            PRIMARY KEY (chain_id, address)
+          );
+        `, (err) => {
+          if (err) {
+            this.tablesReady = null;
+            return reject(err);
+          }
+          resolve();
+        });
+      });
+    }
+    return this.tablesReady;
+  }
+
+  async getChainId() {
+    if (this.chainId === null) {
+      const network = await this.provider.getNetwork();
+      this.chainId = Number(network.chainId);
+    }
+    return this.chainId;
+  }
+
+  /**
+   * Index every configured contract up to the current head
+   * @returns {Promise<{head: number, indexed: number}>} Head block and number of new logs
+   */
+  sync() {
+    if (!this.syncing) {
+      this.syncing = (async () => {
+        await this.initializeTables();
+        if (!this.storedDecoded) {
+          await this.decodeStored();
+          this.storedDecoded = true;
+        }
+        const head = await this.provider.getBlockNumber();
+        let indexed = 0;
+        for (const source of this.sources) {
+          indexed += await this.syncSource(source, head);
+        }
+        this.emit('synced', { head, indexed });
+        return { head, indexed };
+      })().finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  /**
+   * Sync in the background until stop()
+   * @param {number} [intervalMs]
+   */
+  start(intervalMs = this.options.intervalMs) {
+    if (this.timer) return;
+    const tick = () => this.sync().catch(error => {
+      logger.warn(`⚠️ Event indexer sync failed: ${error.message}`);
+    });
+    tick();
+    this.timer = setInterval(tick, intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async close() {
+    this.stop();
+    if (this.syncing) {
+      await this.syncing.catch(() => {});
+    }
+    if (this.db && this.ownsDb) {
+      await new Promise(resolve => this.db.close(() => resolve()));
+      this.db = null;
+      this.tablesReady = null;
+    }
+  }
+
+  async getCheckpoint(address) {
+    return this.get(
+      'SELECT block_number, block_hash FROM indexer_checkpoints WHERE chain_id = ? AND address = ?',
+      [await this.getChainId(), address]
+    );
+  }
+
+  async syncSource(source, head) {
+    let checkpoint = await this.getCheckpoint(source.address);
+    if (checkpoint) {
+      checkpoint = await this.handleReorg(source, checkpoint);
+    }
+
+    let fromBlock = checkpoint ? checkpoint.block_number + 1 : this.options.startBlock;
+    if (fromBlock === null) {
+      // Scanning from genesis would take a getLogs and a getBlock per chunk of the whole chain
+      logger.warn(`No start block for the ${source.name} index, indexing from block ${head} on; set INDEXER_START_BLOCK to backfill`);
+      fromBlock = head;
+    }
+    let chunkSize = this.options.chunkSize;
+    let indexed = 0;
+
+    while (fromBlock <= head) {
+      const toBlock = Math.min(fromBlock + chunkSize - 1, head);
+      let logs;
+      try {
+        logs = await this.provider.getLogs({ address: source.address, fromBlock, toBlock });
+      } catch (error) {
+        // RPCs reject ranges with too many results; retry with smaller chunks
+        if (chunkSize > 1) {
+          chunkSize = Math.ceil(chunkSize / 2);
+          continue;
+        }
+        throw error;
+      }
+
+      const block = await this.provider.getBlock(toBlock);
+      await this.store(source, logs, { blockNumber: toBlock, blockHash: block.hash });
+      indexed += logs.length;
+      fromBlock = toBlock + 1;
+    }
+
+    if (indexed > 0) {
+      logger.info(`📚 Indexed ${indexed} ${source.name} events up to block ${head}`);
+    }
+    return indexed;
+  }
+
+  // Drop the last reorgDepth blocks when the checkpoint fell off the canonical chain
+  async handleReorg(source, checkpoint) {
+    const block = await this.provider.getBlock(checkpoint.block_number);
+    if (block && block.hash === checkpoint.block_hash) {
+      return checkpoint;
+    }
+
+    const chainId = await this.getChainId();
+    const rewindTo = checkpoint.block_number - this.options.reorgDepth;
+    logger.warn(`⚠️ Reorg detected at block ${checkpoint.block_number} for ${source.name}, re-indexing from block ${rewindTo + 1}`);
+
+    await this.run('DELETE FROM chain_events WHERE chain_id = ? AND address = ? AND block_number > ?', [chainId, source.address, rewindTo]);
+    this.emit('reorg', { contract: source.name, blockNumber: checkpoint.block_number, rewindTo });
+
+    if (rewindTo < this.options.startBlock) {
+      await this.run('DELETE FROM indexer_checkpoints WHERE chain_id = ? AND address = ?', [chainId, source.address]);
+      return null;
+    }
+
+    const rewound = await this.provider.getBlock(rewindTo);
+    await this.saveCheckpoint(source.address, { blockNumber: rewindTo, blockHash: rewound.hash });
+    return { block_number: rewindTo, block_hash: rewound.hash };
+  }
+
+  async saveCheckpoint(address, { blockNumber, blockHash }) {
+    await this.run(
+      `INSERT INTO indexer_checkpoints (chain_id, address, block_number, block_hash, updated_at)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT (chain_id, address) DO UPDATE SET
+         block_number = excluded.block_number,
+         block_hash = excluded.block_hash,
+         updated_at = excluded.updated_at`,
+      [await this.getChainId(), address, blockNumber, blockHash, new Date().toISOString()]
+    );
+  }
+
+  decode(source, log) {
+    let parsed = null;
+    try {
+      parsed = source.iface.parseLog({ topics: [...log.topics], data: log.data });
+    } catch (error) {
+      parsed = null;
+    }
+    if (!parsed) {
+      return { eventName: null, account: null, args: null };
+    }
+
+    const args = Object.fromEntries(parsed.fragment.inputs.map((input, index) => [input.name, toJson(parsed.args[index])]));
+    // The first indexed address is the user or account the event is about
+    const accountInput = parsed.fragment.inputs.find(input => input.indexed && input.type === 'address');
+    return {
+      eventName: parsed.name,
+      account: accountInput ? args[accountInput.name].toLowerCase() : null,
+      args
+    };
+  }
+
+  /**
+   * Decode stored logs that were indexed before their event was added to
+   * EVENT_ABIS; the checkpoint has moved past them, so they are not fetched again
+   * @returns {Promise<number>} Logs decoded
+   */
+  async decodeStored() {
+    const chainId = await this.getChainId();
+    let decoded = 0;
+    for (const source of this.sources.filter(item => item.iface.fragments.length > 0)) {
+      const rows = await this.all(
+        'SELECT id, topics, data FROM chain_events WHERE chain_id = ? AND address = ? AND event_name IS NULL',
+        [chainId, source.address]
+      );
+      for (const row of rows) {
+        const { eventName, account, args } = this.decode(source, { topics: JSON.parse(row.topics), data: row.data });
+        if (eventName) {
+          await this.run('UPDATE chain_events SET event_name = ?, account = ?, args = ? WHERE id = ?',
+            [eventName, account, JSON.stringify(args), row.id]);
+          decoded++;
+        }
+      }
+    }
+    if (decoded > 0) {
+      logger.info(`🔎 Decoded ${decoded} indexed logs of newly known events`);
+    }
+    return decoded;
+  }
+
+  // Logs and checkpoint of one chunk are written atomically
+  async store(source, logs, checkpoint) {
+    const chainId = await this.getChainId();
+    await this.run('BEGIN');
+    try {
+      for (const log of logs) {
+        if (log.removed) continue;
+        const { eventName, account, args } = this.decode(source, log);
+        const event = { contract: source.name, eventName, account, args, blockNumber: log.blockNumber, txHash: log.transactionHash };
+        const result = await this.run(
+          `INSERT OR IGNORE INTO chain_events (
+            chain_id, contract, address, event_name, account, args, topics, data,
+            block_number, block_hash, tx_hash, log_index
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [chainId, source.name, source.address, eventName, account, args ? JSON.stringify(args) : null,
+            JSON.stringify(log.topics), log.data, log.blockNumber, log.blockHash, log.transactionHash, log.index ?? log.logIndex]
+        );
+        if (result.changes > 0) {
+          this.emit('event', event);
+        }
+      }
+      await this.saveCheckpoint(source.address, checkpoint);
+      await this.run('COMMIT');
+    } catch (error) {
+      await this.run('ROLLBACK').catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Indexed events, oldest first
+   * @param {Object} [filter]
+   * @param {string} [filter.contract] - pollenDAO, vePLN or leagues
+   * @param {string} [filter.eventName]
+   * @param {string} [filter.account] - User or account address
+   * @param {number} [filter.fromBlock]
+   * @param {number} [filter.limit] - Only return the most recent events
+   * @returns {Promise<Object[]>}
+   */
+  async getEvents({ contract, eventName, account, fromBlock, limit } = {}) {
+    await this.initializeTables();
+    const conditions = ['chain_id = ?'];
+    const params = [await this.getChainId()];
+    if (contract) {
+      conditions.push('contract = ?');
+      params.push(contract);
+    }
+    if (eventName) {
+      conditions.push('event_name = ?');
+      params.push(eventName);
+    }
+    if (account) {
+      conditions.push('account = ?');
+      params.push(account.toLowerCase());
+    }
+    if (fromBlock !== undefined) {
+      conditions.push('block_number >= ?');
+      params.push(fromBlock);
+    }
+
+    const rows = await this.all(
+      `SELECT * FROM (
+        SELECT * FROM chain_events
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY block_number DESC, log_index DESC
+        LIMIT ?
+      ) ORDER BY block_number, log_index`,
+      [...params, limit > 0 ? limit : -1]
+    );
+    return rows.map(row => this.formatEvent(row));
+  }
+
+  /**
+   * The user's latest portfolio from its PortfolioCreated event, with the last rebalance
+   * @param {string} user - Portfolio owner
+   * @returns {Promise<Object|null>}
+   */
+  async getPortfolioForUser(user) {
+    const [created] = await this.getEvents({ contract: 'pollenDAO', eventName: 'PortfolioCreated', account: user, limit: 1 });
+    if (!created) return null;
+
+    const [lastRebalance] = await this.getEvents({
+      contract: 'pollenDAO', eventName: 'PortfolioRebalanced', account: user, fromBlock: created.blockNumber, limit: 1
+    });
+    const current = lastRebalance || created;
+    return {
+      user: created.args.user,
+      token: created.args.token,
+      amount: created.args.amount,
+      tokenType: created.args.tokenType,
+      weights: current.args.weights.map(Number),
+      isShort: current.args.isShort,
+      createdAt: { blockNumber: created.blockNumber, txHash: created.txHash },
+      lastRebalance: lastRebalance ? { blockNumber: lastRebalance.blockNumber, txHash: lastRebalance.txHash } : null
+    };
+  }
+
+  /**
+   * The PortfolioCreated event for a user in a transaction receipt, before the
+   * indexer has caught up with its block
+   * @param {Object} receipt - Transaction receipt
+   * @param {string} user - Portfolio owner
+   * @returns {Object|null} Decoded event arguments
+   */
+  findPortfolioCreated(receipt, user) {
+    const source = this.sources.find(({ name }) => name === 'pollenDAO');
+    if (!source) return null;
+
+    const event = receipt.logs
+      .filter(log => log.address.toLowerCase() === source.address.toLowerCase())
+      .map(log => this.decode(source, log))
+      .find(({ eventName, account }) => eventName === 'PortfolioCreated' && account === user.toLowerCase());
+    return event ? event.args : null;
+  }
+
+  /**
+   * PortfolioRebalanced events of a bot wallet, oldest first
+   * @param {string} user - Bot wallet address
+   * @param {number} [limit] - Only return the most recent rebalances
+   * @returns {Promise<Object[]>}
+   */
+  async getRebalancesForUser(user, limit) {
+    const events = await this.getEvents({ contract: 'pollenDAO', eventName: 'PortfolioRebalanced', account: user, limit });
+    return events.map(event => ({
+      weights: event.args.weights.map(Number),
+      isShort: event.args.isShort,
+      benchmarkRef: event.args.benchmarkRef,
+      blockNumber: event.blockNumber,
+      txHash: event.txHash
+    }));
+  }
+
+  /**
+   * vePLN lock history of a wallet and the lock it adds up to
+   * @param {string} account - Wallet address
+   * @returns {Promise<{account: string, amount: string, lockEnd: number, events: Object[]}>} amount in wei
+   */
+  async getLocksForWallet(account) {
+    const events = await this.getEvents({ contract: 'vePLN', account });
+    let amount = 0n;
+    let lockEnd = 0;
+
+    for (const { eventName, args } of events) {
+      if (eventName === 'Locked') {
+        amount = BigInt(args.amount);
+        lockEnd = Number(args.lockEnd);
+      } else if (eventName === 'LockIncreased') {
+        amount += BigInt(args.amount);
+      } else if (eventName === 'LockExtended') {
+        lockEnd = Number(args.lockEnd);
+      } else if (eventName === 'Unlocked') {
+        amount = 0n;
+        lockEnd = 0;
+      }
+    }
+
+    return { account: ethers.getAddress(account), amount: amount.toString(), lockEnd, events };
+  }
+
+  formatEvent(row) {
+    return {
+      contract: row.contract,
+      address: row.address,
+      eventName: row.event_name,
+      account: row.account,
+      args: row.args ? JSON.parse(row.args) : null,
+      topics: JSON.parse(row.topics),
+      data: row.data,
+      blockNumber: row.block_number,
+      blockHash: row.block_hash,
+      txHash: row.tx_hash,
+      logIndex: row.log_index
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_DB_PATH,
+  EVENT_ABIS,
+  EventIndexer,
+  toJson
+};
@@ -32,8 +32,10 @@ class GasOptimizer {
         'gwei'
       );
       
-      // Calculate max fee with buffer
-      const maxFeePerGas = baseFee * 2n + maxPriorityFeePerGas;
+      // Calculate max fee with buffer, up to the network's cap
+      const maxFeeCap = ethers.parseUnits(this.options.maxFeePerGasGwei.toString(), 'gwei');
+      const bufferedFee = baseFee * 2n + maxPriorityFeePerGas;
+      const maxFeePerGas = bufferedFee < maxFeeCap ? bufferedFee : maxFeeCap;
       
       // Apply gas limit multiplier with ceiling
       const gasLimit = Math.ceil(Number(estimatedGas) * this.options.gasLimitMultiplier);
@@ -0,0 +1,433 @@
+/**
+ * Governance
+ * Watches PollenDAO proposals and votes on them from designated bot wallets.
+ *
+ * New proposals come from the ProposalCreated events the event indexer
+ * stores. Each action of a proposal is decoded into a readable call from the
+ * ABIs of the contracts the bots use (PollenDAO, vePLN, PLN), then matched
+ * against the rules of the voting policy in config/governance.json:
+ * - a rule matches a target contract, by name or address, and a function,
+ *   by name or signature; "*" matches any, and the first matching rule wins
+ * - actions no rule matches get the policy's defaultVote, abstain unless set
+ * - the proposal gets "against" when any action does, "for" when all of
+ *   them do, and "abstain" otherwise
+ * Votes are cast while the proposal is Active, by every voter bot that holds
+ * vePLN voting power. Decisions, their rationale and the votes cast are kept
+ * in data/governance/decisions.json, which the dashboard reads.
+ */
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const { readLedger, sendAndConfirm, writeLedger } = require('./bot-ledger');
+const { toJson } = require('./event-indexer');
+const { PLN_TOKEN_ABI, POLLEN_MAIN_CONTRACT_ABI } = require('./pollen-contract-abi');
+
+const DEFAULT_CONFIG_PATH = path.resolve(__dirname, '../../config/governance.json');
+const DEFAULT_STORE_DIR = path.resolve(__dirname, '../../data/governance');
+
+// contracts/interfaces/IPollenDAO.sol
+const GOVERNANCE_ABI = [
+  'event ProposalCreated(uint256 indexed proposalId, address indexed proposer, address[] targets, uint256[] values, string[] signatures, bytes[] calldatas, uint256 startBlock, uint256 endBlock, string description)',
+  'event ProposalExecuted(uint256 indexed proposalId)',
+  'event VoteCast(address indexed voter, uint256 indexed proposalId, uint8 support, uint256 weight)',
+  'function votingPeriod() view returns (uint256)',
+  'function quorum() view returns (uint256)',
+  'function proposalThreshold() view returns (uint256)',
+  'function proposalCount() view returns (uint256)',
+  'function getProposal(uint256 proposalId) view returns (address proposer, uint256 startBlock, uint256 endBlock, uint256 forVotes, uint256 againstVotes, bool executed)',
+  'function state(uint256 proposalId) view returns (uint8)',
+  'function castVote(uint256 proposalId, uint8 support)',
+  'function execute(uint256 proposalId)'
+];
+
+// Calls a proposal may make, by contract name as in the launcher's contract addresses
+const ACTION_ABIS = {
+  pollenDAO: [
+    ...GOVERNANCE_ABI.filter(item => item.startsWith('function')),
+    'function createPortfolio(uint256 amount, uint256[] weights, bool[] isShort, bool tokenType)',
+    'function depositPLN(uint256 amount, address recipient)',
+    'function rebalancePortfolio(uint256[] newWeights, bool[] newIsShort)',
+    'function withdraw(uint256 amount, address recipient)',
+    'function delegatePollen(address[] delegates, uint256[] amounts, bool tokenType)',
+    'function undelegate(address[] delegates, uint256[] amounts, bool tokenType)',
+    // contracts/interfaces/IProxyStorage.sol; the DAO is deployed behind a proxy
+    'function upgradeTo(address newImplementation)',
+    'function upgradeToAndCall(address newImplementation, bytes data)',
+    'function changeAdmin(address newAdmin)'
+  ],
+  vePLN: POLLEN_MAIN_CONTRACT_ABI,
+  plnToken: PLN_TOKEN_ABI
+};
+
+const VOTING_POWER_ABI = ['function getVotingPower(address account) view returns (uint256)'];
+
+// castVote support values, as in Compound's GovernorBravo
+const SUPPORT = { against: 0, for: 1, abstain: 2 };
+const VOTES = Object.keys(SUPPORT);
+
+// state() values
+const PROPOSAL_STATES = ['Pending', 'Active', 'Canceled', 'Defeated', 'Succeeded', 'Queued', 'Expired', 'Executed'];
+const ACTIVE = 1;
+
+const DEFAULT_POLICY = {
+  voters: [], // Bot ids whose wallets vote; governance is off without any
+  defaultVote: 'abstain', // Vote for actions no rule matches
+  rules: [] // { contract, function, vote, reason }, first match wins
+};
+
+function newestFirst(decisions) {
+  return decisions.sort((a, b) => Number(BigInt(b.proposalId) - BigInt(a.proposalId)));
+}
+
+/**
+ * Validate a voting policy and fill in defaults
+ * @param {Object} [policy] - Partial policy, e.g. the contents of config/governance.json
+ */
+function normalizePolicy(policy = {}) {
+  const merged = { ...DEFAULT_POLICY, ...policy };
+  if (!Array.isArray(merged.voters) || !merged.voters.every(Number.isInteger)) {
+    throw new Error('Governance policy voters must be a list of bot ids');
+  }
+  if (!VOTES.includes(merged.defaultVote)) {
+    throw new Error(`Governance policy defaultVote must be one of ${VOTES.join(', ')}`);
+  }
+  if (!Array.isArray(merged.rules)) {
+    throw new Error('Governance policy rules must be a list');
+  }
+
+  const rules = merged.rules.map((rule, index) => {
+    const normalized = { contract: '*', function: '*', reason: null, ...rule };
+    if (typeof normalized.contract !== 'string' || typeof normalized.function !== 'string') {
+      throw new Error(`Governance policy rule ${index} contract and function must be strings`);
+    }
+    if (!VOTES.includes(normalized.vote)) {
+      throw new Error(`Governance policy rule ${index} vote must be one of ${VOTES.join(', ')}`);
+    }
+    return normalized;
+  });
+  return { ...merged, rules };
+}
+
+/**
+ * Read the voting policy, falling back to DEFAULT_POLICY when the file does not exist
+ * @param {string} [filePath] - Defaults to GOVERNANCE_CONFIG_PATH or config/governance.json
+ */
+function loadGovernancePolicy(filePath = process.env.GOVERNANCE_CONFIG_PATH || DEFAULT_CONFIG_PATH) {
+  if (!fs.existsSync(filePath)) {
+    return normalizePolicy();
+  }
+
+  try {
+    return normalizePolicy(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  } catch (error) {
+    throw new Error(`Invalid governance config ${filePath}: ${error.message}`);
+  }
+}
+
+function describeCall(contract, target, fragment, args) {
+  const list = Object.entries(args).map(([name, value]) => `${name}=${Array.isArray(value) ? `[${value.join(', ')}]` : value}`);
+  return `${contract || target}.${fragment.name}(${list.join(', ')})`;
+}
+
+/**
+ * Decode one action of a proposal into a readable call
+ * @param {Object} action
+ * @param {string} action.target - Called contract
+ * @param {string|bigint} [action.value] - Wei sent with the call
+ * @param {string} [action.signature] - Function signature; calldata then holds the arguments only
+ * @param {string} action.calldata - Hex calldata
+ * @param {Object} [contracts] - Known contract addresses by name, e.g. { vePLN: '0x...' }
+ * @returns {Object} The call with its contract name, function, signature and arguments;
+ *   function is null when the call could not be decoded
+ */
+function decodeAction({ target, value = 0, signature = '', calldata = '0x' }, contracts = {}) {
+  const address = ethers.getAddress(target);
+  const [contract = null] = Object.entries(contracts)
+    .filter(([, known]) => known && known.toLowerCase() === address.toLowerCase())
+    .map(([name]) => name);
+  const action = { target: address, contract, value: value.toString(), function: null, signature: null, args: null };
+
+  let fragment = null;
+  let decoded = null;
+  try {
+    if (signature) {
+      fragment = ethers.FunctionFragment.from(signature);
+      decoded = ethers.AbiCoder.defaultAbiCoder().decode(fragment.inputs, calldata);
+    } else if (calldata.length >= 10) {
+      // The target's own ABI first, then any known one, e.g. for a contract deployed under another address
+      const names = [...new Set([contract, ...Object.keys(ACTION_ABIS)])].filter(name => ACTION_ABIS[name]);
+      const iface = names
+        .map(name => new ethers.Interface(ACTION_ABIS[name]))
+        .find(candidate => candidate.getFunction(calldata.slice(0, 10)));
+      if (iface) {
+        fragment = iface.getFunction(calldata.slice(0, 10));
+        decoded = iface.decodeFunctionData(fragment, calldata);
+      }
+    }
+  } catch (error) {
+    fragment = null;
+  }
+
+  if (!fragment) {
+    const selector = calldata.length >= 10 ? calldata.slice(0, 10) : 'fallback';
+    return { ...action, selector, description: `${contract || address} call ${signature || selector}` };
+  }
+  const args = Object.fromEntries(fragment.inputs.map((input, index) => [input.name || `arg${index}`, toJson(decoded[index])]));
+  return {
+    ...action,
+    function: fragment.name,
+    signature: fragment.format('sighash'),
+    args,
+    description: describeCall(contract, address, fragment, args)
+  };
+}
+
+/**
+ * Decode every action of a ProposalCreated event
+ * @param {Object} proposal - ProposalCreated arguments
+ * @param {Object} [contracts] - Known contract addresses by name
+ */
+function decodeProposal(proposal, contracts = {}) {
+  return proposal.targets.map((target, index) => decodeAction({
+    target,
+    value: proposal.values[index],
+    signature: proposal.signatures[index],
+    calldata: proposal.calldatas[index]
+  }, contracts));
+}
+
+function ruleMatches(rule, action) {
+  const contract = rule.contract.toLowerCase();
+  const contractMatches = contract === '*'
+    || contract === action.target.toLowerCase()
+    || action.contract !== null && contract === action.contract.toLowerCase();
+  const functionMatches = rule.function === '*'
+    || action.function !== null && [action.function, action.signature].includes(rule.function);
+  return contractMatches && functionMatches;
+}
+
+/**
+ * Vote on decoded proposal actions
+ * @param {Object[]} actions - decodeProposal() result
+ * @param {Object} [policy] - See DEFAULT_POLICY
+ * @returns {{vote: string, support: number, rationale: string, actions: Object[]}} actions
+ *   carry the vote and reason of each
+ */
+function evaluateProposal(actions, policy = {}) {
+  const normalized = normalizePolicy(policy);
+  const evaluated = actions.map(action => {
+    const rule = normalized.rules.find(candidate => ruleMatches(candidate, action));
+    return rule
+      ? { ...action, vote: rule.vote, reason: rule.reason || `rule ${rule.contract}.${rule.function}` }
+      : { ...action, vote: normalized.defaultVote, reason: 'no matching rule' };
+  });
+
+  let vote = normalized.defaultVote;
+  if (evaluated.some(action => action.vote === 'against')) {
+    vote = 'against';
+  } else if (evaluated.length > 0 && evaluated.every(action => action.vote === 'for')) {
+    vote = 'for';
+  } else if (evaluated.length > 0) {
+    vote = 'abstain';
+  }
+
+  const rationale = evaluated.length > 0
+    ? evaluated.map(action => `${action.description}: ${action.vote} (${action.reason})`).join('; ')
+    : 'proposal has no actions';
+  return { vote, support: SUPPORT[vote], rationale, actions: evaluated };
+}
+
+/**
+ * Recorded decisions, newest proposal first
+ * @param {Object} [options]
+ * @param {string} [options.storeDir] - Defaults to data/governance
+ * @param {number} [options.limit]
+ */
+function readDecisions({ storeDir = DEFAULT_STORE_DIR, limit } = {}) {
+  const file = path.join(storeDir, 'decisions.json');
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  const { proposals } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const decisions = newestFirst(Object.values(proposals));
+  return limit > 0 ? decisions.slice(0, limit) : decisions;
+}
+
+/**
+ * Emits 'decision' with each newly evaluated proposal
+ */
+class GovernanceMonitor extends EventEmitter {
+  /**
+   * @param {ethers.Provider} provider - Network provider
+   * @param {Object} options
+   * @param {Object} options.contracts - pollenDAO and vePLN addresses, plus any others proposals may call
+   * @param {EventIndexer} options.indexer - Source of ProposalCreated events
+   * @param {Array<{botId: number, wallet: ethers.Signer}>} [options.voters] - Voting wallets
+   * @param {Object} [options.policy] - See DEFAULT_POLICY
+   * @param {Object} [options.transactions] - TransactionManager options for the voter wallets
+   * @param {string|null} [options.storeDir] - Ledger directory, null keeps decisions in memory
+   * @param {Function} [options.now] - Clock in ms
+   */
+  constructor(provider, options = {}) {
+    super();
+    this.provider = provider;
+    this.contracts = options.contracts;
+    this.indexer = options.indexer;
+    this.voters = options.voters || [];
+    this.policy = normalizePolicy(options.policy);
+    this.transactionOptions = options.transactions || {};
+    this.storeDir = options.storeDir === undefined ? DEFAULT_STORE_DIR : options.storeDir;
+    this.now = options.now || Date.now;
+    this.dao = new ethers.Contract(this.contracts.pollenDAO, GOVERNANCE_ABI, provider);
+    this.vePLN = new ethers.Contract(this.contracts.vePLN, VOTING_POWER_ABI, provider);
+    this.state = null;
+  }
+
+  get ledgerFile() {
+    return this.storeDir ? path.join(this.storeDir, 'decisions.json') : null;
+  }
+
+  load() {
+    if (!this.state) {
+      this.state = readLedger(this.ledgerFile, { proposals: {} });
+    }
+    return this.state;
+  }
+
+  save() {
+    writeLedger(this.ledgerFile, this.state);
+  }
+
+  /**
+   * Decode and evaluate a proposal once; later calls return the recorded decision
+   * @param {Object} event - ProposalCreated event from the indexer
+   */
+  review(event) {
+    const state = this.load();
+    const { args } = event;
+    const proposalId = String(args.proposalId);
+    if (state.proposals[proposalId]) {
+      return state.proposals[proposalId];
+    }
+
+    const { vote, support, rationale, actions } = evaluateProposal(decodeProposal(args, this.contracts), this.policy);
+    const decision = {
+      proposalId,
+      proposer: ethers.getAddress(args.proposer),
+      description: args.description,
+      startBlock: Number(args.startBlock),
+      endBlock: Number(args.endBlock),
+      blockNumber: event.blockNumber,
+      txHash: event.txHash,
+      actions,
+      vote,
+      support,
+      rationale,
+      decidedAt: this.now(),
+      status: null,
+      closed: false,
+      votes: {}
+    };
+    state.proposals[proposalId] = decision;
+    logger.info(`🗳️ Proposal ${proposalId} by ${decision.proposer}: ${vote} (${rationale})`, { action: 'governance' });
+    this.emit('decision', decision);
+    return decision;
+  }
+
+  send(wallet, request, label) {
+    return sendAndConfirm(wallet, this.transactionOptions, request, label, 'governance');
+  }
+
+  /**
+   * Cast the decided vote from each voter that has not voted yet, while the proposal is Active
+   * @param {Object} decision - review() result
+   */
+  async castVotes(decision) {
+    const status = Number(await this.dao.state(decision.proposalId));
+    decision.status = PROPOSAL_STATES[status] || `Unknown (${status})`;
+    if (status !== ACTIVE) {
+      // Pending proposals open later; every other state is final for voting
+      decision.closed = status !== 0;
+      return decision;
+    }
+
+    for (const { botId, wallet } of this.voters) {
+      const previous = decision.votes[botId];
+      if (previous && !previous.error) continue;
+
+      const address = await wallet.getAddress();
+      try {
+        const power = await this.vePLN.getVotingPower(address);
+        if (power === 0n) {
+          decision.votes[botId] = { address, skipped: 'no voting power', at: this.now() };
+          continue;
+        }
+        const receipt = await this.send(
+          wallet,
+          await this.dao.castVote.populateTransaction(decision.proposalId, decision.support),
+          `Bot ${botId} vote ${decision.vote} on proposal ${decision.proposalId}`
+        );
+        decision.votes[botId] = {
+          address,
+          vote: decision.vote,
+          votingPower: ethers.formatEther(power),
+          txHash: receipt.hash,
+          at: this.now()
+        };
+      } catch (error) {
+        // Kept so the vote is retried on the next poll
+        logger.warn(`⚠️ Bot ${botId} could not vote on proposal ${decision.proposalId}: ${error.message}`, { botId, action: 'governance' });
+        decision.votes[botId] = { address, error: error.message, at: this.now() };
+      }
+    }
+    return decision;
+  }
+
+  /**
+   * Review new proposals from the event index and vote on the open ones
+   * @returns {Promise<Object[]>} Decisions made during this poll
+   */
+  async poll() {
+    const state = this.load();
+    const known = new Set(Object.keys(state.proposals));
+    const events = await this.indexer.getEvents({ contract: 'pollenDAO', eventName: 'ProposalCreated' });
+    const decided = events
+      .filter(event => !known.has(String(event.args.proposalId)))
+      .map(event => this.review(event));
+
+    for (const decision of Object.values(state.proposals).filter(item => !item.closed)) {
+      try {
+        await this.castVotes(decision);
+      } catch (error) {
+        logger.warn(`⚠️ Could not read proposal ${decision.proposalId}: ${error.message}`, { action: 'governance' });
+      }
+    }
+    this.save();
+    return decided;
+  }
+
+  /**
+   * Recorded decisions, newest proposal first
+   * @param {number} [limit]
+   */
+  getDecisions(limit) {
+    const decisions = newestFirst(Object.values(this.load().proposals));
+    return limit > 0 ? decisions.slice(0, limit) : decisions;
+  }
+}
+
+module.exports = {
+  GOVERNANCE_ABI,
+  SUPPORT,
+  PROPOSAL_STATES,
+  DEFAULT_POLICY,
+  normalizePolicy,
+  loadGovernancePolicy,
+  decodeAction,
+  decodeProposal,
+  evaluateProposal,
+  readDecisions,
+  GovernanceMonitor
+};
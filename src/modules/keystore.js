@@ -0,0 +1,199 @@
+/**
+ * Encrypted Bot Keystore
+ * Stores one Web3 Secret Storage (v3) JSON file per bot, encrypted with a
+ * scrypt-derived key, and resolves signers by bot id. The keystore is
+ * unlocked with a passphrase, either passed in or read from
+ * POLLEN_KEYSTORE_PASSPHRASE.
+ */
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const DEFAULT_KEYSTORE_DIR = path.resolve(__dirname, '../../config/keystore');
+
+class Keystore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir] - Keystore directory, defaults to POLLEN_KEYSTORE_DIR or config/keystore
+   * @param {string} [options.passphrase] - Unlock passphrase, defaults to POLLEN_KEYSTORE_PASSPHRASE
+   * @param {Object} [options.scrypt] - scrypt cost parameters ({ N, r, p }) for newly written files
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.POLLEN_KEYSTORE_DIR || DEFAULT_KEYSTORE_DIR;
+    this.passphrase = options.passphrase || null;
+    this.scrypt = options.scrypt;
+    this.signers = new Map();
+  }
+
+  filePath(botId) {
+    return path.join(this.dir, `bot-${Number(botId)}.json`);
+  }
+
+  has(botId) {
+    return fs.existsSync(this.filePath(botId));
+  }
+
+  /**
+   * Set the passphrase used to decrypt keys and drop cached signers
+   */
+  unlock(passphrase) {
+    this.passphrase = passphrase;
+    this.signers.clear();
+  }
+
+  resolvePassphrase(passphrase) {
+    const resolved = passphrase || this.passphrase || process.env.POLLEN_KEYSTORE_PASSPHRASE;
+    if (!resolved) {
+      throw new Error('Keystore is locked: set POLLEN_KEYSTORE_PASSPHRASE or call unlock()');
+    }
+    return resolved;
+  }
+
+  /**
+   * List stored keys without decrypting them
+   * @returns {Array<{botId: number, address: string, file: string, updatedAt: Date}>}
+   */
+  list() {
+    if (!fs.existsSync(this.dir)) return [];
+
+    return fs.readdirSync(this.dir)
+      .map(file => file.match(/^bot-(\d+)\.json$/))
+      .filter(Boolean)
+      .map(([file, id]) => {
+        const filePath = path.join(this.dir, file);
+        const json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return {
+          botId: Number(id),
+          address: ethers.getAddress(`0x${json.address.replace(/^0x/, '')}`),
+          file: filePath,
+          updatedAt: fs.statSync(filePath).mtime
+        };
+      })
+      .sort((a, b) => a.botId - b.botId);
+  }
+
+  /**
+   * Encrypt and store a private key for a bot
+   * @param {number} botId - Bot id from the registry
+   * @param {string} privateKey - Hex private key, with or without 0x
+   * @param {Object} [options]
+   * @param {string} [options.passphrase] - Encryption passphrase
+   * @param {boolean} [options.overwrite=false] - Replace an existing key
+   * @returns {Promise<string>} Address of the imported key
+   */
+  async importKey(botId, privateKey, options = {}) {
+    if (this.has(botId) && !options.overwrite) {
+      throw new Error(`Bot ${botId} already has a key in the keystore; use rotate to replace it`);
+    }
+
+    const wallet = new ethers.Wallet(privateKey.startsWith('0x') ? privateKey : `0x${privateKey}`);
+    await this.write(botId, wallet, this.resolvePassphrase(options.passphrase));
+    return wallet.address;
+  }
+
+  /**
+   * Decrypt and return a bot's private key
+   * @returns {Promise<string>}
+   */
+  async exportKey(botId, passphrase) {
+    const account = await this.decrypt(botId, passphrase);
+    return account.privateKey;
+  }
+
+  /**
+   * Replace a bot's key with a freshly generated one. The previous file is
+   * kept alongside with a timestamp suffix so funds on the old address stay
+   * recoverable.
+   * @param {number} botId - Bot id
+   * @param {Object} [options]
+   * @param {string} [options.passphrase] - Keystore passphrase
+   * @returns {Promise<{previousAddress: string, address: string, archive: string}>}
+   */
+  async rotateKey(botId, options = {}) {
+    const account = await this.decrypt(botId, options.passphrase);
+    const wallet = ethers.Wallet.createRandom();
+
+    const archive = this.filePath(botId).replace(/\.json$/, `.${Date.now()}.json`);
+    fs.copyFileSync(this.filePath(botId), archive);
+
+    await this.write(botId, wallet, this.resolvePassphrase(options.passphrase));
+    this.signers.delete(Number(botId));
+
+    return { previousAddress: account.address, address: wallet.address, archive };
+  }
+
+  /**
+   * Re-encrypt every stored key under a new passphrase
+   * @param {string} newPassphrase - Passphrase for all key files
+   * @param {Object} [options]
+   * @param {string} [options.passphrase] - Current passphrase
+   * @returns {Promise<number[]>} Bot ids that were re-encrypted
+   */
+  async changePassphrase(newPassphrase, options = {}) {
+    if (!newPassphrase) {
+      throw new Error('New passphrase must not be empty');
+    }
+
+    // Decrypt everything first so a wrong passphrase leaves the files untouched
+    const entries = this.list();
+    const accounts = [];
+    for (const entry of entries) {
+      accounts.push(await this.decrypt(entry.botId, options.passphrase));
+    }
+
+    for (let i = 0; i < entries.length; i++) {
+      await this.write(entries[i].botId, accounts[i], newPassphrase);
+    }
+    this.unlock(newPassphrase);
+
+    return entries.map(entry => entry.botId);
+  }
+
+  /**
+   * Resolve a connected signer for a bot. Decrypted wallets are cached so
+   * scrypt only runs once per bot and process.
+   * @param {number} botId - Bot id
+   * @param {ethers.Provider} [provider] - Provider to connect to
+   * @returns {Promise<ethers.Wallet>}
+   */
+  async getSigner(botId, provider) {
+    const id = Number(botId);
+    if (!this.signers.has(id)) {
+      const account = await this.decrypt(id);
+      this.signers.set(id, new ethers.Wallet(account.privateKey));
+    }
+
+    const wallet = this.signers.get(id);
+    return provider ? wallet.connect(provider) : wallet;
+  }
+
+  async decrypt(botId, passphrase) {
+    if (!this.has(botId)) {
+      throw new Error(`No key for bot ${botId} in ${this.dir}; import one with: node keystore-cli.js import ${botId}`);
+    }
+
+    const json = fs.readFileSync(this.filePath(botId), 'utf8');
+    try {
+      return await ethers.decryptKeystoreJson(json, this.resolvePassphrase(passphrase));
+    } catch (error) {
+      throw new Error(`Unable to decrypt key for bot ${botId}: ${error.message}`);
+    }
+  }
+
+  async write(botId, wallet, passphrase) {
+    const json = await ethers.encryptKeystoreJson(
+      { address: wallet.address, privateKey: wallet.privateKey },
+      passphrase,
+      this.scrypt ? { scrypt: this.scrypt } : {}
+    );
+
+    fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(this.filePath(botId), json, { mode: 0o600 });
+  }
+}
+
+module.exports = {
+  DEFAULT_KEYSTORE_DIR,
+  Keystore,
+  keystore: new Keystore()
+};
@@ -0,0 +1,278 @@
+/**
+ * vePLN Lock Planner
+ * Models a bot's vePLN lock the way the vePLN contract does: voting power is
+ * amount × remaining lock time / MAX_LOCK_PERIOD, so it decays linearly to
+ * zero at the lock end, and the boosting rate is voting power per locked PLN.
+ *
+ * From the bot's "staking" policy in config/bots.json the planner decides
+ * the next lock action and a schedule of the ones that follow:
+ * - lock: no lock yet; locks stakeThreshold of the wallet's PLN
+ * - increase: more PLN is free than stakeThreshold allows to sit idle
+ * - extend: the boost fell below extendThreshold of a fresh lockDuration lock
+ * - claim_and_relock: accrued rewards reached minClaimAmount; they are
+ *   claimed and, with relockRewards, added to the lock
+ * - unlock: the lock expired, which the contract no longer lets a bot extend
+ * The same state and policy always give the same plan.
+ */
+const DAY = 24 * 60 * 60;
+// Matches MAX_LOCK_PERIOD in the vePLN contract, in seconds
+const MAX_LOCK_PERIOD = 4 * 365 * DAY;
+
+const DEFAULT_POLICY = {
+  stakeThreshold: 0.6, // Share of the wallet's PLN, free plus locked, to keep locked
+  extendThreshold: 0.75, // Extend when the boost falls below this share of a fresh lock's
+  minStakeAmount: '0.5', // Smaller locks and increases are not worth the gas
+  lockDuration: 365 * DAY,
+  minClaimAmount: '1',
+  relockRewards: true
+};
+
+// Earlier actions win when several are due at the same time
+const ACTION_PRIORITY = ['unlock', 'extend', 'claim_and_relock', 'increase', 'lock'];
+
+const MAX_SCHEDULE_LENGTH = 50;
+
+/**
+ * Voting power of a lock at a point in time
+ * @param {number} amount - Locked PLN
+ * @param {number} lockEnd - Unix seconds
+ * @param {number} at - Unix seconds
+ */
+function votingPower(amount, lockEnd, at) {
+  return lockEnd > at ? amount * (lockEnd - at) / MAX_LOCK_PERIOD : 0;
+}
+
+/**
+ * Voting power per locked PLN, 1 for a maximum-length lock; the contract
+ * reports the same figure in basis points
+ * @param {number} lockEnd - Unix seconds
+ * @param {number} at - Unix seconds
+ */
+function boostRate(lockEnd, at) {
+  return Math.min(1, Math.max(0, lockEnd - at) / MAX_LOCK_PERIOD);
+}
+
+/**
+ * Fill policy defaults and convert PLN amounts to numbers
+ * @param {Object} [policy] - Partial policy, e.g. a bot's "staking" entry
+ */
+function normalizePolicy(policy = {}) {
+  const merged = { ...DEFAULT_POLICY, ...policy };
+  const normalized = {
+    ...merged,
+    minStakeAmount: Number(merged.minStakeAmount),
+    minClaimAmount: Number(merged.minClaimAmount),
+    lockDuration: Math.min(Number(merged.lockDuration), MAX_LOCK_PERIOD)
+  };
+  ['stakeThreshold', 'extendThreshold'].forEach(field => {
+    if (!(normalized[field] >= 0 && normalized[field] <= 1)) {
+      throw new Error(`Staking policy ${field} must be between 0 and 1`);
+    }
+  });
+  if (!Number.isFinite(normalized.minStakeAmount) || normalized.minStakeAmount < 0) {
+    throw new Error('Staking policy minStakeAmount must be a non-negative number');
+  }
+  if (!(normalized.minClaimAmount > 0)) {
+    throw new Error('Staking policy minClaimAmount must be a positive number');
+  }
+  if (!Number.isInteger(normalized.lockDuration) || normalized.lockDuration < DAY) {
+    throw new Error('Staking policy lockDuration must be a whole number of seconds, at least one day');
+  }
+  return normalized;
+}
+
+// When each applicable action becomes due for a simulated lock, keyed by action
+function dueTimes(state, policy) {
+  const { at, amount, lockEnd, balance, rewards, rewardRate } = state;
+  const due = {};
+
+  if (amount === 0) {
+    if (balance * policy.stakeThreshold >= policy.minStakeAmount) {
+      due.lock = at;
+    }
+    return due;
+  }
+  if (lockEnd <= at) {
+    due.unlock = at;
+    return due;
+  }
+
+  const extendAt = Math.max(at, Math.ceil(lockEnd - policy.extendThreshold * policy.lockDuration));
+  if (extendAt < lockEnd && extendAt + policy.lockDuration > lockEnd) {
+    due.extend = extendAt;
+  }
+
+  if (rewards >= policy.minClaimAmount) {
+    due.claim_and_relock = at;
+  } else if (rewardRate > 0) {
+    const claimAt = at + Math.ceil((policy.minClaimAmount - rewards) / (amount * rewardRate));
+    if (claimAt < lockEnd) {
+      due.claim_and_relock = claimAt;
+    }
+  }
+
+  if (increaseAmount(state, policy) > 0) {
+    due.increase = at;
+  }
+  return due;
+}
+
+function increaseAmount({ amount, balance }, policy) {
+  const shortfall = Math.min(policy.stakeThreshold * (amount + balance) - amount, balance);
+  return shortfall >= policy.minStakeAmount ? shortfall : 0;
+}
+
+// Rewards accrue at rewardRate PLN per locked PLN per second until the lock ends
+function accrue(state, until) {
+  const end = Math.min(until, state.lockEnd);
+  const rewards = end > state.at ? state.amount * state.rewardRate * (end - state.at) : 0;
+  return { ...state, at: until, rewards: state.rewards + rewards };
+}
+
+function apply(state, action, policy) {
+  switch (action) {
+    case 'lock': {
+      const amount = state.balance * policy.stakeThreshold;
+      return { ...state, amount, balance: state.balance - amount, lockEnd: state.at + policy.lockDuration };
+    }
+    case 'increase': {
+      const amount = increaseAmount(state, policy);
+      return { ...state, amount: state.amount + amount, balance: state.balance - amount };
+    }
+    case 'extend':
+      return { ...state, lockEnd: state.at + policy.lockDuration };
+    case 'claim_and_relock':
+      return policy.relockRewards
+        ? { ...state, amount: state.amount + state.rewards, rewards: 0 }
+        : { ...state, balance: state.balance + state.rewards, rewards: 0 };
+    case 'unlock':
+      return { ...state, amount: 0, lockEnd: 0, balance: state.balance + state.amount + state.rewards, rewards: 0 };
+    default:
+      throw new Error(`Unknown lock action: ${action}`);
+  }
+}
+
+function describe(action, before, after, policy) {
+  const step = {
+    action,
+    at: after.at,
+    votingPower: votingPower(after.amount, after.lockEnd, after.at),
+    boostRate: boostRate(after.lockEnd, after.at)
+  };
+  switch (action) {
+    case 'lock':
+      return { ...step, amount: after.amount, lockEnd: after.lockEnd, reason: 'no lock' };
+    case 'increase':
+      return { ...step, amount: after.amount - before.amount, reason: 'free PLN above stakeThreshold' };
+    case 'extend':
+      return { ...step, lockEnd: after.lockEnd, reason: 'boost below extendThreshold' };
+    case 'claim_and_relock':
+      return { ...step, amount: before.rewards, relock: policy.relockRewards, reason: 'rewards reached minClaimAmount' };
+    default:
+      return { ...step, amount: before.amount + before.rewards, reason: 'lock expired' };
+  }
+}
+
+/**
+ * Plan a bot's vePLN lock from its current state
+ * @param {Object} state - Amounts in PLN, times in Unix seconds
+ * @param {number} state.now
+ * @param {number} state.amount - Locked PLN, 0 without a lock
+ * @param {number} state.lockEnd - 0 without a lock
+ * @param {number} state.balance - Free PLN in the wallet
+ * @param {number} [state.rewards=0] - Rewards accrued and not yet claimed
+ * @param {number} [state.rewardRate=0] - PLN per locked PLN per second, for projecting future claims
+ * @param {Object} [policy] - The bot's "staking" entry
+ * @param {Object} [options]
+ * @param {number} [options.horizon] - Seconds to project, defaults to lockDuration
+ * @returns {{next: Object, schedule: Object[], projection: Object}} next is the
+ *   first scheduled action when it is due now, otherwise a 'hold' until it is
+ */
+function planLock(state, policy = {}, options = {}) {
+  const normalized = normalizePolicy(policy);
+  const horizon = options.horizon || normalized.lockDuration;
+  const start = {
+    at: state.now,
+    amount: state.amount > 0 ? state.amount : 0,
+    lockEnd: state.amount > 0 ? state.lockEnd : 0,
+    balance: state.balance,
+    rewards: state.rewards || 0,
+    rewardRate: state.rewardRate || 0
+  };
+  const end = state.now + horizon;
+
+  const schedule = [];
+  // Time-weighted voting power and boost over the horizon, to compare policies
+  let powerArea = 0;
+  let boostArea = 0;
+  let current = start;
+  const integrate = until => {
+    const from = current.at;
+    const to = Math.min(until, current.lockEnd);
+    if (current.amount > 0 && to > from) {
+      powerArea += (votingPower(current.amount, current.lockEnd, from) + votingPower(current.amount, current.lockEnd, to)) / 2 * (to - from);
+      boostArea += (boostRate(current.lockEnd, from) + boostRate(current.lockEnd, to)) / 2 * (to - from);
+    }
+  };
+
+  while (schedule.length < MAX_SCHEDULE_LENGTH) {
+    const due = dueTimes(current, normalized);
+    const [action] = ACTION_PRIORITY
+      .filter(name => due[name] !== undefined && due[name] <= end)
+      .sort((a, b) => due[a] - due[b] || ACTION_PRIORITY.indexOf(a) - ACTION_PRIORITY.indexOf(b));
+    if (!action) break;
+
+    integrate(due[action]);
+    const before = accrue(current, due[action]);
+    current = apply(before, action, normalized);
+    schedule.push(describe(action, before, current, normalized));
+  }
+  integrate(end);
+
+  const [first] = schedule;
+  const next = first && first.at <= state.now
+    ? first
+    : { action: 'hold', at: first ? first.at : null, reason: first ? `next ${first.action} not due yet` : 'nothing to do within the horizon' };
+
+  return {
+    next,
+    schedule,
+    projection: {
+      votingPower: votingPower(start.amount, start.lockEnd, state.now),
+      boostRate: boostRate(start.lockEnd, state.now),
+      averageVotingPower: powerArea / horizon,
+      averageBoostRate: boostArea / horizon
+    }
+  };
+}
+
+/**
+ * Planner state from PollenContractInterface readings
+ * @param {Object} readings
+ * @param {Object|null} readings.lockInfo - getLockInfo() result
+ * @param {string} readings.balance - getPLNBalance() result
+ * @param {string} readings.rewards - getAvailableRewards() result
+ * @param {number} [readings.rewardRate] - getRewardRate() result
+ * @param {number} now - Unix seconds
+ */
+function toLockState({ lockInfo, balance, rewards, rewardRate = 0 }, now) {
+  const amount = lockInfo ? Number(lockInfo.amount) : 0;
+  return {
+    now,
+    amount,
+    lockEnd: amount > 0 ? lockInfo.lockEnd : 0,
+    balance: Number(balance),
+    rewards: Number(rewards),
+    rewardRate
+  };
+}
+
+module.exports = {
+  MAX_LOCK_PERIOD,
+  DEFAULT_POLICY,
+  votingPower,
+  boostRate,
+  normalizePolicy,
+  planLock,
+  toLockState
+};
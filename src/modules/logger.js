@@ -1,32 +1,118 @@
 /**
  * Logger module for Pollen Trading Bot
- * Provides consistent logging functionality throughout the application
+ * Provides consistent logging functionality throughout the application.
+ *
+ * Log files hold one JSON record per line with the context fields botId,
+ * strategy, network, txHash, correlationId and action when they are known.
+ * Context comes from child loggers (logger.child({ botId })) or from
+ * withContext(), which applies to everything logged inside its callback.
+ * The console stays human-readable unless LOG_FORMAT=json.
  */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 const winston = require('winston');
 
+// Test runs write their log files to a temp directory rather than the working tree
+const LOG_DIR = process.env.LOG_DIR || (process.env.NODE_ENV === 'test'
+  ? path.join(os.tmpdir(), 'pollen-bot-logs')
+  : path.resolve(__dirname, '../../logs'));
+const LOG_FILE = 'pollen-bot.log';
+const LEVELS = ['error', 'warn', 'info', 'debug'];
+
+// Meta keys whose values never reach a log, at any depth
+const SECRET_KEY_PATTERN = /private.?key|secret|password|passphrase|mnemonic|api.?key|authorization|^token$|seed/i;
+// Secrets embedded in message text: key=value pairs and Infura project ids in RPC URLs
+const SECRET_TEXT_PATTERNS = [
+  [/\b((?:private.?key|secret|password|passphrase|mnemonic|api.?key)\s*[:=]\s*)\S+/gi, '$1[REDACTED]'],
+  [/(infura\.io\/(?:ws\/)?v3\/)[0-9a-z]+/gi, '$1[REDACTED]']
+];
+const REDACTED = '[REDACTED]';
+
+const contextStorage = new AsyncLocalStorage();
+
+function redactText(text) {
+  return SECRET_TEXT_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+/**
+ * Copy of a value with secrets replaced by [REDACTED]
+ */
+function redact(value, depth = 0) {
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+  if (value === null || typeof value !== 'object' || depth > 5) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+  if (value instanceof Error) {
+    return { error: redactText(value.message), stack: redactText(value.stack || '') };
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SECRET_KEY_PATTERN.test(key) ? REDACTED : redact(item, depth + 1)
+  ]));
+}
+
+// Adds the context of the surrounding withContext() call; fields passed explicitly win
+const addContext = winston.format(info => {
+  const context = contextStorage.getStore();
+  if (context) {
+    Object.entries(context)
+      .filter(([key]) => info[key] === undefined)
+      .forEach(([key, value]) => { info[key] = value; });
+  }
+  return info;
+});
+
+const redactSecrets = winston.format(info => {
+  info.message = typeof info.message === 'string' ? redactText(info.message) : info.message;
+  Object.keys(info)
+    .filter(key => key !== 'level' && key !== 'message')
+    .forEach(key => {
+      info[key] = SECRET_KEY_PATTERN.test(key) ? REDACTED : redact(info[key]);
+    });
+  return info;
+});
+
+const jsonFormat = winston.format.combine(
+  winston.format.timestamp(),
+  winston.format.json({ replacer: (key, value) => typeof value === 'bigint' ? value.toString() : value })
+);
+
+const textFormat = winston.format.combine(
+  winston.format.timestamp({
+    format: 'YYYY-MM-DD HH:mm:ss'
+  }),
+  winston.format.colorize(),
+  winston.format.printf(info => `${info.timestamp} ${info.level}: ${info.message}${info.detail === undefined ? '' : ` ${info.detail}`}`)
+);
+
 // Create a custom logger instance
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
-  format: winston.format.combine(
-    winston.format.timestamp({
-      format: 'YYYY-MM-DD HH:mm:ss'
-    }),
-    winston.format.colorize(),
-    winston.format.printf(info => `${info.timestamp} ${info.level}: ${info.message}`)
-  ),
+  format: winston.format.combine(addContext(), redactSecrets()),
   transports: [
     // Console transport
-    new winston.transports.Console(),
+    new winston.transports.Console({
+      format: process.env.LOG_FORMAT === 'json' ? jsonFormat : textFormat
+    }),
     // File transport for all logs
-    new winston.transports.File({ 
-      filename: 'logs/pollen-bot.log',
+    new winston.transports.File({
+      filename: path.join(LOG_DIR, LOG_FILE),
+      format: jsonFormat,
       maxsize: 5242880, // 5MB
       maxFiles: 5,
     }),
     // File transport for error logs
-    new winston.transports.File({ 
-      filename: 'logs/error.log', 
+    new winston.transports.File({
+      filename: path.join(LOG_DIR, 'error.log'),
       level: 'error',
+      format: jsonFormat,
       maxsize: 5242880, // 5MB
       maxFiles: 5,
     })
@@ -39,28 +125,116 @@ function setLevel(level) {
   logger.info(`Log level set to: ${level}`);
 }
 
+// Callers also pass a string or an Error as the second argument; keep it in the record
+function toMeta(meta) {
+  if (meta === undefined || meta === null) {
+    return {};
+  }
+  if (meta instanceof Error) {
+    return { error: meta.message, stack: meta.stack };
+  }
+  if (typeof meta !== 'object') {
+    return { detail: meta };
+  }
+  return meta;
+}
+
+/**
+ * Runs fn with context fields added to every record it logs, including from
+ * modules it calls and after awaits. Nested calls add to the outer context.
+ * @param {Object} context - e.g. { botId, strategy, correlationId, action }
+ * @param {Function} fn
+ */
+function withContext(context, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...context }, fn);
+}
+
+function getContext() {
+  return { ...contextStorage.getStore() };
+}
+
+function wrap(target) {
+  return {
+    debug: (message, meta) => target.debug(message, toMeta(meta)),
+    info: (message, meta) => target.info(message, toMeta(meta)),
+    warn: (message, meta) => target.warn(message, toMeta(meta)),
+    error: (message, meta) => {
+      // Add context for critical errors
+      const errorContext = toMeta(meta);
+      target.error(message, { ...errorContext, stack: errorContext.stack || new Error().stack });
+    },
+    critical: (message, meta) => {
+      // Special critical error logger
+      target.error(`[CRITICAL] ${message}`, { ...toMeta(meta), critical: true });
+    },
+    /**
+     * Logger whose records all carry these fields, e.g. logger.child({ botId: bot.id, strategy: bot.strategy })
+     */
+    child: context => wrap(target.child(context))
+  };
+}
+
+/**
+ * Reads structured records back from the log files, newest first. Lines
+ * written before logs were structured are skipped.
+ * @param {Object} [filters]
+ * @param {string} [filters.botId]
+ * @param {string} [filters.level] - Minimum severity, e.g. 'warn' also returns errors
+ * @param {number} [filters.since] - Earliest timestamp, ms
+ * @param {number} [filters.until] - Latest timestamp, ms
+ * @param {string} [filters.txHash]
+ * @param {string} [filters.correlationId]
+ * @param {number} [filters.limit=100]
+ * @param {string} [filters.dir] - Defaults to LOG_DIR
+ * @returns {Promise<Object[]>}
+ */
+async function readLogs(filters = {}) {
+  const { botId, level, since, until, txHash, correlationId, limit = 100, dir = LOG_DIR } = filters;
+  if (level && !LEVELS.includes(level)) {
+    throw new Error(`Level must be one of ${LEVELS.join(', ')}`);
+  }
+  const maxLevel = level ? LEVELS.indexOf(level) : LEVELS.length - 1;
+
+  // Rotated files are pollen-bot1.log, pollen-bot2.log, ...
+  const base = path.basename(LOG_FILE, '.log');
+  const files = (await fs.promises.readdir(dir).catch(() => []))
+    .filter(name => name.startsWith(base) && name.endsWith('.log') && /^\d*$/.test(name.slice(base.length, -4)));
+
+  const records = [];
+  for (const file of files) {
+    const content = await fs.promises.readFile(path.join(dir, file), 'utf8');
+    for (const line of content.split('\n')) {
+      if (!line.startsWith('{')) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        continue;
+      }
+      const time = Date.parse(record.timestamp);
+      if (Number.isNaN(time)) continue;
+      if (botId !== undefined && String(record.botId) !== String(botId)) continue;
+      if (LEVELS.indexOf(record.level) > maxLevel || !LEVELS.includes(record.level)) continue;
+      if (since !== undefined && time < since) continue;
+      if (until !== undefined && time > until) continue;
+      if (txHash && String(record.txHash).toLowerCase() !== txHash.toLowerCase()) continue;
+      if (correlationId && record.correlationId !== correlationId) continue;
+      records.push(record);
+    }
+  }
+
+  return records
+    .sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp))
+    .slice(0, limit);
+}
+
 // Export logger functions
 module.exports = {
-  debug: (message, meta) => logger.debug(message, meta),
-  info: (message, meta) => logger.info(message, meta),
-  warn: (message, meta) => logger.warn(message, meta),
-  error: (message, meta) => {
-    // Add timestamp and context for critical errors
-    const errorContext = {
-      timestamp: new Date().toISOString(),
-      ...meta,
-      stack: meta?.stack || new Error().stack
-    };
-    logger.error(message, errorContext);
-  },
-  critical: (message, meta) => {
-    // Special critical error logger
-    const criticalContext = {
-      level: 'CRITICAL',
-      timestamp: new Date().toISOString(),
-      ...meta
-    };
-    logger.error(`[CRITICAL] ${message}`, criticalContext);
-  },
-  setLevel
+  ...wrap(logger),
+  setLevel,
+  withContext,
+  getContext,
+  readLogs,
+  redact,
+  LOG_DIR
 };
@@ -1,11 +1,14 @@
 /**
  * Market data sources module for Pollen Trading Bot
- * Provides access to multiple market data sources with failover capability
+ * Queries multiple market data sources in parallel and reconciles their
+ * quotes into a consensus price (see price-consensus.js)
  */
 const axios = require('axios');
 const logger = require('./logger');
 const DataValidator = require('./data-validator');
 const sharedRateLimiter = require('./shared-rate-limiter');
+const { buildConsensus, consensusOptions } = require('./price-consensus');
+const { getAsset } = require('../config/assets');
 
 /**
  * Validate if a value is a valid number
@@ -42,6 +45,18 @@ const TRADINGVIEW_CONFIG = {
   timeout: 30000
 };
 
+/**
+ * ID of an asset at a price source, from the asset catalog
+ * @param {string} asset Asset symbol
+ * @param {string} source Key of the catalog's priceIds
+ * @param {string} fallback ID for assets missing from the catalog
+ * @returns {string|null} ID, or null when the source doesn't list the asset
+ */
+function priceId(asset, source, fallback) {
+  const entry = getAsset(asset);
+  return entry ? entry.priceIds[source] : fallback;
+}
+
 // Data source providers with their base URLs and endpoints
 const DATA_SOURCES = [
   {
@@ -51,76 +66,7 @@ const DATA_SOURCES = [
       price: '/simple/price',
       marketData: '/coins/markets'
     },
-    mapAsset: (asset) => {
-      // Map asset symbol to CoinGecko ID for all Pollen Platform supported tokens
-      const mapping = {
-        // Core assets
-        'BTC': 'bitcoin',
-        'WBTC.E': 'wrapped-bitcoin',
-        'ETH': 'ethereum',
-        'WETH.E': 'weth',
-        'AVAX': 'avalanche-2',
-        'WAVAX': 'wrapped-avax',
-
-        // Stablecoins
-        'USDT.E': 'tether',
-        'USDT': 'tether',
-
-        // DeFi tokens
-        'AAVE.E': 'aave',
-        'AAVE': 'aave',
-        'UNI.E': 'uniswap',
-        'UNI': 'uniswap',
-        'SUSHI.E': 'sushi',
-        'SUSHI': 'sushi',
-        'COMP.E': 'compound-governance-token',
-        'COMP': 'compound-governance-token',
-        'YFI.E': 'yearn-finance',
-        'YFI': 'yearn-finance',
-        'CRV.E': 'curve-dao-token',
-        'CRV': 'curve-dao-token',
-        'CVX': 'convex-finance',
-        'MKR.E': 'maker',
-        'MKR': 'maker',
-        'SNX': 'havven',
-        'KNC': 'kyber-network-crystal',
-        'BAT': 'basic-attention-token',
-        'FXS': 'frax-share',
-        'SPELL': 'spell-token',
-
-        // Layer 1/2 tokens
-        'MATIC': 'matic-network',
-        'DOT.E': 'polkadot',
-        'DOT': 'polkadot',
-        'FTM': 'fantom',
-        'NEAR': 'near',
-        'FIL': 'filecoin',
-
-        // Avalanche ecosystem
-        'JOE': 'joe',
-        'XAVA': 'avalaunch',
-        'QI': 'benqi',
-
-        // Infrastructure/Utility tokens
-        'LINK.E': 'chainlink',
-        'LINK': 'chainlink',
-        'CHZ': 'chiliz',
-        'BAT': 'basic-attention-token',
-
-        // Gaming/NFT tokens
-        'APE': 'apecoin',
-        'AXS': 'axie-infinity',
-        'MANA': 'decentraland',
-
-        // Emerging tokens
-        'ALPHA.E': 'alpha-finance',
-        'ALPHA': 'alpha-finance',
-        'CAKE': 'pancakeswap-token',
-        'COQ': 'coq-inu',
-        'WOO': 'woo-network'
-      };
-      return mapping[asset] || asset.toLowerCase();
-    }
+    mapAsset: (asset) => priceId(asset, 'coingecko', asset.toLowerCase())
   },
   {
     name: 'CryptoCompare',
@@ -129,7 +75,7 @@ const DATA_SOURCES = [
       price: '/price',
       marketData: '/pricemultifull'
     },
-    mapAsset: (asset) => asset
+    mapAsset: (asset) => priceId(asset, 'cryptocompare', asset)
   },
   {
     name: 'Binance',
@@ -138,192 +84,186 @@ const DATA_SOURCES = [
       price: '/ticker/price',
       marketData: '/ticker/24hr'
     },
-    mapAsset: (asset) => asset + 'USDT'
+    mapAsset: (asset) => priceId(asset, 'binance', asset + 'USDT')
   }
 ];
 
 /**
- * Get asset price from multiple sources with failover
+ * Fetch an asset's quote from one data source
+ * @param {Object} source Entry of DATA_SOURCES
  * @param {string} asset Asset symbol
- * @param {Object} options Request options
- * @returns {Promise<Object>} Price data
+ * @returns {Promise<Object|null>} Quote, or null when the source has no price for the asset
  */
-async function getAssetPrice(asset, options = {}) {
-  const extendedBackoff = options.extendedBackoff || false;
-  let error = null;
+async function fetchSourcePrice(source, asset) {
+  const assetId = source.mapAsset(asset);
+  let response;
+
+  switch (source.name) {
+  case 'CoinGecko': {
+    response = await axios.get(`${source.baseUrl}${source.endpoints.price}`, {
+      params: {
+        ids: assetId,
+        vs_currencies: 'usd',
+        include_24hr_change: 'true',
+        include_market_cap: 'true',
+        include_24hr_vol: 'true'
+      },
+      timeout: DEFAULT_TIMEOUT,
+      headers: {
+        'User-Agent': 'Pollen-Trading-Bot/1.0'
+      }
+    });
 
-  // Try each data source in order
-  for (const source of DATA_SOURCES) {
-    let retries = 0;
-    const maxRetries = 3;
+    const data = response.data && response.data[assetId];
+    if (!data) {
+      return null;
+    }
+    return {
+      source: source.name,
+      price: data.usd,
+      change24h: data.usd_24h_change || 0,
+      marketCap: data.usd_market_cap || 0,
+      volume: data.usd_24h_vol || 0
+    };
+  }
 
-    while (retries <= maxRetries) {
-      try {
-        logger.debug(`Trying to get ${asset} price from ${source.name}...`);
-
-        // Use shared rate limiter instead of random delays
-        await sharedRateLimiter.waitForPermission(source.name, process.env.BOT_ID || '1');
-
-        const assetId = source.mapAsset(asset);
-        let response;
-
-        switch (source.name) {
-        case 'CoinGecko':
-          // Implementation of getCoinGeckoPrice directly inside the switch case
-          try {
-            const coinId = assetId; // Use assetId directly since it's already the mapped ID
-            if (!coinId) {
-              throw new Error(`Unknown symbol: ${asset}`);
-            }
-
-            // Add rate limiting delay
-            await new Promise(resolve => setTimeout(resolve, 1000));
-
-            response = await axios.get(`${source.baseUrl}${source.endpoints.price}`, {
-              params: {
-                ids: coinId,
-                vs_currencies: 'usd',
-                include_24hr_change: 'true',
-                include_market_cap: 'true',
-                include_24hr_vol: 'true'
-              },
-              timeout: 15000,
-              headers: {
-                'User-Agent': 'Pollen-Trading-Bot/1.0'
-              }
-            });
-
-            if (response.data && response.data[coinId]) {
-              return {
-                source: source.name,
-                price: response.data[coinId].usd,
-                change24h: response.data[coinId].usd_24h_change || 0,
-                marketCap: response.data[coinId].usd_market_cap || 0,
-                volume: response.data[coinId].usd_24h_vol || 0
-              };
-            }
-          } catch (err) {
-            error = err;
-
-            // If rate limited, wait longer and retry
-            if (err.response && err.response.status === 429) {
-              retries++;
-              if (retries < maxRetries) {
-                const retryDelay = Math.pow(2, retries) * 2000 + Math.random() * 3000;
-                logger.warn(`Rate limited by ${source.name}, retrying in ${Math.round(retryDelay/1000)}s (attempt ${retries}/${maxRetries})`);
-                await new Promise(resolve => setTimeout(resolve, retryDelay));
-                continue;
-              }
-            }
-
-            logger.warn(`Failed to get ${asset} price from ${source.name}: ${err.message}`);
-            break; // Move to next source
-          }
-          break;
-
-        case 'CryptoCompare':
-          const apiKey = process.env.CRYPTOCOMPARE_API_KEY;
-          const requestParams = {
-            fsym: asset,
-            tsyms: 'USD',
-            extraParams: 'pollen_bot'
-          };
-
-          const requestHeaders = { ...DEFAULT_HEADERS };
-
-          // Add API key if available
-          if (apiKey && apiKey !== 'undefined') {
-            requestParams.api_key = apiKey;
-            requestHeaders.Authorization = `Apikey ${apiKey}`;
-          }
+  case 'CryptoCompare': {
+    const apiKey = process.env.CRYPTOCOMPARE_API_KEY;
+    const params = {
+      tsyms: 'USD',
+      extraParams: 'pollen_bot'
+    };
+    const headers = { ...DEFAULT_HEADERS };
+
+    // Add API key if available
+    if (apiKey && apiKey !== 'undefined') {
+      params.api_key = apiKey;
+      headers.Authorization = `Apikey ${apiKey}`;
+    }
 
-          response = await axios.get(`${source.baseUrl}${source.endpoints.price}`, {
-            params: requestParams,
-            timeout: DEFAULT_TIMEOUT,
-            headers: requestHeaders
-          });
-
-          if (response.data && response.data.USD) {
-            // Get additional data for change and volume
-            const marketDataParams = {
-              fsyms: asset,
-              tsyms: 'USD',
-              extraParams: 'pollen_bot'
-            };
-
-            const marketDataHeaders = { ...DEFAULT_HEADERS };
-
-            // Add API key if available
-            if (apiKey && apiKey !== 'undefined') {
-              marketDataParams.api_key = apiKey;
-              marketDataHeaders.Authorization = `Apikey ${apiKey}`;
-            }
-
-            const fullData = await axios.get(`${source.baseUrl}${source.endpoints.marketData}`, {
-              params: marketDataParams,
-              timeout: DEFAULT_TIMEOUT,
-              headers: marketDataHeaders
-            });
-
-            const rawData = fullData.data.RAW?.[asset]?.USD || {};
-
-            return {
-              source: source.name,
-              price: response.data.USD,
-              change24h: rawData.CHANGEPCT24HOUR || 0,
-              marketCap: rawData.MKTCAP || 0,
-              volume: rawData.VOLUME24HOUR || 0
-            };
-          }
-          break;
-
-        case 'Binance':
-          response = await axios.get(`${source.baseUrl}${source.endpoints.price}`, {
-            params: {
-              symbol: source.mapAsset(asset)
-            },
-            timeout: DEFAULT_TIMEOUT,
-            headers: DEFAULT_HEADERS
-          });
-
-          if (response.data && response.data.price) {
-            // Get 24h data for additional info
-            const detailedData = await axios.get(`${source.baseUrl}${source.endpoints.marketData}`, {
-              params: {
-                symbol: source.mapAsset(asset)
-              },
-              timeout: DEFAULT_TIMEOUT,
-              headers: DEFAULT_HEADERS
-            });
-
-            return {
-              source: source.name,
-              price: parseFloat(response.data.price),
-              change24h: parseFloat(detailedData.data.priceChangePercent) || 0,
-              marketCap: 0, // Binance doesn't provide market cap
-              volume: parseFloat(detailedData.data.volume) * parseFloat(detailedData.data.weightedAvgPrice) || 0
-            };
-          }
-          break;
-        }
-      } catch (err) {
-        error = err;
-
-        // If rate limited, wait longer and retry
-        if (err.response && err.response.status === 429) {
-          retries++;
-          if (retries < maxRetries) {
-            const retryDelay = Math.pow(2, retries) * 2000 + Math.random() * 3000;
-            logger.warn(`Rate limited by ${source.name}, retrying in ${Math.round(retryDelay/1000)}s (attempt ${retries}/${maxRetries})`);
-            await new Promise(resolve => setTimeout(resolve, retryDelay));
-            continue;
-          }
-        }
+    response = await axios.get(`${source.baseUrl}${source.endpoints.price}`, {
+      params: { ...params, fsym: assetId },
+      timeout: DEFAULT_TIMEOUT,
+      headers
+    });
+    if (!response.data || !response.data.USD) {
+      return null;
+    }
+
+    // Get additional data for change and volume
+    const fullData = await axios.get(`${source.baseUrl}${source.endpoints.marketData}`, {
+      params: { ...params, fsyms: assetId },
+      timeout: DEFAULT_TIMEOUT,
+      headers
+    });
+    const rawData = fullData.data.RAW?.[assetId]?.USD || {};
+
+    return {
+      source: source.name,
+      price: response.data.USD,
+      change24h: rawData.CHANGEPCT24HOUR || 0,
+      marketCap: rawData.MKTCAP || 0,
+      volume: rawData.VOLUME24HOUR || 0
+    };
+  }
+
+  case 'Binance': {
+    response = await axios.get(`${source.baseUrl}${source.endpoints.price}`, {
+      params: { symbol: assetId },
+      timeout: DEFAULT_TIMEOUT,
+      headers: DEFAULT_HEADERS
+    });
+    if (!response.data || !response.data.price) {
+      return null;
+    }
+
+    // Get 24h data for additional info
+    const detailedData = await axios.get(`${source.baseUrl}${source.endpoints.marketData}`, {
+      params: { symbol: assetId },
+      timeout: DEFAULT_TIMEOUT,
+      headers: DEFAULT_HEADERS
+    });
+
+    return {
+      source: source.name,
+      price: parseFloat(response.data.price),
+      change24h: parseFloat(detailedData.data.priceChangePercent) || 0,
+      marketCap: 0, // Binance doesn't provide market cap
+      volume: parseFloat(detailedData.data.volume) * parseFloat(detailedData.data.weightedAvgPrice) || 0
+    };
+  }
 
-        logger.warn(`Failed to get ${asset} price from ${source.name}: ${err.message}`);
-        break; // Move to next source
+  default:
+    throw new Error(`Unknown market data source ${source.name}`);
+  }
+}
+
+/**
+ * Fetch an asset's quote from one data source under the shared rate limiter,
+ * retrying with backoff when the source rate limits us
+ * @param {Object} source Entry of DATA_SOURCES
+ * @param {string} asset Asset symbol
+ * @returns {Promise<Object>} Validated quote
+ * @throws {Error} If the source fails or has no price for the asset
+ */
+async function fetchFromSource(source, asset) {
+  for (let attempt = 1; ; attempt++) {
+    logger.debug(`Trying to get ${asset} price from ${source.name}...`);
+    await sharedRateLimiter.waitForPermission(source.name, process.env.BOT_ID || '1');
+
+    try {
+      const quote = await fetchSourcePrice(source, asset);
+      if (!quote) {
+        throw new Error(`No ${asset} price from ${source.name}`);
+      }
+      return DataValidator.validatePriceData(quote);
+    } catch (err) {
+      if (!(err.response && err.response.status === 429) || attempt >= RATE_LIMIT_CONFIG.maxRetries) {
+        throw err;
       }
+    } finally {
+      sharedRateLimiter.releaseRequest(source.name);
+    }
+
+    const retryDelay = Math.pow(2, attempt) * 2000 + Math.random() * 3000;
+    logger.warn(`Rate limited by ${source.name}, retrying in ${Math.round(retryDelay/1000)}s (attempt ${attempt}/${RATE_LIMIT_CONFIG.maxRetries})`);
+    await new Promise(resolve => setTimeout(resolve, retryDelay));
+  }
+}
+
+/**
+ * Get the consensus price of an asset from all data sources, queried in parallel
+ * @param {string} asset Asset symbol
+ * @param {Object} options Request options
+ * @param {Array} [options.sources] Data sources to query, defaults to DATA_SOURCES
+ * @param {Object} [options.consensus] Overrides of the price-consensus settings
+ * @returns {Promise<Object>} Consensus quote with confidence, sources and rejected sources
+ */
+async function getAssetPrice(asset, options = {}) {
+  // Sources without an ID for the asset are not asked and don't count against consensus
+  const sources = (options.sources || DATA_SOURCES).filter(source => source.mapAsset(asset));
+  const settings = consensusOptions(options.consensus);
+
+  const results = await Promise.allSettled(sources.map(source => fetchFromSource(source, asset)));
+  const quotes = [];
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      quotes.push(result.value);
+    } else {
+      logger.warn(`Failed to get ${asset} price from ${sources[index].name}: ${result.reason.message}`);
     }
+  });
+
+  if (quotes.length > 0) {
+    const quote = buildConsensus(asset, quotes, { ...settings, sourceCount: sources.length });
+    if (quote.rejected.length > 0) {
+      const rejected = quote.rejected.map(({ source, deviationPercent }) => `${source} (${deviationPercent.toFixed(2)}%)`);
+      logger.warn(`Rejected ${asset} price from ${rejected.join(', ')}`);
+    }
+    if (quote.weakConsensus) {
+      logger.warn(`Weak ${asset} price consensus: ${quote.sources.length}/${sources.length} sources agree, confidence ${quote.confidence}`);
+    }
+    return quote;
   }
 
   // All sources failed - use fallback mock data to prevent complete failure
@@ -349,6 +289,10 @@ async function getAssetPrice(asset, options = {}) {
     change24h: Math.random() * 10 - 5, // Random change between -5% and +5%
     marketCap: 0,
     volume: 0,
+    confidence: 0,
+    sources: [],
+    rejected: [],
+    weakConsensus: true,
     isFallback: true
   };
 }
@@ -437,10 +381,12 @@ async function getMarketData(assets, options = {}) {
           dataAge: Date.now() - (priceData.timestamp || Date.now())
         };
 
-        // Track data source
-        if (!result.sources.includes(priceData.source)) {
-          result.sources.push(priceData.source);
-        }
+        // Track data sources
+        (priceData.sources || [priceData.source]).forEach(source => {
+          if (!result.sources.includes(source)) {
+            result.sources.push(source);
+          }
+        });
 
         result.assets[asset] = assetData;
         successCount++;
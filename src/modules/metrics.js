@@ -0,0 +1,278 @@
+/**
+ * Metrics Registry
+ * Counters, gauges and histograms rendered in the Prometheus text exposition
+ * format (version 0.0.4). Modules register their metrics on the shared
+ * registry when loaded; the config server serves it on /metrics, and
+ * multi-bot-launcher.js on METRICS_PORT when run standalone.
+ */
+const http = require('http');
+const logger = require('./logger');
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+class Metric {
+  /**
+   * @param {string} name - Metric name, e.g. pollen_rebalances_attempted_total
+   * @param {string} help - One-line description
+   * @param {string[]} [labelNames] - Labels every observation must carry
+   * @param {Function} [collect] - Called before rendering, to set values pulled from elsewhere
+   */
+  constructor(type, name, help, labelNames = [], collect = null) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.collect = collect;
+    this.values = new Map(); // label key -> { labels, value }
+  }
+
+  entry(labels = {}) {
+    const picked = {};
+    for (const name of this.labelNames) {
+      if (labels[name] === undefined || labels[name] === null) {
+        throw new Error(`Metric ${this.name} needs label ${name}`);
+      }
+      picked[name] = String(labels[name]);
+    }
+    const key = this.labelNames.map(name => picked[name]).join('\u0000');
+    if (!this.values.has(key)) {
+      this.values.set(key, { labels: picked, value: 0 });
+    }
+    return this.values.get(key);
+  }
+
+  get(labels = {}) {
+    return this.entry(labels).value;
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  samples() {
+    // A metric without labels is always reported, starting at zero
+    if (this.labelNames.length === 0 && this.values.size === 0) {
+      this.entry();
+    }
+    return [...this.values.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+  }
+}
+
+class Counter extends Metric {
+  constructor(...args) {
+    super('counter', ...args);
+  }
+
+  inc(labels = {}, amount = 1) {
+    if (amount < 0) {
+      throw new Error(`Counter ${this.name} cannot decrease`);
+    }
+    this.entry(labels).value += amount;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(...args) {
+    super('gauge', ...args);
+  }
+
+  set(labels, value) {
+    this.entry(labels).value = value;
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.entry(labels).value += amount;
+  }
+
+  dec(labels = {}, amount = 1) {
+    this.entry(labels).value -= amount;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  entry(labels = {}) {
+    const entry = super.entry(labels);
+    if (!entry.counts) {
+      entry.counts = this.buckets.map(() => 0);
+      entry.sum = 0;
+      entry.count = 0;
+    }
+    return entry;
+  }
+
+  observe(labels, value) {
+    const entry = this.entry(labels);
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  get(labels = {}) {
+    const { sum, count } = this.entry(labels);
+    return { sum, count };
+  }
+
+  samples() {
+    if (this.labelNames.length === 0 && this.values.size === 0) {
+      this.entry();
+    }
+    const lines = [];
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  // Registering a name again returns the existing metric, so modules can declare what they use
+  register(metric) {
+    const existing = this.metrics.get(metric.name);
+    if (existing) {
+      if (existing.type !== metric.type) {
+        throw new Error(`Metric ${metric.name} is already registered as a ${existing.type}`);
+      }
+      return existing;
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames = []) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  /**
+   * @param {Function} [collect] - Sets the gauge's values when the registry is rendered
+   */
+  gauge(name, help, labelNames = [], collect = null) {
+    return this.register(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  getMetric(name) {
+    return this.metrics.get(name) || null;
+  }
+
+  resetValues() {
+    this.metrics.forEach(metric => metric.reset());
+  }
+
+  render() {
+    const blocks = [];
+    for (const metric of this.metrics.values()) {
+      if (metric.collect) {
+        try {
+          metric.collect(metric);
+        } catch (error) {
+          logger.warn(`Metric ${metric.name} could not be collected: ${error.message}`);
+        }
+      }
+      blocks.push([
+        `# HELP ${metric.name} ${metric.help}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...metric.samples()
+      ].join('\n'));
+    }
+    return `${blocks.join('\n')}\n`;
+  }
+}
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const registry = new MetricsRegistry();
+
+// Process metrics of whichever process serves the registry
+registry.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', [], (gauge) => {
+  gauge.set({}, process.memoryUsage().rss);
+});
+registry.gauge('nodejs_heap_used_bytes', 'V8 heap in use in bytes', [], (gauge) => {
+  gauge.set({}, process.memoryUsage().heapUsed);
+});
+registry.gauge('process_uptime_seconds', 'Seconds since the process started', [], (gauge) => {
+  gauge.set({}, process.uptime());
+});
+
+// Circuit breaker states as gauge values
+const CIRCUIT_STATES = { CLOSED: 0, HALF_OPEN: 1, OPEN: 2 };
+const circuitBreakers = new Map(); // breaker name -> () => 'CLOSED' | 'HALF_OPEN' | 'OPEN'
+
+registry.gauge(
+  'pollen_circuit_breaker_state',
+  'Circuit breaker state: 0 closed, 1 half-open, 2 open',
+  ['breaker'],
+  (gauge) => {
+    circuitBreakers.forEach((getState, breaker) => gauge.set({ breaker }, CIRCUIT_STATES[getState()]));
+  }
+);
+
+/**
+ * Reports a circuit breaker's state on pollen_circuit_breaker_state
+ * @param {string} breaker - Label value, e.g. 'tradingview'
+ * @param {Function} getState - Returns 'CLOSED', 'HALF_OPEN' or 'OPEN'
+ */
+function trackCircuitBreaker(breaker, getState) {
+  circuitBreakers.set(breaker, getState);
+}
+
+/**
+ * Serves the registry on its own port, for processes without the config server
+ * @returns {http.Server}
+ */
+function startMetricsServer(port, metricsRegistry = registry) {
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPE }).end(metricsRegistry.render());
+  });
+  server.listen(port, () => logger.info(`📈 Metrics available on port ${port} at /metrics`));
+  return server;
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  CIRCUIT_STATES,
+  MetricsRegistry,
+  registry,
+  trackCircuitBreaker,
+  startMetricsServer
+};
@@ -0,0 +1,510 @@
+/**
+ * Paper Trading
+ * Simulates Pollen virtual portfolios without a chain. Each bot gets a
+ * virtual PLN ledger; its portfolio is valued with the whitepaper return
+ * math against real or recorded prices: at every rebalance the value is
+ * split by the absolute weights and each position follows its asset's price
+ * relative until the next one, shorts gaining as the price falls. The ledger
+ * implements the portfolio methods of PollenContractInterface, so a bot runs
+ * paper or live by changing its trading mode.
+ */
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const marketDataSources = require('./market-data-sources');
+const PollenContractInterface = require('./pollen-contract-interface');
+const { calculateDriftedWeights } = require('./portfolio-state-reader');
+const {
+  InsufficientBalance,
+  InvalidWeights,
+  PortfolioAlreadyInitialized,
+  PortfolioNotInitialized
+} = require('./contract-errors');
+
+const DEFAULT_LEDGER_DIR = path.resolve(__dirname, '../../data/paper');
+const TRADING_MODES = ['live', 'paper'];
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+  initialBalance: 1000, // Virtual PLN credited to a new ledger
+  rebalanceThreshold: 0.05, // Weight difference that makes a rebalance worthwhile
+  maxAssets: 10,
+  ledgerDir: DEFAULT_LEDGER_DIR // null keeps the ledger in memory
+};
+
+/**
+ * Value of each position relative to the portfolio value at the last
+ * rebalance. A long is worth its weight times the price relative; a short
+ * is collateralized at rate 1, so it is worth weight * (2 - relative) and
+ * nothing once the price has doubled.
+ * @param {Array<{weight: number, isShort: boolean}>} positions - Absolute weights summing to 1
+ * @param {number[]} priceRelatives - Current price divided by the price at the last rebalance
+ * @returns {number[]}
+ */
+function positionValues(positions, priceRelatives) {
+  return positions.map((position, i) => position.weight * (position.isShort
+    ? Math.max(0, 2 - priceRelatives[i])
+    : priceRelatives[i]));
+}
+
+/**
+ * Validate an allocation and normalize it to absolute weights summing to 1.
+ * Negative weights and isShort flags both mark short positions.
+ * @param {string[]} assets - Asset symbols
+ * @param {number[]} weights - Weights in any scale (0-1, percent or basis points)
+ * @param {boolean[]} [isShort] - Short flag per asset
+ * @returns {Array<{asset: string, weight: number, isShort: boolean}>}
+ */
+function normalizeAllocation(assets, weights, isShort = []) {
+  if (!Array.isArray(assets) || !Array.isArray(weights) || assets.length !== weights.length) {
+    throw new Error('Assets and weights must be arrays of the same length');
+  }
+  if (new Set(assets.map(asset => asset.toLowerCase())).size !== assets.length) {
+    throw new Error('Duplicate assets in portfolio');
+  }
+  if (weights.some(weight => !Number.isFinite(Number(weight)))) {
+    throw new InvalidWeights('Weights must be numbers');
+  }
+
+  const total = weights.reduce((sum, weight) => sum + Math.abs(Number(weight)), 0);
+  if (total <= 0) {
+    throw new InvalidWeights('Weights must not all be zero');
+  }
+
+  return assets.map((asset, i) => ({
+    asset,
+    weight: Math.abs(Number(weights[i])) / total,
+    isShort: Number(weights[i]) < 0 || Boolean(isShort[i])
+  }));
+}
+
+/**
+ * Prices replayed from recorded snapshots, e.g. the benchmark's
+ * data/benchmark/snapshots.jsonl. Pass getAssetPrice and now to a ledger,
+ * then step through time with seek() or next().
+ */
+class RecordedPrices {
+  /**
+   * @param {Array<{timestamp: number, prices: Object}>} snapshots - Price snapshots
+   */
+  constructor(snapshots) {
+    this.snapshots = [...snapshots].sort((a, b) => a.timestamp - b.timestamp);
+    if (this.snapshots.length === 0) {
+      throw new Error('Recorded prices need at least one snapshot');
+    }
+    this.index = 0;
+
+    this.now = () => this.snapshots[this.index].timestamp;
+    this.getAssetPrice = async asset => {
+      const price = this.snapshots[this.index].prices[asset];
+      return price > 0 ? { price, timestamp: this.now() } : null;
+    };
+  }
+
+  /**
+   * Read snapshots from a JSONL file, one snapshot per line
+   * @param {string} filePath
+   */
+  static fromFile(filePath) {
+    const snapshots = fs.readFileSync(filePath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+    return new RecordedPrices(snapshots);
+  }
+
+  /**
+   * Move to the latest snapshot at or before a timestamp
+   * @param {number} timestamp - Time in ms
+   */
+  seek(timestamp) {
+    const index = this.snapshots.findIndex(snapshot => snapshot.timestamp > timestamp);
+    this.index = index === -1 ? this.snapshots.length - 1 : Math.max(0, index - 1);
+    return this.snapshots[this.index];
+  }
+
+  /**
+   * Move to the next snapshot
+   * @returns {boolean} False when already at the last snapshot
+   */
+  next() {
+    if (this.index >= this.snapshots.length - 1) return false;
+    this.index++;
+    return true;
+  }
+}
+
+class PaperTradingLedger {
+  /**
+   * @param {Object} [options] - See DEFAULT_OPTIONS
+   * @param {number|string} [options.botId] - Ledger owner, names the ledger file
+   * @param {string} [options.account] - Address reported as the wallet address
+   * @param {Function} [options.getAssetPrice] - Price lookup, defaults to market-data-sources
+   * @param {Function} [options.now] - Clock in ms, e.g. RecordedPrices#now
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.botId = options.botId;
+    this.account = options.account || (options.botId !== undefined ? `paper-bot-${options.botId}` : 'paper');
+    this.getAssetPrice = options.getAssetPrice || marketDataSources.getAssetPrice;
+    this.now = options.now || Date.now;
+    this.state = null;
+    this.isInitialized = false;
+  }
+
+  get ledgerFile() {
+    if (!this.options.ledgerDir) return null;
+    const name = this.botId !== undefined ? `bot-${this.botId}` : this.account.toLowerCase();
+    return path.join(this.options.ledgerDir, `${name}.json`);
+  }
+
+  /**
+   * Load the ledger, crediting the initial balance when none exists yet
+   */
+  async initialize() {
+    const file = this.ledgerFile;
+    if (file && fs.existsSync(file)) {
+      this.state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } else {
+      this.state = { account: this.account, balance: this.options.initialBalance, portfolio: null, history: [] };
+    }
+    this.isInitialized = true;
+    return true;
+  }
+
+  save() {
+    const file = this.ledgerFile;
+    if (!file) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(this.state, null, 2));
+  }
+
+  /**
+   * Current price of every asset. Fallback (mock) prices are rejected, since
+   * the ledger would book returns on random numbers.
+   * @param {string[]} assets
+   * @returns {Promise<Object>} Map of asset to price
+   */
+  async fetchPrices(assets) {
+    const prices = {};
+    for (const asset of assets) {
+      const data = await this.getAssetPrice(asset);
+      if (!data || !(data.price > 0) || data.isFallback) {
+        throw new Error(`No market price available for ${asset}`);
+      }
+      prices[asset] = data.price;
+    }
+    return prices;
+  }
+
+  /**
+   * Value the open portfolio at the given prices
+   * @returns {{value: number, periodReturn: number, currentWeights: number[]}}
+   */
+  valuePortfolio(prices) {
+    const { positions, entryPrices, entryValue } = this.state.portfolio;
+    const relatives = positions.map(position => prices[position.asset] / entryPrices[position.asset]);
+    const value = entryValue * positionValues(positions, relatives).reduce((sum, part) => sum + part, 0);
+
+    return {
+      value,
+      periodReturn: value / entryValue - 1,
+      currentWeights: calculateDriftedWeights(positions, relatives)
+    };
+  }
+
+  /**
+   * Open a virtual portfolio, moving the stake from the ledger balance
+   * @param {string[]} assets - Asset symbols
+   * @param {number[]} weights - Weights per asset; negative for shorts
+   * @param {number|string} plnStake - PLN to stake
+   * @param {Object} [options]
+   * @param {boolean[]} [options.isShort] - Short flag per asset
+   * @returns {Promise<Object>} Same shape as PollenContractInterface#createVirtualPortfolio
+   */
+  async createVirtualPortfolio(assets, weights, plnStake, options = {}) {
+    if (!this.isInitialized) await this.initialize();
+
+    if (this.state.portfolio) {
+      throw new PortfolioAlreadyInitialized('Portfolio has been initialized');
+    }
+    if (assets.length === 0 || assets.length > this.options.maxAssets) {
+      throw new Error(`Portfolio must contain between 1 and ${this.options.maxAssets} assets`);
+    }
+
+    const stake = Number(plnStake);
+    if (!(stake > 0)) {
+      throw new Error('Stake must be a positive PLN amount');
+    }
+    if (stake > this.state.balance) {
+      throw new InsufficientBalance(`Paper balance of ${this.state.balance} PLN is below the ${stake} PLN stake`);
+    }
+
+    const positions = normalizeAllocation(assets, weights, options.isShort);
+    const entryPrices = await this.fetchPrices(assets);
+    const timestamp = this.now();
+
+    this.state.balance -= stake;
+    this.state.portfolio = {
+      portfolioId: `paper-${this.botId !== undefined ? this.botId : this.account}-${timestamp}`,
+      positions,
+      entryPrices,
+      entryValue: stake,
+      stake,
+      createdAt: timestamp,
+      lastRebalance: timestamp,
+      rebalanceCount: 0
+    };
+    this.state.history.push({ type: 'create', timestamp, value: stake, return: null, positions });
+    this.save();
+
+    logger.info(`📝 Paper portfolio ${this.state.portfolio.portfolioId} created with ${stake} PLN`);
+
+    return {
+      success: true,
+      paper: true,
+      transactionHash: null,
+      portfolioId: this.state.portfolio.portfolioId,
+      assets,
+      weights: positions.map(position => position.weight),
+      isShort: positions.map(position => position.isShort),
+      plnStake: ethers.parseEther(String(stake)).toString()
+    };
+  }
+
+  /**
+   * Whether current weights are further from the target than the threshold
+   * @param {Array<{asset: string, weight: number, isShort: boolean}>} target - Normalized allocation
+   * @param {number[]} currentWeights - Current weights of the open positions
+   */
+  needsRebalancing(target, currentWeights) {
+    const signed = ({ weight, isShort }) => isShort ? -weight : weight;
+    const current = new Map(this.state.portfolio.positions.map((position, i) =>
+      [position.asset.toLowerCase(), signed({ weight: currentWeights[i], isShort: position.isShort })]));
+    const targets = new Map(target.map(position => [position.asset.toLowerCase(), signed(position)]));
+
+    return [...new Set([...current.keys(), ...targets.keys()])].some(asset =>
+      Math.abs((current.get(asset) || 0) - (targets.get(asset) || 0)) > this.options.rebalanceThreshold);
+  }
+
+  /**
+   * Value the portfolio at current prices, book the period return and
+   * re-split the value over the new allocation
+   * @param {string[]} newAssets - Asset symbols
+   * @param {number[]} newWeights - Weights per asset; negative for shorts
+   * @param {Object} [options]
+   * @param {boolean[]} [options.isShort] - Short flag per asset
+   * @param {boolean} [options.force=false] - Rebalance even when within the threshold
+   * @returns {Promise<Object>} Same shape as PollenContractInterface#rebalanceVirtualPortfolio
+   */
+  async rebalanceVirtualPortfolio(newAssets, newWeights, options = {}) {
+    if (!this.isInitialized) await this.initialize();
+
+    const { portfolio } = this.state;
+    if (!portfolio) {
+      throw new PortfolioNotInitialized('Portfolio not initialized');
+    }
+    if (newAssets.length > this.options.maxAssets) {
+      throw new Error(`Portfolio cannot contain more than ${this.options.maxAssets} assets`);
+    }
+
+    const positions = normalizeAllocation(newAssets, newWeights, options.isShort);
+    const held = portfolio.positions.map(position => position.asset);
+    const prices = await this.fetchPrices([...new Set([...held, ...newAssets])]);
+    const { value, periodReturn, currentWeights } = this.valuePortfolio(prices);
+
+    if (!options.force && !this.needsRebalancing(positions, currentWeights)) {
+      logger.info('No rebalancing needed - current allocations are within thresholds');
+      return { success: true, rebalanced: false };
+    }
+
+    const timestamp = this.now();
+    const oldAllocation = portfolio.positions;
+
+    this.state.portfolio = {
+      ...portfolio,
+      positions,
+      entryPrices: Object.fromEntries(newAssets.map(asset => [asset, prices[asset]])),
+      entryValue: value,
+      lastRebalance: timestamp,
+      rebalanceCount: portfolio.rebalanceCount + 1
+    };
+    this.state.history.push({ type: 'rebalance', timestamp, value, return: periodReturn, positions });
+    this.save();
+
+    logger.info(`📝 Paper portfolio ${portfolio.portfolioId} rebalanced at ${value.toFixed(4)} PLN (${(periodReturn * 100).toFixed(2)}%)`);
+
+    return {
+      success: true,
+      rebalanced: true,
+      paper: true,
+      transactionHash: null,
+      oldAllocation,
+      newAllocation: positions,
+      value,
+      periodReturn
+    };
+  }
+
+  /**
+   * Portfolio status at current prices. currentReturn is the return on the
+   * stake since creation, periodReturn the return on entryValue, the value
+   * at the last rebalance.
+   */
+  async getPortfolioStatus() {
+    try {
+      if (!this.isInitialized) await this.initialize();
+
+      const { portfolio } = this.state;
+      if (!portfolio) {
+        return { hasPortfolio: false, paper: true };
+      }
+
+      const { value, periodReturn, currentWeights } = this.valuePortfolio(
+        await this.fetchPrices(portfolio.positions.map(position => position.asset))
+      );
+
+      return {
+        hasPortfolio: true,
+        paper: true,
+        portfolioId: portfolio.portfolioId,
+        assets: portfolio.positions.map(position => position.asset),
+        weights: portfolio.positions.map(position => position.weight),
+        isShort: portfolio.positions.map(position => position.isShort),
+        currentWeights,
+        plnStaked: portfolio.stake,
+        entryValue: portfolio.entryValue,
+        value,
+        currentReturn: value / portfolio.stake - 1,
+        periodReturn,
+        rebalanceCount: portfolio.rebalanceCount,
+        lastRebalance: new Date(portfolio.lastRebalance).toISOString(),
+        daysActive: Math.floor((this.now() - portfolio.createdAt) / MS_PER_DAY),
+        lockInfo: null
+      };
+    } catch (error) {
+      logger.error(`Error getting paper portfolio status: ${error.message}`);
+      return { hasPortfolio: false, paper: true, error: error.message };
+    }
+  }
+
+  /**
+   * The open portfolio as a PortfolioStateReader snapshot, so the strategy
+   * pipelines can plan paper rebalances the same way as live ones
+   * @returns {Promise<PortfolioSnapshot>}
+   */
+  async readSnapshot() {
+    if (!this.isInitialized) await this.initialize();
+
+    const { portfolio } = this.state;
+    const snapshot = {
+      owner: this.account,
+      exists: Boolean(portfolio),
+      isOpen: Boolean(portfolio),
+      assets: [],
+      totalValue: 0n,
+      depositPLN: 0n,
+      withdrawn: 0n,
+      benchmarkRef: 0n,
+      lastRebalance: portfolio ? new Date(portfolio.lastRebalance) : null,
+      drift: null,
+      readAt: new Date(this.now()),
+      simulated: true
+    };
+    if (!portfolio) return snapshot;
+
+    snapshot.depositPLN = ethers.parseEther(String(portfolio.stake));
+    snapshot.assets = portfolio.positions.map((position, index) => ({
+      index,
+      symbol: position.asset,
+      rawWeight: BigInt(Math.round(position.weight * 100)),
+      weight: position.weight,
+      isShort: position.isShort,
+      currentWeight: null,
+      drift: null
+    }));
+
+    try {
+      const { value, currentWeights } = this.valuePortfolio(
+        await this.fetchPrices(portfolio.positions.map(position => position.asset))
+      );
+      snapshot.totalValue = ethers.parseEther(value.toFixed(18));
+      snapshot.assets.forEach((asset, i) => {
+        asset.currentWeight = currentWeights[i];
+        asset.drift = currentWeights[i] - asset.weight;
+      });
+      snapshot.drift = snapshot.assets.reduce((sum, asset) => sum + Math.abs(asset.drift), 0) / 2;
+    } catch (error) {
+      logger.warn(`Cannot value paper portfolio of ${this.account}: ${error.message}`);
+    }
+    return snapshot;
+  }
+
+  /**
+   * Ledger entries, oldest first
+   */
+  getHistory() {
+    return this.state ? [...this.state.history] : [];
+  }
+
+  async getPLNBalance() {
+    if (!this.isInitialized) await this.initialize();
+    return String(this.state.balance);
+  }
+
+  async getAccountStatus() {
+    return {
+      wallet: this.account,
+      paper: true,
+      balances: { pln: await this.getPLNBalance(), vePln: '0' },
+      portfolio: await this.getPortfolioStatus(),
+      timestamp: new Date(this.now()).toISOString()
+    };
+  }
+
+  getWalletAddress() {
+    return this.account;
+  }
+
+  isReady() {
+    return this.isInitialized;
+  }
+}
+
+/**
+ * Trading mode from config.trading.mode, then TRADING_MODE, defaulting to live
+ * @param {Object} [config]
+ */
+function resolveTradingMode(config = {}) {
+  const mode = config.trading?.mode || process.env.TRADING_MODE || 'live';
+  if (!TRADING_MODES.includes(mode)) {
+    throw new Error(`Trading mode must be one of: ${TRADING_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+/**
+ * Portfolio interface for the configured trading mode: a PaperTradingLedger
+ * in paper mode, otherwise the on-chain PollenContractInterface
+ * @param {ethers.Provider} provider - Network provider, unused in paper mode
+ * @param {ethers.Signer|null} wallet - Signer, only its address is used in paper mode
+ * @param {Object} [config] - PollenContractInterface config; config.paper holds ledger options
+ */
+function createPortfolioInterface(provider, wallet, config = {}) {
+  if (resolveTradingMode(config) === 'paper') {
+    return new PaperTradingLedger({ botId: config.botId, account: wallet?.address, ...config.paper });
+  }
+  return new PollenContractInterface(provider, wallet, config);
+}
+
+module.exports = {
+  DEFAULT_LEDGER_DIR,
+  TRADING_MODES,
+  PaperTradingLedger,
+  RecordedPrices,
+  positionValues,
+  normalizeAllocation,
+  resolveTradingMode,
+  createPortfolioInterface
+};
@@ -1,34 +1,18 @@
 
 const logger = require('./logger');
+const { CATEGORY_RISK_LEVELS, listAssets } = require('../config/assets');
 
 /**
  * Pollen Platform Asset Configuration
- * Manages all supported assets on the Pollen Platform across different networks
+ * Manages all supported assets on the Pollen Platform across different networks.
+ * Assets and their categories come from src/config/assets.js.
  */
 
-// Core asset categories for strategic allocation
-const ASSET_CATEGORIES = {
-  BLUE_CHIP: ['WBTC.E', 'WETH.E', 'WAVAX'],
-  STABLECOINS: ['USDT.E'],
-  DEFI: ['AAVE.E', 'UNI.E', 'SUSHI.E', 'COMP.E', 'YFI.E', 'CRV.E', 'MKR.E', 'CVX', 'SNX', 'KNC', 'FXS', 'SPELL'],
-  LAYER1: ['MATIC', 'DOT.E', 'FTM', 'NEAR', 'FIL'],
-  AVALANCHE_ECOSYSTEM: ['JOE', 'XAVA', 'QI'],
-  INFRASTRUCTURE: ['LINK.E', 'CHZ', 'BAT'],
-  GAMING_NFT: ['APE', 'AXS', 'MANA'],
-  EMERGING: ['ALPHA.E', 'CAKE', 'COQ', 'WOO']
-};
-
-// Risk levels for different asset categories
-const CATEGORY_RISK_LEVELS = {
-  BLUE_CHIP: 'low',
-  STABLECOINS: 'very_low',
-  DEFI: 'medium',
-  LAYER1: 'medium',
-  AVALANCHE_ECOSYSTEM: 'medium-high',
-  INFRASTRUCTURE: 'medium',
-  GAMING_NFT: 'high',
-  EMERGING: 'very_high'
-};
+// Core asset categories for strategic allocation, from the asset catalog
+const ASSET_CATEGORIES = {};
+listAssets({ tradable: true }).forEach(({ symbol, category }) => {
+  ASSET_CATEGORIES[category] = [...ASSET_CATEGORIES[category] || [], symbol];
+});
 
 // Default allocation limits based on risk categories
 const DEFAULT_ALLOCATION_LIMITS = {
@@ -0,0 +1,313 @@
+/**
+ * Pollen Market Benchmark
+ * Builds the whitepaper's custom benchmark basket (WBTC, WETH, AVAX, LINK by
+ * default) from the same price sources as market-data-sources.js. The basket
+ * is either market-cap weighted or uses fixed weights, is held between
+ * rebalances so weights drift with prices, and is rebalanced on a schedule.
+ * Its return series is what bot alpha, beta, tracking error and reputation
+ * are measured against.
+ */
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const marketDataSources = require('./market-data-sources');
+
+const DEFAULT_CONFIG_PATH = path.resolve(__dirname, '../../config/benchmark.json');
+const DEFAULT_HISTORY_FILE = path.resolve(__dirname, '../../data/benchmark/snapshots.jsonl');
+const WEIGHTING_METHODS = ['market-cap', 'fixed'];
+
+const DEFAULT_BENCHMARK = {
+  assets: ['WBTC.E', 'WETH.E', 'WAVAX', 'LINK.E'],
+  weighting: 'market-cap',
+  // Used for fixed weighting, and whenever a market cap is unavailable
+  weights: { 'WBTC.E': 0.4, 'WETH.E': 0.3, 'WAVAX': 0.15, 'LINK.E': 0.15 },
+  rebalanceInterval: 7 * 24 * 60 * 60 * 1000 // weekly
+};
+
+/**
+ * Validate a benchmark definition and fill in defaults
+ * @param {Object} [config] - Partial benchmark definition
+ * @returns {Object} Benchmark definition with normalized fixed weights
+ */
+function normalizeBenchmarkConfig(config = {}) {
+  const merged = { ...DEFAULT_BENCHMARK, ...config };
+
+  if (!Array.isArray(merged.assets) || merged.assets.length === 0) {
+    throw new Error('Benchmark needs at least one asset');
+  }
+  if (!WEIGHTING_METHODS.includes(merged.weighting)) {
+    throw new Error(`Benchmark weighting must be one of: ${WEIGHTING_METHODS.join(', ')}`);
+  }
+  if (!Number.isFinite(merged.rebalanceInterval) || merged.rebalanceInterval <= 0) {
+    throw new Error('Benchmark rebalanceInterval must be a positive number of milliseconds');
+  }
+
+  // Assets without a configured weight share the basket equally
+  const weights = config.weights || (config.assets ? {} : DEFAULT_BENCHMARK.weights);
+  const raw = merged.assets.map(asset => weights[asset] === undefined ? 1 / merged.assets.length : weights[asset]);
+  if (raw.some(weight => !Number.isFinite(weight) || weight < 0)) {
+    throw new Error('Benchmark weights must be non-negative numbers');
+  }
+  const total = raw.reduce((sum, weight) => sum + weight, 0);
+  if (total <= 0) {
+    throw new Error('Benchmark weights must not all be zero');
+  }
+
+  return {
+    ...merged,
+    weights: Object.fromEntries(merged.assets.map((asset, i) => [asset, raw[i] / total]))
+  };
+}
+
+/**
+ * Target weights for a rebalance. Market-cap weighting falls back to the
+ * fixed weights when any market cap is missing, since a partial set would
+ * skew the basket towards the assets that happen to report one.
+ * @param {Object} config - Normalized benchmark definition
+ * @param {Object} [marketCaps] - Map of asset to market cap in USD
+ * @returns {Object} Map of asset to weight, summing to 1
+ */
+function calculateBenchmarkWeights(config, marketCaps = {}) {
+  if (config.weighting === 'fixed') {
+    return { ...config.weights };
+  }
+
+  const caps = config.assets.map(asset => marketCaps[asset]);
+  if (caps.some(cap => !Number.isFinite(cap) || cap <= 0)) {
+    logger.warn('Benchmark market caps incomplete, using fixed weights for this rebalance');
+    return { ...config.weights };
+  }
+
+  const total = caps.reduce((sum, cap) => sum + cap, 0);
+  return Object.fromEntries(config.assets.map((asset, i) => [asset, caps[i] / total]));
+}
+
+/**
+ * Replay price snapshots through the benchmark basket
+ * @param {Array<{timestamp: number, prices: Object, marketCaps?: Object}>} snapshots - Price snapshots
+ * @param {Object} config - Normalized benchmark definition
+ * @returns {{points: Array<{timestamp: number, value: number, return: number, rebalanced: boolean}>, weights: Object|null, rebalances: number}}
+ */
+function buildBenchmarkSeries(snapshots, config) {
+  const sorted = [...snapshots].sort((a, b) => a.timestamp - b.timestamp);
+  const points = [];
+  let units = null;
+  let weights = null;
+  let lastRebalance = null;
+  let rebalances = 0;
+
+  for (const snapshot of sorted) {
+    if (config.assets.some(asset => !(snapshot.prices[asset] > 0))) {
+      logger.debug(`Skipping benchmark snapshot ${snapshot.timestamp}: missing prices`);
+      continue;
+    }
+
+    const value = units
+      ? config.assets.reduce((sum, asset) => sum + units[asset] * snapshot.prices[asset], 0)
+      : 1;
+    const previous = points.length > 0 ? points[points.length - 1].value : value;
+
+    const rebalanced = lastRebalance === null || snapshot.timestamp - lastRebalance >= config.rebalanceInterval;
+    if (rebalanced) {
+      weights = calculateBenchmarkWeights(config, snapshot.marketCaps);
+      units = Object.fromEntries(config.assets.map(asset => [asset, value * weights[asset] / snapshot.prices[asset]]));
+      lastRebalance = snapshot.timestamp;
+      rebalances++;
+    }
+
+    points.push({ timestamp: snapshot.timestamp, value, return: value / previous - 1, rebalanced });
+  }
+
+  return { points, weights, rebalances };
+}
+
+/**
+ * Turn OHLCV history (as loaded for backtests) into benchmark snapshots,
+ * keeping only timestamps every asset has a candle for
+ * @param {Object} history - Map of asset to candles with timestamp and close
+ * @returns {Array<{timestamp: number, prices: Object}>}
+ */
+function snapshotsFromCandles(history) {
+  const assets = Object.keys(history);
+  const byTimestamp = new Map();
+
+  assets.forEach(asset => {
+    history[asset].forEach(candle => {
+      if (!byTimestamp.has(candle.timestamp)) byTimestamp.set(candle.timestamp, {});
+      byTimestamp.get(candle.timestamp)[asset] = candle.close;
+    });
+  });
+
+  return [...byTimestamp.entries()]
+    .filter(([, prices]) => assets.every(asset => prices[asset] !== undefined))
+    .map(([timestamp, prices]) => ({ timestamp, prices }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Read the benchmark definition, falling back to DEFAULT_BENCHMARK when the
+ * file does not exist
+ * @param {string} [filePath] - Defaults to BENCHMARK_CONFIG_PATH or config/benchmark.json
+ */
+function loadBenchmarkConfig(filePath = process.env.BENCHMARK_CONFIG_PATH || DEFAULT_CONFIG_PATH) {
+  if (!fs.existsSync(filePath)) {
+    return normalizeBenchmarkConfig();
+  }
+
+  try {
+    return normalizeBenchmarkConfig(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  } catch (error) {
+    throw new Error(`Invalid benchmark config ${filePath}: ${error.message}`);
+  }
+}
+
+class PollenBenchmark {
+  /**
+   * @param {Object} [config] - Benchmark definition, see DEFAULT_BENCHMARK
+   * @param {Object} [options]
+   * @param {Function} [options.getAssetPrice] - Price lookup, defaults to market-data-sources
+   * @param {string|null} [options.historyFile] - JSONL file snapshots are appended to, null to keep them in memory
+   */
+  constructor(config = {}, options = {}) {
+    this.config = normalizeBenchmarkConfig(config);
+    this.getAssetPrice = options.getAssetPrice || marketDataSources.getAssetPrice;
+    this.historyFile = options.historyFile === undefined ? DEFAULT_HISTORY_FILE : options.historyFile;
+    this.snapshots = null;
+    this.timer = null;
+  }
+
+  loadSnapshots() {
+    if (this.snapshots) return this.snapshots;
+
+    this.snapshots = [];
+    if (this.historyFile && fs.existsSync(this.historyFile)) {
+      fs.readFileSync(this.historyFile, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .forEach(line => {
+          try {
+            this.snapshots.push(JSON.parse(line));
+          } catch (error) {
+            logger.warn(`Skipping unreadable benchmark snapshot in ${this.historyFile}`);
+          }
+        });
+    }
+    return this.snapshots;
+  }
+
+  /**
+   * Record a snapshot
+   * @param {{timestamp: number, prices: Object, marketCaps?: Object}} snapshot
+   */
+  addSnapshot(snapshot) {
+    this.loadSnapshots().push(snapshot);
+    if (this.historyFile) {
+      fs.mkdirSync(path.dirname(this.historyFile), { recursive: true });
+      fs.appendFileSync(this.historyFile, `${JSON.stringify(snapshot)}\n`);
+    }
+  }
+
+  /**
+   * Fetch current prices and market caps for every benchmark asset. The
+   * snapshot is dropped when any source falls back to mock prices, so the
+   * series only ever contains real market data.
+   * @returns {Promise<Object|null>} The recorded snapshot, or null when skipped
+   */
+  async sample(timestamp = Date.now()) {
+    const prices = {};
+    const marketCaps = {};
+
+    for (const asset of this.config.assets) {
+      const data = await this.getAssetPrice(asset);
+      if (!data || data.isFallback || !(data.price > 0)) {
+        logger.warn(`Benchmark sample skipped: no market price for ${asset}`);
+        return null;
+      }
+      prices[asset] = data.price;
+      marketCaps[asset] = data.marketCap || 0;
+    }
+
+    const snapshot = { timestamp, prices, marketCaps };
+    this.addSnapshot(snapshot);
+    return snapshot;
+  }
+
+  /**
+   * Sample current prices and value the basket with them
+   * @returns {Promise<number|null>} Benchmark value, null when a market price is unavailable
+   */
+  async currentValue(timestamp = Date.now()) {
+    if (!await this.sample(timestamp)) {
+      return null;
+    }
+    const { points } = this.getSeries();
+    return points.length > 0 ? points[points.length - 1].value : null;
+  }
+
+  /**
+   * Sample prices on an interval until stop() is called
+   * @param {number} [intervalMs=3600000] - Sampling interval
+   */
+  start(intervalMs = 60 * 60 * 1000) {
+    this.stop();
+    const run = () => this.sample().catch(error => logger.error(`Benchmark sample failed: ${error.message}`));
+    run();
+    this.timer = setInterval(run, intervalMs);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Benchmark value and return series from the recorded snapshots
+   * @param {Object} [options]
+   * @param {number} [options.since] - Only use snapshots from this timestamp (ms)
+   */
+  getSeries(options = {}) {
+    const since = options.since || 0;
+    return buildBenchmarkSeries(this.loadSnapshots().filter(s => s.timestamp >= since), this.config);
+  }
+
+  /**
+   * Period returns of the benchmark, oldest first
+   */
+  getReturns(options = {}) {
+    return this.getSeries(options).points.slice(1).map(point => point.return);
+  }
+
+  /**
+   * Benchmark returns over the periods between consecutive timestamps, so
+   * they cover the same intervals as a bot's per-rebalance returns. The
+   * benchmark value at a timestamp is that of the last snapshot at or before it.
+   * @param {number[]} timestamps - Period boundaries in ms, oldest first
+   * @returns {number[]} One return per period
+   */
+  getReturnsBetween(timestamps) {
+    const { points } = this.getSeries();
+    const values = timestamps.map(timestamp => {
+      const point = points.filter(candidate => candidate.timestamp <= timestamp).pop();
+      if (!point) {
+        throw new Error(`No benchmark snapshot at or before ${new Date(timestamp).toISOString()}`);
+      }
+      return point.value;
+    });
+    return values.slice(1).map((value, i) => value / values[i] - 1);
+  }
+}
+
+module.exports = {
+  DEFAULT_BENCHMARK,
+  WEIGHTING_METHODS,
+  PollenBenchmark,
+  loadBenchmarkConfig,
+  normalizeBenchmarkConfig,
+  calculateBenchmarkWeights,
+  buildBenchmarkSeries,
+  snapshotsFromCandles,
+  benchmark: new PollenBenchmark(loadBenchmarkConfig())
+};
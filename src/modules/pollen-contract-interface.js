@@ -10,9 +10,34 @@
 
 const { ethers } = require('ethers');
 const logger = require('./logger');
+const { keystore } = require('./keystore');
+const { getTransactionManager } = require('./transaction-manager');
+const { InvalidWeights, LockAlreadyExists, LockNotExpired, toContractError } = require('./contract-errors');
 
-// Raw ABI from actual contract 0x2eCB6F9dF29163758024d416997764922E4528d4
-const VEPLN_CONTRACT_ABI = require('../../attached_assets/0x2ecb6f9df29163758024d416997764922e4528d4.abi.json');
+// vePLN functions used by this interface, matching contracts/mocks/MockVePLN.sol
+const VEPLN_INTERFACE_ABI = [
+  'function lock(uint256 amount, uint256 lockEnd)',
+  'function increaseLock(uint256 amount)',
+  'function extendLock(uint256 newLockEnd)',
+  'function unlock()',
+  'function claimRewards()',
+  'function locks(address account) view returns (uint256 lockStart, uint256 lockEnd, uint256 amount, uint256 offset, uint256 claimable)',
+  'function getAvailableRewards(address account) view returns (uint256)',
+  'function getClaimableRewards() view returns (uint256)',
+  'function balanceOf(address account) view returns (uint256)',
+  'function getVotingPower(address account) view returns (uint256)',
+  'function getBoostingRate(address account) view returns (uint256)',
+  'function totalLocked() view returns (uint256)',
+  'function rewardCurve() view returns (uint256 rate, uint256 updatedAt)'
+];
+
+// Raw ABI from actual contract 0x2eCB6F9dF29163758024d416997764922E4528d4 when it is checked out
+let VEPLN_CONTRACT_ABI;
+try {
+  VEPLN_CONTRACT_ABI = require('../../attached_assets/0x2ecb6f9df29163758024d416997764922e4528d4.abi.json');
+} catch (error) {
+  VEPLN_CONTRACT_ABI = VEPLN_INTERFACE_ABI;
+}
 
 // PLN Token ABI (Standard ERC20)
 const PLN_TOKEN_ABI = [
@@ -40,6 +65,9 @@ const VIRTUAL_PORTFOLIO_ABI = [
   'event PortfolioClosed(address indexed user, uint256 plnRewards, int256 finalReturn)'
 ];
 
+// ABIs whose custom errors are decoded into typed contract errors
+const CONTRACT_ERROR_ABIS = [VEPLN_CONTRACT_ABI, PLN_TOKEN_ABI, VIRTUAL_PORTFOLIO_ABI];
+
 // Contract addresses will be loaded from config
 let CONTRACT_ADDRESSES = {};
 
@@ -53,6 +81,13 @@ const SUPPORTED_ASSETS = {
 };
 
 class PollenContractInterface {
+  /**
+   * @param {ethers.Provider} provider - Network provider
+   * @param {ethers.Signer|null} wallet - Signer; when omitted it is resolved
+   *   from the encrypted keystore using config.botId during initialize()
+   * @param {Object} [config] - Contracts, network, optional botId and
+   *   TransactionManager options (config.transactions)
+   */
   constructor(provider, wallet, config = {}) {
     this.provider = provider;
     this.wallet = wallet;
@@ -62,6 +97,7 @@ class PollenContractInterface {
     this.vePlnContract = null;
     this.plnToken = null;
     this.pollenDAO = null;
+    this.transactions = null;
     
     this.isInitialized = false;
     this.lockCache = new Map();
@@ -74,6 +110,13 @@ class PollenContractInterface {
   async initialize() {
     try {
       logger.info('Initializing Pollen Contract Interface...');
+
+      if (!this.wallet && this.config.botId !== undefined) {
+        this.wallet = await keystore.getSigner(this.config.botId, this.provider);
+      }
+      if (this.wallet) {
+        this.transactions = getTransactionManager(this.wallet, this.config.transactions);
+      }
       
       // Load contract addresses from config
       CONTRACT_ADDRESSES = {
@@ -153,7 +196,7 @@ class PollenContractInterface {
           continue;
         }
         
-        const contract = new ethers.Contract(check.address, ['function ' + check.method], this.provider);
+        const contract = new ethers.Contract(check.address, ['function ' + check.method + ' view'], this.provider);
         const args = check.args || [];
         await contract[check.method](...args, { gasLimit: 100000 });
         logger.info(`Verified ${check.name} at ${check.address}`);
@@ -230,10 +273,9 @@ class PollenContractInterface {
       
       logger.info(`Approving ${amount} PLN for vePLN contract...`);
       
-      const approveTx = await this.plnToken.approve(
-        CONTRACT_ADDRESSES.VEPLN_CONTRACT,
-        amountWei,
-        { gasLimit: 100000 }
+      const approveTx = await this.sendTransaction(
+        await this.plnToken.approve.populateTransaction(CONTRACT_ADDRESSES.VEPLN_CONTRACT, amountWei),
+        'PLN approval'
       );
       
       const receipt = await approveTx.wait();
@@ -242,11 +284,21 @@ class PollenContractInterface {
       return true;
     } catch (error) {
       logger.error(`PLN approval failed: ${error.message}`);
-      throw error;
+      throw toContractError(error, CONTRACT_ERROR_ABIS);
     }
   }
 
   // ===== GAS OPTIMIZATION =====
+
+  /**
+   * Send through the wallet's shared TransactionManager, which assigns the
+   * nonce, sets EIP-1559 fees and replaces the transaction if it stalls
+   * @param {Object} request - Populated contract call
+   * @param {string} label - Description for logs
+   */
+  async sendTransaction(request, label) {
+    return this.transactions.send(request, { label });
+  }
   
   /**
    * Get optimal gas price with buffer
@@ -313,10 +365,13 @@ class PollenContractInterface {
         throw new Error(`Minimum stake amount is ${ethers.formatEther(minStake)} PLN`);
       }
       
-      // Get current lock info
+      // Get current lock info; without it an existing lock can't be ruled out
       const currentLock = await this.getLockInfo();
-      if (currentLock.amount > 0 && currentLock.end > Math.floor(Date.now() / 1000)) {
-        throw new Error('Existing lock found. Please extend or unlock first.');
+      if (!currentLock) {
+        throw new Error('Current lock could not be read. Not locking');
+      }
+      if (currentLock.amount > 0 && currentLock.lockEnd > Math.floor(Date.now() / 1000)) {
+        throw new LockAlreadyExists('Existing lock found. Please extend or unlock first.');
       }
       
       logger.info(`Locking ${amount} PLN for ${lockDurationDays} days...`);
@@ -324,14 +379,10 @@ class PollenContractInterface {
       // Approve PLN first with gas estimation
       await this.approvePLN(amount);
       
-      // Get optimal gas price
-      const gasPrice = await this.getOptimalGasPrice();
-      
-      // Execute lock transaction with proper gas estimation
-      const lockTx = await this.vePlnContract.lock(amountWei, lockEnd, {
-        gasLimit: 500000, // Increased gas limit for complex operations
-        gasPrice: gasPrice
-      });
+      const lockTx = await this.sendTransaction(
+        await this.vePlnContract.lock.populateTransaction(amountWei, lockEnd),
+        'vePLN lock'
+      );
       
       logger.info(`Transaction sent: ${lockTx.hash}`);
       const receipt = await lockTx.wait();
@@ -355,8 +406,8 @@ class PollenContractInterface {
         amount: amount,
         lockDuration: lockDurationDays,
         lockEnd: lockEnd,
-        vePLNBalance: ethers.formatEther(newLock.amount),
-        unlockTimestamp: newLock.end
+        vePLNBalance: newLock.amount,
+        unlockTimestamp: newLock.lockEnd
       };
       
     } catch (error) {
@@ -369,7 +420,7 @@ class PollenContractInterface {
         throw new Error('Transaction would fail. Check your inputs and allowances.');
       }
       
-      throw error;
+      throw toContractError(error, CONTRACT_ERROR_ABIS);
     }
   }
 
@@ -385,9 +436,10 @@ class PollenContractInterface {
       // Approve additional PLN
       await this.approvePLN(additionalAmount);
       
-      const increaseTx = await this.vePlnContract.increaseLock(amountWei, {
-        gasLimit: 250000
-      });
+      const increaseTx = await this.sendTransaction(
+        await this.vePlnContract.increaseLock.populateTransaction(amountWei),
+        'vePLN lock increase'
+      );
       
       const receipt = await increaseTx.wait();
       logger.info(`✅ Lock amount increased: ${receipt.transactionHash}`);
@@ -403,7 +455,7 @@ class PollenContractInterface {
       
     } catch (error) {
       logger.error(`Lock increase failed: ${error.message}`);
-      throw error;
+      throw toContractError(error, CONTRACT_ERROR_ABIS);
     }
   }
 
@@ -411,15 +463,22 @@ class PollenContractInterface {
    * Extend lock duration
    */
   async extendLockDuration(additionalDays) {
+    const currentLock = await this.getLockInfo();
+    return this.extendLockUntil(currentLock.lockEnd + Math.floor(additionalDays * 24 * 3600));
+  }
+
+  /**
+   * Move the lock end to a later time
+   * @param {number} newLockEnd - Unix seconds
+   */
+  async extendLockUntil(newLockEnd) {
     try {
-      const currentLock = await this.getLockInfo();
-      const newLockEnd = currentLock.lockEnd + (additionalDays * 24 * 3600);
-      
-      logger.info(`Extending lock by ${additionalDays} days...`);
+      logger.info(`Extending lock until ${new Date(newLockEnd * 1000).toISOString()}...`);
       
-      const extendTx = await this.vePlnContract.extendLock(newLockEnd, {
-        gasLimit: 200000
-      });
+      const extendTx = await this.sendTransaction(
+        await this.vePlnContract.extendLock.populateTransaction(newLockEnd),
+        'vePLN lock extension'
+      );
       
       const receipt = await extendTx.wait();
       logger.info(`✅ Lock extended: ${receipt.transactionHash}`);
@@ -435,7 +494,7 @@ class PollenContractInterface {
       
     } catch (error) {
       logger.error(`Lock extension failed: ${error.message}`);
-      throw error;
+      throw toContractError(error, CONTRACT_ERROR_ABIS);
     }
   }
 
@@ -448,14 +507,15 @@ class PollenContractInterface {
       const currentTime = Math.floor(Date.now() / 1000);
       
       if (currentTime < lockInfo.lockEnd) {
-        throw new Error(`Lock period not expired. Expires: ${new Date(lockInfo.lockEnd * 1000)}`);
+        throw new LockNotExpired(`Lock period not expired. Expires: ${new Date(lockInfo.lockEnd * 1000)}`);
       }
       
       logger.info('Unlocking PLN tokens...');
       
-      const unlockTx = await this.vePlnContract.unlock({
-        gasLimit: 250000
-      });
+      const unlockTx = await this.sendTransaction(
+        await this.vePlnContract.unlock.populateTransaction(),
+        'vePLN unlock'
+      );
       
       const receipt = await unlockTx.wait();
       logger.info(`✅ PLN unlocked: ${receipt.transactionHash}`);
@@ -471,7 +531,7 @@ class PollenContractInterface {
       
     } catch (error) {
       logger.error(`Unlock failed: ${error.message}`);
-      throw error;
+      throw toContractError(error, CONTRACT_ERROR_ABIS);
     }
   }
 
@@ -491,9 +551,10 @@ class PollenContractInterface {
       
       logger.info(`Claiming ${availableRewards} PLN rewards...`);
       
-      const claimTx = await this.vePlnContract.claimRewards({
-        gasLimit: 200000
-      });
+      const claimTx = await this.sendTransaction(
+        await this.vePlnContract.claimRewards.populateTransaction(),
+        'vePLN reward claim'
+      );
       
       const receipt = await claimTx.wait();
       logger.info(`✅ Rewards claimed: ${receipt.transactionHash}`);
@@ -506,7 +567,7 @@ class PollenContractInterface {
       
     } catch (error) {
       logger.error(`Reward claim failed: ${error.message}`);
-      throw error;
+      throw toContractError(error, CONTRACT_ERROR_ABIS);
     }
   }
 
@@ -536,6 +597,19 @@ class PollenContractInterface {
     }
   }
 
+  /**
+   * Reward rate in PLN per locked PLN per second
+   */
+  async getRewardRate() {
+    try {
+      const { rate } = await this.vePlnContract.rewardCurve();
+      return Number(ethers.formatEther(rate));
+    } catch (error) {
+      logger.error(`Error getting reward rate: ${error.message}`);
+      return 0;
+    }
+  }
+
   // ===== LOCK INFO & VOTING POWER =====
 
   /**
@@ -664,21 +738,16 @@ class PollenContractInterface {
       
       logger.info(`Creating virtual portfolio with ${assets.length} assets and ${plnStake} PLN stake...`);
       
-      // Get optimal gas price
-      const gasPrice = await this.getOptimalGasPrice();
-      
       // Approve PLN for staking with gas estimation
       await this.approvePLN(plnStake);
       
       // Create portfolio with increased gas limit for complex operations
-      const tx = await this.vePlnContract.createPortfolio(
-        assets,
-        normalizedWeights,
-        plnStakeWei,
+      const tx = await this.sendTransaction(
         {
-          gasLimit: 1500000, // Increased for complex operations
-          gasPrice: gasPrice
-        }
+          ...await this.vePlnContract.createPortfolio.populateTransaction(assets, normalizedWeights, plnStakeWei),
+          gasLimit: 1500000 // Increased for complex operations
+        },
+        'virtual portfolio creation'
       );
       
       logger.info(`Portfolio creation transaction sent: ${tx.hash}`);
@@ -713,17 +782,18 @@ class PollenContractInterface {
       
     } catch (error) {
       logger.error(`Portfolio creation failed: ${error.message}`);
+      const contractError = toContractError(error, CONTRACT_ERROR_ABIS);
       
       // Provide more user-friendly error messages
       if (error.code === 'INSUFFICIENT_FUNDS') {
         throw new Error('Insufficient ETH for gas or PLN balance too low');
       } else if (error.code === 'UNPREDICTABLE_GAS_LIMIT') {
         throw new Error('Transaction would fail. Check your inputs and allowances.');
-      } else if (error.message.includes('INVALID_PORTFOLIO')) {
-        throw new Error('Invalid portfolio configuration. Check asset addresses and weights.');
+      } else if (contractError instanceof InvalidWeights) {
+        throw new InvalidWeights('Invalid portfolio configuration. Check asset addresses and weights.', contractError);
       }
       
-      throw error;
+      throw contractError;
     }
   }
 
@@ -781,17 +851,13 @@ class PollenContractInterface {
       
       logger.info(`Rebalancing portfolio with ${newAssets.length} assets...`);
       
-      // Get optimal gas price
-      const gasPrice = await this.getOptimalGasPrice();
-      
       // Execute rebalance with increased gas limit
-      const tx = await this.vePlnContract.rebalancePortfolio(
-        newAssets,
-        normalizedWeights,
+      const tx = await this.sendTransaction(
         {
-          gasLimit: 1500000, // Increased for complex operations
-          gasPrice: gasPrice
-        }
+          ...await this.vePlnContract.rebalancePortfolio.populateTransaction(newAssets, normalizedWeights),
+          gasLimit: 1500000 // Increased for complex operations
+        },
+        'virtual portfolio rebalance'
       );
       
       logger.info(`Rebalance transaction sent: ${tx.hash}`);
@@ -820,17 +886,18 @@ class PollenContractInterface {
       
     } catch (error) {
       logger.error(`Portfolio rebalancing failed: ${error.message}`);
+      const contractError = toContractError(error, CONTRACT_ERROR_ABIS);
       
       // Provide more user-friendly error messages
       if (error.code === 'INSUFFICIENT_FUNDS') {
         throw new Error('Insufficient ETH for gas');
       } else if (error.code === 'UNPREDICTABLE_GAS_LIMIT') {
         throw new Error('Transaction would fail. Check your inputs and allowances.');
-      } else if (error.message.includes('INVALID_REBALANCE')) {
-        throw new Error('Invalid rebalance parameters. Check asset addresses and weights.');
+      } else if (contractError instanceof InvalidWeights) {
+        throw new InvalidWeights('Invalid rebalance parameters. Check asset addresses and weights.', contractError);
       }
       
-      throw error;
+      throw contractError;
     }
   }
 
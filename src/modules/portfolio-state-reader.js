@@ -0,0 +1,223 @@
+/**
+ * Portfolio State Reader
+ * Decodes PollenDAO.getPortfolio(user, token) into a portfolio snapshot with
+ * per-asset weights and short flags, deposits, benchmark reference, the last
+ * rebalance time and, given the prices at that rebalance, how far the
+ * weights have drifted since. Mock state is only returned in simulation mode.
+ */
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const marketDataSources = require('./market-data-sources');
+const { DEFAULT_NETWORK, getNetwork } = require('../config/networks');
+
+const POLLEN_DAO_PORTFOLIO_ABI = [
+  'function getPortfolio(address user, address token) view returns (uint256[] weights, uint256 totalValue, uint256 depositPLN, uint256 withdrawn, bool isOpen, uint256 lastUpdated, uint256 benchmarkRef, bool[] isShort)'
+];
+
+// Default asset order of the weight arrays, that of the default network; the
+// launcher passes its network's, synced from the DAO whitelist
+const PORTFOLIO_ASSETS = getNetwork(DEFAULT_NETWORK).assets;
+
+/**
+ * @typedef {Object} PortfolioAsset
+ * @property {number} index - Position in the on-chain weight array
+ * @property {string} symbol - Asset symbol
+ * @property {bigint} rawWeight - Weight as stored on chain
+ * @property {number} weight - Share of the portfolio at the last rebalance, 0-1
+ * @property {boolean} isShort - Whether the position is short
+ * @property {number|null} currentWeight - Share of the portfolio at current prices
+ * @property {number|null} drift - currentWeight - weight
+ */
+
+/**
+ * @typedef {Object} PortfolioSnapshot
+ * @property {string} owner - Portfolio owner
+ * @property {boolean} exists - Whether a portfolio was found
+ * @property {boolean} isOpen - Whether the portfolio is open
+ * @property {PortfolioAsset[]} assets - Positions, in on-chain order
+ * @property {bigint} totalValue - Current value in PLN wei
+ * @property {bigint} depositPLN - Deposited PLN in wei
+ * @property {bigint} withdrawn - Withdrawn PLN in wei
+ * @property {bigint} benchmarkRef - Benchmark reference recorded at the last rebalance
+ * @property {Date|null} lastRebalance - Time of the last rebalance
+ * @property {number|null} drift - Half the sum of absolute weight drifts (0 = on target, 1 = fully rotated)
+ * @property {Date} readAt - When the snapshot was taken
+ * @property {boolean} simulated - True for simulation-mode snapshots
+ */
+
+/**
+ * Weights of a portfolio after prices moved by the given relatives. Shorts
+ * gain when the price falls and are worth nothing once it has doubled.
+ * @param {Array<{weight: number, isShort: boolean}>} positions - Weights at the last rebalance
+ * @param {number[]} priceRelatives - Current price divided by the price at the last rebalance
+ * @returns {number[]}
+ */
+function calculateDriftedWeights(positions, priceRelatives) {
+  const values = positions.map((position, i) => position.weight * (position.isShort
+    ? Math.max(0, 2 - priceRelatives[i])
+    : priceRelatives[i]));
+  const total = values.reduce((sum, value) => sum + value, 0);
+  return values.map(value => total > 0 ? value / total : 0);
+}
+
+/**
+ * Decode a getPortfolio result
+ * @param {string} owner - Portfolio owner
+ * @param {ethers.Result|Array} result - Raw getPortfolio return values
+ * @param {string[]} [assets] - Asset symbol per weight index
+ * @returns {PortfolioSnapshot}
+ */
+function decodePortfolio(owner, result, assets = PORTFOLIO_ASSETS) {
+  const [weights, totalValue, depositPLN, withdrawn, isOpen, lastUpdated, benchmarkRef, isShort] = result;
+  const rawWeights = Array.from(weights, BigInt);
+  const weightSum = rawWeights.reduce((sum, weight) => sum + weight, 0n);
+
+  if (rawWeights.length > assets.length) {
+    throw new Error(`Portfolio has ${rawWeights.length} weights but only ${assets.length} assets are mapped`);
+  }
+
+  return {
+    owner,
+    exists: rawWeights.length > 0 || BigInt(depositPLN) > 0n,
+    isOpen: Boolean(isOpen),
+    assets: rawWeights.map((rawWeight, index) => ({
+      index,
+      symbol: assets[index],
+      rawWeight,
+      weight: weightSum > 0n ? Number(rawWeight) / Number(weightSum) : 0,
+      isShort: Boolean(isShort[index]),
+      currentWeight: null,
+      drift: null
+    })),
+    totalValue: BigInt(totalValue),
+    depositPLN: BigInt(depositPLN),
+    withdrawn: BigInt(withdrawn),
+    benchmarkRef: BigInt(benchmarkRef),
+    lastRebalance: BigInt(lastUpdated) > 0n ? new Date(Number(lastUpdated) * 1000) : null,
+    drift: null,
+    readAt: new Date(),
+    simulated: false
+  };
+}
+
+class PortfolioStateReader {
+  /**
+   * @param {ethers.Provider} provider - Network provider
+   * @param {string} pollenDAOAddress - PollenDAO contract address
+   * @param {Object} [options]
+   * @param {string[]} [options.assets] - Asset symbol per weight index
+   * @param {Function} [options.getAssetPrice] - Price lookup, defaults to market-data-sources
+   * @param {boolean} [options.simulation=false] - Return simulated state instead of reading the chain
+   */
+  constructor(provider, pollenDAOAddress, options = {}) {
+    this.contract = new ethers.Contract(pollenDAOAddress, POLLEN_DAO_PORTFOLIO_ABI, provider);
+    this.assets = options.assets || PORTFOLIO_ASSETS;
+    this.getAssetPrice = options.getAssetPrice || marketDataSources.getAssetPrice;
+    this.simulation = Boolean(options.simulation);
+  }
+
+  /**
+   * Current prices for every mapped asset. Fallback (mock) prices are
+   * rejected unless running in simulation mode.
+   * @returns {Promise<Object>} Map of symbol to USD price
+   */
+  async fetchPrices() {
+    const prices = {};
+    for (const symbol of this.assets) {
+      const data = await this.getAssetPrice(symbol);
+      if (!data || !(data.price > 0) || data.isFallback && !this.simulation) {
+        throw new Error(`No market price available for ${symbol}`);
+      }
+      prices[symbol] = data.price;
+    }
+    return prices;
+  }
+
+  /**
+   * Read a portfolio snapshot
+   * @param {string} owner - Portfolio owner address
+   * @param {Object} [options]
+   * @param {string} [options.token=ZeroAddress] - Token argument of getPortfolio
+   * @param {Object} [options.rebalancePrices] - Prices at the last rebalance; enables drift
+   * @param {Object} [options.prices] - Current prices, fetched when omitted
+   * @param {Array<{weight: number, isShort?: boolean}>} [options.simulatedPositions] - State to report in simulation mode
+   * @returns {Promise<PortfolioSnapshot>}
+   */
+  async read(owner, options = {}) {
+    if (this.simulation) {
+      return this.simulate(owner, options.simulatedPositions || []);
+    }
+
+    const result = await this.contract.getPortfolio(owner, options.token || ethers.ZeroAddress);
+    const snapshot = decodePortfolio(owner, result, this.assets);
+
+    if (options.rebalancePrices && snapshot.assets.length > 0) {
+      try {
+        const prices = options.prices || await this.fetchPrices();
+        this.applyDrift(snapshot, options.rebalancePrices, prices);
+      } catch (error) {
+        logger.warn(`Cannot compute drift for ${owner}: ${error.message}`);
+      }
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Fill currentWeight and drift from the prices at the last rebalance
+   */
+  applyDrift(snapshot, rebalancePrices, prices) {
+    const relatives = snapshot.assets.map(asset => {
+      const then = rebalancePrices[asset.symbol];
+      const now = prices[asset.symbol];
+      return then > 0 && now > 0 ? now / then : null;
+    });
+
+    if (relatives.includes(null)) {
+      logger.warn(`Cannot compute drift for ${snapshot.owner}: missing prices`);
+      return snapshot;
+    }
+
+    const current = calculateDriftedWeights(snapshot.assets, relatives);
+    snapshot.assets.forEach((asset, i) => {
+      asset.currentWeight = current[i];
+      asset.drift = current[i] - asset.weight;
+    });
+    snapshot.drift = snapshot.assets.reduce((sum, asset) => sum + Math.abs(asset.drift), 0) / 2;
+    return snapshot;
+  }
+
+  simulate(owner, positions) {
+    const total = positions.reduce((sum, position) => sum + Math.abs(position.weight), 0);
+    return {
+      owner,
+      exists: positions.length > 0,
+      isOpen: positions.length > 0,
+      assets: positions.map((position, index) => ({
+        index,
+        symbol: this.assets[index],
+        rawWeight: BigInt(Math.round(Math.abs(position.weight))),
+        weight: total > 0 ? Math.abs(position.weight) / total : 0,
+        isShort: Boolean(position.isShort),
+        currentWeight: null,
+        drift: null
+      })),
+      totalValue: 0n,
+      depositPLN: 0n,
+      withdrawn: 0n,
+      benchmarkRef: 0n,
+      lastRebalance: null,
+      drift: null,
+      readAt: new Date(),
+      simulated: true
+    };
+  }
+}
+
+module.exports = {
+  POLLEN_DAO_PORTFOLIO_ABI,
+  PORTFOLIO_ASSETS,
+  PortfolioStateReader,
+  decodePortfolio,
+  calculateDriftedWeights
+};
@@ -0,0 +1,127 @@
+/**
+ * Price Consensus
+ * Reconciles the quotes the market data sources return for an asset into one
+ * price. Quotes further than the tolerance from the median of all quotes are
+ * rejected as outliers and the rest are combined by median or trimmed mean.
+ * Each consensus quote lists the sources it agrees with, the rejected ones
+ * and a confidence score: the share of the queried sources that agree,
+ * reduced by how widely they spread within the tolerance. Consensus is weak
+ * when fewer than minSources agree or confidence is below minConfidence;
+ * planRebalance refuses to trade on a weak quote.
+ */
+const { detectSourceDeviations } = require('./data-validator');
+const { registry } = require('./metrics');
+
+const DEFAULT_OPTIONS = {
+  method: 'median', // Or 'trimmed-mean'
+  tolerancePercent: 2, // Deviation from the median of all quotes before a source is rejected
+  trimRatio: 0.2, // Share of quotes dropped from each end by the trimmed mean
+  minSources: 2, // Agreeing sources needed for strong consensus
+  minConfidence: 0.5
+};
+
+const METHODS = ['median', 'trimmed-mean'];
+
+const consensusConfidence = registry.gauge('pollen_price_consensus_confidence', 'Confidence of the latest consensus price, per asset', ['asset']);
+const sourceRejections = registry.counter('pollen_price_source_rejections_total', 'Source quotes rejected as outliers from the consensus price', ['source']);
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function trimmedMean(values, trimRatio) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const trim = Math.floor(sorted.length * trimRatio);
+  const kept = sorted.slice(trim, sorted.length - trim);
+  return kept.reduce((sum, value) => sum + value, 0) / kept.length;
+}
+
+// Median of the values a source reported; 0 when none did
+function medianOf(quotes, field, skipZero = false) {
+  const values = quotes.map(quote => quote[field]).filter(value => typeof value === 'number' && isFinite(value) && !(skipZero && value === 0));
+  return values.length > 0 ? median(values) : 0;
+}
+
+/**
+ * Consensus settings: defaults, then PRICE_* environment variables, then overrides
+ * @param {Object} [overrides]
+ */
+function consensusOptions(overrides = {}) {
+  const env = {
+    method: process.env.PRICE_CONSENSUS,
+    tolerancePercent: process.env.PRICE_TOLERANCE_PERCENT && Number(process.env.PRICE_TOLERANCE_PERCENT),
+    minSources: process.env.PRICE_MIN_SOURCES && Number(process.env.PRICE_MIN_SOURCES),
+    minConfidence: process.env.PRICE_MIN_CONFIDENCE && Number(process.env.PRICE_MIN_CONFIDENCE)
+  };
+  const options = { ...DEFAULT_OPTIONS };
+  [env, overrides].forEach(layer => Object.entries(layer).forEach(([key, value]) => {
+    if (value !== undefined && value !== '' && !Number.isNaN(value)) {
+      options[key] = value;
+    }
+  }));
+
+  if (!METHODS.includes(options.method)) {
+    throw new Error(`Unknown price consensus method "${options.method}", expected one of: ${METHODS.join(', ')}`);
+  }
+  return options;
+}
+
+/**
+ * Combine the quotes of several sources into a consensus quote
+ * @param {string} asset - Asset symbol
+ * @param {Object[]} quotes - Source quotes with source, price, change24h, marketCap and volume
+ * @param {Object} [options] - See DEFAULT_OPTIONS
+ * @param {number} [options.sourceCount] - Sources queried, including failed ones; defaults to quotes.length
+ * @returns {Object} Quote with price, confidence, sources, rejected and weakConsensus
+ */
+function buildConsensus(asset, quotes, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const sourceCount = Math.max(settings.sourceCount || 0, quotes.length);
+  if (quotes.length === 0) {
+    throw new Error(`No price quotes for ${asset}`);
+  }
+
+  const reference = median(quotes.map(quote => quote.price));
+  const outliers = detectSourceDeviations(quotes, reference, settings.tolerancePercent);
+  const rejectedSources = new Set(outliers.details.map(detail => detail.source));
+  const accepted = quotes.filter(quote => !rejectedSources.has(quote.source));
+  outliers.details.forEach(detail => sourceRejections.inc({ source: detail.source }));
+
+  // Nothing agrees with the median, e.g. two sources far apart: quote the median but never trade on it
+  const prices = accepted.map(quote => quote.price);
+  const price = prices.length === 0
+    ? reference
+    : settings.method === 'trimmed-mean' ? trimmedMean(prices, settings.trimRatio) : median(prices);
+
+  const spreadPercent = prices.length === 0 ? 0 : Math.max(...prices.map(value => Math.abs(value - price) / price * 100));
+  const confidence = prices.length === 0
+    ? 0
+    : Math.round(prices.length / sourceCount * (1 - spreadPercent / settings.tolerancePercent / 2) * 100) / 100;
+  const weakConsensus = accepted.length < settings.minSources || confidence < settings.minConfidence;
+
+  consensusConfidence.set({ asset }, confidence);
+
+  return {
+    source: accepted.length > 0 ? accepted.map(quote => quote.source).join('+') : 'consensus',
+    price,
+    change24h: medianOf(accepted, 'change24h'),
+    marketCap: medianOf(accepted, 'marketCap', true),
+    volume: medianOf(accepted, 'volume', true),
+    method: settings.method,
+    confidence,
+    sources: accepted.map(quote => quote.source),
+    rejected: outliers.details.map(({ source, price: quotedPrice, deviationPercent }) => ({ source, price: quotedPrice, deviationPercent })),
+    weakConsensus,
+    timestamp: Date.now()
+  };
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  median,
+  trimmedMean,
+  consensusOptions,
+  buildConsensus
+};
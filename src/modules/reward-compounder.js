@@ -0,0 +1,291 @@
+/**
+ * Reward Compounding
+ * Periodically checks the vePLN rewards a bot wallet has accrued and claims
+ * them once they are worth more than the gas spent claiming and compounding
+ * them. Depending on the bot's policy the claimed PLN is restaked into the
+ * vePLN lock (the contract's increaseLock, as in
+ * PollenContractInterface#increaseLockAmount) or deposited into the bot's
+ * portfolio.
+ *
+ * Every claim is recorded in a JSON history per bot in data/compounding/,
+ * with the realized APR: the rewards over the PLN locked while they accrued,
+ * annualized over the time since the previous claim or the lock start.
+ */
+const path = require('path');
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const { PortfolioStateReader } = require('./portfolio-state-reader');
+const { botLedgerFile, readLedger, sendAndConfirm, writeLedger } = require('./bot-ledger');
+
+const DEFAULT_STORE_DIR = path.resolve(__dirname, '../../data/compounding');
+const MS_PER_HOUR = 60 * 60 * 1000;
+const MS_PER_YEAR = 365 * 24 * MS_PER_HOUR;
+
+const VEPLN_ABI = [
+  'function claimRewards()',
+  'function increaseLock(uint256 amount)',
+  'function getAvailableRewards(address account) view returns (uint256)',
+  'function locks(address account) view returns (uint256 lockStart, uint256 lockEnd, uint256 amount, uint256 offset, uint256 claimable)'
+];
+
+const DEPOSIT_ABI = [
+  'function depositPLN(uint256 amount, address recipient)'
+];
+
+const PLN_ABI = [
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)'
+];
+
+const MODES = ['restake', 'deposit'];
+
+const DEFAULT_POLICY = {
+  mode: 'restake', // 'restake' into the vePLN lock or 'deposit' into the bot's portfolio
+  checkInterval: 6 * MS_PER_HOUR,
+  minGasMultiple: 5, // Rewards must be worth this many times the gas of claiming and compounding them
+  plnPriceEth: null // ETH per PLN, used when the price source has no price
+};
+
+// Claim gas when estimateGas fails
+const CLAIM_GAS = 100000n;
+// Approval plus increaseLock or depositPLN; they cannot be estimated before the claim
+const COMPOUND_GAS = {
+  restake: 140000n,
+  deposit: 170000n
+};
+
+const MAX_HISTORY = 1000;
+
+/**
+ * Rewards over the PLN that earned them, annualized
+ * @param {number} rewards - PLN
+ * @param {number} principal - PLN locked while the rewards accrued
+ * @param {number} period - Milliseconds the rewards accrued over
+ * @returns {number|null} APR as a fraction, null when it cannot be measured
+ */
+function realizedApr(rewards, principal, period) {
+  if (!(principal > 0) || !(period > 0)) {
+    return null;
+  }
+  return rewards / principal * MS_PER_YEAR / period;
+}
+
+/**
+ * Fill policy defaults and check the values
+ * @param {Object} [policy] - Partial policy, e.g. a bot's "compounding" entry
+ */
+function normalizePolicy(policy = {}) {
+  const merged = { ...DEFAULT_POLICY, ...policy };
+  const normalized = {
+    ...merged,
+    plnPriceEth: merged.plnPriceEth === null || merged.plnPriceEth === undefined ? null : Number(merged.plnPriceEth)
+  };
+  if (!MODES.includes(normalized.mode)) {
+    throw new Error(`Compounding policy mode must be one of ${MODES.join(', ')}`);
+  }
+  ['checkInterval', 'minGasMultiple'].forEach(field => {
+    if (!Number.isFinite(normalized[field]) || normalized[field] < 0) {
+      throw new Error(`Compounding policy ${field} must be a non-negative number`);
+    }
+  });
+  if (normalized.plnPriceEth !== null && !(normalized.plnPriceEth > 0)) {
+    throw new Error('Compounding policy plnPriceEth must be a positive number');
+  }
+  return normalized;
+}
+
+class RewardCompounder {
+  /**
+   * @param {ethers.Signer} wallet - Bot wallet holding the vePLN lock
+   * @param {Object} options
+   * @param {Object} options.contracts - vePLN, plnToken and pollenDAO addresses
+   * @param {Object} [options.policy] - See DEFAULT_POLICY
+   * @param {number|string} [options.botId] - Names the history file
+   * @param {Function} [options.getPlnPrice] - ETH per PLN, or null when there is no price; policy.plnPriceEth stands in for null
+   * @param {PortfolioStateReader} [options.reader] - Checks the portfolio before depositing
+   * @param {Object} [options.transactions] - TransactionManager options for the wallet
+   * @param {string|null} [options.storeDir] - History directory, null keeps the history in memory
+   * @param {Function} [options.now] - Clock in ms
+   */
+  constructor(wallet, options = {}) {
+    this.wallet = wallet;
+    this.contracts = options.contracts;
+    this.policy = normalizePolicy(options.policy);
+    this.botId = options.botId;
+    this.getPlnPrice = options.getPlnPrice || (async () => null);
+    this.reader = options.reader || null;
+    this.transactionOptions = options.transactions || {};
+    this.storeDir = options.storeDir === undefined ? DEFAULT_STORE_DIR : options.storeDir;
+    this.now = options.now || Date.now;
+    this.vePLN = new ethers.Contract(this.contracts.vePLN, VEPLN_ABI, wallet);
+    this.pln = new ethers.Contract(this.contracts.plnToken, PLN_ABI, wallet);
+    this.dao = this.contracts.pollenDAO ? new ethers.Contract(this.contracts.pollenDAO, DEPOSIT_ABI, wallet) : null;
+    this.state = null;
+  }
+
+  get historyFile() {
+    return botLedgerFile(this.storeDir, this.botId, this.wallet);
+  }
+
+  load() {
+    if (!this.state) {
+      this.state = readLedger(this.historyFile, { history: [], lastCheckAt: null });
+    }
+    return this.state;
+  }
+
+  save() {
+    writeLedger(this.historyFile, this.state);
+  }
+
+  send(request, label) {
+    return sendAndConfirm(this.wallet, this.transactionOptions, request, label, 'compounding');
+  }
+
+  /**
+   * Gas cost in ETH of claiming and then compounding with the policy's mode
+   */
+  async estimateGasCost() {
+    const claimGas = await this.vePLN.claimRewards.estimateGas().catch(() => CLAIM_GAS);
+    const feeData = await this.wallet.provider.getFeeData();
+    const feePerGas = feeData.maxFeePerGas || feeData.gasPrice || 0n;
+    return Number(ethers.formatEther((claimGas + COMPOUND_GAS[this.policy.mode]) * feePerGas));
+  }
+
+  /**
+   * Where claimed rewards can go right now: the policy's destination, or the
+   * wallet when there is no active lock or open portfolio to add them to
+   * @param {Object} lock - vePLN locks() result
+   * @returns {Promise<{destination: string, reason?: string}>}
+   */
+  async destination(lock) {
+    if (this.policy.mode === 'restake') {
+      return lock.amount > 0n && Number(lock.lockEnd) * 1000 > this.now()
+        ? { destination: 'lock' }
+        : { destination: 'wallet', reason: 'no active vePLN lock' };
+    }
+    if (!this.dao) {
+      return { destination: 'wallet', reason: 'no PollenDAO address' };
+    }
+    const reader = this.reader || new PortfolioStateReader(this.wallet.provider, this.contracts.pollenDAO);
+    const portfolio = await reader.read(this.wallet.address);
+    return portfolio.exists && portfolio.isOpen
+      ? { destination: 'portfolio' }
+      : { destination: 'wallet', reason: 'no open portfolio' };
+  }
+
+  /**
+   * Add claimed PLN to the lock or the portfolio
+   * @param {string} destination - 'lock' or 'portfolio'
+   * @param {bigint} wei - PLN in wei
+   * @returns {Promise<ethers.TransactionReceipt[]>}
+   */
+  async compound(destination, wei) {
+    const spender = destination === 'lock' ? this.contracts.vePLN : this.contracts.pollenDAO;
+    const amount = ethers.formatEther(wei);
+    const receipts = [];
+    const allowance = await this.pln.allowance(this.wallet.address, spender);
+    if (allowance < wei) {
+      receipts.push(await this.send(await this.pln.approve.populateTransaction(spender, wei), 'Compounding approval'));
+    }
+    receipts.push(destination === 'lock'
+      ? await this.send(await this.vePLN.increaseLock.populateTransaction(wei), `Restake of ${amount} PLN rewards`)
+      : await this.send(await this.dao.depositPLN.populateTransaction(wei, this.wallet.address), `Deposit of ${amount} PLN rewards`));
+    return receipts;
+  }
+
+  /**
+   * Claim the accrued rewards when they are worth the gas, compound them and
+   * record the claim. Runs at most once per check interval.
+   * @returns {Promise<Object|null>} The outcome of the check, or null when not due yet
+   */
+  async check() {
+    const state = this.load();
+    if (state.lastCheckAt && this.now() - state.lastCheckAt < this.policy.checkInterval) {
+      return null;
+    }
+    state.lastCheckAt = this.now();
+    this.save();
+
+    // Compounded in wei as read, so no more is restaked or deposited than was claimed
+    const rewardsWei = await this.vePLN.getAvailableRewards(this.wallet.address);
+    const rewards = Number(ethers.formatEther(rewardsWei));
+    if (rewardsWei === 0n) {
+      return { claimed: false, rewards, reason: 'no rewards' };
+    }
+    const price = await this.getPlnPrice() || this.policy.plnPriceEth;
+    if (!(price > 0)) {
+      return { claimed: false, rewards, reason: 'no PLN price to weigh the rewards against gas' };
+    }
+    const gasCostEth = await this.estimateGasCost();
+    const valueEth = rewards * price;
+    if (valueEth < gasCostEth * this.policy.minGasMultiple) {
+      return { claimed: false, rewards, valueEth, gasCostEth, reason: `rewards below ${this.policy.minGasMultiple}x the gas cost` };
+    }
+
+    const lock = await this.vePLN.locks(this.wallet.address);
+    const { destination, reason } = await this.destination(lock);
+    const claimReceipt = await this.send(await this.vePLN.claimRewards.populateTransaction(), `Claim of ${rewards} PLN rewards`);
+    let receipts = [claimReceipt];
+    let compoundError = null;
+    if (destination !== 'wallet') {
+      try {
+        receipts = receipts.concat(await this.compound(destination, rewardsWei));
+      } catch (error) {
+        // The rewards are claimed either way; they stay in the wallet
+        compoundError = error.message;
+        logger.error(`Compounding ${rewards} PLN rewards into the ${destination} failed: ${error.message}`);
+      }
+    }
+
+    const principal = Number(ethers.formatEther(lock.amount));
+    const previous = state.history[state.history.length - 1];
+    const accruedSince = Math.max(previous ? previous.timestamp : 0, Number(lock.lockStart) * 1000);
+    const period = this.now() - accruedSince;
+    const entry = {
+      timestamp: this.now(),
+      rewards,
+      mode: this.policy.mode,
+      destination: compoundError ? 'wallet' : destination,
+      compounded: compoundError || destination === 'wallet' ? 0 : rewards,
+      principal,
+      period,
+      apr: realizedApr(rewards, principal, period),
+      gasSpentEth: receipts.reduce((sum, receipt) => sum + Number(ethers.formatEther(receipt.fee || 0n)), 0),
+      txHashes: receipts.map(receipt => receipt.hash),
+      note: compoundError || reason || undefined
+    };
+    state.history = [...state.history, entry].slice(-MAX_HISTORY);
+    this.save();
+    return { claimed: true, rewards, valueEth, gasCostEth, entry };
+  }
+
+  /**
+   * Claims so far and the APR realized across them, amounts in PLN
+   */
+  getSummary() {
+    const { history, lastCheckAt } = this.load();
+    const measured = history.filter(entry => entry.apr !== null);
+    const measuredTime = measured.reduce((sum, entry) => sum + entry.period, 0);
+    return {
+      claims: history.length,
+      totalRewards: history.reduce((sum, entry) => sum + entry.rewards, 0),
+      totalCompounded: history.reduce((sum, entry) => sum + entry.compounded, 0),
+      gasSpentEth: history.reduce((sum, entry) => sum + entry.gasSpentEth, 0),
+      // Time-weighted over the periods the claims cover
+      realizedApr: measuredTime > 0
+        ? measured.reduce((sum, entry) => sum + entry.apr * entry.period, 0) / measuredTime
+        : null,
+      lastClaimAt: history.length > 0 ? history[history.length - 1].timestamp : null,
+      lastCheckAt,
+      history
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  RewardCompounder,
+  normalizePolicy,
+  realizedApr
+};
@@ -0,0 +1,427 @@
+/**
+ * RPC Pool
+ * An ethers provider over every RPC endpoint of a network profile. A background
+ * probe measures each endpoint's latency, chain id and block height, and each
+ * call goes to the healthiest endpoint: the lowest latency, penalized for recent
+ * errors and for every block it lags behind the best head seen. Each endpoint
+ * has its own circuit breaker; endpoints stuck behind the head or on another
+ * chain are left out until they recover. Reads that the best endpoint is slow
+ * to answer are hedged on the runner-up and retried elsewhere when they fail.
+ * Pools report their health on the pollen_rpc_* metrics and through
+ * getRpcHealth() for the status API while they are started.
+ */
+const { URL } = require('url');
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const { registry, trackCircuitBreaker } = require('./metrics');
+
+const DEFAULT_OPTIONS = {
+  probeIntervalMs: 15000,
+  timeoutMs: 10000,
+  hedgeAfterMs: 1000, // A read still unanswered by then also goes to the next endpoint
+  maxAttempts: 3, // Endpoints a read is sent to at most
+  maxBlockLag: 5, // Blocks behind the head before an endpoint counts as stale
+  failureThreshold: 3, // Consecutive failures that open an endpoint's breaker
+  cooldownMs: 30000 // Before an open breaker lets a request through again
+};
+
+// Reads are safe to send twice, so they are hedged and retried on other endpoints
+const READ_METHODS = new Set([
+  'eth_blockNumber',
+  'eth_call',
+  'eth_chainId',
+  'eth_estimateGas',
+  'eth_feeHistory',
+  'eth_gasPrice',
+  'eth_getBalance',
+  'eth_getBlockByHash',
+  'eth_getBlockByNumber',
+  'eth_getCode',
+  'eth_getLogs',
+  'eth_getStorageAt',
+  'eth_getTransactionByHash',
+  'eth_getTransactionCount',
+  'eth_getTransactionReceipt',
+  'eth_maxPriorityFeePerGas',
+  'net_version'
+]);
+
+// Score penalties, in ms of latency
+const ERROR_PENALTY_MS = 2000; // At a 100% recent error rate
+const LAG_PENALTY_MS = 500; // Per block behind the head
+
+// Weight of the newest sample in the latency and error rate averages
+const SAMPLE_WEIGHT = 0.2;
+
+const rpcRequests = registry.counter('pollen_rpc_requests_total', 'RPC requests completed, per provider', ['provider']);
+const rpcErrors = registry.counter('pollen_rpc_errors_total', 'Failed RPC request attempts, per provider', ['provider']);
+const rpcHedges = registry.counter('pollen_rpc_hedged_requests_total', 'Reads also sent to a second endpoint because the first was slow', ['network']);
+
+const pools = new Set();
+
+function endpointGauge(name, help, value) {
+  registry.gauge(name, help, ['network', 'endpoint'], (gauge) => {
+    gauge.reset();
+    pools.forEach(pool => pool.getHealth().endpoints.forEach((endpoint) => {
+      gauge.set({ network: pool.profile.name, endpoint: endpoint.name }, value(endpoint));
+    }));
+  });
+}
+
+endpointGauge('pollen_rpc_endpoint_up', 'RPC endpoint in rotation: 1 healthy, 0 open breaker, stale or on another chain', endpoint => endpoint.healthy ? 1 : 0);
+endpointGauge('pollen_rpc_endpoint_latency_seconds', 'Average RPC endpoint latency', endpoint => (endpoint.latencyMs || 0) / 1000);
+endpointGauge('pollen_rpc_endpoint_block_lag', 'Blocks the RPC endpoint is behind the best head seen', endpoint => endpoint.lag);
+endpointGauge('pollen_rpc_endpoint_error_rate', 'Recent share of failed requests to the RPC endpoint', endpoint => endpoint.errorRate);
+
+/**
+ * POST a JSON-RPC payload
+ * @returns {Promise<Object[]>} JSON-RPC results
+ */
+async function postJson(url, payload, timeoutMs) {
+  const request = new ethers.FetchRequest(url);
+  request.timeout = timeoutMs;
+  // Fail over to another endpoint rather than wait out a rate limit
+  request.setThrottleParams({ maxAttempts: 1 });
+  request.body = JSON.stringify(payload);
+  request.setHeader('content-type', 'application/json');
+  const response = await request.send();
+  response.assertOk();
+  const body = response.bodyJson;
+  return Array.isArray(body) ? body : [body];
+}
+
+function isRateLimited(results) {
+  return results.some(result => result.error && (result.error.code === -32005 || /rate limit|too many requests/i.test(result.error.message)));
+}
+
+function rpcPayload(method) {
+  return { jsonrpc: '2.0', id: `probe-${method}`, method, params: [] };
+}
+
+class RpcEndpoint {
+  constructor(url, options) {
+    this.url = url;
+    // Hostnames only; an Infura URL carries the API key
+    this.name = new URL(url).hostname;
+    this.options = options;
+    this.latencyMs = null;
+    this.errorRate = 0;
+    this.head = null;
+    this.lag = 0;
+    this.chainId = null;
+    this.wrongChain = false;
+    this.requests = 0;
+    this.errors = 0;
+    this.failures = 0; // Consecutive
+    this.lastError = null;
+    this.state = 'CLOSED';
+    this.openedAt = 0;
+  }
+
+  // An open breaker lets requests through again once the cooldown is over; the first outcome decides
+  isAvailable(now) {
+    if (this.state === 'OPEN' && now - this.openedAt >= this.options.cooldownMs) {
+      this.state = 'HALF_OPEN';
+    }
+    return this.state !== 'OPEN';
+  }
+
+  isStale() {
+    return this.lag > this.options.maxBlockLag;
+  }
+
+  isHealthy(now) {
+    return !this.wrongChain && !this.isStale() && this.isAvailable(now);
+  }
+
+  // Lower is better; an endpoint not measured yet counts as slow as the hedge delay
+  score() {
+    const latency = this.latencyMs === null ? this.options.hedgeAfterMs : this.latencyMs;
+    return latency + this.errorRate * ERROR_PENALTY_MS + this.lag * LAG_PENALTY_MS;
+  }
+
+  recordSuccess(latencyMs) {
+    this.requests++;
+    this.latencyMs = this.latencyMs === null ? latencyMs : this.latencyMs + SAMPLE_WEIGHT * (latencyMs - this.latencyMs);
+    this.errorRate *= 1 - SAMPLE_WEIGHT;
+    this.failures = 0;
+    if (this.state !== 'CLOSED') {
+      logger.info(`✅ RPC endpoint ${this.name} recovered`);
+      this.state = 'CLOSED';
+    }
+  }
+
+  recordFailure(error, now) {
+    this.requests++;
+    this.errors++;
+    this.errorRate += SAMPLE_WEIGHT * (1 - this.errorRate);
+    this.failures++;
+    this.lastError = error.message;
+    if (this.state === 'HALF_OPEN' || this.failures >= this.options.failureThreshold) {
+      if (this.state !== 'OPEN') {
+        logger.warn(`⚠️ RPC endpoint ${this.name} taken out of rotation after ${this.failures} failures: ${error.message}`);
+      }
+      this.state = 'OPEN';
+      this.openedAt = now;
+    }
+  }
+
+  health(now) {
+    return {
+      name: this.name,
+      healthy: this.isHealthy(now),
+      state: this.state,
+      stale: this.isStale(),
+      wrongChain: this.wrongChain,
+      latencyMs: this.latencyMs === null ? null : Math.round(this.latencyMs),
+      errorRate: Number(this.errorRate.toFixed(3)),
+      head: this.head,
+      lag: this.lag,
+      requests: this.requests,
+      errors: this.errors,
+      lastError: this.lastError,
+      score: Math.round(this.score())
+    };
+  }
+}
+
+class RpcPool extends ethers.JsonRpcProvider {
+  /**
+   * @param {Object} network - getNetwork() result
+   * @param {Object} [options] - Overrides of DEFAULT_OPTIONS, and:
+   * @param {string[]} [options.urls] - Endpoints; the network's RPC endpoints, and Infura's with a key, by default
+   * @param {string} [options.infuraKey] - Defaults to INFURA_API_KEY
+   * @param {Function} [options.transport] - (url, payload, timeoutMs) => JSON-RPC results, over HTTP by default
+   * @param {Function} [options.now]
+   */
+  constructor(network, options = {}) {
+    const { urls, infuraKey = process.env.INFURA_API_KEY, transport = postJson, now = Date.now, ...settings } = options;
+    const endpointUrls = urls || [...network.rpcUrls];
+    if (!urls && infuraKey && network.infuraNetwork) {
+      endpointUrls.push(`https://${network.infuraNetwork}.infura.io/v3/${infuraKey}`);
+    }
+    if (endpointUrls.length === 0) {
+      throw new Error(`No RPC endpoints configured for ${network.displayName}`);
+    }
+
+    const chain = new ethers.Network(network.name, network.chainId);
+    // One request per call, so every call is routed on its own
+    super(endpointUrls[0], chain, { staticNetwork: chain, batchMaxCount: 1 });
+    this.profile = network;
+    this.settings = { ...DEFAULT_OPTIONS, ...settings };
+    this.transport = transport;
+    this.now = now;
+    this.endpoints = endpointUrls.map(url => new RpcEndpoint(url, this.settings));
+    this.head = null;
+    this.probeTimer = null;
+    this.probing = null;
+    this.endpoints.forEach(endpoint => trackCircuitBreaker(`rpc_${network.name}_${endpoint.name}`, () => endpoint.state));
+  }
+
+  /**
+   * Probe the endpoints in the background until stop()
+   * @returns {Promise<Object>} Health after the first probe
+   */
+  start() {
+    pools.add(this);
+    if (!this.probeTimer) {
+      this.probeTimer = setInterval(() => this.probe(), this.settings.probeIntervalMs);
+      this.probeTimer.unref();
+    }
+    return this.probe();
+  }
+
+  stop() {
+    if (this.probeTimer) {
+      clearInterval(this.probeTimer);
+      this.probeTimer = null;
+    }
+    pools.delete(this);
+  }
+
+  destroy() {
+    this.stop();
+    super.destroy();
+  }
+
+  /**
+   * Check every endpoint's chain id once and its block height every time
+   * @returns {Promise<Object>} getHealth()
+   */
+  probe() {
+    if (!this.probing) {
+      this.probing = Promise.all(this.endpoints.map(endpoint => this.probeEndpoint(endpoint)))
+        .then(() => this.updateLag())
+        .finally(() => {
+          this.probing = null;
+        });
+    }
+    return this.probing.then(() => this.getHealth());
+  }
+
+  async probeEndpoint(endpoint) {
+    if (endpoint.wrongChain || !endpoint.isAvailable(this.now())) {
+      return;
+    }
+    try {
+      if (endpoint.chainId === null) {
+        const [{ result }] = await this.call(endpoint, rpcPayload('eth_chainId'));
+        endpoint.chainId = Number(result);
+        if (endpoint.chainId !== this.profile.chainId) {
+          endpoint.wrongChain = true;
+          logger.error(`❌ RPC endpoint ${endpoint.name} is on chain ${endpoint.chainId}, not ${this.profile.displayName} (${this.profile.chainId}); leaving it out`);
+          return;
+        }
+      }
+      const [{ result }] = await this.call(endpoint, rpcPayload('eth_blockNumber'));
+      endpoint.head = Number(result);
+    } catch (error) {
+      // Recorded on the endpoint; a head that stops moving shows up as lag
+      logger.debug(`RPC probe of ${endpoint.name} failed: ${error.message}`);
+    }
+  }
+
+  updateLag() {
+    const heads = this.endpoints.filter(endpoint => !endpoint.wrongChain && endpoint.head !== null).map(endpoint => endpoint.head);
+    if (heads.length === 0) {
+      return;
+    }
+    this.head = Math.max(this.head || 0, ...heads);
+    this.endpoints.forEach((endpoint) => {
+      const wasStale = endpoint.isStale();
+      endpoint.lag = endpoint.head === null ? 0 : this.head - endpoint.head;
+      if (endpoint.isStale() && !wasStale) {
+        logger.warn(`⚠️ RPC endpoint ${endpoint.name} is ${endpoint.lag} blocks behind the ${this.profile.displayName} head`);
+      } else if (wasStale && !endpoint.isStale()) {
+        logger.info(`✅ RPC endpoint ${endpoint.name} caught up with the ${this.profile.displayName} head`);
+      }
+    });
+  }
+
+  /**
+   * Endpoints on the right chain, healthiest first. With none healthy, the
+   * least bad one is still tried rather than failing outright.
+   */
+  ranked() {
+    const now = this.now();
+    const usable = this.endpoints.filter(endpoint => !endpoint.wrongChain);
+    if (usable.length === 0) {
+      throw new Error(`No RPC endpoint of ${this.profile.displayName} is on chain ${this.profile.chainId}`);
+    }
+    const healthy = usable.filter(endpoint => endpoint.isHealthy(now));
+    return (healthy.length > 0 ? healthy : usable).sort((a, b) => a.score() - b.score());
+  }
+
+  /**
+   * Record the outcome of a request sent to an endpoint outside the pool,
+   * e.g. through Web3
+   */
+  record(endpoint, latencyMs, error = null) {
+    if (error) {
+      endpoint.recordFailure(error, this.now());
+      rpcErrors.inc({ provider: endpoint.name });
+    } else {
+      endpoint.recordSuccess(latencyMs);
+      rpcRequests.inc({ provider: endpoint.name });
+    }
+  }
+
+  async call(endpoint, payload) {
+    const started = this.now();
+    try {
+      const results = await this.transport(endpoint.url, payload, this.settings.timeoutMs);
+      if (isRateLimited(results)) {
+        throw new Error(`${endpoint.name} is rate limiting`);
+      }
+      this.record(endpoint, this.now() - started);
+      return results;
+    } catch (error) {
+      this.record(endpoint, this.now() - started, error);
+      throw error;
+    }
+  }
+
+  async _send(payload) {
+    const endpoints = this.ranked();
+    const payloads = Array.isArray(payload) ? payload : [payload];
+    if (!payloads.every(request => READ_METHODS.has(request.method))) {
+      // Writes go out once; whether to send a transaction again is up to the caller
+      return this.call(endpoints[0], payload);
+    }
+    return this.hedge(endpoints.slice(0, this.settings.maxAttempts), payload);
+  }
+
+  /**
+   * Send a read to the first endpoint, and to the next one when it fails or
+   * has not answered within hedgeAfterMs; the first answer wins
+   */
+  hedge(endpoints, payload) {
+    return new Promise((resolve, reject) => {
+      let next = 0;
+      let pending = 0;
+      let settled = false;
+      let timer = null;
+
+      const settle = (callback, value) => {
+        settled = true;
+        clearTimeout(timer);
+        callback(value);
+      };
+
+      const launch = () => {
+        if (settled || next >= endpoints.length) {
+          return;
+        }
+        const endpoint = endpoints[next++];
+        pending++;
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          if (next < endpoints.length) {
+            rpcHedges.inc({ network: this.profile.name });
+          }
+          launch();
+        }, this.settings.hedgeAfterMs);
+
+        this.call(endpoint, payload).then((results) => {
+          if (!settled) settle(resolve, results);
+        }, (error) => {
+          pending--;
+          if (settled) return;
+          if (next < endpoints.length) {
+            launch();
+          } else if (pending === 0) {
+            settle(reject, error);
+          }
+        });
+      };
+
+      launch();
+    });
+  }
+
+  getHealth() {
+    const now = this.now();
+    const endpoints = this.endpoints.map(endpoint => endpoint.health(now));
+    return {
+      network: this.profile.name,
+      chainId: this.profile.chainId,
+      head: this.head,
+      healthy: endpoints.filter(endpoint => endpoint.healthy).length,
+      endpoints
+    };
+  }
+}
+
+/**
+ * Health of every started pool, for the status API
+ */
+function getRpcHealth() {
+  return [...pools].map(pool => pool.getHealth());
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  READ_METHODS,
+  RpcPool,
+  getRpcHealth
+};
@@ -3,6 +3,8 @@
  * Coordinates API calls across all bot instances to prevent rate limiting
  */
 
+const { registry, trackCircuitBreaker } = require('./metrics');
+
 class SharedRateLimiter {
   constructor() {
     this.lastRequestTimes = new Map();
@@ -274,4 +276,12 @@ class SharedRateLimiter {
 // Create singleton instance
 const sharedRateLimiter = new SharedRateLimiter();
 
+registry.gauge('pollen_rate_limiter_queue_depth', 'Requests waiting in the shared rate limiter queue', ['source'], (gauge) => {
+  sharedRateLimiter.requestQueues.forEach((queue, source) => gauge.set({ source }, queue.length));
+});
+registry.gauge('pollen_rate_limiter_active_requests', 'Requests the shared rate limiter has in flight', ['source'], (gauge) => {
+  sharedRateLimiter.activeRequests.forEach((count, source) => gauge.set({ source }, count));
+});
+trackCircuitBreaker('rate_limiter', () => sharedRateLimiter.circuitBreaker.state);
+
 module.exports = sharedRateLimiter;
\ No newline at end of file
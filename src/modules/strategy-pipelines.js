@@ -0,0 +1,175 @@
+/**
+ * Strategy Pipelines
+ * Maps each registry strategy name to a signal pipeline: market data is
+ * scored by strategy.generateSignals, reshaped for the strategy, turned into
+ * an allocation by determineAllocation and finally into the PollenDAO weight
+ * and isShort arrays in the portfolio's asset order. A rebalance is only
+ * proposed when shouldRebalance finds drift above the bot's threshold, and
+ * never on fallback prices or a weak price consensus.
+ */
+const { generateSignals, determineAllocation, shouldRebalance, calculateAllocation } = require('./strategy');
+const { PORTFOLIO_ASSETS } = require('./portfolio-state-reader');
+const { toContractWeights } = require('./asset-registry');
+
+const RISK_LEVELS = { low: 'low', moderate: 'medium', high: 'high' };
+
+const follow = signal => signal.strength;
+const fade = signal => -signal.strength;
+const breakout = signal => Math.abs(signal.strength) >= 5 ? signal.strength : 0;
+
+/**
+ * Per strategy: how signal strength is derived from the technical signals,
+ * an optional risk level override, and the share of the portfolio that goes
+ * to short positions on the weakest assets.
+ */
+const STRATEGY_PIPELINES = {
+  'conservative': { strength: follow, riskLevel: 'low', shortShare: 0 },
+  'momentum': { strength: signal => signal.strength + signal.change24h / 5, shortShare: 0 },
+  'technical': { strength: follow, shortShare: 0 },
+  'mean-reversion': { strength: fade, shortShare: 0.3 },
+  'breakout': { strength: breakout, riskLevel: 'high', shortShare: 0 },
+  'scalping': { strength: follow, riskLevel: 'high', shortShare: 0 },
+  'grid-trading': { strength: fade, riskLevel: 'low', shortShare: 0 },
+  'high-frequency': { strength: signal => signal.strength + signal.change24h / 5, riskLevel: 'high', shortShare: 0 },
+  'liquidity-provision': { strength: follow, riskLevel: 'low', shortShare: 0 },
+  'cross-chain-arbitrage': { strength: follow, shortShare: 0.2 }
+};
+
+function getPipeline(strategy) {
+  const pipeline = STRATEGY_PIPELINES[strategy];
+  if (!pipeline) {
+    throw new Error(`No signal pipeline for strategy ${strategy}`);
+  }
+  return pipeline;
+}
+
+/**
+ * Reshape generated signals for a strategy. Confidence only comes from RSI
+ * extremes in generateSignals, so the reshaped strength also sets a floor
+ * for it; otherwise neutral RSI would push every allocation into the
+ * stable asset.
+ */
+function shapeSignals(signals, marketData, pipeline, config) {
+  const shaped = {};
+  Object.entries(signals).forEach(([asset, signal]) => {
+    const strength = Math.max(-10, Math.min(10, pipeline.strength({
+      ...signal,
+      change24h: marketData.assets[asset].change24h || 0
+    })));
+    const confidence = Math.max(signal.confidence, Math.min(1, Math.abs(strength) / 10));
+    shaped[asset] = {
+      ...signal,
+      strength,
+      confidence,
+      recommended_allocation: calculateAllocation(strength, confidence, config.maxAllocationPercent)
+    };
+  });
+  return shaped;
+}
+
+/**
+ * Target allocation for a bot, in signed percent (negative = short)
+ * @param {Object} bot - Registry bot
+ * @param {Object} marketData - Result of market-data-sources getMarketData
+ * @returns {Promise<{allocation: Object, signals: Object}>}
+ */
+async function buildTargetAllocation(bot, marketData) {
+  const pipeline = getPipeline(bot.strategy);
+  const config = {
+    riskLevel: pipeline.riskLevel || RISK_LEVELS[bot.risk] || 'medium',
+    riskProfile: bot.risk,
+    maxAllocationPercent: bot.maxAllocation
+  };
+
+  const signals = shapeSignals(await generateSignals(marketData, config), marketData, pipeline, config);
+  const longs = await determineAllocation(signals, null, config);
+
+  // The short leg is allocated from the inverted signals of the weakest assets
+  let shorts = null;
+  if (pipeline.shortShare > 0) {
+    const weakest = Object.fromEntries(Object.entries(signals)
+      .filter(([, signal]) => signal.strength < 0)
+      .map(([asset, signal]) => [asset, {
+        ...signal,
+        strength: -signal.strength,
+        recommended_allocation: calculateAllocation(-signal.strength, signal.confidence, config.maxAllocationPercent)
+      }]));
+    if (Object.keys(weakest).length > 0) {
+      const candidate = await determineAllocation(weakest, null, config);
+      // determineAllocation parks unallocated weight in a stable asset, which is never worth shorting
+      shorts = Object.keys(candidate).every(asset => weakest[asset]) ? candidate : null;
+    }
+  }
+
+  const allocation = {};
+  const longShare = shorts ? 1 - pipeline.shortShare : 1;
+  Object.entries(longs).forEach(([asset, percent]) => {
+    allocation[asset] = (allocation[asset] || 0) + percent * longShare;
+  });
+  Object.entries(shorts || {}).forEach(([asset, percent]) => {
+    allocation[asset] = (allocation[asset] || 0) - percent * pipeline.shortShare;
+  });
+
+  return { allocation, signals };
+}
+
+/**
+ * Current portfolio in the shape shouldRebalance expects, with signed
+ * percentages at current prices where drift is known
+ * @param {PortfolioSnapshot|null} snapshot - From PortfolioStateReader
+ */
+function toStrategyPortfolio(snapshot) {
+  if (!snapshot || snapshot.assets.length === 0) return null;
+  return {
+    tokens: snapshot.assets.map(asset => asset.symbol),
+    allocations: snapshot.assets.map(asset => {
+      const weight = asset.currentWeight === null ? asset.weight : asset.currentWeight;
+      return weight * 100 * (asset.isShort ? -1 : 1);
+    })
+  };
+}
+
+/**
+ * Decide whether and how a bot should rebalance
+ * @param {Object} bot - Registry bot
+ * @param {Object} marketData - Result of market-data-sources getMarketData
+ * @param {PortfolioSnapshot|null} snapshot - Current on-chain portfolio
+ * @param {Object} [options]
+ * @param {string[]} [options.assets] - Portfolio asset order
+ * @param {boolean} [options.simulation=false] - Accept fallback market data and weak price consensus
+ * @returns {Promise<{rebalance: boolean, reason: string, weights?: number[], isShort?: boolean[], allocation?: Object}>}
+ */
+async function planRebalance(bot, marketData, snapshot, options = {}) {
+  const assets = options.assets || PORTFOLIO_ASSETS;
+
+  const missing = assets.filter(asset => {
+    const data = marketData.assets[asset];
+    return !data || data.isFallback && !options.simulation;
+  });
+  if (missing.length > 0) {
+    return { rebalance: false, reason: `no live market data for ${missing.join(', ')}` };
+  }
+
+  // Sources disagree or too few answered; the price-consensus quote is not good enough to trade on
+  const disputed = assets.filter(asset => marketData.assets[asset].weakConsensus && !options.simulation);
+  if (disputed.length > 0) {
+    return { rebalance: false, reason: `weak price consensus for ${disputed.join(', ')}` };
+  }
+
+  const { allocation } = await buildTargetAllocation(bot, marketData);
+  const { weights, isShort } = toContractWeights(allocation, assets);
+  const target = Object.fromEntries(assets.map((asset, i) => [asset, isShort[i] ? -weights[i] : weights[i]]));
+
+  if (!shouldRebalance(toStrategyPortfolio(snapshot), target, bot.rebalanceThreshold)) {
+    return { rebalance: false, reason: `drift below ${bot.rebalanceThreshold}% threshold`, weights, isShort, allocation: target };
+  }
+  return { rebalance: true, reason: 'drift above threshold', weights, isShort, allocation: target };
+}
+
+module.exports = {
+  STRATEGY_PIPELINES,
+  buildTargetAllocation,
+  toContractWeights,
+  toStrategyPortfolio,
+  planRebalance
+};
@@ -249,5 +249,6 @@ function calculateAllocation(strength, confidence, maxAllocation) {
 module.exports = {
   generateSignals,
   determineAllocation,
-  shouldRebalance
+  shouldRebalance,
+  calculateAllocation
 };
\ No newline at end of file
@@ -1,4 +1,6 @@
 
+const { trackCircuitBreaker } = require('./metrics');
+
 class TradingViewCircuitBreaker {
   constructor() {
     this.failureCount = 0;
@@ -38,4 +40,7 @@ class TradingViewCircuitBreaker {
   }
 }
 
-module.exports = new TradingViewCircuitBreaker();
+const tradingViewCircuitBreaker = new TradingViewCircuitBreaker();
+trackCircuitBreaker('tradingview', () => tradingViewCircuitBreaker.state);
+
+module.exports = tradingViewCircuitBreaker;
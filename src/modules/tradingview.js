@@ -17,27 +17,10 @@ const crypto = require('crypto');
 const mockData = require('./mock-data');
 const marketDataSources = require('./market-data-sources');
 const sharedRateLimiter = require('./shared-rate-limiter');
+const { getAllSupportedAssets } = require('./pollen-assets');
 
-// List of supported assets on Pollen Platform (Avalanche Network)
-const SUPPORTED_ASSETS = [
-  // Core assets
-  'WBTC.E', 'WETH.E', 'WAVAX',
-  // Stablecoins
-  'USDT.E',
-  // DeFi tokens
-  'AAVE.E', 'UNI.E', 'SUSHI.E', 'COMP.E', 'YFI.E', 'CRV.E', 'MKR.E', 
-  'CVX', 'SNX', 'KNC', 'FXS', 'SPELL',
-  // Layer 1/2 tokens
-  'MATIC', 'DOT.E', 'FTM', 'NEAR', 'FIL',
-  // Avalanche ecosystem
-  'JOE', 'XAVA', 'QI',
-  // Infrastructure/Utility
-  'LINK.E', 'CHZ', 'BAT',
-  // Gaming/NFT
-  'APE', 'AXS', 'MANA',
-  // Emerging tokens
-  'ALPHA.E', 'CAKE', 'COQ', 'WOO'
-];
+// Supported assets on Pollen Platform, from the asset catalog
+const SUPPORTED_ASSETS = getAllSupportedAssets();
 
 // Enhanced fallback configuration
 const FALLBACK_CONFIG = {
@@ -0,0 +1,519 @@
+/**
+ * Transaction Manager
+ * One manager per wallet: assigns nonces locally so concurrent sends never
+ * collide, prices transactions through GasOptimizer (EIP-1559), replaces
+ * transactions with bumped fees when they are not mined in time, cancels
+ * them on request and keeps pending transactions on disk, per chain, so a
+ * restarted bot picks them up again. Lifecycle events: submitted, replaced, mined,
+ * reverted, cancelled and dropped.
+ */
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const GasOptimizer = require('./gas-optimizer');
+
+const DEFAULT_TRANSACTIONS_DIR = path.resolve(__dirname, '../../data/transactions');
+
+const DEFAULT_OPTIONS = {
+  timeoutMs: 3 * 60 * 1000, // Replace a transaction not mined within this time
+  feeBumpPercent: 15, // Nodes require at least 10% to accept a replacement
+  maxReplacements: 5,
+  confirmations: 1,
+  pollIntervalMs: 4000,
+  transactionsDir: DEFAULT_TRANSACTIONS_DIR, // null keeps pending transactions in memory only
+  chainId: null // Chain the wallet must be on; read from the provider when null
+};
+
+const FEE_FIELDS = ['gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas'];
+
+/**
+ * @typedef {Object} PendingTransaction
+ * @property {number} chainId - Chain the transaction was signed for
+ * @property {number} nonce - Nonce shared by the original and its replacements
+ * @property {string} label - Description for logs
+ * @property {Object} request - to, data and value of the original transaction
+ * @property {bigint} gasLimit - Gas limit
+ * @property {Object} fees - Current type and fee fields
+ * @property {string[]} hashes - Every broadcast hash, latest last
+ * @property {string} raw - Latest signed transaction, rebroadcast after a restart
+ * @property {number} replacements - Number of fee bumps
+ * @property {boolean} cancelling - Whether the latest replacement is a cancellation
+ * @property {number} submittedAt - Time of the latest broadcast, ms
+ */
+
+function bump(value, percent) {
+  return value * BigInt(100 + percent) / 100n;
+}
+
+function maxBigInt(a, b) {
+  return a > b ? a : b;
+}
+
+const STORED_FIELDS = ['chainId', 'nonce', 'label', 'request', 'gasLimit', 'fees', 'hashes', 'raw', 'replacements', 'cancelling', 'submittedAt'];
+
+function serialize(record) {
+  const stored = Object.fromEntries(STORED_FIELDS.map(field => [field, record[field]]));
+  return JSON.parse(JSON.stringify(stored, (key, value) => typeof value === 'bigint' ? value.toString() : value));
+}
+
+function deserialize(record) {
+  const fees = { type: record.fees.type };
+  FEE_FIELDS.filter(field => record.fees[field] !== undefined).forEach(field => {
+    fees[field] = BigInt(record.fees[field]);
+  });
+  return {
+    ...record,
+    gasLimit: BigInt(record.gasLimit),
+    fees,
+    request: { ...record.request, value: BigInt(record.request.value) }
+  };
+}
+
+class TransactionManager extends EventEmitter {
+  /**
+   * @param {ethers.Wallet} signer - Wallet that signs locally; must be connected to a provider
+   * @param {Object} [options] - Overrides of DEFAULT_OPTIONS, plus an optional gasOptimizer
+   */
+  constructor(signer, options = {}) {
+    super();
+    this.signer = signer;
+    this.provider = signer.provider;
+    this.address = signer.address;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.gasOptimizer = options.gasOptimizer || new GasOptimizer(this.provider, options.gasOptions);
+    this.chainId = null;
+    this.storePath = null; // Known once ready() has read the chain id
+
+    this.pending = new Map(); // nonce -> PendingTransaction
+    this.waiters = new Map(); // nonce -> [{ resolve, reject }]
+    this.nextNonce = null;
+    this.queue = Promise.resolve();
+    this.timer = null;
+    this.polling = null;
+    this.readyPromise = null;
+  }
+
+  /**
+   * Load the chain id and resume persisted pending transactions. Called by
+   * send(), so explicit calls are only needed to resume without sending.
+   */
+  ready() {
+    if (!this.readyPromise) {
+      this.readyPromise = (async () => {
+        const network = await this.provider.getNetwork();
+        const chainId = Number(network.chainId);
+        if (this.options.chainId !== null && chainId !== Number(this.options.chainId)) {
+          throw new Error(`Wallet ${this.address} is connected to chain ${chainId}, not ${this.options.chainId}`);
+        }
+        this.chainId = chainId;
+        this.storePath = this.options.transactionsDir
+          ? path.join(this.options.transactionsDir, String(chainId), `${this.address.toLowerCase()}.json`)
+          : null;
+        await this.resume();
+      })().catch(error => {
+        // A failed network read is retried by the next call rather than failing every later send
+        this.readyPromise = null;
+        throw error;
+      });
+    }
+    return this.readyPromise;
+  }
+
+  async resume() {
+    if (!this.storePath || !fs.existsSync(this.storePath)) return;
+
+    const stored = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+    for (const record of stored.map(deserialize).filter(candidate => candidate.chainId === this.chainId)) {
+      this.pending.set(record.nonce, record);
+      // Nodes forget transactions across restarts; make sure the latest one is still known
+      const known = await this.provider.getTransaction(record.hashes[record.hashes.length - 1]).catch(() => null);
+      if (!known && record.raw) {
+        await this.provider.broadcastTransaction(record.raw).catch(error => {
+          logger.warn(`Could not rebroadcast ${record.label} (nonce ${record.nonce}): ${error.message}`);
+        });
+      }
+    }
+
+    if (this.pending.size > 0) {
+      logger.info(`Resumed ${this.pending.size} pending transaction(s) for ${this.address}`);
+      this.startPolling();
+    }
+  }
+
+  /**
+   * Submit a transaction
+   * @param {Object} request - to, data, value and optionally gasLimit, e.g. from contract.method.populateTransaction()
+   * @param {Object} [options]
+   * @param {string} [options.label] - Description for logs and events
+   * @returns {Promise<{nonce: number, hash: string, wait: Function}>} wait() resolves with the mined receipt
+   */
+  async send(request, options = {}) {
+    await this.ready();
+
+    const record = await this.enqueue(async () => {
+      // Estimate before reserving a nonce, so a call that would revert does not leave a gap
+      const estimatedGas = request.gasLimit
+        ? BigInt(request.gasLimit)
+        : await this.provider.estimateGas({ ...request, from: this.address });
+      const { gasLimit, fees } = await this.getGasParams(estimatedGas);
+      const nonce = await this.reserveNonce();
+
+      const pending = {
+        chainId: this.chainId,
+        nonce,
+        label: options.label || `transaction to ${request.to}`,
+        request: { to: request.to, data: request.data || '0x', value: BigInt(request.value || 0) },
+        gasLimit: request.gasLimit ? BigInt(request.gasLimit) : gasLimit,
+        fees,
+        hashes: [],
+        raw: null,
+        replacements: 0,
+        cancelling: false,
+        submittedAt: null,
+        // Log context of the sender (bot, correlation id), for records logged later by the poller
+        context: logger.getContext()
+      };
+
+      try {
+        await this.broadcast(pending, pending.request, pending.gasLimit);
+      } catch (error) {
+        // The node rejected the transaction, so the nonce is still free; resync before the next send
+        this.nextNonce = null;
+        throw error;
+      }
+
+      this.pending.set(nonce, pending);
+      this.save();
+      this.emit('submitted', this.describe(pending));
+      logger.info(`📡 ${pending.label} submitted with nonce ${nonce}: ${pending.hashes[0]}`, this.logFields(pending));
+      return pending;
+    });
+
+    this.startPolling();
+    return {
+      nonce: record.nonce,
+      data: record.request.data,
+      // The hash of whichever version was mined, once it is known
+      get hash() {
+        return record.minedHash || record.hashes[record.hashes.length - 1];
+      },
+      wait: () => this.waitFor(record)
+    };
+  }
+
+  /**
+   * Wait for the transaction with this nonce. Resolves with the receipt of
+   * whichever version was mined; rejects when it reverted, was cancelled or
+   * was dropped.
+   */
+  wait(nonce) {
+    if (!this.pending.has(nonce)) {
+      return Promise.reject(new Error(`No pending transaction with nonce ${nonce}`));
+    }
+    return this.waitFor(this.pending.get(nonce));
+  }
+
+  waitFor(record) {
+    if (record.outcome) {
+      const { error, receipt } = record.outcome;
+      return error ? Promise.reject(error) : Promise.resolve(receipt);
+    }
+    const { nonce } = record;
+    const waiter = new Promise((resolve, reject) => {
+      this.waiters.set(nonce, [...this.waiters.get(nonce) || [], { resolve, reject }]);
+    });
+    this.poll();
+    return waiter;
+  }
+
+  /**
+   * Replace a pending transaction with an empty self-transfer at a higher fee
+   */
+  async cancel(nonce) {
+    const record = this.pending.get(nonce);
+    if (!record) {
+      throw new Error(`No pending transaction with nonce ${nonce}`);
+    }
+    await this.enqueue(() => this.replace(record, true));
+  }
+
+  /**
+   * Apply the options of a later caller of getTransactionManager(). The
+   * pending-transaction store and chain stay as created.
+   * @param {Object} options - TransactionManager options
+   */
+  configure(options) {
+    const { transactionsDir, gasOptimizer, gasOptions } = options;
+    if (transactionsDir !== undefined && transactionsDir !== this.options.transactionsDir) {
+      logger.warn(`Pending transactions of ${this.address} stay in ${this.options.transactionsDir}, ignoring ${transactionsDir}`);
+    }
+    Object.keys(options)
+      .filter(key => key in DEFAULT_OPTIONS && key !== 'transactionsDir' && key !== 'chainId')
+      .forEach(key => {
+        this.options[key] = options[key];
+      });
+    if (gasOptimizer) {
+      this.gasOptimizer = gasOptimizer;
+    } else if (gasOptions && JSON.stringify(gasOptions) !== JSON.stringify(this.options.gasOptions)) {
+      this.gasOptimizer = new GasOptimizer(this.provider, gasOptions);
+      this.options.gasOptions = gasOptions;
+    }
+  }
+
+  hasPending() {
+    return this.pending.size > 0;
+  }
+
+  getPending() {
+    return [...this.pending.values()].map(record => this.describe(record));
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Serialize nonce reservation and replacements
+  enqueue(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async reserveNonce() {
+    // The chain may be ahead after a restart or after sends from another process
+    const chainNonce = await this.provider.getTransactionCount(this.address, 'pending');
+    const highestPending = Math.max(-1, ...this.pending.keys());
+    const nonce = Math.max(chainNonce, this.nextNonce ?? 0, highestPending + 1);
+    this.nextNonce = nonce + 1;
+    return nonce;
+  }
+
+  async getGasParams(estimatedGas) {
+    const params = await this.gasOptimizer.getGasParams(estimatedGas);
+    const gasLimit = BigInt(params.gasLimit);
+    if (params.type === 2) {
+      return {
+        gasLimit,
+        fees: { type: 2, maxFeePerGas: params.maxFeePerGas, maxPriorityFeePerGas: params.maxPriorityFeePerGas }
+      };
+    }
+    const { gasPrice } = await this.provider.getFeeData();
+    return { gasLimit, fees: { type: 0, gasPrice } };
+  }
+
+  async broadcast(record, request, gasLimit) {
+    const raw = await this.signer.signTransaction({
+      ...request,
+      ...record.fees,
+      gasLimit,
+      nonce: record.nonce,
+      chainId: this.chainId
+    });
+    const hash = ethers.Transaction.from(raw).hash;
+    await this.provider.broadcastTransaction(raw);
+    record.hashes.push(hash);
+    record.raw = raw;
+    record.submittedAt = Date.now();
+    return hash;
+  }
+
+  async replace(record, cancel = false) {
+    if (!this.pending.has(record.nonce)) return;
+
+    const { fees: current } = await this.getGasParams(21000n);
+    const fees = { type: record.fees.type };
+    FEE_FIELDS.filter(field => record.fees[field] !== undefined).forEach(field => {
+      fees[field] = maxBigInt(bump(record.fees[field], this.options.feeBumpPercent), current[field] || 0n);
+    });
+
+    const previousHash = record.hashes[record.hashes.length - 1];
+    const request = cancel ? { to: this.address, data: '0x', value: 0n } : record.request;
+    const gasLimit = cancel ? 21000n : record.gasLimit;
+    const previousFees = record.fees;
+    record.fees = fees;
+
+    try {
+      const hash = await this.broadcast(record, request, gasLimit);
+      record.replacements++;
+      record.cancelling = record.cancelling || cancel;
+      this.save();
+      this.emit('replaced', { ...this.describe(record), previousHash, cancel });
+      logger.warn(`⛽ ${cancel ? 'Cancelled' : 'Replaced'} ${record.label} (nonce ${record.nonce}): ${previousHash} -> ${hash}`, this.logFields(record));
+    } catch (error) {
+      record.fees = previousFees;
+      // The original may have been mined meanwhile; the next poll settles it
+      logger.warn(`Could not replace ${record.label} (nonce ${record.nonce}): ${error.message}`, this.logFields(record));
+      if (cancel) throw error;
+    }
+  }
+
+  startPolling() {
+    if (this.timer || this.pending.size === 0) return;
+    this.timer = setInterval(() => this.poll(), this.options.pollIntervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Check every pending transaction once: settle mined ones, replace the
+   * ones that timed out
+   */
+  poll() {
+    if (!this.polling) {
+      this.polling = this.checkPending()
+        .catch(error => logger.warn(`Transaction polling failed for ${this.address}: ${error.message}`))
+        .finally(() => {
+          this.polling = null;
+        });
+    }
+    return this.polling;
+  }
+
+  async checkPending() {
+    for (const record of [...this.pending.values()].sort((a, b) => a.nonce - b.nonce)) {
+      let receipt = await this.findReceipt(record);
+      if (!receipt) {
+        const minedNonce = await this.provider.getTransactionCount(this.address, 'latest');
+        if (minedNonce > record.nonce) {
+          // Receipts can trail the nonce by a block; check once more before giving up
+          receipt = await this.findReceipt(record);
+          if (!receipt) {
+            this.finish(record, 'dropped', new Error(`${record.label} (nonce ${record.nonce}) was replaced by a transaction this manager did not send`));
+            continue;
+          }
+        }
+      }
+
+      if (receipt) {
+        if (await this.isConfirmed(receipt)) {
+          this.settle(record, receipt);
+        }
+        continue;
+      }
+
+      if (Date.now() - record.submittedAt >= this.options.timeoutMs) {
+        if (record.replacements < this.options.maxReplacements) {
+          await this.enqueue(() => this.replace(record, record.cancelling));
+        } else if (!record.stuckReported) {
+          record.stuckReported = true;
+          logger.error(`❌ ${record.label} (nonce ${record.nonce}) still pending after ${record.replacements} replacements`, this.logFields(record));
+        }
+      }
+    }
+
+    if (this.pending.size === 0) {
+      this.stop();
+    }
+  }
+
+  async findReceipt(record) {
+    for (const hash of [...record.hashes].reverse()) {
+      const receipt = await this.provider.getTransactionReceipt(hash);
+      if (receipt && receipt.blockNumber !== null) {
+        return receipt;
+      }
+    }
+    return null;
+  }
+
+  async isConfirmed(receipt) {
+    const head = await this.provider.getBlockNumber();
+    return head - receipt.blockNumber + 1 >= this.options.confirmations;
+  }
+
+  settle(record, receipt) {
+    if (receipt.status !== 1) {
+      const error = new Error(`${record.label} reverted in transaction ${receipt.hash}`);
+      error.receipt = receipt;
+      this.finish(record, 'reverted', error, receipt);
+    } else if (record.cancelling && receipt.to && receipt.to.toLowerCase() === this.address.toLowerCase()) {
+      const error = new Error(`${record.label} (nonce ${record.nonce}) was cancelled`);
+      error.receipt = receipt;
+      this.finish(record, 'cancelled', error, receipt);
+    } else {
+      this.finish(record, 'mined', null, receipt);
+    }
+  }
+
+  finish(record, status, error, receipt = null) {
+    record.minedHash = receipt ? receipt.hash : null;
+    record.outcome = { error, receipt };
+    this.pending.delete(record.nonce);
+    this.save();
+    this.emit(status, { ...this.describe(record), hash: receipt ? receipt.hash : record.hashes[record.hashes.length - 1], receipt });
+
+    if (status === 'mined') {
+      logger.info(`✅ ${record.label} mined in block ${receipt.blockNumber}`, this.logFields(record));
+    } else {
+      logger.warn(`⚠️ ${record.label} ${status}`, this.logFields(record));
+    }
+
+    const waiters = this.waiters.get(record.nonce) || [];
+    this.waiters.delete(record.nonce);
+    waiters.forEach(({ resolve, reject }) => error ? reject(error) : resolve(receipt));
+  }
+
+  logFields(record) {
+    return { ...record.context, txHash: record.minedHash || record.hashes[record.hashes.length - 1] };
+  }
+
+  describe(record) {
+    return {
+      address: this.address,
+      nonce: record.nonce,
+      label: record.label,
+      hash: record.hashes[record.hashes.length - 1],
+      hashes: [...record.hashes],
+      replacements: record.replacements,
+      fees: { ...record.fees }
+    };
+  }
+
+  save() {
+    if (!this.storePath) return;
+    const records = [...this.pending.values()].map(serialize);
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+    fs.writeFileSync(this.storePath, JSON.stringify(records, null, 2));
+  }
+}
+
+const managers = new Map();
+
+/**
+ * The shared manager for a wallet on one chain. Later callers' options are
+ * applied through configure().
+ * @param {ethers.Wallet} signer - Wallet connected to a provider
+ * @param {Object} [options] - TransactionManager options; pass the network profile's chainId, without
+ *   one the wallet gets a manager that takes its chain from the provider
+ * @returns {TransactionManager}
+ */
+function getTransactionManager(signer, options = {}) {
+  const chainId = options.chainId ?? null;
+  const key = `${chainId}:${signer.address.toLowerCase()}`;
+  if (!managers.has(key)) {
+    managers.set(key, new TransactionManager(signer, { ...options, chainId }));
+    return managers.get(key);
+  }
+  const manager = managers.get(key);
+  manager.configure(options);
+  return manager;
+}
+
+/**
+ * Stop polling and forget all shared managers. Pending transactions stay on disk.
+ */
+function closeTransactionManagers() {
+  managers.forEach(manager => manager.stop());
+  managers.clear();
+}
+
+module.exports = {
+  DEFAULT_TRANSACTIONS_DIR,
+  TransactionManager,
+  getTransactionManager,
+  closeTransactionManagers
+};
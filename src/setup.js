@@ -66,7 +66,7 @@ async function collectConfiguration() {
   console.log('\n\x1b[33m1. Blockchain Configuration\x1b[0m');
   
   // Network selection
-  config.NETWORK = await askQuestion('Select network (avalanche, base, avalanche-testnet, base-testnet) [default: avalanche]: ', config.NETWORK || 'avalanche');
+  config.NETWORK = await askQuestion('Select network (avalanche, avalanche-fuji, base, base-sepolia) [default: base-sepolia]: ', config.NETWORK || 'base-sepolia');
   
   // Private key
   let privateKey = await askQuestion('Enter your Ethereum Private Key (leave empty to skip): ', config.ETHEREUM_PRIVATE_KEY || '');
@@ -0,0 +1,66 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { DelegationManager } = require('../src/modules/delegation');
+const { closeTransactionManagers } = require('../src/modules/transaction-manager');
+const { deployPollenMocks, fundWallet } = require('./fixtures/pollen-mocks');
+
+const DAY = 24 * 60 * 60 * 1000;
+const WEIGHTS = [100, 0, 0, 0, 0, 0, 0];
+const IS_SHORT = WEIGHTS.map(() => false);
+
+describe('DelegationManager against the Pollen mocks', function () {
+  async function delegationFixture() {
+    const mocks = await deployPollenMocks();
+    const delegator = await fundWallet(mocks, ethers.parseEther('1000'));
+    const delegates = [];
+    for (let i = 0; i < 2; i++) {
+      const wallet = await fundWallet(mocks, ethers.parseEther('100'));
+      await (await mocks.pln.connect(wallet).approve(mocks.contracts.pollenDAO, ethers.parseEther('100'))).wait();
+      await (await mocks.pollenDAO.connect(wallet).createPortfolio(ethers.parseEther('100'), WEIGHTS, IS_SHORT, false)).wait();
+      delegates.push(wallet.address);
+    }
+    return { ...mocks, delegator, delegates };
+  }
+
+  afterEach(function () {
+    closeTransactionManagers();
+  });
+
+  it('delegates to the best-ranked portfolio and undelegates from it', async function () {
+    const { pln, pollenDAO, contracts, delegator, delegates: [alice, bob] } = await loadFixture(delegationFixture);
+    let now = Date.parse('2024-01-01T00:00:00Z');
+    const manager = new DelegationManager(delegator, {
+      contracts,
+      policy: { candidates: [alice, bob], maxPerDelegate: '40', maxTotal: '40', maxDelegates: 1, minReadings: 2 },
+      getBenchmarkValue: () => 1,
+      transactions: { transactionsDir: null },
+      storeDir: null,
+      now: () => now
+    });
+    await (await pollenDAO.setPortfolioValue(alice, ethers.parseEther('125'))).wait();
+
+    await manager.rebalance();
+    now += 2 * DAY;
+    const plan = await manager.rebalance();
+
+    expect(plan.delegate).to.deep.equal([{ delegate: alice, amount: 40 }]);
+    expect(await pollenDAO.delegations(delegator.address, alice)).to.equal(ethers.parseEther('40'));
+    expect(await pln.balanceOf(delegator.address)).to.equal(ethers.parseEther('960'));
+
+    // Alice's portfolio gains 20% after the delegation
+    await (await pollenDAO.setPortfolioValue(alice, ethers.parseEther('150'))).wait();
+    now += 2 * DAY;
+    await manager.rankCandidates();
+
+    const receipt = await manager.undelegate(alice);
+
+    expect(receipt.status).to.equal(1);
+    expect(await pollenDAO.delegations(delegator.address, alice)).to.equal(0n);
+    expect(await pln.balanceOf(delegator.address)).to.equal(ethers.parseEther('1000'));
+    // 80% of the 8 PLN gain on 40 PLN is booked, the DAO only returns the principal
+    const summary = manager.getSummary();
+    expect(summary.principal).to.equal(0);
+    expect(summary.realizedPnl).to.be.closeTo(6.4, 1e-9);
+  });
+});
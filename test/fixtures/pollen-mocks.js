@@ -0,0 +1,45 @@
+/**
+ * Pollen mock deployment for the local Hardhat network
+ * Deploys MockPLN, MockPollenDAO and MockVePLN and funds bot wallets that
+ * sign locally, the way the bots do against a live RPC.
+ */
+const { ethers } = require('hardhat');
+
+async function deployPollenMocks() {
+  const [deployer] = await ethers.getSigners();
+
+  const pln = await ethers.deployContract('MockPLN');
+  const vePLN = await ethers.deployContract('MockVePLN', [await pln.getAddress()]);
+  // Votes on DAO proposals weigh vePLN voting power
+  const pollenDAO = await ethers.deployContract('MockPollenDAO', [await pln.getAddress(), await vePLN.getAddress()]);
+
+  return {
+    deployer,
+    pln,
+    pollenDAO,
+    vePLN,
+    contracts: {
+      plnToken: await pln.getAddress(),
+      pollenDAO: await pollenDAO.getAddress(),
+      vePLN: await vePLN.getAddress()
+    }
+  };
+}
+
+/**
+ * A fresh wallet with gas money and PLN
+ * @param {Object} mocks - Result of deployPollenMocks
+ * @param {bigint} plnAmount - PLN to mint, in wei
+ * @returns {Promise<ethers.Wallet>}
+ */
+async function fundWallet({ deployer, pln }, plnAmount) {
+  const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+  await (await deployer.sendTransaction({ to: wallet.address, value: ethers.parseEther('10') })).wait();
+  await (await pln.mint(wallet.address, plnAmount)).wait();
+  return wallet;
+}
+
+module.exports = {
+  deployPollenMocks,
+  fundWallet
+};
@@ -0,0 +1,104 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture, mine, time } = require('@nomicfoundation/hardhat-network-helpers');
+const { GovernanceMonitor } = require('../src/modules/governance');
+const { closeTransactionManagers } = require('../src/modules/transaction-manager');
+const { EventIndexer } = require('../src/modules/event-indexer');
+const { deployPollenMocks, fundWallet } = require('./fixtures/pollen-mocks');
+
+const YEAR = 365 * 24 * 60 * 60;
+const POLICY = {
+  voters: [1, 2],
+  rules: [
+    { contract: 'plnToken', function: 'transfer', vote: 'for', reason: 'Treasury grant' },
+    { contract: 'pollenDAO', function: 'changeAdmin', vote: 'against', reason: 'Hands over the DAO proxy' }
+  ]
+};
+
+describe('GovernanceMonitor against the Pollen mocks', function () {
+  async function governanceFixture() {
+    const mocks = await deployPollenMocks();
+    const { pln, vePLN, pollenDAO, deployer, contracts } = mocks;
+    const voter = await fundWallet(mocks, ethers.parseEther('1000'));
+    const bystander = await fundWallet(mocks, 0n);
+    await (await pln.connect(voter).approve(contracts.vePLN, ethers.parseEther('400'))).wait();
+    await (await vePLN.connect(voter).lock(ethers.parseEther('400'), await time.latest() + YEAR)).wait();
+    // The DAO's treasury, which the grant proposal pays from
+    await (await pln.mint(contracts.pollenDAO, ethers.parseEther('100'))).wait();
+
+    const grant = pln.interface.encodeFunctionData('transfer', [bystander.address, ethers.parseEther('10')]);
+    await (await pollenDAO.propose([contracts.plnToken], [0], [''], [grant], 'Grant 10 PLN')).wait();
+    const changeAdmin = ethers.AbiCoder.defaultAbiCoder().encode(['address'], [deployer.address]);
+    await (await pollenDAO.propose([contracts.pollenDAO], [0], ['changeAdmin(address)'], [changeAdmin], 'Change the proxy admin')).wait();
+    return { ...mocks, voter, bystander };
+  }
+
+  async function createMonitor() {
+    const fixture = await loadFixture(governanceFixture);
+    const indexer = new EventIndexer(ethers.provider, { contracts: fixture.contracts, dbPath: ':memory:', startBlock: 0 });
+    const monitor = new GovernanceMonitor(ethers.provider, {
+      contracts: fixture.contracts,
+      indexer,
+      voters: [{ botId: 1, wallet: fixture.voter }, { botId: 2, wallet: fixture.bystander }],
+      policy: POLICY,
+      transactions: { transactionsDir: null },
+      storeDir: null
+    });
+    // Proposals open for voting the block after they are created
+    await mine();
+    await indexer.sync();
+    return { ...fixture, indexer, monitor };
+  }
+
+  afterEach(function () {
+    closeTransactionManagers();
+  });
+
+  it('votes on indexed proposals from the wallets holding voting power', async function () {
+    const { indexer, monitor, pollenDAO, voter } = await createMonitor();
+
+    const decided = await monitor.poll();
+
+    expect(decided.map(decision => [decision.proposalId, decision.vote, decision.status])).to.deep.equal([
+      ['1', 'for', 'Active'],
+      ['2', 'against', 'Active']
+    ]);
+    expect(decided[0].actions[0].description).to.match(/^plnToken\.transfer\(/);
+    const [grant] = decided;
+    expect(grant.votes[1]).to.include({ address: voter.address, vote: 'for' });
+    expect(grant.votes[1].txHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(grant.votes[2]).to.include({ skipped: 'no voting power' });
+
+    const [, , , forVotes, againstVotes] = await pollenDAO.getProposal(1);
+    expect(forVotes).to.be.greaterThan(0n);
+    expect(againstVotes).to.equal(0n);
+    expect((await pollenDAO.getProposal(2))[4]).to.be.greaterThan(0n);
+    expect(await pollenDAO.hasVoted(2, voter.address)).to.equal(true);
+
+    await indexer.sync();
+    const votes = await indexer.getEvents({ contract: 'pollenDAO', eventName: 'VoteCast' });
+    expect(votes.map(event => [event.args.proposalId, event.args.support])).to.have.deep.members([['1', '1'], ['2', '0']]);
+
+    // Recorded votes are not cast again
+    expect(await monitor.poll()).to.deep.equal([]);
+    expect((await pollenDAO.getProposal(1))[3]).to.equal(forVotes);
+    await indexer.close();
+  });
+
+  it('closes decisions once voting ends and the winning proposal executes', async function () {
+    const { indexer, monitor, pollenDAO, pln, bystander } = await createMonitor();
+    await monitor.poll();
+
+    await mine(await pollenDAO.votingPeriod());
+    await monitor.poll();
+
+    const statuses = monitor.getDecisions().map(decision => [decision.proposalId, decision.status, decision.closed]);
+    expect(statuses).to.deep.equal([['2', 'Defeated', true], ['1', 'Succeeded', true]]);
+
+    await (await pollenDAO.execute(1)).wait();
+    expect(await pollenDAO.state(1)).to.equal(7n);
+    expect(await pln.balanceOf(bystander.address)).to.equal(ethers.parseEther('10'));
+    await expect(pollenDAO.execute(2)).to.be.revertedWith('Proposal has not succeeded');
+    await indexer.close();
+  });
+});
@@ -0,0 +1,209 @@
+const { expect } = require('chai');
+const { ethers, network } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const MultiBotManager = require('../multi-bot-launcher');
+const { planRebalance } = require('../src/modules/strategy-pipelines');
+const { PORTFOLIO_ASSETS } = require('../src/modules/portfolio-state-reader');
+const { closeTransactionManagers } = require('../src/modules/transaction-manager');
+const { EventIndexer } = require('../src/modules/event-indexer');
+const { deployPollenMocks, fundWallet } = require('./fixtures/pollen-mocks');
+const sqlite3 = require('sqlite3');
+const { RiskControls } = require('../web-interface/server/risk/risk-controls');
+const { ReputationTracker } = require('../web-interface/server/analytics/reputation-tracker');
+
+const BOT = {
+  id: 1,
+  name: 'Local Technical Bot',
+  strategy: 'technical',
+  risk: 'moderate',
+  maxAllocation: 50,
+  rebalanceThreshold: 5,
+  initialStake: '100',
+  interval: 60000,
+  key: 'env:HARDHAT_BOT_KEY_1',
+  enabled: true
+};
+
+// WBTC and WETH trend up, everything else trends down
+const BULLISH = { price: 110, EMA20: 105, EMA50: 100, EMA200: 100, RSI: 60, change24h: 6 };
+const BEARISH = { price: 90, EMA20: 95, EMA50: 100, EMA200: 100, RSI: 40, change24h: -6 };
+const MARKET_DATA = {
+  assets: Object.fromEntries(PORTFOLIO_ASSETS.map(asset => [asset, ['WBTC', 'WETH'].includes(asset) ? BULLISH : BEARISH]))
+};
+
+describe('MultiBotManager against the Pollen mocks', function () {
+  async function botFixture() {
+    const mocks = await deployPollenMocks();
+    const wallet = await fundWallet(mocks, ethers.parseEther('1000'));
+    return { ...mocks, wallet };
+  }
+
+  // A new manager per test, since managers cache portfolio references
+  function createManager(contracts, options = {}) {
+    return new MultiBotManager({ bots: [BOT] }, {
+      // The mocks index weights by the Base Sepolia asset list, whatever NETWORK says
+      network: 'base-sepolia',
+      provider: ethers.provider,
+      contracts,
+      getMarketData: async () => MARKET_DATA,
+      getAssetPrice: async symbol => ({ price: MARKET_DATA.assets[symbol].price }),
+      transactions: { transactionsDir: null, chainId: network.config.chainId },
+      // loadFixture rewinds the chain, so an index kept on disk would hold logs of other runs
+      indexer: new EventIndexer(ethers.provider, { contracts, dbPath: ':memory:', startBlock: 0 }),
+      reputationTracker: new ReputationTracker({ db: new sqlite3.Database(':memory:') }),
+      getBenchmarkValue: async () => 1,
+      ...options
+    });
+  }
+
+  async function createPortfolio() {
+    const fixture = await loadFixture(botFixture);
+    process.env.HARDHAT_BOT_KEY_1 = fixture.wallet.privateKey;
+    const manager = createManager(fixture.contracts);
+    const portfolioRef = await manager.createPortfolioForBot(BOT);
+    return { ...fixture, manager, portfolioRef };
+  }
+
+  // loadFixture rewinds the chain, so the cached nonces of the wallet's transaction manager go stale
+  afterEach(function () {
+    delete process.env.HARDHAT_BOT_KEY_1;
+    closeTransactionManagers();
+  });
+
+  it('validates the bot and creates its portfolio', async function () {
+    const { manager, pollenDAO, pln, wallet, contracts, portfolioRef } = await createPortfolio();
+
+    expect(await manager.validateBot(BOT)).to.equal(true);
+    expect(portfolioRef).to.equal('portfolio_1_verified');
+    expect(await pln.balanceOf(contracts.pollenDAO)).to.equal(ethers.parseEther('100'));
+
+    const [weights, totalValue, depositPLN, , isOpen] = await pollenDAO.getPortfolio(wallet.address, ethers.ZeroAddress);
+    // The technical strategy's pattern, one weight per asset of the registry
+    expect(weights.map(Number)).to.deep.equal([20, 20, 20, 15, 10, 10, 5]);
+    expect(totalValue).to.equal(ethers.parseEther('100'));
+    expect(depositPLN).to.equal(ethers.parseEther('100'));
+    expect(isOpen).to.equal(true);
+  });
+
+  it('finds an existing portfolio instead of creating a second one', async function () {
+    const { contracts } = await createPortfolio();
+
+    expect(await createManager(contracts).createPortfolioForBot(BOT)).to.equal('portfolio_1_verified');
+  });
+
+  it('reads the on-chain portfolio state', async function () {
+    const { manager, wallet } = await createPortfolio();
+
+    const snapshot = await manager.getCurrentPortfolio(BOT);
+    expect(snapshot.owner).to.equal(wallet.address);
+    expect(snapshot.totalValue).to.equal(ethers.parseEther('100'));
+    expect(snapshot.assets.map(asset => asset.symbol)).to.deep.equal(PORTFOLIO_ASSETS);
+    expect(snapshot.assets[0].weight).to.equal(0.2);
+  });
+
+  it('rebalances to the signal pipeline weights, detecting the portfolio on chain', async function () {
+    const { contracts, pollenDAO, wallet } = await createPortfolio();
+    const { weights, isShort } = await planRebalance(BOT, MARKET_DATA, null);
+
+    expect(await createManager(contracts).rebalancePortfolio(BOT)).to.equal(true);
+
+    const portfolio = await pollenDAO.getPortfolio(wallet.address, ethers.ZeroAddress);
+    expect(portfolio[0].map(Number)).to.deep.equal(weights);
+    expect(portfolio[7]).to.deep.equal(isShort);
+  });
+
+  it('skips the rebalance while drift stays below the threshold', async function () {
+    const { manager, pollenDAO, wallet } = await createPortfolio();
+
+    expect(await manager.rebalancePortfolio(BOT)).to.equal(true);
+    const rebalancedAt = (await pollenDAO.getPortfolio(wallet.address, ethers.ZeroAddress))[5];
+    const blockNumber = await ethers.provider.getBlockNumber();
+
+    expect(await manager.rebalancePortfolio(BOT)).to.equal(false);
+    expect((await pollenDAO.getPortfolio(wallet.address, ethers.ZeroAddress))[5]).to.equal(rebalancedAt);
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+  });
+
+  it('runs the shared startup once before a single bot starts', async function () {
+    const { manager } = await createPortfolio();
+    let indexerStarts = 0;
+    let syncs = 0;
+    manager.indexer = { on() {}, off() {}, start: () => indexerStarts++, close: async () => {} };
+    manager.syncAssets = async () => syncs++;
+
+    // The Hardhat network is not Base Sepolia's chain, so the chain-id guard refuses it
+    const error = await manager.startBot(BOT).catch(err => err);
+    expect(error.name).to.equal('ChainMismatchError');
+    expect(manager.isTrading(BOT.id)).to.equal(false);
+    expect(syncs).to.equal(0);
+
+    manager.network = { ...manager.network, chainId: Number((await ethers.provider.getNetwork()).chainId) };
+    await Promise.all([manager.init(), manager.startBot(BOT)]);
+    expect(manager.isTrading(BOT.id)).to.equal(true);
+    expect([syncs, indexerStarts]).to.deep.equal([1, 1]);
+    await manager.stop();
+  });
+
+  it('executes risk actions on the live portfolio', async function () {
+    const { manager, pollenDAO, wallet } = await createPortfolio();
+    const db = new sqlite3.Database(':memory:');
+    const controls = new RiskControls({ db, getPortfolioInterface: async () => manager.portfolioInterfaceFor(BOT) });
+
+    const shorts = (await pollenDAO.getPortfolio(wallet.address, ethers.ZeroAddress))[7];
+
+    await controls.createControl(BOT.id, 'stop-loss', { threshold: 0.1 });
+    const [action] = await controls.evaluateControls(BOT.id, { price_change: { WBTC: -0.15 } });
+    await new Promise(resolve => db.close(resolve));
+
+    expect(action.result.status).to.equal('executed');
+    expect(action.result.previous.WBTC).to.equal(0.2);
+    const [weights, , , , , , , isShort] = await pollenDAO.getPortfolio(wallet.address, ethers.ZeroAddress);
+    expect(weights.map(Number)).to.deep.equal([0, 20, 20, 35, 10, 10, 5]);
+    expect(isShort).to.deep.equal(shorts);
+    expect(action.result.txHash).to.match(/^0x[0-9a-f]{64}$/);
+  });
+
+  it('records the return of each rebalance against the benchmark', async function () {
+    const { contracts, pollenDAO, wallet } = await createPortfolio();
+    let benchmarkValue = 1;
+    const manager = createManager(contracts, { getBenchmarkValue: async () => benchmarkValue });
+
+    expect(await manager.rebalancePortfolio(BOT)).to.equal(true);
+    expect(await manager.reputationTracker.getHistory(BOT.id)).to.deep.equal([]);
+
+    // The portfolio gains 10% while the benchmark gains 4%
+    await (await pollenDAO.setPortfolioValue(wallet.address, ethers.parseEther('110'))).wait();
+    benchmarkValue = 1.04;
+    const portfolio = await manager.portfolioInterfaceFor(BOT);
+    const { transactionHash } = await portfolio.rebalanceVirtualPortfolio(PORTFOLIO_ASSETS, [100, 0, 0, 0, 0, 0, 0]);
+
+    const [event] = await manager.reputationTracker.getHistory(BOT.id);
+    expect(event.txHash).to.equal(transactionHash);
+    expect(event.portfolioReturn).to.be.closeTo(0.1, 1e-9);
+    expect(event.benchmarkReturn).to.be.closeTo(0.04, 1e-9);
+    expect((await manager.reputationTracker.getReputation(BOT.id)).reputation).to.be.closeTo(1.06, 1e-9);
+  });
+
+  it('prices PLN for reward compounding from the consensus prices', async function () {
+    const { contracts, wallet } = await loadFixture(botFixture);
+    process.env.HARDHAT_BOT_KEY_1 = wallet.privateKey;
+    const manager = createManager(contracts);
+    const quotes = { PLN: { price: 0.5 }, ETH: { price: 2500 } };
+    manager.getAssetPrice = async symbol => quotes[symbol];
+
+    const compounder = await manager.compounderFor({ ...BOT, compounding: { enabled: true } });
+
+    expect(await compounder.getPlnPrice()).to.equal(0.0002);
+    quotes.PLN = { price: 100, isFallback: true };
+    expect(await compounder.getPlnPrice()).to.equal(null);
+  });
+
+  it('rejects invalid weights on chain', async function () {
+    const { pollenDAO, wallet } = await createPortfolio();
+    const dao = pollenDAO.connect(wallet);
+
+    await expect(dao.rebalancePortfolio([50, 50], [false, false])).to.be.revertedWith('Invalid weights length');
+    await expect(dao.rebalancePortfolio([20, 20, 20, 20, 10, 5, 4], new Array(7).fill(false))).to.be.revertedWith('Weights must sum to 100');
+    await expect(dao.createPortfolio(1, [100, 0, 0, 0, 0, 0, 0], new Array(7).fill(false), false)).to.be.revertedWith('Portfolio has been initialized');
+  });
+});
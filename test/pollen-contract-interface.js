@@ -0,0 +1,120 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ethers } = require('hardhat');
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers');
+const PollenContractInterface = require('../src/modules/pollen-contract-interface');
+const { closeTransactionManagers } = require('../src/modules/transaction-manager');
+const { LockAlreadyExists, LockNotExpired, LockNotFound } = require('../src/modules/contract-errors');
+const { deployPollenMocks, fundWallet } = require('./fixtures/pollen-mocks');
+
+const DAY = 24 * 60 * 60;
+
+describe('PollenContractInterface against the Pollen mocks', function () {
+  async function interfaceFixture() {
+    const mocks = await deployPollenMocks();
+    const wallet = await fundWallet(mocks, ethers.parseEther('1000'));
+    return { ...mocks, wallet };
+  }
+
+  async function createInterface() {
+    const fixture = await loadFixture(interfaceFixture);
+    const { chainId } = await ethers.provider.getNetwork();
+    const pollen = new PollenContractInterface(ethers.provider, fixture.wallet, {
+      contracts: { vePLN: fixture.contracts.vePLN, plnToken: fixture.contracts.plnToken },
+      network: { name: 'hardhat', chainId: Number(chainId) },
+      transactions: { transactionsDir: null }
+    });
+    await pollen.initialize();
+    return { ...fixture, pollen };
+  }
+
+  // The interface checks lock expiry against the wall clock, so it follows the chain's clock
+  async function travelTo(timestamp) {
+    await time.increaseTo(timestamp);
+    sinon.stub(Date, 'now').returns(timestamp * 1000);
+  }
+
+  afterEach(function () {
+    sinon.restore();
+    closeTransactionManagers();
+  });
+
+  it('locks PLN for vePLN', async function () {
+    const { pollen, pln, vePLN, wallet, contracts } = await createInterface();
+
+    const result = await pollen.lockPLNTokens(100, 30);
+
+    expect(result.success).to.equal(true);
+    expect(await pln.balanceOf(contracts.vePLN)).to.equal(ethers.parseEther('100'));
+    expect(await vePLN.totalLocked()).to.equal(ethers.parseEther('100'));
+
+    const lockInfo = await pollen.getLockInfo(false);
+    expect(lockInfo.amount).to.equal('100.0');
+    expect(lockInfo.lockEnd).to.equal(result.lockEnd);
+    expect(lockInfo.isActive).to.equal(true);
+    expect(Number(await pollen.getVePLNBalance())).to.be.greaterThan(0);
+    expect(await pollen.getPLNBalance()).to.equal('900.0');
+
+    await expect(pollen.lockPLNTokens(100, 30)).to.be.rejectedWith('Existing lock found');
+    expect(await vePLN.balanceOf(wallet.address)).to.equal(await pollen.vePlnContract.getVotingPower(wallet.address));
+  });
+
+  it('increases and extends a lock', async function () {
+    const { pollen } = await createInterface();
+    const { lockEnd } = await pollen.lockPLNTokens(100, 30);
+
+    await pollen.increaseLockAmount(50);
+    const extended = await pollen.extendLockDuration(30);
+
+    const lockInfo = await pollen.getLockInfo(false);
+    expect(lockInfo.amount).to.equal('150.0');
+    expect(extended.newLockEnd).to.equal(lockEnd + 30 * DAY);
+    expect(lockInfo.lockEnd).to.equal(lockEnd + 30 * DAY);
+  });
+
+  it('only unlocks after the lock expires', async function () {
+    const { pollen, pln, wallet } = await createInterface();
+    const { lockEnd } = await pollen.lockPLNTokens(100, 7);
+
+    await expect(pollen.unlockPLNTokens()).to.be.rejectedWith('Lock period not expired');
+    await expect(pollen.vePlnContract.unlock()).to.be.revertedWith('Lock not expired');
+
+    await travelTo(lockEnd + 1);
+    const result = await pollen.unlockPLNTokens();
+
+    expect(result.success).to.equal(true);
+    expect(await pln.balanceOf(wallet.address)).to.equal(ethers.parseEther('1000'));
+    expect((await pollen.getLockInfo(false)).amount).to.equal('0.0');
+  });
+
+  it('surfaces reverts as typed contract errors', async function () {
+    const { pollen } = await createInterface();
+
+    await expect(pollen.extendLockDuration(30)).to.be.rejectedWith(LockNotFound, 'No lock');
+    await pollen.lockPLNTokens(100, 30);
+    await expect(pollen.lockPLNTokens(100, 30)).to.be.rejectedWith(LockAlreadyExists);
+    await expect(pollen.unlockPLNTokens()).to.be.rejectedWith(LockNotExpired);
+  });
+
+  it('claims accrued rewards', async function () {
+    const { pollen, pln, vePLN, deployer, wallet, contracts } = await createInterface();
+    const rate = ethers.parseUnits('1', 'gwei'); // 1e-9 PLN per locked PLN per second
+    await vePLN.connect(deployer).setRewardRate(rate);
+    await pln.mint(contracts.vePLN, ethers.parseEther('10'));
+
+    expect(await pollen.claimRewards()).to.deep.equal({ success: false, reason: 'No rewards available' });
+
+    await pollen.lockPLNTokens(100, 30);
+    const { lockStart } = await vePLN.locks(wallet.address);
+    await time.increase(DAY);
+    expect(Number(await pollen.getAvailableRewards())).to.be.greaterThan(0);
+
+    const before = await pln.balanceOf(wallet.address);
+    const result = await pollen.claimRewards();
+    const claimedAt = BigInt(await time.latest());
+
+    expect(result.success).to.equal(true);
+    expect(await pln.balanceOf(wallet.address) - before).to.equal(ethers.parseEther('100') * rate * (claimedAt - lockStart) / ethers.WeiPerEther);
+    expect(await pollen.getAvailableRewards()).to.equal('0.0');
+  });
+});
@@ -1,68 +1,6 @@
-const winston = require('winston');
-const path = require('path');
-const { createLogger, format, transports } = winston;
-const { combine, timestamp, printf, colorize, json } = format;
-
-// Create logs directory if it doesn't exist
-const fs = require('fs');
-const logDir = path.join(__dirname, '..', 'logs');
-if (!fs.existsSync(logDir)) {
-  fs.mkdirSync(logDir, { recursive: true });
-}
-
-// Custom replacer function to handle BigInt serialization
-const replacer = (key, value) => {
-  if (typeof value === 'bigint') {
-    return value.toString();
-  }
-  return value;
-};
-
-// Define log format
-const logFormat = printf(({ level, message, timestamp, ...meta }) => {
-  const metaString = Object.keys(meta).length 
-    ? JSON.stringify(meta, replacer, 2) 
-    : '';
-  return `${timestamp} [${level}]: ${message} ${metaString}`.trim();
-});
-
-// Create logger instance
-const logger = createLogger({
-  level: 'info',
-  format: combine(
-    timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
-    json()
-  ),
-  transports: [
-    // Console transport
-    new transports.Console({
-      format: combine(
-        colorize(),
-        timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
-        logFormat
-      )
-    }),
-    // File transport
-    new transports.File({ 
-      filename: path.join(logDir, 'pollen-bot.log'),
-      maxsize: 10485760, // 10MB
-      maxFiles: 5
-    }),
-    // Error file transport
-    new transports.File({
-      filename: path.join(logDir, 'error.log'),
-      level: 'error',
-      maxsize: 10485760, // 10MB
-      maxFiles: 5
-    })
-  ]
-});
-
-// Add a stream for Morgan logging
-logger.stream = {
-  write: (message) => {
-    logger.info(message.trim());
-  }
-};
-
-module.exports = logger;
+/**
+ * The bots and scripts outside src/ log through the same structured logger,
+ * so their records land in logs/pollen-bot.log with the same fields and
+ * secret redaction. See src/modules/logger.js.
+ */
+module.exports = require('../src/modules/logger');
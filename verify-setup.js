@@ -9,6 +9,7 @@
 const fs = require('fs');
 const path = require('path');
 const { ethers } = require('ethers');
+const { loadBotRegistry, getBotSigner } = require('./src/modules/bot-registry');
 
 class SetupVerifier {
   constructor() {
@@ -116,35 +117,24 @@ class SetupVerifier {
 
   async checkWalletConfiguration() {
     console.log('🔐 Checking wallet configuration...');
-    
-    const walletPath = 'config/wallets.js';
-    if (fs.existsSync(walletPath)) {
+
+    let registry;
+    try {
+      registry = loadBotRegistry();
+      this.success.push(`✅ Found ${registry.bots.length} bot configurations in ${path.relative(process.cwd(), registry.path)}`);
+    } catch (error) {
+      this.errors.push(`❌ ${error.message}`);
+      return;
+    }
+
+    require('dotenv').config({ path: './config/.env' });
+    for (const bot of registry.bots) {
       try {
-        const { BOTS } = require(path.resolve(walletPath));
-        
-        if (Array.isArray(BOTS) && BOTS.length > 0) {
-          this.success.push(`✅ Found ${BOTS.length} bot configurations`);
-          
-          BOTS.forEach((bot, index) => {
-            if (bot.privateKey && bot.privateKey !== 'YOUR_PRIVATE_KEY_' + (index + 1)) {
-              try {
-                const wallet = new ethers.Wallet(bot.privateKey);
-                this.success.push(`✅ Bot ${bot.id} wallet valid: ${wallet.address}`);
-              } catch {
-                this.errors.push(`❌ Bot ${bot.id} has invalid private key`);
-              }
-            } else {
-              this.warnings.push(`⚠️ Bot ${bot.id} needs private key configuration`);
-            }
-          });
-        } else {
-          this.errors.push('❌ No bot configurations found in wallets.js');
-        }
+        const wallet = await getBotSigner(bot);
+        this.success.push(`✅ Bot ${bot.id} wallet valid: ${wallet.address}`);
       } catch (error) {
-        this.errors.push(`❌ Error loading wallets.js: ${error.message}`);
+        this.warnings.push(`⚠️ ${error.message}`);
       }
-    } else {
-      this.warnings.push('⚠️ No wallets.js found. Run setup wizard first.');
     }
   }
 
@@ -1,9 +1,21 @@
 // PollenOS Dashboard JavaScript
+
+// API routes answer 401 without a session; send the browser to sign in
+const apiFetch = window.fetch.bind(window);
+window.fetch = async (...args) => {
+    const response = await apiFetch(...args);
+    if (response.status === 401) {
+        window.location.href = 'login.html';
+    }
+    return response;
+};
+
 class PollenOSDashboard {
     constructor() {
         this.ws = null;
         this.bots = new Map();
         this.strategies = new Set();
+        this.networks = new Map();
         this.systemRunning = false;
 
         this.init();
@@ -128,6 +140,11 @@ class PollenOSDashboard {
                 this.hideAddBotModal();
             }
         });
+
+        document.getElementById('signOut').addEventListener('click', async () => {
+            await fetch('/api/auth/logout', { method: 'POST' });
+            window.location.href = 'login.html';
+        });
     }
 
     async loadInitialData() {
@@ -147,12 +164,14 @@ class PollenOSDashboard {
             }
 
             // Set initial network info and show faucet buttons for Base Sepolia
+            await this.loadNetworks();
             const networkSelect = document.getElementById('networkSelect');
             if (networkSelect) {
                 this.updateNetworkInfo(networkSelect.value);
             }
 
             this.updateStrategyUsage();
+            this.updateGovernance();
         } catch (error) {
             console.error('Error loading initial data:', error);
             this.showAlert('Error loading initial data. Please refresh the page.', 'error');
@@ -165,6 +184,7 @@ class PollenOSDashboard {
             this.updateMetrics();
             this.updateBotStatus();
             this.updateRecentTransactions();
+            this.updateGovernance();
         }, 30000);
 
         // Update connection status every 10 seconds
@@ -210,6 +230,31 @@ class PollenOSDashboard {
         }
     }
 
+    updateSystemStatus(status) {
+        this.systemRunning = Boolean(status.running);
+        this.updateSystemControlButtons();
+        this.updateDashboardMetrics(status);
+    }
+
+    // Supervisor state pushed over the WebSocket as bots start, trade and stop
+    updateBotInList(bot) {
+        const key = `bot${bot.id}`;
+        this.bots.set(key, { ...this.bots.get(key), ...bot });
+        this.updateBotList(Object.fromEntries(this.bots));
+    }
+
+    addRecentTransaction(transaction) {
+        this.updateTransactionList([{
+            id: transaction.hash,
+            type: transaction.type,
+            asset: 'PLN',
+            amount: '-',
+            price: '-',
+            bot: transaction.botName,
+            time: new Date(transaction.timestamp).toLocaleTimeString()
+        }]);
+    }
+
     async saveNetworkConfiguration() {
         const networkSelect = document.getElementById('networkSelect');
         const selectedNetwork = networkSelect.value;
@@ -217,9 +262,17 @@ class PollenOSDashboard {
         try {
             this.showLoading(document.getElementById('saveNetwork'));
 
-            // Here you would typically save to backend
-            await new Promise(resolve => setTimeout(resolve, 1000)); // Simulate API call
+            const response = await fetch('/api/network', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ network: selectedNetwork })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error);
+            }
 
+            this.networks.set(result.data.name, result.data);
             this.updateNetworkInfo(selectedNetwork);
             this.showAlert('Network configuration saved successfully!', 'success');
         } catch (error) {
@@ -230,17 +283,27 @@ class PollenOSDashboard {
         }
     }
 
+    async loadNetworks() {
+        try {
+            const response = await fetch('/api/networks');
+            if (response.ok) {
+                const { data } = await response.json();
+                data.forEach(network => this.networks.set(network.name, network));
+            }
+        } catch (error) {
+            console.error('Error loading network profiles:', error);
+        }
+    }
+
     updateNetworkInfo(network) {
         const networkInfo = document.getElementById('networkInfo');
         const faucetButtons = document.getElementById('faucetButtons');
-        const networkNames = {
-            'base-sepolia': 'Connected to Base Sepolia Testnet',
-            'base-mainnet': 'Connected to Base Mainnet',
-            'avalanche-mainnet': 'Connected to Avalanche Mainnet'
-        };
+        const profile = this.networks.get(network);
 
         if (networkInfo) {
-            networkInfo.textContent = networkNames[network] || 'Connected to Unknown Network';
+            networkInfo.textContent = profile
+                ? `Connected to ${profile.displayName} (Chain ID ${profile.chainId})`
+                : 'Connected to Unknown Network';
         }
 
         // Show faucet buttons only for Base Sepolia
@@ -380,7 +443,9 @@ class PollenOSDashboard {
     getBotStatusClass(status) {
         switch (status) {
             case 'active': return '';
+            case 'running': return '';
             case 'inactive': return 'inactive';
+            case 'paused': return 'warning';
             case 'error': return 'warning';
             default: return 'inactive';
         }
@@ -629,6 +694,64 @@ class PollenOSDashboard {
         return div;
     }
 
+    async updateGovernance() {
+        try {
+            const response = await fetch('/api/governance/decisions?limit=10');
+            if (response.ok) {
+                const { data } = await response.json();
+                this.updateGovernanceList(data);
+            }
+        } catch (error) {
+            console.error('Error updating governance decisions:', error);
+        }
+    }
+
+    updateGovernanceList(decisions) {
+        const governanceList = document.getElementById('governanceList');
+        if (!governanceList) return;
+
+        governanceList.innerHTML = '';
+
+        decisions.forEach(decision => {
+            governanceList.appendChild(this.createDecisionElement(decision));
+        });
+
+        if (decisions.length === 0) {
+            governanceList.innerHTML = '<p style="text-align: center; color: #718096; padding: 20px;">No proposals reviewed yet.</p>';
+        }
+    }
+
+    createDecisionElement(decision) {
+        const div = document.createElement('div');
+        div.className = 'decision-item';
+        const votes = Object.entries(decision.votes || {}).map(([botId, vote]) => {
+            if (vote.txHash) return `Bot ${botId} voted`;
+            return `Bot ${botId}: ${vote.skipped || vote.error}`;
+        });
+        div.innerHTML = `
+            <div class="decision-header">
+                <h5></h5>
+                <span class="decision-vote ${decision.vote}">${decision.vote.toUpperCase()}</span>
+            </div>
+            <ul class="decision-actions"></ul>
+            <div class="decision-meta"></div>
+        `;
+        // Proposal text comes from the proposer, so it is never parsed as HTML
+        div.querySelector('h5').textContent = `#${decision.proposalId} ${decision.description.split('\n')[0]}`;
+        const actions = div.querySelector('.decision-actions');
+        decision.actions.forEach(action => {
+            const li = document.createElement('li');
+            li.textContent = `${action.description}: ${action.vote} (${action.reason})`;
+            actions.appendChild(li);
+        });
+        div.querySelector('.decision-meta').textContent = [
+            decision.status || 'Pending',
+            ...votes,
+            new Date(decision.decidedAt).toLocaleString()
+        ].join(' · ');
+        return div;
+    }
+
     selectStrategyTemplate(strategy) {
         // Visual feedback for strategy selection
         document.querySelectorAll('.strategy-card').forEach(card => {
@@ -1047,6 +1170,14 @@ class PollenOSInterface {
                     <label>Last Rebalance:</label>
                     <span class="value">${this.formatTimestamp(bot.lastRebalance)}</span>
                 </div>
+                <div class="metric">
+                    <label>Next Run:</label>
+                    <span class="value">${this.formatTimestamp(bot.nextRunAt)}</span>
+                </div>
+            </div>
+            <div class="bot-controls">
+                <button class="start-bot-btn" data-bot-id="${bot.id}">Start</button>
+                <button class="stop-bot-btn" data-bot-id="${bot.id}">Stop</button>
             </div>
         `;
         return card;
@@ -1138,6 +1269,27 @@ class PollenOSInterface {
         }
     }
 
+    async startBot(botId) {
+        await this.controlBot(botId, 'start');
+    }
+
+    async stopBot(botId) {
+        await this.controlBot(botId, 'stop');
+    }
+
+    async controlBot(botId, action) {
+        try {
+            const response = await fetch(`/api/bots/${botId}/${action}`, { method: 'POST' });
+            if (!response.ok) {
+                const { error } = await response.json();
+                throw new Error(error);
+            }
+            await this.loadBotStatus();
+        } catch (error) {
+            console.error(`Failed to ${action} bot ${botId}:`, error);
+        }
+    }
+
     startDataRefresh() {
         // Refresh data every 30 seconds if WebSocket is not available
         setInterval(() => {
@@ -5,6 +5,14 @@ const { EventEmitter } = require('events');
 const dbPath = path.join(__dirname, '../../data/local/pollenos.db');
 const db = new sqlite3.Database(dbPath);
 
+// Columns added to agent_scores after its first release, added in place on
+// databases created before them
+const AGENT_SCORE_COLUMNS = {
+    reputation_score: 'DECIMAL(5,2) DEFAULT 0',
+    pollen_virtual_score: 'DECIMAL(5,2) DEFAULT 0',
+    last_virtual_rank: 'INTEGER'
+};
+
 class AgentScoring extends EventEmitter {
     constructor(options = {}) {
         super();
@@ -15,11 +23,13 @@ class AgentScoring extends EventEmitter {
             strategyAdherence: 0.15,
             transactionEfficiency: 0.1,
             drawdown: 0.1,
-            pollenVirtual: 0.3  // 30% weight for Pollen Virtual performance
+            reputation: 0.15,   // 15% weight for the local whitepaper reputation
+            pollenVirtual: 0.15 // 15% weight for Pollen Virtual performance
         };
         
-        // Use injected service or require it by default
+        // Use injected services or require them by default
         this.pollenVirtualService = options.pollenVirtualService || require('../services/pollen-virtual-service');
+        this.reputationTracker = options.reputationTracker || require('./reputation-tracker').reputationTracker;
     }
 
     initializeTables() {
@@ -32,10 +42,38 @@ class AgentScoring extends EventEmitter {
                 consistency_score DECIMAL(5,2) NOT NULL,
                 strategy_score DECIMAL(5,2) NOT NULL,
                 efficiency_score DECIMAL(5,2) NOT NULL,
+                reputation_score DECIMAL(5,2) DEFAULT 0,
+                pollen_virtual_score DECIMAL(5,2) DEFAULT 0,
+                last_virtual_rank INTEGER,
                 last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 FOREIGN KEY (bot_id) REFERENCES bots(id)
             );
-        `);
+        `, (err) => {
+            if (err) {
+                console.error('Error creating agent_scores table:', err);
+                return;
+            }
+            this.addMissingColumns();
+        });
+    }
+
+    addMissingColumns() {
+        db.all('PRAGMA table_info(agent_scores)', (err, columns) => {
+            if (err) {
+                console.error('Error reading agent_scores columns:', err);
+                return;
+            }
+            const existing = columns.map(column => column.name);
+            Object.entries(AGENT_SCORE_COLUMNS)
+                .filter(([name]) => !existing.includes(name))
+                .forEach(([name, type]) => {
+                    db.run(`ALTER TABLE agent_scores ADD COLUMN ${name} ${type}`, (alterErr) => {
+                        if (alterErr) {
+                            console.error(`Error adding agent_scores.${name}:`, alterErr);
+                        }
+                    });
+                });
+        });
     }
 
     async calculateRiskAdjustedScore(returns, riskFreeRate = 0.02) {
@@ -98,9 +136,10 @@ class AgentScoring extends EventEmitter {
     async updateAgentScore(botId) {
         try {
             // Get historical performance data
-            const [returns, pollenVirtualScore] = await Promise.all([
+            const [returns, pollenVirtualScore, reputationScore] = await Promise.all([
                 this.getHistoricalReturns(botId),
-                this.getPollenVirtualScore(botId)
+                this.getPollenVirtualScore(botId),
+                this.getReputationScore(botId)
             ]);
             
             if (returns.length < 5) return; // Not enough data
@@ -121,16 +160,18 @@ class AgentScoring extends EventEmitter {
                 ((1 - drawdown) * this.weights.drawdown)
             ) * 0.7; // 70% weight for base metrics
             
-            // Add Pollen Virtual score (30% weight)
-            const overallScore = Math.min(100, baseScore + (pollenVirtualScore * this.weights.pollenVirtual));
+            // Add reputation and Pollen Virtual scores (15% weight each)
+            const overallScore = Math.min(100, baseScore +
+                reputationScore * this.weights.reputation +
+                pollenVirtualScore * this.weights.pollenVirtual);
 
             // Save to database
             db.run(
                 `INSERT INTO agent_scores (
                     bot_id, overall_score, risk_adjusted_score, 
                     consistency_score, strategy_score, efficiency_score,
-                    pollen_virtual_score, last_virtual_rank
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, (
+                    reputation_score, pollen_virtual_score, last_virtual_rank
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, (
                     SELECT rank FROM pollen_virtual_metrics 
                     WHERE bot_id = ? 
                     ORDER BY timestamp DESC LIMIT 1
@@ -141,12 +182,13 @@ class AgentScoring extends EventEmitter {
                     consistency_score = excluded.consistency_score,
                     strategy_score = excluded.strategy_score,
                     efficiency_score = excluded.efficiency_score,
+                    reputation_score = excluded.reputation_score,
                     pollen_virtual_score = excluded.pollen_virtual_score,
                     last_virtual_rank = excluded.last_virtual_rank,
                     last_updated = CURRENT_TIMESTAMP`,
                 [botId, overallScore, riskAdjusted * 100, 
                  consistency * 100, strategyAdherence * 100, efficiency * 100,
-                 pollenVirtualScore, botId],
+                 reputationScore, pollenVirtualScore, botId],
                 (err) => {
                     if (err) {
                         console.error('Error updating agent score:', err);
@@ -170,6 +212,16 @@ class AgentScoring extends EventEmitter {
         }
     }
 
+    async getReputationScore(botId) {
+        try {
+            const { score } = await this.reputationTracker.getReputation(botId);
+            return score;
+        } catch (error) {
+            console.error('Error getting reputation score:', error);
+            return 0;
+        }
+    }
+
     async getAgentScores() {
         return new Promise((resolve, reject) => {
             db.all(
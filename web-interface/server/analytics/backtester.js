@@ -0,0 +1,176 @@
+const { loadPriceHistory } = require('./price-history');
+const { generateWeights } = require('./weight-generators');
+
+const MS_PER_YEAR = 365 * 24 * 60 * 60 * 1000;
+
+class Backtester {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.loadPriceHistory]
+   * @param {string} [options.pricesDir] - Directory price sources are resolved in, data/prices by default
+   */
+  constructor(options = {}) {
+    this.loadPriceHistory = options.loadPriceHistory || loadPriceHistory;
+    this.pricesDir = options.pricesDir;
+  }
+
+  /**
+   * Replay stored OHLCV history through a strategy's weight generator.
+   *
+   * The portfolio follows Pollen virtual-portfolio math: at each rebalance
+   * the value is split by |w_i| and held until the next rebalance, so the
+   * value at time t is V0 * (1 + sum(w_i * R_i(t0, t))) with shorts carrying
+   * negative weights.
+   *
+   * @param {Object} strategy - Strategy definition
+   * @param {Object} [params]
+   * @param {string[]} [params.assets] - Symbols to trade (defaults to strategy.assets)
+   * @param {string} [params.dataSource] - CSV directory/file or SQLite file inside the prices directory
+   * @param {number} [params.rebalanceEvery=24] - Candles between rebalances
+   * @param {number} [params.warmup=20] - Candles of history before the first rebalance
+   * @param {number} [params.initialValue=100] - Starting portfolio value in PLN
+   * @param {number} [params.riskFreeRate=0.02] - Annual risk-free rate for Sharpe
+   * @returns {Promise<Object>} Backtest results
+   */
+  async run(strategy, params = {}) {
+    const assets = params.assets || strategy.assets;
+    if (!Array.isArray(assets) || assets.length === 0) {
+      throw new Error('Backtest requires at least one asset');
+    }
+
+    const rebalanceEvery = params.rebalanceEvery || 24;
+    const warmup = params.warmup !== undefined ? params.warmup : 20;
+    const initialValue = params.initialValue || 100;
+    const riskFreeRate = params.riskFreeRate !== undefined ? params.riskFreeRate : 0.02;
+
+    const history = await this.loadPriceHistory(assets, {
+      source: params.dataSource,
+      pricesDir: this.pricesDir,
+      startDate: params.startDate,
+      endDate: params.endDate
+    });
+    const { timestamps, closes } = this.alignHistory(assets, history);
+
+    if (timestamps.length <= warmup + 1) {
+      throw new Error(`Not enough aligned candles for backtest: ${timestamps.length} (warmup ${warmup})`);
+    }
+
+    const equityCurve = [];
+    const rebalances = [];
+    let value = initialValue;
+    let entryValue = value;
+    let entryIndex = warmup;
+    let weights = null;
+
+    for (let i = warmup; i < timestamps.length; i++) {
+      if (weights) {
+        value = entryValue * (1 + this.portfolioReturn(weights, closes, entryIndex, i));
+      }
+      equityCurve.push({ timestamp: timestamps[i], value });
+
+      const isLast = i === timestamps.length - 1;
+      if (!isLast && (i - warmup) % rebalanceEvery === 0) {
+        if (weights) {
+          rebalances[rebalances.length - 1].return = value / entryValue - 1;
+        }
+
+        const window = assets.reduce((acc, symbol) => {
+          acc[symbol] = closes[symbol].slice(0, i + 1);
+          return acc;
+        }, {});
+        weights = generateWeights(strategy, window);
+        entryValue = value;
+        entryIndex = i;
+        rebalances.push({ timestamp: timestamps[i], value, weights, return: null });
+      }
+    }
+
+    if (weights) {
+      rebalances[rebalances.length - 1].return = value / entryValue - 1;
+    }
+
+    return this.summarize(equityCurve, rebalances, initialValue, riskFreeRate);
+  }
+
+  /**
+   * Keep only timestamps present for every asset so returns line up.
+   */
+  alignHistory(assets, history) {
+    const byTimestamp = assets.map(symbol => new Map(history[symbol].map(c => [c.timestamp, c.close])));
+    const timestamps = history[assets[0]]
+      .map(c => c.timestamp)
+      .filter(ts => byTimestamp.every(map => map.has(ts)));
+
+    const closes = assets.reduce((acc, symbol, i) => {
+      acc[symbol] = timestamps.map(ts => byTimestamp[i].get(ts));
+      return acc;
+    }, {});
+
+    return { timestamps, closes };
+  }
+
+  portfolioReturn(weights, closes, from, to) {
+    return Object.entries(weights).reduce((sum, [symbol, weight]) => {
+      const assetReturn = closes[symbol][to] / closes[symbol][from] - 1;
+      return sum + weight * assetReturn;
+    }, 0);
+  }
+
+  summarize(equityCurve, rebalances, initialValue, riskFreeRate) {
+    const closed = rebalances.filter(r => r.return !== null);
+    const wins = closed.filter(r => r.return > 0).length;
+    const finalValue = equityCurve[equityCurve.length - 1].value;
+
+    return {
+      totalTrades: closed.length,
+      winRate: closed.length ? wins / closed.length : 0,
+      profitLoss: finalValue - initialValue,
+      totalReturn: finalValue / initialValue - 1,
+      maxDrawdown: this.calculateMaxDrawdown(equityCurve.map(p => p.value)),
+      sharpeRatio: this.calculateSharpeRatio(equityCurve, riskFreeRate),
+      initialValue,
+      finalValue,
+      rebalances,
+      equityCurve
+    };
+  }
+
+  calculateMaxDrawdown(values) {
+    let peak = values[0];
+    let maxDrawdown = 0;
+    for (const value of values) {
+      if (value > peak) peak = value;
+      if (peak > 0) maxDrawdown = Math.max(maxDrawdown, (peak - value) / peak);
+    }
+    return maxDrawdown;
+  }
+
+  /**
+   * Annualised Sharpe ratio from per-candle equity returns.
+   */
+  calculateSharpeRatio(equityCurve, riskFreeRate) {
+    if (equityCurve.length < 3) return 0;
+
+    const returns = [];
+    for (let i = 1; i < equityCurve.length; i++) {
+      returns.push(equityCurve[i].value / equityCurve[i - 1].value - 1);
+    }
+
+    const spacing = (equityCurve[equityCurve.length - 1].timestamp - equityCurve[0].timestamp) / returns.length;
+    const periodsPerYear = spacing > 0 ? MS_PER_YEAR / spacing : 365;
+    const periodRiskFree = Math.pow(1 + riskFreeRate, 1 / periodsPerYear) - 1;
+
+    const excess = returns.map(r => r - periodRiskFree);
+    const meanExcess = excess.reduce((a, b) => a + b, 0) / excess.length;
+    const variance = excess.reduce((a, b) => a + Math.pow(b - meanExcess, 2), 0) / excess.length;
+    const volatility = Math.sqrt(variance);
+
+    return volatility > 0 ? meanExcess / volatility * Math.sqrt(periodsPerYear) : 0;
+  }
+}
+
+// Export the class for testing and the singleton instance for runtime use
+module.exports = {
+  Backtester,
+  backtester: new Backtester()
+};
@@ -38,18 +38,35 @@ class PerformanceBenchmark {
     }
 
     async calculateAlphaBeta(returns, benchmarkReturns) {
-        const [alpha, beta] = this.calculateLinearRegression(returns, benchmarkReturns);
+        // Regress the bot's returns on the benchmark's
+        const [alpha, beta] = this.calculateLinearRegression(benchmarkReturns, returns);
         return { alpha, beta };
     }
 
+    calculateTrackingError(returns, benchmarkReturns) {
+        return this.calculateVolatility(returns.map((r, i) => r - benchmarkReturns[i]));
+    }
+
+    calculateInformationRatio(returns, benchmarkReturns) {
+        const activeReturn = this.calculateMean(returns.map((r, i) => r - benchmarkReturns[i]));
+        const trackingError = this.calculateTrackingError(returns, benchmarkReturns);
+        return trackingError > 0 ? activeReturn / trackingError : 0;
+    }
+
     async calculatePerformanceMetrics(botId, returns, benchmarkReturns) {
         try {
+            if (!Array.isArray(returns) || !Array.isArray(benchmarkReturns) || returns.length !== benchmarkReturns.length) {
+                throw new Error('returns and benchmarkReturns must be arrays covering the same periods');
+            }
+
             const metrics = {
                 sharpeRatio: await this.calculateSharpeRatio(returns),
                 alphaBeta: await this.calculateAlphaBeta(returns, benchmarkReturns),
                 volatility: this.calculateVolatility(returns),
                 maxDrawdown: this.calculateMaxDrawdown(returns),
-                correlation: this.calculateCorrelation(returns, benchmarkReturns)
+                correlation: this.calculateCorrelation(returns, benchmarkReturns),
+                trackingError: this.calculateTrackingError(returns, benchmarkReturns),
+                informationRatio: this.calculateInformationRatio(returns, benchmarkReturns)
             };
 
             await this.savePerformanceMetrics(botId, metrics);
@@ -114,27 +131,34 @@ class PerformanceBenchmark {
     }
 
     async savePerformanceMetrics(botId, metrics) {
-        const benchmarkStmt = db.prepare(`
-            INSERT INTO performance_benchmarks (
-                bot_id, benchmark_type, performance_metrics
-            ) VALUES (?, ?, ?)
-        `);
-        
-        const benchmarkId = await benchmarkStmt.run(
-            botId,
-            'daily',
-            JSON.stringify(metrics)
-        ).lastID;
-
-        const metricsStmt = db.prepare(`
-            INSERT INTO benchmark_metrics (
-                benchmark_id, metric_name, value
-            ) VALUES (?, ?, ?)
-        `);
-
-        await Promise.all(Object.entries(metrics).map(([name, value]) =>
-            metricsStmt.run(benchmarkId, name, value)
-        ));
+        const benchmarkId = await new Promise((resolve, reject) => {
+            db.run(
+                `INSERT INTO performance_benchmarks (
+                    bot_id, benchmark_type, performance_metrics
+                ) VALUES (?, ?, ?)`,
+                [botId, 'daily', JSON.stringify(metrics)],
+                function (err) {
+                    if (err) return reject(err);
+                    resolve(this.lastID);
+                }
+            );
+        });
+
+        const { alphaBeta, ...rest } = metrics;
+        const values = { ...rest, alpha: alphaBeta.alpha, beta: alphaBeta.beta };
+
+        await Promise.all(Object.entries(values).map(([name, value]) => new Promise((resolve, reject) => {
+            db.run(
+                `INSERT INTO benchmark_metrics (
+                    benchmark_id, metric_name, value
+                ) VALUES (?, ?, ?)`,
+                [benchmarkId, name, value],
+                (err) => {
+                    if (err) return reject(err);
+                    resolve();
+                }
+            );
+        })));
     }
 
     async getLatestMetrics(botId) {
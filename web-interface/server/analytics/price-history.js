@@ -0,0 +1,212 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_PRICES_DIR = path.join(__dirname, '../../../data/prices');
+const SQLITE_EXTENSIONS = ['.db', '.sqlite', '.sqlite3'];
+const TIMESTAMP_COLUMNS = ['timestamp', 'time', 'date', 'datetime'];
+const SYMBOL_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+/**
+ * Path of a price source inside the prices directory. Sources come from API
+ * requests, so absolute paths and `..` segments are refused.
+ * @param {string} [source] - Directory, CSV or SQLite file relative to pricesDir
+ * @param {string} pricesDir
+ * @returns {string} Absolute path
+ */
+function resolveSource(source, pricesDir) {
+  const root = path.resolve(pricesDir);
+  if (source === undefined || source === null || source === '') {
+    return root;
+  }
+  if (typeof source !== 'string' || path.isAbsolute(source) || source.split(/[\\/]/).includes('..')) {
+    throw new Error(`Price history source must be a relative path inside the prices directory: ${source}`);
+  }
+  const resolved = path.resolve(root, source);
+  if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+    throw new Error(`Price history source must be a relative path inside the prices directory: ${source}`);
+  }
+  return resolved;
+}
+
+/**
+ * Load OHLCV history for a set of symbols from local files.
+ *
+ * Supported sources:
+ *  - a directory of `<SYMBOL>.csv` files (default: data/prices)
+ *  - a single CSV file with a `symbol` column
+ *  - a SQLite database with an `ohlcv` table
+ *    (symbol, timestamp, open, high, low, close, volume)
+ *
+ * @param {string[]} symbols - Asset symbols to load
+ * @param {Object} [options]
+ * @param {string} [options.source] - Directory, CSV file or SQLite file relative to pricesDir
+ * @param {string} [options.pricesDir] - Directory sources are resolved in, data/prices by default
+ * @param {string} [options.table='ohlcv'] - SQLite table name
+ * @param {number|string} [options.startDate] - Drop candles before this date
+ * @param {number|string} [options.endDate] - Drop candles after this date
+ * @returns {Promise<Object>} Map of symbol to candles sorted by timestamp (ms)
+ */
+async function loadPriceHistory(symbols, options = {}) {
+  if (!Array.isArray(symbols) || symbols.length === 0) {
+    throw new Error('At least one symbol is required to load price history');
+  }
+
+  const invalid = symbols.filter(symbol => typeof symbol !== 'string' || !SYMBOL_PATTERN.test(symbol));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid asset symbols: ${invalid.join(', ')}`);
+  }
+
+  const source = resolveSource(options.source, options.pricesDir || DEFAULT_PRICES_DIR);
+  const stats = await fs.stat(source).catch(() => null);
+  if (!stats) {
+    throw new Error(`Price history source not found: ${source}`);
+  }
+
+  let history;
+  if (stats.isDirectory()) {
+    history = await loadCsvDirectory(source, symbols);
+  } else if (SQLITE_EXTENSIONS.includes(path.extname(source).toLowerCase())) {
+    history = await loadSqlite(source, symbols, options.table || 'ohlcv');
+  } else {
+    history = await loadCsvFile(source, symbols);
+  }
+
+  const start = options.startDate !== undefined ? parseTimestamp(options.startDate) : -Infinity;
+  const end = options.endDate !== undefined ? parseTimestamp(options.endDate) : Infinity;
+
+  for (const symbol of symbols) {
+    const candles = (history[symbol] || [])
+      .filter(candle => candle.timestamp >= start && candle.timestamp <= end)
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    if (candles.length === 0) {
+      throw new Error(`No price history found for ${symbol} in ${source}`);
+    }
+    history[symbol] = candles;
+  }
+
+  return history;
+}
+
+async function loadCsvDirectory(dir, symbols) {
+  const history = {};
+  for (const symbol of symbols) {
+    const filePath = path.join(dir, `${symbol}.csv`);
+    const content = await fs.readFile(filePath, 'utf-8').catch(() => null);
+    if (content === null) {
+      throw new Error(`Missing price file for ${symbol}: ${filePath}`);
+    }
+    history[symbol] = parseCsv(content).map(toCandle);
+  }
+  return history;
+}
+
+async function loadCsvFile(filePath, symbols) {
+  const rows = parseCsv(await fs.readFile(filePath, 'utf-8'));
+  if (rows.length > 0 && rows[0].symbol === undefined) {
+    throw new Error(`CSV file ${filePath} must have a symbol column when used for multiple assets`);
+  }
+
+  const history = {};
+  for (const row of rows) {
+    if (!symbols.includes(row.symbol)) continue;
+    (history[row.symbol] = history[row.symbol] || []).push(toCandle(row));
+  }
+  return history;
+}
+
+function loadSqlite(filePath, symbols, table) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(table)) {
+    throw new Error(`Invalid price table name: ${table}`);
+  }
+
+  // Loaded lazily so CSV backtests work without the native sqlite3 binding
+  const sqlite3 = require('sqlite3');
+
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(filePath, sqlite3.OPEN_READONLY, (openErr) => {
+      if (openErr) return reject(openErr);
+
+      const placeholders = symbols.map(() => '?').join(', ');
+      db.all(
+        `SELECT symbol, timestamp, open, high, low, close, volume
+         FROM ${table}
+         WHERE symbol IN (${placeholders})
+         ORDER BY timestamp`,
+        symbols,
+        (err, rows) => {
+          db.close();
+          if (err) return reject(err);
+
+          const history = {};
+          for (const row of rows) {
+            (history[row.symbol] = history[row.symbol] || []).push(toCandle(row));
+          }
+          resolve(history);
+        }
+      );
+    });
+  });
+}
+
+/**
+ * Parse a CSV document with a header row into plain objects.
+ * Header names are lower-cased; quoting is not supported.
+ */
+function parseCsv(content) {
+  const lines = content.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines.length === 0) return [];
+
+  const headers = lines[0].split(',').map(h => h.trim().toLowerCase());
+  return lines.slice(1).map(line => {
+    const values = line.split(',');
+    return headers.reduce((row, header, i) => {
+      row[header] = values[i] !== undefined ? values[i].trim() : undefined;
+      return row;
+    }, {});
+  });
+}
+
+function toCandle(row) {
+  const timestampKey = TIMESTAMP_COLUMNS.find(key => row[key] !== undefined);
+  if (!timestampKey) {
+    throw new Error('Price rows must have a timestamp, time or date column');
+  }
+
+  const close = Number(row.close);
+  if (!Number.isFinite(close) || close <= 0) {
+    throw new Error(`Invalid close price at ${row[timestampKey]}`);
+  }
+
+  return {
+    timestamp: parseTimestamp(row[timestampKey]),
+    open: Number(row.open) || close,
+    high: Number(row.high) || close,
+    low: Number(row.low) || close,
+    close,
+    volume: Number(row.volume) || 0
+  };
+}
+
+/**
+ * Accepts ms or seconds since epoch, or any string Date can parse.
+ */
+function parseTimestamp(value) {
+  const numeric = Number(value);
+  if (Number.isFinite(numeric)) {
+    return numeric < 1e12 ? numeric * 1000 : numeric;
+  }
+
+  const parsed = Date.parse(value);
+  if (Number.isNaN(parsed)) {
+    throw new Error(`Invalid timestamp: ${value}`);
+  }
+  return parsed;
+}
+
+module.exports = {
+  DEFAULT_PRICES_DIR,
+  loadPriceHistory,
+  parseCsv,
+  parseTimestamp
+};
@@ -0,0 +1,234 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { EventEmitter } = require('events');
+
+/**
+ * Local reputation engine following the Pollen whitepaper:
+ *
+ *     reputation = Π (1 + R(t) - Rm(t))
+ *
+ * where R(t) is the bot's portfolio return and Rm(t) the benchmark return
+ * over the period ending at rebalance t. Every rebalance is stored in
+ * pollenos.db together with the running reputation, so the score can be
+ * read back without recomputing the whole history.
+ */
+class ReputationTracker extends EventEmitter {
+    /**
+     * @param {Object} [options]
+     * @param {sqlite3.Database} [options.db] - Database handle, defaults to data/local/pollenos.db
+     */
+    constructor(options = {}) {
+        super();
+        this.db = options.db || null;
+        this.tablesReady = null;
+        // Rebalances are chained so concurrent records for a bot compound in order
+        this.pending = Promise.resolve();
+    }
+
+    getDb() {
+        if (!this.db) {
+            this.db = new sqlite3.Database(path.join(__dirname, '../../data/local/pollenos.db'));
+        }
+        return this.db;
+    }
+
+    initializeTables() {
+        if (!this.tablesReady) {
+            this.tablesReady = new Promise((resolve, reject) => {
+                this.getDb().exec(`
+                    CREATE TABLE IF NOT EXISTS reputation_events (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        bot_id INTEGER NOT NULL,
+                        rebalanced_at TIMESTAMP NOT NULL,
+                        portfolio_return REAL NOT NULL,
+                        benchmark_return REAL NOT NULL,
+                        excess_return REAL NOT NULL,
+                        reputation REAL NOT NULL,
+                        tx_hash TEXT,
+                        FOREIGN KEY (bot_id) REFERENCES bots(id)
+                    );
+
+                    CREATE INDEX IF NOT EXISTS idx_reputation_events_bot_id
+                        ON reputation_events(bot_id, id);
+                `, (err) => {
+                    if (err) {
+                        this.tablesReady = null;
+                        return reject(err);
+                    }
+                    resolve();
+                });
+            });
+        }
+        return this.tablesReady;
+    }
+
+    /**
+     * Compound a list of rebalance returns into a reputation score.
+     * A period that trails the benchmark by 100% or more zeroes the
+     * reputation, and it stays at zero from then on.
+     * @param {Array<{portfolioReturn: number, benchmarkReturn: number}>} events
+     * @param {number} [initial=1] - Reputation before the first event
+     * @returns {number}
+     */
+    calculateReputation(events, initial = 1) {
+        return events.reduce(
+            (reputation, event) => Math.max(0, reputation * (1 + event.portfolioReturn - event.benchmarkReturn)),
+            initial
+        );
+    }
+
+    /**
+     * Map a reputation onto the 0-100 scale used by agent scoring.
+     * A bot tracking the benchmark exactly (reputation 1) scores 50.
+     */
+    toScore(reputation) {
+        return Math.max(0, Math.min(100, reputation * 50));
+    }
+
+    /**
+     * Record the returns of one rebalance period and update the reputation
+     * @param {number|string} botId - Bot id
+     * @param {Object} event
+     * @param {number} event.portfolioReturn - Portfolio return since the previous rebalance, e.g. 0.012 for +1.2%
+     * @param {number} event.benchmarkReturn - Benchmark return over the same period
+     * @param {string|Date} [event.timestamp] - Rebalance time, defaults to now
+     * @param {string} [event.txHash] - Rebalance transaction hash
+     * @returns {Promise<Object>} The stored event including the new reputation
+     */
+    recordRebalance(botId, event) {
+        const errors = ['portfolioReturn', 'benchmarkReturn']
+            .filter(field => !Number.isFinite(event[field]))
+            .map(field => `${field} must be a finite number`);
+        if (errors.length > 0) {
+            const error = new Error(`Invalid rebalance for bot ${botId}: ${errors.join('; ')}`);
+            error.validationErrors = errors;
+            return Promise.reject(error);
+        }
+
+        const record = this.pending.then(async () => {
+            await this.initializeTables();
+            const latest = await this.getLatestEvent(botId);
+            const excessReturn = event.portfolioReturn - event.benchmarkReturn;
+            const stored = {
+                botId,
+                rebalancedAt: new Date(event.timestamp || Date.now()).toISOString(),
+                portfolioReturn: event.portfolioReturn,
+                benchmarkReturn: event.benchmarkReturn,
+                excessReturn,
+                reputation: this.calculateReputation([event], latest ? latest.reputation : 1),
+                txHash: event.txHash || null
+            };
+
+            await new Promise((resolve, reject) => {
+                this.getDb().run(
+                    `INSERT INTO reputation_events (
+                        bot_id, rebalanced_at, portfolio_return, benchmark_return,
+                        excess_return, reputation, tx_hash
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                    [botId, stored.rebalancedAt, stored.portfolioReturn, stored.benchmarkReturn,
+                        stored.excessReturn, stored.reputation, stored.txHash],
+                    (err) => {
+                        if (err) return reject(err);
+                        resolve();
+                    }
+                );
+            });
+
+            this.emit('reputationUpdated', stored);
+            return stored;
+        });
+
+        this.pending = record.catch(() => {});
+        return record;
+    }
+
+    async getLatestEvent(botId) {
+        await this.initializeTables();
+        return new Promise((resolve, reject) => {
+            this.getDb().get(
+                `SELECT * FROM reputation_events
+                 WHERE bot_id = ?
+                 ORDER BY id DESC LIMIT 1`,
+                [botId],
+                (err, row) => {
+                    if (err) return reject(err);
+                    resolve(row ? this.formatEvent(row) : null);
+                }
+            );
+        });
+    }
+
+    /**
+     * Rebalance history for a bot, oldest first
+     * @param {number|string} botId - Bot id
+     * @param {number} [limit] - Only return the most recent events
+     * @returns {Promise<Object[]>}
+     */
+    async getHistory(botId, limit) {
+        await this.initializeTables();
+        return new Promise((resolve, reject) => {
+            this.getDb().all(
+                `SELECT * FROM (
+                    SELECT * FROM reputation_events
+                    WHERE bot_id = ?
+                    ORDER BY id DESC
+                    LIMIT ?
+                 ) ORDER BY id`,
+                [botId, limit > 0 ? limit : -1],
+                (err, rows) => {
+                    if (err) return reject(err);
+                    resolve((rows || []).map(row => this.formatEvent(row)));
+                }
+            );
+        });
+    }
+
+    /**
+     * Current reputation of a bot. Bots without rebalances start at 1.
+     * @param {number|string} botId - Bot id
+     * @returns {Promise<{botId, reputation: number, score: number, rebalances: number, lastRebalance: string|null}>}
+     */
+    async getReputation(botId) {
+        await this.initializeTables();
+        const summary = await new Promise((resolve, reject) => {
+            this.getDb().get(
+                `SELECT COUNT(*) AS rebalances, MAX(rebalanced_at) AS last_rebalance
+                 FROM reputation_events
+                 WHERE bot_id = ?`,
+                [botId],
+                (err, row) => {
+                    if (err) return reject(err);
+                    resolve(row || {});
+                }
+            );
+        });
+        const latest = await this.getLatestEvent(botId);
+        const reputation = latest ? latest.reputation : 1;
+
+        return {
+            botId,
+            reputation,
+            score: this.toScore(reputation),
+            rebalances: summary.rebalances || 0,
+            lastRebalance: summary.last_rebalance || null
+        };
+    }
+
+    formatEvent(row) {
+        return {
+            botId: row.bot_id,
+            rebalancedAt: row.rebalanced_at,
+            portfolioReturn: row.portfolio_return,
+            benchmarkReturn: row.benchmark_return,
+            excessReturn: row.excess_return,
+            reputation: row.reputation,
+            txHash: row.tx_hash
+        };
+    }
+}
+
+// Export the class for testing and the singleton instance for runtime use
+module.exports = {
+    ReputationTracker,
+    reputationTracker: new ReputationTracker()
+};
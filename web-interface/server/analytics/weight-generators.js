@@ -0,0 +1,164 @@
+/**
+ * Weight generators for Pollen virtual portfolios.
+ *
+ * Each generator receives the closing prices seen so far for every asset
+ * and returns a map of symbol to weight in [-1, 1]. Negative weights are
+ * short positions. The result is normalised so the absolute weights sum
+ * to 1, matching the collateralisation rule of the whitepaper.
+ */
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / (values.length || 1);
+}
+
+function stdDev(values) {
+  const avg = mean(values);
+  return Math.sqrt(mean(values.map(v => Math.pow(v - avg, 2))));
+}
+
+function periodReturns(closes) {
+  const returns = [];
+  for (let i = 1; i < closes.length; i++) {
+    returns.push(closes[i] / closes[i - 1] - 1);
+  }
+  return returns;
+}
+
+function ema(values, period) {
+  const k = 2 / (period + 1);
+  return values.reduce((prev, value, i) => i === 0 ? value : value * k + prev * (1 - k), 0);
+}
+
+function rsi(closes, period = 14) {
+  const returns = periodReturns(closes.slice(-(period + 1)));
+  const gains = returns.filter(r => r > 0).reduce((a, b) => a + b, 0);
+  const losses = -returns.filter(r => r < 0).reduce((a, b) => a + b, 0);
+  if (losses === 0) return gains === 0 ? 50 : 100;
+  return 100 - 100 / (1 + gains / losses);
+}
+
+/**
+ * Scale raw scores so that sum(|w|) = 1, applying the per-asset cap.
+ * Falls back to an equal-weight long portfolio when every score is zero.
+ */
+function normalizeWeights(scores, maxAllocation) {
+  const symbols = Object.keys(scores);
+  const total = symbols.reduce((sum, s) => sum + Math.abs(scores[s]), 0);
+
+  if (total === 0) {
+    return symbols.reduce((weights, s) => ({ ...weights, [s]: 1 / symbols.length }), {});
+  }
+
+  // A cap below 1/n cannot be satisfied while fully invested
+  const cap = Math.max(maxAllocation ? maxAllocation / 100 : 1, 1 / symbols.length);
+  let weights = symbols.reduce((acc, s) => ({ ...acc, [s]: scores[s] / total }), {});
+
+  for (let pass = 0; pass < symbols.length; pass++) {
+    const capped = symbols.filter(s => Math.abs(weights[s]) >= cap);
+    const excess = capped.reduce((sum, s) => sum + Math.abs(weights[s]) - cap, 0);
+    if (excess <= 1e-12) break;
+
+    const free = symbols.filter(s => Math.abs(weights[s]) < cap && weights[s] !== 0);
+    const freeTotal = free.reduce((sum, s) => sum + Math.abs(weights[s]), 0);
+    if (freeTotal === 0) break;
+
+    weights = symbols.reduce((acc, s) => {
+      if (capped.includes(s)) {
+        acc[s] = Math.sign(weights[s]) * cap;
+      } else {
+        acc[s] = weights[s] + Math.sign(weights[s]) * excess * (Math.abs(weights[s]) / freeTotal);
+      }
+      return acc;
+    }, {});
+  }
+
+  return weights;
+}
+
+const generators = {
+  // Long-only, inverse volatility
+  conservative(window, strategy) {
+    const lookback = strategy.lookback || 20;
+    const scores = {};
+    for (const [symbol, closes] of Object.entries(window)) {
+      const vol = stdDev(periodReturns(closes.slice(-lookback)));
+      scores[symbol] = vol > 0 ? 1 / vol : 1;
+    }
+    return scores;
+  },
+
+  // Long assets with positive trailing return, short the negative ones
+  momentum(window, strategy) {
+    const period = strategy.momentumPeriod || 14;
+    const scores = {};
+    for (const [symbol, closes] of Object.entries(window)) {
+      const past = closes[Math.max(0, closes.length - 1 - period)];
+      scores[symbol] = closes[closes.length - 1] / past - 1;
+    }
+    return scores;
+  },
+
+  // Fade deviations from the rolling mean
+  'mean-reversion'(window, strategy) {
+    const period = strategy.meanPeriod || 20;
+    const scores = {};
+    for (const [symbol, closes] of Object.entries(window)) {
+      const recent = closes.slice(-period);
+      const deviation = stdDev(recent);
+      scores[symbol] = deviation > 0 ? -(closes[closes.length - 1] - mean(recent)) / deviation : 0;
+    }
+    return scores;
+  },
+
+  // RSI extremes and EMA trend, limited to the configured indicators
+  technical(window, strategy) {
+    const indicators = (strategy.indicators || ['RSI', 'EMA']).map(i => String(i).toUpperCase());
+    const scores = {};
+    for (const [symbol, closes] of Object.entries(window)) {
+      let score = 0;
+      if (indicators.includes('RSI')) {
+        const value = rsi(closes);
+        if (value < 30) score += (30 - value) / 30;
+        else if (value > 70) score -= (value - 70) / 30;
+      }
+      if (indicators.includes('EMA')) {
+        const fast = ema(closes.slice(-20), 20);
+        const slow = ema(closes.slice(-50), 50);
+        score += slow > 0 ? (fast - slow) / slow : 0;
+      }
+      scores[symbol] = score;
+    }
+    return scores;
+  }
+};
+
+/**
+ * Generate normalised portfolio weights for a strategy.
+ * A strategy with a fixed `weights` map bypasses the signal generators.
+ * @param {Object} strategy - Strategy definition (type, parameters)
+ * @param {Object} window - Map of symbol to closing prices up to now
+ * @returns {Object} Map of symbol to weight in [-1, 1]
+ */
+function generateWeights(strategy, window) {
+  if (strategy.weights && typeof strategy.weights === 'object') {
+    const fixed = Object.keys(window).reduce((acc, s) => ({ ...acc, [s]: Number(strategy.weights[s]) || 0 }), {});
+    return normalizeWeights(fixed);
+  }
+
+  const generator = generators[strategy.type];
+  if (!generator) {
+    throw new Error(`No weight generator for strategy type: ${strategy.type}`);
+  }
+
+  const scores = generator(window, strategy);
+  if (strategy.allowShorts === false) {
+    Object.keys(scores).forEach(s => { scores[s] = Math.max(0, scores[s]); });
+  }
+  return normalizeWeights(scores, strategy.maxAllocation);
+}
+
+module.exports = {
+  generateWeights,
+  normalizeWeights,
+  generators
+};
@@ -0,0 +1,110 @@
+const { URL } = require('url');
+const { ROLES } = require('./auth-service');
+
+const SESSION_COOKIE = 'pollen_session';
+
+const LOGIN_THROTTLE = {
+    maxFailures: 10, // Failed logins allowed from one address per window
+    windowMs: 15 * 60 * 1000
+};
+
+function hasRole(user, role) {
+    return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function readCookie(req, name) {
+    const header = req.headers.cookie || '';
+    for (const part of header.split(';')) {
+        const [key, ...value] = part.trim().split('=');
+        if (key === name) {
+            return decodeURIComponent(value.join('='));
+        }
+    }
+    return null;
+}
+
+/**
+ * Bearer token from the Authorization header, else the session cookie set at
+ * login. WebSocket upgrades may also pass ?token=, since browsers cannot set
+ * headers on them.
+ */
+function readToken(req, { allowQuery = false } = {}) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+        return header.slice('Bearer '.length).trim();
+    }
+    const cookie = readCookie(req, SESSION_COOKIE);
+    if (cookie) {
+        return cookie;
+    }
+    if (allowQuery) {
+        return new URL(req.url, 'http://localhost').searchParams.get('token');
+    }
+    return null;
+}
+
+// Resolves req.user from the request's token; answers 401 without a valid one
+function authenticate(authService) {
+    return async (req, res, next) => {
+        try {
+            const user = await authService.authenticate(readToken(req));
+            if (!user) {
+                return res.status(401).json({ success: false, error: 'Authentication required' });
+            }
+            req.user = user;
+            next();
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    };
+}
+
+// Answers 403 unless the authenticated user has at least the given role
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!hasRole(req.user, role)) {
+            return res.status(403).json({ success: false, error: `Requires the ${role} role` });
+        }
+        next();
+    };
+}
+
+/**
+ * Throttles password guessing: once an address has failed to log in
+ * maxFailures times within windowMs, its attempts are refused until the
+ * oldest failure leaves the window. A successful login clears its failures.
+ * @param {Object} [options] - See LOGIN_THROTTLE, plus a now() clock
+ */
+function createLoginThrottle(options = {}) {
+    const { maxFailures, windowMs } = { ...LOGIN_THROTTLE, ...options };
+    const now = options.now || Date.now;
+    const failures = new Map(); // address -> failure times, oldest first
+
+    const recent = address => (failures.get(address) || []).filter(at => now() - at < windowMs);
+
+    return {
+        // Milliseconds until the address may try again, 0 when it may now
+        retryAfterMs(req) {
+            const times = recent(req.ip);
+            return times.length >= maxFailures ? times[0] + windowMs - now() : 0;
+        },
+        recordFailure(req) {
+            failures.forEach((times, address) => {
+                if (recent(address).length === 0) failures.delete(address);
+            });
+            failures.set(req.ip, [...recent(req.ip), now()]);
+        },
+        reset(req) {
+            failures.delete(req.ip);
+        }
+    };
+}
+
+module.exports = {
+    SESSION_COOKIE,
+    createLoginThrottle,
+    hasRole,
+    readToken,
+    authenticate,
+    requireRole
+};
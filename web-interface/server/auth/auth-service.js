@@ -0,0 +1,305 @@
+const sqlite3 = require('sqlite3');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Ordered from least to most privileged; each role can do everything the previous ones can
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const DEFAULT_OPTIONS = {
+    sessionTtlMs: 12 * 60 * 60 * 1000, // Sessions from /api/auth/login
+    minPasswordLength: 8
+};
+
+const KEY_LENGTH = 64;
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, expected] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !expected) {
+        return false;
+    }
+    const key = await scrypt(password, Buffer.from(salt, 'hex'), KEY_LENGTH);
+    return crypto.timingSafeEqual(key, Buffer.from(expected, 'hex'));
+}
+
+// Tokens are only ever stored hashed; the plain token is returned once, on creation
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function toUser(row) {
+    return { id: row.id, username: row.username, role: row.role, createdAt: row.created_at };
+}
+
+/**
+ * Local user accounts for the config server. Passwords are hashed with scrypt;
+ * logins issue expiring session tokens and users can create long-lived API
+ * tokens for scripts. Every token carries its user's current role.
+ */
+class AuthService {
+    /**
+     * @param {Object} [options] - See DEFAULT_OPTIONS
+     * @param {sqlite3.Database} [options.db] - Database handle, defaults to data/local/pollenos.db
+     * @param {Function} [options.now] - Clock in ms
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.db = options.db || null;
+        this.now = options.now || Date.now;
+        this.tablesReady = null;
+    }
+
+    getDb() {
+        if (!this.db) {
+            this.db = new sqlite3.Database(path.join(__dirname, '../../data/local/pollenos.db'));
+        }
+        return this.db;
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.getDb().run(sql, params, function (err) {
+                if (err) return reject(err);
+                resolve({ lastID: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.getDb().get(sql, params, (err, row) => {
+                if (err) return reject(err);
+                resolve(row || null);
+            });
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.getDb().all(sql, params, (err, rows) => {
+                if (err) return reject(err);
+                resolve(rows || []);
+            });
+        });
+    }
+
+    initializeTables() {
+        if (!this.tablesReady) {
+            this.tablesReady = new Promise((resolve, reject) => {
+                this.getDb().exec(`
+                    CREATE TABLE IF NOT EXISTS users (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        username TEXT NOT NULL UNIQUE,
+                        password_hash TEXT NOT NULL,
+                        role TEXT NOT NULL,
+                        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                    );
+
+                    CREATE TABLE IF NOT EXISTS auth_tokens (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        user_id INTEGER NOT NULL,
+                        token_hash TEXT NOT NULL UNIQUE,
+                        type TEXT NOT NULL,
+                        label TEXT,
+                        created_at INTEGER NOT NULL,
+                        expires_at INTEGER,
+                        last_used_at INTEGER,
+                        FOREIGN KEY (user_id) REFERENCES users(id)
+                    );
+                `, (err) => {
+                    if (err) {
+                        this.tablesReady = null;
+                        return reject(err);
+                    }
+                    resolve();
+                });
+            });
+        }
+        return this.tablesReady;
+    }
+
+    validateRole(role) {
+        if (!ROLES.includes(role)) {
+            throw new Error(`Role must be one of ${ROLES.join(', ')}`);
+        }
+    }
+
+    validatePassword(password) {
+        if (typeof password !== 'string' || password.length < this.options.minPasswordLength) {
+            throw new Error(`Password must be at least ${this.options.minPasswordLength} characters`);
+        }
+    }
+
+    async createUser(username, password, role = 'viewer') {
+        await this.initializeTables();
+        this.validateRole(role);
+        if (!username || !/^[\w.-]+$/.test(username)) {
+            throw new Error('Username may only contain letters, digits, dots, dashes and underscores');
+        }
+        this.validatePassword(password);
+        if (await this.get('SELECT id FROM users WHERE username = ?', [username])) {
+            throw new Error(`User ${username} already exists`);
+        }
+
+        const { lastID } = await this.run(
+            'INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)',
+            [username, await hashPassword(password), role]
+        );
+        return toUser(await this.get('SELECT * FROM users WHERE id = ?', [lastID]));
+    }
+
+    async listUsers() {
+        await this.initializeTables();
+        const rows = await this.all('SELECT * FROM users ORDER BY id');
+        return rows.map(toUser);
+    }
+
+    async setRole(username, role) {
+        await this.initializeTables();
+        this.validateRole(role);
+        const { changes } = await this.run('UPDATE users SET role = ? WHERE username = ?', [role, username]);
+        if (changes === 0) {
+            throw new Error(`User ${username} not found`);
+        }
+    }
+
+    async setPassword(username, password) {
+        await this.initializeTables();
+        this.validatePassword(password);
+        const user = await this.get('SELECT id FROM users WHERE username = ?', [username]);
+        if (!user) {
+            throw new Error(`User ${username} not found`);
+        }
+        await this.run('UPDATE users SET password_hash = ? WHERE id = ?', [await hashPassword(password), user.id]);
+        // Existing sessions were opened with the old password
+        await this.run("DELETE FROM auth_tokens WHERE user_id = ? AND type = 'session'", [user.id]);
+    }
+
+    async deleteUser(username) {
+        await this.initializeTables();
+        const user = await this.get('SELECT id FROM users WHERE username = ?', [username]);
+        if (!user) {
+            throw new Error(`User ${username} not found`);
+        }
+        await this.run('DELETE FROM auth_tokens WHERE user_id = ?', [user.id]);
+        await this.run('DELETE FROM users WHERE id = ?', [user.id]);
+    }
+
+    /**
+     * Creates the first admin when there are no users yet. Without a password
+     * one is generated and returned so the caller can show it once.
+     * @returns {Promise<string|null>} The generated password, if any
+     */
+    async ensureAdmin(username = 'admin', password = null) {
+        await this.initializeTables();
+        const { count } = await this.get('SELECT COUNT(*) AS count FROM users');
+        if (count > 0) {
+            return null;
+        }
+
+        const generated = password ? null : crypto.randomBytes(12).toString('base64url');
+        await this.createUser(username, password || generated, 'admin');
+        return generated;
+    }
+
+    /**
+     * @returns {Promise<Object|null>} { token, expiresAt, user }, or null for bad credentials
+     */
+    async login(username, password) {
+        await this.initializeTables();
+        const row = await this.get('SELECT * FROM users WHERE username = ?', [username]);
+        if (!row || !await verifyPassword(String(password), row.password_hash)) {
+            return null;
+        }
+
+        const expiresAt = this.now() + this.options.sessionTtlMs;
+        const { token } = await this.issueToken(row.id, 'session', null, expiresAt);
+        return { token, expiresAt: new Date(expiresAt).toISOString(), user: toUser(row) };
+    }
+
+    async logout(token) {
+        await this.initializeTables();
+        await this.run('DELETE FROM auth_tokens WHERE token_hash = ?', [hashToken(token)]);
+    }
+
+    async createApiToken(userId, label = null) {
+        await this.initializeTables();
+        return this.issueToken(userId, 'api', label, null);
+    }
+
+    async issueToken(userId, type, label, expiresAt) {
+        const token = crypto.randomBytes(32).toString('hex');
+        const { lastID } = await this.run(
+            `INSERT INTO auth_tokens (user_id, token_hash, type, label, created_at, expires_at)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [userId, hashToken(token), type, label, this.now(), expiresAt]
+        );
+        return { id: lastID, token, type, label };
+    }
+
+    async listTokens(userId) {
+        await this.initializeTables();
+        const rows = await this.all(
+            `SELECT id, type, label, created_at, expires_at, last_used_at
+             FROM auth_tokens WHERE user_id = ? ORDER BY id`,
+            [userId]
+        );
+        const toDate = ms => ms === null ? null : new Date(ms).toISOString();
+        return rows.map(row => ({
+            id: row.id,
+            type: row.type,
+            label: row.label,
+            createdAt: toDate(row.created_at),
+            expiresAt: toDate(row.expires_at),
+            lastUsedAt: toDate(row.last_used_at)
+        }));
+    }
+
+    async revokeToken(userId, tokenId) {
+        await this.initializeTables();
+        const { changes } = await this.run('DELETE FROM auth_tokens WHERE id = ? AND user_id = ?', [tokenId, userId]);
+        return changes > 0;
+    }
+
+    /**
+     * @returns {Promise<Object|null>} The token's user, or null when it is unknown or expired
+     */
+    async authenticate(token) {
+        if (!token) {
+            return null;
+        }
+        await this.initializeTables();
+
+        const row = await this.get(
+            `SELECT t.id AS token_id, t.expires_at, u.*
+             FROM auth_tokens t JOIN users u ON u.id = t.user_id
+             WHERE t.token_hash = ?`,
+            [hashToken(token)]
+        );
+        if (!row) {
+            return null;
+        }
+        if (row.expires_at !== null && row.expires_at <= this.now()) {
+            await this.run('DELETE FROM auth_tokens WHERE id = ?', [row.token_id]);
+            return null;
+        }
+
+        await this.run('UPDATE auth_tokens SET last_used_at = ? WHERE id = ?', [this.now(), row.token_id]);
+        return toUser(row);
+    }
+}
+
+// Export the class for testing and the singleton instance for runtime use
+module.exports = {
+    ROLES,
+    AuthService,
+    authService: new AuthService()
+};
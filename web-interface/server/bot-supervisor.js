@@ -0,0 +1,293 @@
+const { EventEmitter } = require('events');
+
+// Recent transactions kept for the dashboard's status summary
+const MAX_TRANSACTIONS = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createMultiBotManager(registry) {
+    // Loaded on first start so the config server does not open RPC connections until trading is requested
+    const MultiBotManager = require('../../multi-bot-launcher');
+    return new MultiBotManager(registry);
+}
+
+/**
+ * Starts, stops, pauses and resumes the bots run by MultiBotManager and tracks their live state.
+ * Emits 'stateChanged' with a bot's state, 'transaction' for each submitted transaction and
+ * 'tradingStarted' / 'tradingStopped' for the fleet.
+ */
+class BotSupervisor extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Function} options.getRegistry - Returns the current bot registry
+     * @param {Function} [options.createManager] - Builds a MultiBotManager for a registry
+     * @param {Function} [options.now] - Clock, for tests
+     */
+    constructor(options = {}) {
+        super();
+        this.getRegistry = options.getRegistry;
+        this.createManager = options.createManager || createMultiBotManager;
+        this.now = options.now || Date.now;
+        this.manager = null;
+        this.starting = null;
+        this.states = new Map();
+        this.transactions = [];
+    }
+
+    isRunning() {
+        return Boolean(this.manager && this.manager.running);
+    }
+
+    getBotStates() {
+        return this.getRegistry().bots.map(bot => this.getBotState(bot.id));
+    }
+
+    getBotState(botId) {
+        const bot = this.findBot(botId);
+        if (!bot) {
+            return null;
+        }
+        if (!this.states.has(bot.id)) {
+            this.states.set(bot.id, {
+                id: bot.id,
+                name: bot.name,
+                strategy: bot.strategy,
+                mode: bot.mode || 'live',
+                status: bot.enabled === false ? 'disabled' : 'stopped',
+                lastAction: null,
+                lastActionAt: null,
+                lastTx: null,
+                lastError: null,
+                nextRunAt: null,
+                updatedAt: null
+            });
+        }
+        return { ...this.states.get(bot.id) };
+    }
+
+    /**
+     * Transactions submitted in the last 24 hours, newest first
+     */
+    getRecentTransactions() {
+        const since = this.now() - DAY_MS;
+        return this.transactions.filter(tx => Date.parse(tx.timestamp) >= since);
+    }
+
+    /**
+     * Starts every enabled bot through MultiBotManager.start(), which also creates missing
+     * portfolios and starts the event indexer. Resolves once the fleet is up.
+     * With some bots already trading, starts only the stopped ones.
+     */
+    startAll() {
+        if (this.starting) {
+            throw new Error('Trading is already starting');
+        }
+        if (this.manager) {
+            const idle = this.enabledBots().filter(bot => ['stopped', 'error'].includes(this.getBotState(bot.id).status));
+            if (idle.length === 0) {
+                throw new Error('Trading is already running');
+            }
+            return Promise.all(idle.map(bot => this.startBot(bot.id))).then(() => {
+                this.emit('tradingStarted');
+            });
+        }
+
+        const bots = this.enabledBots();
+        bots.forEach(bot => this.update(bot.id, { status: 'starting', lastError: null }));
+        const manager = this.attach(this.createManager(this.getRegistry()));
+
+        this.starting = manager.start()
+            .catch(error => this.recordError(bots, error.message))
+            .then(() => {
+                if (!manager.running) {
+                    this.manager = null;
+                    this.recordError(bots, 'Trading system failed to start');
+                    // Release the RPC pool and event indexer a partial startup may have started
+                    return manager.stop();
+                }
+                bots.filter(bot => !manager.isTrading(bot.id))
+                    .forEach(bot => this.recordError([bot], 'Bot failed to start'));
+                this.emit('tradingStarted');
+            })
+            .finally(() => {
+                this.starting = null;
+            });
+        return this.starting;
+    }
+
+    async stopAll() {
+        if (this.starting) {
+            await this.starting;
+        }
+        if (!this.manager) {
+            return;
+        }
+
+        const manager = this.manager;
+        this.manager = null;
+        await manager.stop();
+        manager.removeAllListeners();
+
+        this.enabledBots().forEach(bot => this.update(bot.id, {
+            status: 'stopped',
+            lastAction: 'stopped',
+            lastActionAt: this.timestamp(),
+            nextRunAt: null
+        }));
+        this.emit('tradingStopped');
+    }
+
+    pauseAll() {
+        return this.enabledBots()
+            .filter(bot => this.getBotState(bot.id).status === 'running')
+            .map(bot => this.pauseBot(bot.id));
+    }
+
+    resumeAll() {
+        return this.enabledBots()
+            .filter(bot => this.getBotState(bot.id).status === 'paused')
+            .map(bot => this.resumeBot(bot.id));
+    }
+
+    /**
+     * Validates a single bot and starts its trading loop, creating its portfolio if needed.
+     * Resolves with the bot's state once it is trading or has failed to start.
+     */
+    startBot(botId) {
+        const bot = this.requireBot(botId, ['stopped', 'error']);
+        if (this.starting) {
+            throw new Error('Trading is starting, try again once it is up');
+        }
+
+        this.update(bot.id, { status: 'starting', lastError: null });
+        const manager = this.manager || this.attach(this.createManager(this.getRegistry()));
+
+        return manager.startBot(bot)
+            .then(started => {
+                if (!started) {
+                    this.recordError([bot], 'Bot failed to start');
+                }
+            })
+            .catch(error => this.recordError([bot], error.message))
+            .then(() => this.getBotState(bot.id));
+    }
+
+    /**
+     * Portfolio interface of a bot through the running MultiBotManager, for risk actions.
+     * Without one, a manager is created and initialized, but no bot starts trading.
+     */
+    async getPortfolioInterface(botId) {
+        const bot = this.findBot(botId);
+        if (!bot) {
+            throw new Error(`Bot ${botId} not found`);
+        }
+        if (this.starting) {
+            await this.starting;
+        }
+
+        const manager = this.manager || this.attach(this.createManager(this.getRegistry()));
+        await manager.init();
+        return manager.portfolioInterfaceFor(this.managedBot(bot));
+    }
+
+    stopBot(botId) {
+        const bot = this.requireBot(botId, ['running', 'paused']);
+        this.manager.stopBotTradingLoop(bot.id);
+        return this.update(bot.id, {
+            status: 'stopped',
+            lastAction: 'stopped',
+            lastActionAt: this.timestamp(),
+            nextRunAt: null
+        });
+    }
+
+    pauseBot(botId) {
+        const bot = this.requireBot(botId, ['running']);
+        this.manager.stopBotTradingLoop(bot.id);
+        return this.update(bot.id, {
+            status: 'paused',
+            lastAction: 'paused',
+            lastActionAt: this.timestamp(),
+            nextRunAt: null
+        });
+    }
+
+    /**
+     * Schedules the next run of a paused bot; it was validated when it started
+     */
+    resumeBot(botId) {
+        const bot = this.requireBot(botId, ['paused']);
+        this.update(bot.id, { lastAction: 'resumed', lastActionAt: this.timestamp() });
+        this.manager.startBotTradingLoop(this.managedBot(bot));
+        return this.getBotState(bot.id);
+    }
+
+    attach(manager) {
+        this.manager = manager;
+
+        manager.on('botScheduled', ({ botId, nextRunAt }) => {
+            this.update(botId, { status: 'running', nextRunAt: new Date(nextRunAt).toISOString() });
+        });
+        manager.on('botCycle', ({ botId, rebalanced }) => {
+            this.update(botId, { lastAction: rebalanced ? 'rebalanced' : 'skipped', lastActionAt: this.timestamp() });
+        });
+        manager.on('botError', ({ botId, error }) => {
+            this.update(botId, { lastError: { message: error, at: this.timestamp() } });
+        });
+        manager.on('transaction', ({ botId, type, hash }) => {
+            const transaction = { botId, botName: (this.getBotState(botId) || {}).name, type, hash, timestamp: this.timestamp() };
+            this.transactions = [transaction, ...this.transactions].slice(0, MAX_TRANSACTIONS);
+            this.update(botId, { lastTx: { hash, type, at: transaction.timestamp } });
+            this.emit('transaction', transaction);
+        });
+
+        return manager;
+    }
+
+    update(botId, changes) {
+        const current = this.getBotState(botId);
+        if (!current) {
+            // Removed from the registry while the manager was still running it
+            return null;
+        }
+        const state = { ...current, ...changes, updatedAt: this.timestamp() };
+        this.states.set(state.id, state);
+        this.emit('stateChanged', { ...state });
+        return { ...state };
+    }
+
+    recordError(bots, message) {
+        const at = this.timestamp();
+        bots.forEach(bot => this.update(bot.id, { status: 'error', lastError: { message, at }, nextRunAt: null }));
+    }
+
+    requireBot(botId, allowedStatuses) {
+        const bot = this.findBot(botId);
+        if (!bot) {
+            throw new Error(`Bot ${botId} not found`);
+        }
+        const { status } = this.getBotState(bot.id);
+        if (!allowedStatuses.includes(status)) {
+            throw new Error(`Bot ${bot.id} is ${status}`);
+        }
+        return bot;
+    }
+
+    // The manager's copy of the bot, which is the one its loop schedules
+    managedBot(bot) {
+        return this.manager.botConfigs.find(managed => managed.id === bot.id) || bot;
+    }
+
+    findBot(botId) {
+        return this.getRegistry().bots.find(bot => String(bot.id) === String(botId));
+    }
+
+    enabledBots() {
+        return this.getRegistry().bots.filter(bot => bot.enabled !== false);
+    }
+
+    timestamp() {
+        return new Date(this.now()).toISOString();
+    }
+}
+
+module.exports = { BotSupervisor };
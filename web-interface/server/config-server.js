@@ -3,7 +3,9 @@ const path = require('path');
 const fs = require('fs');
 const cors = require('cors');
 const http = require('http');
+const { URL } = require('url');
 const WebSocketHandler = require('./websocket-handler');
+const { BotSupervisor } = require('./bot-supervisor');
 const config = require('../config/web-config');
 const localStorage = require('./local-storage');
 const strategyManager = require('./strategy-manager');
@@ -12,29 +14,72 @@ const marketPredictor = require('./analytics/market-predictor');
 const performanceBenchmark = require('./analytics/performance-benchmark');
 const riskAssessor = require('./risk/risk-assessor');
 const positionSizer = require('./risk/position-sizer');
-const riskControls = require('./risk/risk-controls');
+const { riskControls } = require('./risk/risk-controls');
 const AlertManager = require('./alerts/alert-manager');
+const botRegistry = require('../../src/modules/bot-registry');
+const agentApi = require('./routes/agent-api');
+const authApi = require('./routes/auth-api');
+const { authService } = require('./auth/auth-service');
+const { readToken, authenticate, requireRole } = require('./auth/access-control');
+const { benchmark } = require('../../src/modules/pollen-benchmark');
+const logger = require('../../src/modules/logger');
+const { readDecisions } = require('../../src/modules/governance');
+const { getNetwork, listNetworks } = require('../../src/config/networks');
+const { getRpcHealth } = require('../../src/modules/rpc-pool');
+const { registry: metrics, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('../../src/modules/metrics');
+
+const httpRequests = metrics.counter('pollen_http_requests_total', 'Web interface HTTP requests', ['method', 'route', 'status']);
+const httpDuration = metrics.histogram('pollen_http_request_duration_seconds', 'Web interface HTTP response time', ['method', 'route']);
 
 // Initialize configuration
 const PORT = process.env.PORT || config.PORT;
 const HOST = process.env.HOST || config.HOST;
 const INTERFACE_URL = process.env.INTERFACE_URL || config.INTERFACE_URL;
+// Origins allowed to call the API from another page; the dashboard itself is same-origin
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || new URL(INTERFACE_URL).origin)
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+// A generated first admin password is left here, readable by the server's user only
+const ADMIN_PASSWORD_FILE = path.join(__dirname, '../data/local/admin-password.txt');
 const WEBSOCKET_URL = process.env.WEBSOCKET_URL || config.WEBSOCKET_URL;
 
+// Query parameter as ms: a timestamp in ms or an ISO date
+function parseTime(value) {
+  return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+// Network profile with the RPC endpoint saved from the dashboard first
+function networkProfile(network) {
+  const saved = localStorage.getNetworkConfig(network.name);
+  if (!saved || !saved.rpc_url) {
+    return network;
+  }
+  const rpcUrls = [saved.rpc_url, ...network.rpcUrls.filter(url => url !== saved.rpc_url)];
+  return { ...network, rpcUrls, rpcUrl: saved.rpc_url };
+}
+
 class PollenConfigServer {
   constructor() {
     this.app = express();
     this.server = http.createServer(this.app);
-    this.websocketHandler = new WebSocketHandler(this.server);
+    this.websocketHandler = new WebSocketHandler(this.server, {
+      authenticate: req => authService.authenticate(readToken(req, { allowQuery: true }))
+    });
+    this.supervisor = new BotSupervisor({ getRegistry: () => this.registry });
     this.strategies = new Map();
   }
 
   async initialize() {
     try {
+      this.registry = botRegistry.loadBotRegistry();
+      await this.ensureAdminAccount();
       await strategyManager.initializeStrategies();
       this.setupMiddleware();
       this.setupRoutes();
       this.setupWebSocket();
+      this.setupSupervisor();
+      benchmark.start(Number(process.env.BENCHMARK_SAMPLE_INTERVAL) || undefined);
       this.server.listen(PORT, HOST, () => {
         console.log(`🌐 Server running at ${INTERFACE_URL}`);
         console.log(`🔗 WebSocket URL: ${WEBSOCKET_URL}`);
@@ -45,8 +90,31 @@ class PollenConfigServer {
     }
   }
 
+  // The first start creates an admin account, from POLLEN_ADMIN_USER / POLLEN_ADMIN_PASSWORD if set
+  async ensureAdminAccount() {
+    const username = process.env.POLLEN_ADMIN_USER || 'admin';
+    const generated = await authService.ensureAdmin(username, process.env.POLLEN_ADMIN_PASSWORD || null);
+    if (generated) {
+      fs.mkdirSync(path.dirname(ADMIN_PASSWORD_FILE), { recursive: true });
+      // Removed first, since writeFileSync only applies the mode to new files
+      fs.rmSync(ADMIN_PASSWORD_FILE, { force: true });
+      fs.writeFileSync(ADMIN_PASSWORD_FILE, `${username}\n${generated}\n`, { mode: 0o600 });
+      logger.warn(`🔑 Created admin account "${username}"; its password is in ${ADMIN_PASSWORD_FILE}. Change it after logging in and delete the file.`);
+    }
+  }
+
   setupMiddleware() {
-    this.app.use(cors());
+    // Labelled by route pattern rather than URL, so bot ids and static files do not multiply the series
+    this.app.use((req, res, next) => {
+      const startedAt = process.hrtime.bigint();
+      res.on('finish', () => {
+        const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+        httpRequests.inc({ method: req.method, route, status: res.statusCode });
+        httpDuration.observe({ method: req.method, route }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+      });
+      next();
+    });
+    this.app.use(cors({ origin: CORS_ORIGINS, credentials: true }));
     this.app.use(express.json());
     this.app.use(express.static(path.join(__dirname, '../public')));
   }
@@ -57,6 +125,21 @@ class PollenConfigServer {
       res.sendFile(path.join(__dirname, '../public/index.html'));
     });
 
+    // Prometheus scrape endpoint; a scraper authenticates with an API token as a bearer token
+    this.app.get('/metrics', authenticate(authService), (req, res) => {
+      res.set('Content-Type', METRICS_CONTENT_TYPE).send(metrics.render());
+    });
+
+    // Login, sessions, API tokens and user management
+    this.app.use('/api/auth', authApi);
+
+    // Every other API route needs a signed-in user. Reads are open to viewers;
+    // bot control needs an operator and configuration changes an admin.
+    this.app.use('/api', authenticate(authService));
+
+    // Agent scoring, validation and reputation API
+    this.app.use('/api/agents', agentApi);
+
     // Analytics API
     this.app.post('/api/analytics/portfolio/optimization', (req, res) => {
       try {
@@ -99,16 +182,53 @@ class PollenConfigServer {
       }
     });
 
-    this.app.post('/api/analytics/performance/metrics', (req, res) => {
+    this.app.post('/api/analytics/performance/metrics', async (req, res) => {
       try {
-        const { botId, returns, benchmarkReturns } = req.body;
-        const metrics = performanceBenchmark.calculatePerformanceMetrics(botId, returns, benchmarkReturns);
+        const { botId, returns, timestamps } = req.body;
+        if (!Array.isArray(returns)) {
+          return res.status(400).json({ success: false, error: 'returns must be an array' });
+        }
+
+        // Without explicit benchmark returns, measure the Pollen benchmark over
+        // the bot's rebalance periods, bounded by returns.length + 1 timestamps
+        let benchmarkReturns = req.body.benchmarkReturns;
+        if (!benchmarkReturns) {
+          if (!Array.isArray(timestamps) || timestamps.length !== returns.length + 1) {
+            return res.status(400).json({
+              success: false,
+              error: `Need benchmarkReturns or the ${returns.length + 1} rebalance timestamps bounding the returns`
+            });
+          }
+          try {
+            benchmarkReturns = benchmark.getReturnsBetween(timestamps.map(timestamp => new Date(timestamp).getTime()));
+          } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
+          }
+        }
+        if (benchmarkReturns.length !== returns.length) {
+          return res.status(400).json({
+            success: false,
+            error: `Need ${returns.length} benchmark returns, have ${benchmarkReturns.length}`
+          });
+        }
+
+        const metrics = await performanceBenchmark.calculatePerformanceMetrics(botId, returns, benchmarkReturns);
         res.json(metrics);
       } catch (error) {
         res.status(500).json({ success: false, error: error.message });
       }
     });
 
+    this.app.get('/api/analytics/benchmark', (req, res) => {
+      try {
+        const since = req.query.since ? new Date(req.query.since).getTime() : 0;
+        const series = benchmark.getSeries({ since });
+        res.json({ success: true, config: benchmark.config, ...series });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
     this.app.get('/api/analytics/performance/history', (req, res) => {
       try {
         const { botId, metricName } = req.query;
@@ -150,28 +270,37 @@ class PollenConfigServer {
       }
     });
 
-    this.app.post('/api/risk/control/create', (req, res) => {
+    this.app.post('/api/risk/control/create', requireRole('operator'), async (req, res) => {
       try {
         const { botId, controlType, parameters } = req.body;
-        const control = riskControls.createControl(botId, controlType, parameters);
+        const control = await riskControls.createControl(botId, controlType, parameters);
         res.json(control);
       } catch (error) {
         res.status(500).json({ success: false, error: error.message });
       }
     });
 
-    this.app.post('/api/risk/control/evaluate', (req, res) => {
+    this.app.post('/api/risk/control/evaluate', requireRole('operator'), async (req, res) => {
       try {
         const { botId, metrics } = req.body;
-        const actions = riskControls.evaluateControls(botId, metrics);
+        const actions = await riskControls.evaluateControls(botId, metrics);
         res.json(actions);
       } catch (error) {
         res.status(500).json({ success: false, error: error.message });
       }
     });
 
+    this.app.get('/api/risk/control/:botId/actions', async (req, res) => {
+      try {
+        const limit = parseInt(req.query.limit, 10) || 50;
+        res.json(await riskControls.getActionHistory(req.params.botId, limit));
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
     // Alert Management API
-    this.app.post('/api/alerts/settings', async (req, res) => {
+    this.app.post('/api/alerts/settings', requireRole('admin'), async (req, res) => {
       try {
         const settings = await alertManager.updateSettings(req.body);
         res.json(settings);
@@ -189,7 +318,7 @@ class PollenConfigServer {
       }
     });
 
-    this.app.post('/api/alerts/risk', async (req, res) => {
+    this.app.post('/api/alerts/risk', requireRole('operator'), async (req, res) => {
       try {
         const { riskFactors } = req.body;
         const alerts = await alertManager.checkRiskAlerts(riskFactors);
@@ -199,7 +328,7 @@ class PollenConfigServer {
       }
     });
 
-    this.app.post('/api/alerts/trade', async (req, res) => {
+    this.app.post('/api/alerts/trade', requireRole('operator'), async (req, res) => {
       try {
         const { positionSize, stopLoss } = req.body;
         const alerts = await alertManager.checkTradeAlerts(positionSize, stopLoss);
@@ -209,7 +338,7 @@ class PollenConfigServer {
       }
     });
 
-    this.app.post('/api/alerts/market', async (req, res) => {
+    this.app.post('/api/alerts/market', requireRole('operator'), async (req, res) => {
       try {
         const { priceChange, volume } = req.body;
         const alerts = await alertManager.checkMarketAlerts(priceChange, volume);
@@ -219,37 +348,156 @@ class PollenConfigServer {
       }
     });
 
-    // Bot Configuration API
-    this.app.post('/api/bots', (req, res) => {
+    // Bot Configuration API (backed by the bot registry, config/bots.json)
+    this.app.post('/api/bots', requireRole('admin'), (req, res) => {
       try {
-        const botConfig = req.body;
-        const result = localStorage.saveBotConfiguration(botConfig);
-        res.json({ success: true, id: result.id });
+        this.registry = botRegistry.addBot(req.body, this.registry.path);
+        res.json({ success: true, id: req.body.id });
       } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        res.status(error.validationErrors ? 400 : 500).json({ success: false, error: error.message });
       }
     });
 
     this.app.get('/api/bots', (req, res) => {
       try {
-        const bots = localStorage.getBotConfigurations();
+        const bots = {};
+        this.registry.bots.forEach((bot) => {
+          bots[`bot${bot.id}`] = this.getBotSummary(bot);
+        });
         res.json(bots);
       } catch (error) {
         res.status(500).json({ success: false, error: error.message });
       }
     });
 
-    this.app.put('/api/bots/:id', (req, res) => {
+    // Bot process control (MultiBotManager run by the supervisor)
+    this.app.get('/api/status', (req, res) => {
       try {
-        const id = req.params.id;
-        const botConfig = req.body;
-        localStorage.updateBotConfiguration(id, botConfig);
-        res.json({ success: true });
+        res.json(this.getSystemStatus());
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.get('/api/rpc/health', (req, res) => {
+      try {
+        res.json({ success: true, data: getRpcHealth() });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.get('/api/bots/status', (req, res) => {
+      try {
+        res.json(this.registry.bots.map(bot => this.getBotStatus(bot)));
       } catch (error) {
         res.status(500).json({ success: false, error: error.message });
       }
     });
 
+    this.app.post('/api/trading/start', requireRole('operator'), (req, res) => {
+      try {
+        // Validating bots and creating portfolios takes a while; progress streams over the WebSocket
+        this.supervisor.startAll();
+        res.status(202).json({ success: true, bots: this.supervisor.getBotStates() });
+      } catch (error) {
+        res.status(409).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.post('/api/trading/stop', requireRole('operator'), async (req, res) => {
+      try {
+        await this.supervisor.stopAll();
+        res.json({ success: true, bots: this.supervisor.getBotStates() });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.post('/api/trading/:action(pause|resume)', requireRole('operator'), (req, res) => {
+      const bots = req.params.action === 'pause' ? this.supervisor.pauseAll() : this.supervisor.resumeAll();
+      res.json({ success: true, bots });
+    });
+
+    this.app.post('/api/bots/:id/:action(start|stop|pause|resume)', requireRole('operator'), (req, res) => {
+      const { id, action } = req.params;
+      if (!this.supervisor.getBotState(id)) {
+        return res.status(404).json({ success: false, error: `Bot ${id} not found` });
+      }
+
+      try {
+        if (action === 'start') {
+          this.supervisor.startBot(id);
+          return res.status(202).json({ success: true, bot: this.supervisor.getBotState(id) });
+        }
+        const bot = this.supervisor[`${action}Bot`](id);
+        res.json({ success: true, bot });
+      } catch (error) {
+        res.status(409).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.get('/api/export', requireRole('admin'), (req, res) => {
+      try {
+        res.json({
+          exportedAt: new Date().toISOString(),
+          bots: this.registry.bots,
+          state: this.supervisor.getBotStates()
+        });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Structured bot logs, newest first: ?botId=&level=&from=&to=&txHash=&correlationId=&limit=
+    this.app.get('/api/logs', requireRole('operator'), async (req, res) => {
+      const { botId, level, from, to, txHash, correlationId } = req.query;
+      const since = from === undefined ? undefined : parseTime(from);
+      const until = to === undefined ? undefined : parseTime(to);
+      if (Number.isNaN(since) || Number.isNaN(until)) {
+        return res.status(400).json({ success: false, error: 'from and to must be ISO dates or timestamps in ms' });
+      }
+      const limit = Math.min(Number(req.query.limit) || 100, 1000);
+
+      try {
+        const records = await logger.readLogs({ botId, level, since, until, txHash, correlationId, limit });
+        res.json({ success: true, data: records });
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
+    // Governance decisions with their rationale and votes, newest proposal first: ?limit=
+    this.app.get('/api/governance/decisions', (req, res) => {
+      try {
+        const limit = Math.min(Number(req.query.limit) || 20, 200);
+        res.json({ success: true, data: readDecisions({ limit }) });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.get('/api/bots/:id', (req, res) => {
+      const bot = botRegistry.getBot(this.registry, req.params.id);
+      if (!bot) {
+        return res.status(404).json({ success: false, error: `Bot ${req.params.id} not found` });
+      }
+      res.json(this.getBotSummary(bot));
+    });
+
+    this.app.put('/api/bots/:id', requireRole('admin'), (req, res) => {
+      try {
+        const bot = botRegistry.getBot(this.registry, req.params.id);
+        if (!bot) {
+          return res.status(404).json({ success: false, error: `Bot ${req.params.id} not found` });
+        }
+        this.registry = botRegistry.updateBot(bot.id, req.body, this.registry.path);
+        res.json({ success: true });
+      } catch (error) {
+        res.status(error.validationErrors ? 400 : 500).json({ success: false, error: error.message });
+      }
+    });
+
     // Trade History API
     this.app.get('/api/trades/:botId', (req, res) => {
       try {
@@ -273,19 +521,40 @@ class PollenConfigServer {
     });
 
     // Network Configuration API
-    this.app.post('/api/network', (req, res) => {
+    this.app.get('/api/networks', (req, res) => {
       try {
-        const network = req.body.network;
-        const config = req.body.config;
-        localStorage.saveNetworkConfig(network, config);
-        res.json({ success: true });
+        res.json({ success: true, data: listNetworks().map(networkProfile) });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.post('/api/network', requireRole('admin'), (req, res) => {
+      let network;
+      try {
+        network = getNetwork(req.body.network);
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+
+      const config = req.body.config || {};
+      if (config.chainId !== undefined && Number(config.chainId) !== network.chainId) {
+        return res.status(400).json({
+          success: false,
+          error: `${network.displayName} is chain ${network.chainId}, not ${config.chainId}`
+        });
+      }
+
+      try {
+        localStorage.saveNetworkConfig(network.name, { rpcUrl: config.rpcUrl || network.rpcUrl, chainId: network.chainId });
+        res.json({ success: true, data: networkProfile(network) });
       } catch (error) {
         res.status(500).json({ success: false, error: error.message });
       }
     });
 
     // Strategy Management API
-    this.app.post('/api/strategies', async (req, res) => {
+    this.app.post('/api/strategies', requireRole('admin'), async (req, res) => {
       try {
         const strategy = req.body;
         const result = await strategyManager.saveStrategy(strategy);
@@ -313,7 +582,7 @@ class PollenConfigServer {
       }
     });
 
-    this.app.delete('/api/strategies/:id', async (req, res) => {
+    this.app.delete('/api/strategies/:id', requireRole('admin'), async (req, res) => {
       try {
         await strategyManager.deleteStrategy(req.params.id);
         res.json({ success: true });
@@ -332,7 +601,7 @@ class PollenConfigServer {
       }
     });
 
-    this.app.post('/api/strategies/test', async (req, res) => {
+    this.app.post('/api/strategies/test', requireRole('operator'), async (req, res) => {
       try {
         const { strategy, testParams } = req.body;
         const results = await strategyManager.testStrategy(strategy, testParams);
@@ -343,66 +612,17 @@ class PollenConfigServer {
     });
 
     this.app.get('/api/network/:network', (req, res) => {
+      let network;
       try {
-        const network = req.params.network;
-        const config = localStorage.getNetworkConfig(network);
-        res.json(config);
+        network = getNetwork(req.params.network);
       } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        return res.status(404).json({ success: false, error: error.message });
       }
-    });
 
-    // Get all bot configurations
-    this.app.get('/api/bots', (req, res) => {
       try {
-        const performanceDir = path.resolve(__dirname, '../../data/performance');
-
-        const bots = {};
-        const botFiles = [
-          'bot1_performance.json',
-          'bot2_performance.json',
-          'bot3_performance.json',
-          'bot4_performance.json',
-          'bot5_performance.json',
-        ];
-
-        botFiles.forEach((file) => {
-          const filePath = path.join(performanceDir, file);
-          if (fs.existsSync(filePath)) {
-            try {
-              const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-              const botId = file.replace('_performance.json', '');
-              bots[botId] = {
-                name: this.getBotName(botId),
-                strategy: data.strategy || 'unknown',
-                riskLevel: data.riskLevel || 'moderate',
-                status: 'active',
-                portfolioValue:
-                  data.portfolioHistory.length > 0
-                    ? data.portfolioHistory[data.portfolioHistory.length - 1].value
-                    : data.initialValue || 0,
-                pnl24h:
-                  data.portfolioHistory.length > 1
-                    ? data.portfolioHistory[data.portfolioHistory.length - 1].dailyChangePercent ||
-                      0
-                    : 0,
-                lastRebalance:
-                  data.portfolioHistory.length > 0
-                    ? data.portfolioHistory[data.portfolioHistory.length - 1].timestamp
-                    : Date.now(),
-                totalTrades: data.transactions ? data.transactions.length : 0,
-                performance: data.overallStats ? data.overallStats.totalReturn : 0,
-              };
-            } catch (error) {
-              console.error(`Error reading ${file}:`, error.message);
-            }
-          }
-        });
-
-        res.json(bots);
+        res.json({ success: true, data: networkProfile(network) });
       } catch (error) {
-        console.error('Error fetching bot data:', error);
-        res.json({});
+        res.status(500).json({ success: false, error: error.message });
       }
     });
 
@@ -429,49 +649,71 @@ class PollenConfigServer {
     this.websocketHandler.on('connection', this.handleWebSocketConnection.bind(this));
   }
 
+  // Stream supervisor state changes to every dashboard
+  setupSupervisor() {
+    // Risk actions read and rebalance portfolios through the bots' manager
+    riskControls.getPortfolioInterface = botId => this.supervisor.getPortfolioInterface(botId);
+
+    this.supervisor.on('stateChanged', (state) => {
+      const bot = botRegistry.getBot(this.registry, state.id);
+      this.websocketHandler.broadcastMessage({
+        type: 'bot_updated',
+        data: bot ? this.getBotStatus(bot) : state
+      });
+    });
+
+    this.supervisor.on('transaction', (transaction) => {
+      // The dashboard reads `data`, the status page `payload`
+      this.websocketHandler.broadcastMessage({ type: 'transaction', data: transaction, payload: transaction });
+    });
+
+    this.supervisor.on('tradingStarted', () => {
+      this.websocketHandler.broadcastMessage({ type: 'trading_start' });
+    });
+
+    this.supervisor.on('tradingStopped', () => {
+      this.websocketHandler.broadcastMessage({ type: 'trading_stop' });
+    });
+  }
+
+  // Registry summary with the bot's live supervisor state
+  getBotStatus(bot) {
+    return { ...this.getBotSummary(bot), ...this.supervisor.getBotState(bot.id) };
+  }
+
+  // Fleet summary for the dashboard header, over the bots currently trading
+  getSystemStatus() {
+    const bots = {};
+    this.registry.bots
+      .map(bot => this.getBotStatus(bot))
+      .filter(bot => bot.status === 'running' || bot.status === 'paused')
+      .forEach((bot) => {
+        bots[`bot${bot.id}`] = bot;
+      });
+
+    const active = Object.values(bots);
+    return {
+      running: this.supervisor.isRunning(),
+      bots,
+      totalValue: active.reduce((sum, bot) => sum + (bot.portfolioValue || 0), 0),
+      performance24h: active.length
+        ? active.reduce((sum, bot) => sum + (bot.pnl24h || 0), 0) / active.length
+        : 0,
+      recentTransactions: this.supervisor.getRecentTransactions().length,
+      // Healthy endpoints per network the running bots use
+      rpc: getRpcHealth().map(pool => ({ network: pool.network, head: pool.head, healthy: pool.healthy, endpoints: pool.endpoints.length }))
+    };
+  }
+
   // Send real-time update
   sendRealTimeUpdate(ws) {
     try {
-      const performanceDir = path.resolve(__dirname, '../../data/performance');
-      const botFiles = [
-        'bot1_performance.json',
-        'bot2_performance.json',
-        'bot3_performance.json',
-        'bot4_performance.json',
-        'bot5_performance.json',
-      ];
-
       const realBotData = {};
 
-      botFiles.forEach((file) => {
-        const filePath = path.join(performanceDir, file);
-        if (fs.existsSync(filePath)) {
-          try {
-            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-            const botId = file.replace('_performance.json', '');
-
-            realBotData[botId] = {
-              name: this.getBotName(botId),
-              strategy: data.strategy || 'unknown',
-              riskLevel: data.riskLevel || 'moderate',
-              status: 'active',
-              portfolioValue:
-                data.portfolioHistory.length > 0
-                  ? data.portfolioHistory[data.portfolioHistory.length - 1].value
-                  : data.initialValue || 0,
-              pnl24h:
-                data.portfolioHistory.length > 1
-                  ? data.portfolioHistory[data.portfolioHistory.length - 1].dailyChangePercent || 0
-                  : 0,
-              lastRebalance:
-                data.portfolioHistory.length > 0
-                  ? data.portfolioHistory[data.portfolioHistory.length - 1].timestamp
-                  : Date.now(),
-              totalTrades: data.transactions ? data.transactions.length : 0,
-            };
-          } catch (error) {
-            console.error(`Error reading ${file}:`, error.message);
-          }
+      this.registry.bots.forEach((bot) => {
+        const summary = this.getBotSummary(bot);
+        if (summary.status === 'active') {
+          realBotData[`bot${bot.id}`] = summary;
         }
       });
 
@@ -554,16 +796,44 @@ class PollenConfigServer {
     });
   }
 
-  // Helper method to get bot name
-  getBotName(botId) {
-    const botNames = {
-      bot1: 'Conservative Bot',
-      bot2: 'Momentum Bot',
-      bot3: 'Technical Bot',
-      bot4: 'Mean Reversion Bot',
-      bot5: 'Breakout Bot',
+  // Registry definition merged with the latest data/performance/bot<id>_performance.json
+  getBotSummary(bot) {
+    const summary = {
+      id: bot.id,
+      name: bot.name,
+      strategy: bot.strategy,
+      riskLevel: bot.risk,
+      maxAllocation: bot.maxAllocation,
+      initialStake: bot.initialStake,
+      tradingInterval: bot.interval,
+      address: bot.address,
+      enabled: bot.enabled,
+      status: 'configured'
     };
-    return botNames[botId] || `Bot ${botId}`;
+
+    const filePath = path.resolve(__dirname, `../../data/performance/bot${bot.id}_performance.json`);
+    if (!fs.existsSync(filePath)) {
+      return summary;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const history = data.portfolioHistory || [];
+      const latest = history[history.length - 1];
+
+      return {
+        ...summary,
+        status: 'active',
+        portfolioValue: latest ? latest.value : data.initialValue || 0,
+        pnl24h: history.length > 1 ? latest.dailyChangePercent || 0 : 0,
+        lastRebalance: latest ? latest.timestamp : Date.now(),
+        totalTrades: data.transactions ? data.transactions.length : 0,
+        performance: data.overallStats ? data.overallStats.totalReturn : 0
+      };
+    } catch (error) {
+      console.error(`Error reading ${filePath}:`, error.message);
+      return summary;
+    }
   }
 }
 
@@ -1,67 +1,159 @@
 const sqlite3 = require('sqlite3');
 const path = require('path');
+const { EventEmitter } = require('events');
+const { fromContractWeights } = require('../../../src/modules/asset-registry');
 
-const dbPath = path.join(__dirname, '../../data/local/pollenos.db');
-const db = new sqlite3.Database(dbPath);
+const DEFAULT_OPTIONS = {
+    reduceFactor: 0.5, // Share of a weight kept by reduce_position and reduce_exposure
+    stableAsset: 'USDC', // Receives the weight that actions take out of risky positions
+    cooldownMs: 60 * 60 * 1000 // A trigger fires at most once per cooldown
+};
 
-class RiskControls {
-    constructor() {
-        this.initializeTables();
+// Metrics that breach their control when they fall below the threshold.
+// A stop-loss threshold is a loss, so price_change breaches at -threshold.
+const FLOOR_METRICS = {
+    price_change: threshold => -Math.abs(threshold),
+    liquidity_ratio: threshold => threshold
+};
+
+// Until a source is set, e.g. the config server's bot supervisor, actions fail and are recorded as failed
+async function noPortfolioSource(botId) {
+    throw new Error(`No portfolio source to act on bot ${botId}`);
+}
+
+/**
+ * Risk controls per bot. Each control creates triggers on a metric; when
+ * evaluateControls sees a metric breach a trigger, its action rebalances the
+ * bot's portfolio through the MultiBotManager that runs it: on chain through
+ * the bot's transaction manager, or on its paper ledger:
+ *
+ * - sell_position zeroes the offending asset's weight
+ * - reduce_position scales the asset's weight by the reduce factor
+ * - reduce_exposure flattens shorts and scales every long but the stable asset
+ *
+ * Weight taken out of positions moves to the stable asset. Every attempt is
+ * recorded in risk_actions, whether it executed, was skipped or failed.
+ */
+class RiskControls extends EventEmitter {
+    /**
+     * @param {Object} [options] - See DEFAULT_OPTIONS
+     * @param {sqlite3.Database} [options.db] - Database handle, defaults to data/local/pollenos.db
+     * @param {Function} [options.getPortfolioInterface] - async botId => interface with
+     *   getPortfolioStatus and rebalanceVirtualPortfolio, such as MultiBotManager.portfolioInterfaceFor()
+     * @param {Function} [options.now] - Clock in ms
+     */
+    constructor(options = {}) {
+        super();
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.db = options.db || null;
+        this.getPortfolioInterface = options.getPortfolioInterface || noPortfolioSource;
+        this.now = options.now || Date.now;
+        this.tablesReady = null;
+    }
+
+    getDb() {
+        if (!this.db) {
+            this.db = new sqlite3.Database(path.join(__dirname, '../../data/local/pollenos.db'));
+        }
+        return this.db;
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.getDb().run(sql, params, function (err) {
+                if (err) return reject(err);
+                resolve({ lastID: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.getDb().all(sql, params, (err, rows) => {
+                if (err) return reject(err);
+                resolve(rows || []);
+            });
+        });
     }
 
     initializeTables() {
-        db.exec(`
-            CREATE TABLE IF NOT EXISTS risk_controls (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                bot_id INTEGER NOT NULL,
-                control_type TEXT NOT NULL,
-                parameters TEXT NOT NULL,
-                active BOOLEAN DEFAULT 1,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (bot_id) REFERENCES bot_configurations(id)
-            );
+        if (!this.tablesReady) {
+            this.tablesReady = new Promise((resolve, reject) => {
+                this.getDb().exec(`
+                    CREATE TABLE IF NOT EXISTS risk_controls (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        bot_id INTEGER NOT NULL,
+                        control_type TEXT NOT NULL,
+                        parameters TEXT NOT NULL,
+                        active BOOLEAN DEFAULT 1,
+                        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                        FOREIGN KEY (bot_id) REFERENCES bot_configurations(id)
+                    );
 
-            CREATE TABLE IF NOT EXISTS control_triggers (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                control_id INTEGER NOT NULL,
-                metric_name TEXT NOT NULL,
-                threshold DECIMAL(20,8),
-                action TEXT NOT NULL,
-                last_triggered TIMESTAMP,
-                FOREIGN KEY (control_id) REFERENCES risk_controls(id)
-            );
-        `);
+                    CREATE TABLE IF NOT EXISTS control_triggers (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        control_id INTEGER NOT NULL,
+                        metric_name TEXT NOT NULL,
+                        threshold DECIMAL(20,8),
+                        action TEXT NOT NULL,
+                        last_triggered TIMESTAMP,
+                        FOREIGN KEY (control_id) REFERENCES risk_controls(id)
+                    );
+
+                    CREATE TABLE IF NOT EXISTS risk_actions (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        bot_id INTEGER NOT NULL,
+                        control_id INTEGER NOT NULL,
+                        trigger_id INTEGER NOT NULL,
+                        action TEXT NOT NULL,
+                        metric TEXT NOT NULL,
+                        metric_value REAL,
+                        asset TEXT,
+                        status TEXT NOT NULL,
+                        previous_allocation TEXT,
+                        new_allocation TEXT,
+                        tx_hash TEXT,
+                        error TEXT,
+                        executed_at TIMESTAMP NOT NULL,
+                        FOREIGN KEY (trigger_id) REFERENCES control_triggers(id)
+                    );
+
+                    CREATE INDEX IF NOT EXISTS idx_risk_actions_bot_id
+                        ON risk_actions(bot_id, id);
+                `, (err) => {
+                    if (err) {
+                        this.tablesReady = null;
+                        return reject(err);
+                    }
+                    resolve();
+                });
+            });
+        }
+        return this.tablesReady;
     }
 
     async createControl(botId, controlType, parameters) {
-        try {
-            const stmt = db.prepare(`
-                INSERT INTO risk_controls (
-                    bot_id, control_type, parameters
-                ) VALUES (?, ?, ?)
-            `);
-            
-            const controlId = await stmt.run(
-                botId,
-                controlType,
-                JSON.stringify(parameters)
-            ).lastID;
-
-            // Create triggers based on control type
-            const triggers = this.createControlTriggers(controlType, parameters);
-            await this.saveTriggers(controlId, triggers);
-
-            return { id: controlId };
-        } catch (error) {
-            console.error('Failed to create risk control:', error);
-            throw error;
+        await this.initializeTables();
+        const triggers = this.createControlTriggers(controlType, parameters);
+        if (triggers.length === 0) {
+            throw new Error(`Unknown risk control type: ${controlType}`);
         }
+
+        const { lastID: controlId } = await this.run(
+            `INSERT INTO risk_controls (
+                bot_id, control_type, parameters
+            ) VALUES (?, ?, ?)`,
+            [botId, controlType, JSON.stringify(parameters)]
+        );
+        await this.saveTriggers(controlId, triggers);
+
+        return { id: controlId };
     }
 
     createControlTriggers(controlType, parameters) {
         const triggers = [];
-        
+
         switch (controlType) {
             case 'stop-loss':
                 triggers.push({
@@ -100,70 +192,92 @@ class RiskControls {
     }
 
     async saveTriggers(controlId, triggers) {
-        const stmt = db.prepare(`
-            INSERT INTO control_triggers (
-                control_id, metric_name, threshold, action
-            ) VALUES (?, ?, ?, ?)
-        `);
-
-        await Promise.all(triggers.map(trigger =>
-            stmt.run(
-                controlId,
-                trigger.metric,
-                trigger.threshold,
-                trigger.action
-            )
-        ));
+        for (const trigger of triggers) {
+            await this.run(
+                `INSERT INTO control_triggers (
+                    control_id, metric_name, threshold, action
+                ) VALUES (?, ?, ?, ?)`,
+                [controlId, trigger.metric, trigger.threshold, trigger.action]
+            );
+        }
     }
 
+    /**
+     * Check a bot's active controls against its metrics and execute the
+     * actions of breached triggers
+     * @param {number} botId - Bot id
+     * @param {Object} metrics - Metric name to a portfolio-wide value, or to
+     *   an object of per-asset values, e.g. { price_change: { WBTC: -0.12 } }
+     * @returns {Promise<Object[]>} Triggered actions with their outcome
+     */
     async evaluateControls(botId, metrics) {
-        try {
-            const activeControls = await this.getActiveControls(botId);
-            const triggeredActions = [];
+        const activeControls = await this.getActiveControls(botId);
+        const triggeredActions = [];
 
-            for (const control of activeControls) {
-                const triggers = await this.getControlTriggers(control.id);
-                const actions = await this.checkTriggers(triggers, metrics);
-                triggeredActions.push(...actions);
-            }
-
-            // Execute actions if any were triggered
-            if (triggeredActions.length > 0) {
-                await this.executeActions(triggeredActions);
-            }
+        for (const control of activeControls) {
+            const triggers = await this.getControlTriggers(control.id);
+            triggeredActions.push(...this.checkTriggers(triggers, metrics, control));
+        }
 
-            return triggeredActions;
-        } catch (error) {
-            console.error('Failed to evaluate risk controls:', error);
-            throw error;
+        // Execute actions if any were triggered
+        if (triggeredActions.length > 0) {
+            await this.executeActions(botId, triggeredActions);
         }
+
+        return triggeredActions;
     }
 
     async getActiveControls(botId) {
-        return db.prepare(`
-            SELECT * FROM risk_controls 
-            WHERE bot_id = ? AND active = 1
-        `).all(botId);
+        await this.initializeTables();
+        return this.all(
+            `SELECT * FROM risk_controls
+             WHERE bot_id = ? AND active = 1`,
+            [botId]
+        );
     }
 
     async getControlTriggers(controlId) {
-        return db.prepare(`
-            SELECT * FROM control_triggers 
-            WHERE control_id = ?
-        `).all(controlId);
+        await this.initializeTables();
+        return this.all(
+            `SELECT * FROM control_triggers
+             WHERE control_id = ?`,
+            [controlId]
+        );
     }
 
-    async checkTriggers(triggers, metrics) {
+    isBreached(metric, value, threshold) {
+        if (FLOOR_METRICS[metric]) {
+            return value < FLOOR_METRICS[metric](threshold);
+        }
+        return value > threshold;
+    }
+
+    checkTriggers(triggers, metrics, control = {}) {
+        const parameters = control.parameters ? JSON.parse(control.parameters) : {};
         const actions = [];
+
         for (const trigger of triggers) {
             const metricValue = metrics[trigger.metric_name];
-            if (metricValue !== undefined) {
-                if (metricValue > trigger.threshold) {
+            if (metricValue === undefined || metricValue === null) continue;
+
+            const lastTriggered = trigger.last_triggered ? new Date(trigger.last_triggered).getTime() : null;
+            if (lastTriggered !== null && this.now() - lastTriggered < this.options.cooldownMs) continue;
+
+            // A portfolio-wide value applies to the control's asset, if it names one
+            const values = typeof metricValue === 'object'
+                ? Object.entries(metricValue)
+                : [[parameters.asset || null, metricValue]];
+
+            for (const [asset, value] of values) {
+                if (this.isBreached(trigger.metric_name, Number(value), Number(trigger.threshold))) {
                     actions.push({
                         trigger_id: trigger.id,
+                        control_id: trigger.control_id,
                         action: trigger.action,
                         metric: trigger.metric_name,
-                        value: metricValue
+                        value: Number(value),
+                        asset,
+                        parameters
                     });
                 }
             }
@@ -171,57 +285,199 @@ class RiskControls {
         return actions;
     }
 
-    async executeActions(actions) {
+    async executeActions(botId, actions) {
+        let portfolio = null;
+        let unavailable = null;
+        try {
+            portfolio = await this.getPortfolioInterface(botId);
+        } catch (error) {
+            unavailable = error;
+        }
+
         for (const action of actions) {
-            switch (action.action) {
-                case 'sell_position':
-                    await this.executeSellPosition(action);
-                    break;
-                case 'reduce_position':
-                    await this.executeReducePosition(action);
-                    break;
-                case 'reduce_exposure':
-                    await this.executeReduceExposure(action);
-                    break;
+            try {
+                if (unavailable) {
+                    throw unavailable;
+                }
+                switch (action.action) {
+                    case 'sell_position':
+                        action.result = await this.executeSellPosition(portfolio, action);
+                        break;
+                    case 'reduce_position':
+                        action.result = await this.executeReducePosition(portfolio, action);
+                        break;
+                    case 'reduce_exposure':
+                        action.result = await this.executeReduceExposure(portfolio, action);
+                        break;
+                    default:
+                        action.result = { status: 'skipped', reason: `unknown action ${action.action}` };
+                }
+            } catch (error) {
+                action.result = { status: 'failed', error: error.message };
             }
+
+            await this.recordAction(botId, action);
+            await this.updateTriggerStatus(action.trigger_id, new Date(this.now()).toISOString());
+            this.emit('actionExecuted', { botId, ...action });
+        }
+    }
+
+    /**
+     * Current allocation as signed weights per asset, at current prices
+     * where the interface reports them
+     */
+    async readAllocation(portfolio) {
+        const status = await portfolio.getPortfolioStatus();
+        if (!status.hasPortfolio) {
+            throw new Error(status.error || 'Bot has no portfolio');
+        }
+
+        return fromContractWeights(status.currentWeights || status.weights, status.isShort || [], status.assets);
+    }
+
+    /**
+     * Replace a position by part of its weight, moving what is taken out to
+     * the stable asset, and submit the new allocation
+     * @param {Object} portfolio - Portfolio interface
+     * @param {Object} action - Triggered action
+     * @param {Function} adjust - (allocation, stableAsset) => allocation, or null when nothing changes
+     */
+    async rebalanceAway(portfolio, action, adjust) {
+        const stableAsset = action.parameters.stableAsset || this.options.stableAsset;
+        const previous = await this.readAllocation(portfolio);
+        const next = adjust({ ...previous }, stableAsset);
+        if (!next) {
+            return { status: 'skipped', reason: 'nothing to adjust', previous };
+        }
+
+        const taken = Object.values(previous).reduce((sum, weight) => sum + Math.abs(weight), 0)
+            - Object.values(next).reduce((sum, weight) => sum + Math.abs(weight), 0);
+        next[stableAsset] = (next[stableAsset] || 0) + taken;
+
+        const held = Object.entries(next).filter(([, weight]) => Math.abs(weight) > 1e-9);
+        const result = await portfolio.rebalanceVirtualPortfolio(
+            held.map(([asset]) => asset),
+            held.map(([, weight]) => Math.abs(weight)),
+            { isShort: held.map(([, weight]) => weight < 0), force: true }
+        );
+
+        return {
+            status: 'executed',
+            previous,
+            next: Object.fromEntries(held),
+            txHash: result.transactionHash || null
+        };
+    }
+
+    async executeSellPosition(portfolio, action) {
+        if (!action.asset) {
+            return { status: 'skipped', reason: 'stop-loss needs an asset, per-asset metric or parameters.asset' };
+        }
+
+        return this.rebalanceAway(portfolio, action, allocation => {
+            if (!allocation[action.asset]) return null;
+            allocation[action.asset] = 0;
+            return allocation;
+        });
+    }
+
+    async executeReducePosition(portfolio, action) {
+        if (!action.asset) {
+            return { status: 'skipped', reason: 'reduce_position needs an asset, per-asset metric or parameters.asset' };
         }
+        const factor = action.parameters.reduceFactor ?? this.options.reduceFactor;
+
+        return this.rebalanceAway(portfolio, action, allocation => {
+            if (!allocation[action.asset]) return null;
+            allocation[action.asset] *= factor;
+            return allocation;
+        });
     }
 
-    async executeSellPosition(action) {
-        // Implementation of position selling logic
-        console.log(`Executing sell position for ${action.metric}`);
-        // Add actual trading logic here
+    async executeReduceExposure(portfolio, action) {
+        const factor = action.parameters.reduceFactor ?? this.options.reduceFactor;
+
+        return this.rebalanceAway(portfolio, action, (allocation, stableAsset) => {
+            const risky = Object.keys(allocation).filter(asset => asset !== stableAsset && allocation[asset] !== 0);
+            if (risky.length === 0) return null;
+
+            risky.forEach(asset => {
+                allocation[asset] = allocation[asset] < 0 ? 0 : allocation[asset] * factor;
+            });
+            return allocation;
+        });
     }
 
-    async executeReducePosition(action) {
-        // Implementation of position reduction logic
-        console.log(`Reducing position for ${action.metric}`);
-        // Add actual position reduction logic here
+    async recordAction(botId, action) {
+        const { result } = action;
+        await this.run(
+            `INSERT INTO risk_actions (
+                bot_id, control_id, trigger_id, action, metric, metric_value, asset, status,
+                previous_allocation, new_allocation, tx_hash, error, executed_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [botId, action.control_id, action.trigger_id, action.action, action.metric, action.value, action.asset,
+                result.status,
+                result.previous ? JSON.stringify(result.previous) : null,
+                result.next ? JSON.stringify(result.next) : null,
+                result.txHash || null,
+                result.error || result.reason || null,
+                new Date(this.now()).toISOString()]
+        );
     }
 
-    async executeReduceExposure(action) {
-        // Implementation of exposure reduction logic
-        console.log(`Reducing exposure due to ${action.metric}`);
-        // Add actual exposure reduction logic here
+    /**
+     * Audit trail of risk actions for a bot, newest first
+     * @param {number} botId - Bot id
+     * @param {number} [limit=50]
+     */
+    async getActionHistory(botId, limit = 50) {
+        await this.initializeTables();
+        const rows = await this.all(
+            `SELECT * FROM risk_actions
+             WHERE bot_id = ?
+             ORDER BY id DESC LIMIT ?`,
+            [botId, limit]
+        );
+        return rows.map(row => ({
+            id: row.id,
+            botId: row.bot_id,
+            controlId: row.control_id,
+            triggerId: row.trigger_id,
+            action: row.action,
+            metric: row.metric,
+            metricValue: row.metric_value,
+            asset: row.asset,
+            status: row.status,
+            previousAllocation: row.previous_allocation ? JSON.parse(row.previous_allocation) : null,
+            newAllocation: row.new_allocation ? JSON.parse(row.new_allocation) : null,
+            txHash: row.tx_hash,
+            error: row.error,
+            executedAt: row.executed_at
+        }));
     }
 
     async updateTriggerStatus(triggerId, timestamp) {
-        const stmt = db.prepare(`
-            UPDATE control_triggers 
-            SET last_triggered = ? 
-            WHERE id = ?
-        `);
-        await stmt.run(timestamp, triggerId);
+        await this.run(
+            `UPDATE control_triggers
+             SET last_triggered = ?
+             WHERE id = ?`,
+            [timestamp, triggerId]
+        );
     }
 
     async disableControl(controlId) {
-        const stmt = db.prepare(`
-            UPDATE risk_controls 
-            SET active = 0 
-            WHERE id = ?
-        `);
-        await stmt.run(controlId);
+        await this.initializeTables();
+        await this.run(
+            `UPDATE risk_controls
+             SET active = 0, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [controlId]
+        );
     }
 }
 
-module.exports = new RiskControls();
+// Export the class for testing and the singleton instance for runtime use
+module.exports = {
+    RiskControls,
+    riskControls: new RiskControls()
+};
@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
-const agentScoring = require('../analytics/agent-scoring');
+const { agentScoring } = require('../analytics/agent-scoring');
+const { reputationTracker } = require('../analytics/reputation-tracker');
 const validationFramework = require('../analytics/validation-framework');
 const pollenVirtualService = require('../services/pollen-virtual-service');
+const { requireRole } = require('../auth/access-control');
 
 // Get all agent scores
 router.get('/scores', async (req, res) => {
@@ -30,7 +32,7 @@ router.get('/:botId/validation', async (req, res) => {
 });
 
 // Run validation for a bot
-router.post('/:botId/validate', async (req, res) => {
+router.post('/:botId/validate', requireRole('operator'), async (req, res) => {
     try {
         const { botId } = req.params;
         const result = await validationFramework.runValidation(botId);
@@ -63,8 +65,42 @@ router.get('/:botId/pollen-virtual', async (req, res) => {
     }
 });
 
+// Get the whitepaper reputation and rebalance history for a bot
+router.get('/:botId/reputation', async (req, res) => {
+    try {
+        const { botId } = req.params;
+        const limit = parseInt(req.query.limit) || 100;
+
+        const reputation = await reputationTracker.getReputation(botId);
+        const history = await reputationTracker.getHistory(botId, limit);
+        res.json({ success: true, data: { ...reputation, history } });
+    } catch (error) {
+        console.error('Error fetching reputation:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch reputation' });
+    }
+});
+
+// Record the portfolio and benchmark returns of a rebalance
+router.post('/:botId/reputation', requireRole('operator'), async (req, res) => {
+    try {
+        const { botId } = req.params;
+        const { portfolioReturn, benchmarkReturn, timestamp, txHash } = req.body;
+
+        const event = await reputationTracker.recordRebalance(botId, {
+            portfolioReturn, benchmarkReturn, timestamp, txHash
+        });
+        res.json({ success: true, data: event });
+    } catch (error) {
+        if (error.validationErrors) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('Error recording reputation:', error);
+        res.status(500).json({ success: false, error: 'Failed to record reputation' });
+    }
+});
+
 // Update agent score (admin only)
-router.post('/:botId/update-score', async (req, res) => {
+router.post('/:botId/update-score', requireRole('admin'), async (req, res) => {
     try {
         const { botId } = req.params;
         await agentScoring.updateAgentScore(botId);
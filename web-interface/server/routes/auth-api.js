@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+const { authService } = require('../auth/auth-service');
+const { SESSION_COOKIE, createLoginThrottle, readToken, authenticate, requireRole } = require('../auth/access-control');
+
+const loginThrottle = createLoginThrottle();
+
+// Log in with a username and password; the session token is set as an HttpOnly cookie
+router.post('/login', async (req, res) => {
+    try {
+        const retryAfterMs = loginThrottle.retryAfterMs(req);
+        if (retryAfterMs > 0) {
+            const seconds = Math.ceil(retryAfterMs / 1000);
+            res.set('Retry-After', String(seconds));
+            return res.status(429).json({ success: false, error: `Too many failed logins, try again in ${seconds} seconds` });
+        }
+
+        const { username, password } = req.body || {};
+        const session = await authService.login(username, password);
+        if (!session) {
+            loginThrottle.recordFailure(req);
+            return res.status(401).json({ success: false, error: 'Invalid username or password' });
+        }
+        loginThrottle.reset(req);
+
+        res.cookie(SESSION_COOKIE, session.token, {
+            httpOnly: true,
+            sameSite: 'strict',
+            secure: req.secure,
+            expires: new Date(session.expiresAt)
+        });
+        res.json({ success: true, user: session.user, token: session.token, expiresAt: session.expiresAt });
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({ success: false, error: 'Failed to log in' });
+    }
+});
+
+// Everything below needs a valid session or API token
+router.use(authenticate(authService));
+
+router.post('/logout', async (req, res) => {
+    try {
+        await authService.logout(readToken(req));
+        res.clearCookie(SESSION_COOKIE);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.get('/me', (req, res) => {
+    res.json({ success: true, user: req.user });
+});
+
+// API tokens of the current user, for scripts calling the API with Authorization: Bearer
+router.get('/tokens', async (req, res) => {
+    try {
+        res.json({ success: true, data: await authService.listTokens(req.user.id) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.post('/tokens', async (req, res) => {
+    try {
+        const token = await authService.createApiToken(req.user.id, (req.body || {}).label || null);
+        res.json({ success: true, data: token });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.delete('/tokens/:id', async (req, res) => {
+    try {
+        if (!await authService.revokeToken(req.user.id, req.params.id)) {
+            return res.status(404).json({ success: false, error: `Token ${req.params.id} not found` });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// User management
+router.get('/users', requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ success: true, data: await authService.listUsers() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.post('/users', requireRole('admin'), async (req, res) => {
+    try {
+        const { username, password, role } = req.body || {};
+        const user = await authService.createUser(username, password, role);
+        res.json({ success: true, data: user });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+router.put('/users/:username', requireRole('admin'), async (req, res) => {
+    try {
+        const { role, password } = req.body || {};
+        if (role) {
+            await authService.setRole(req.params.username, role);
+        }
+        if (password) {
+            await authService.setPassword(req.params.username, password);
+        }
+        res.json({ success: true });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+router.delete('/users/:username', requireRole('admin'), async (req, res) => {
+    try {
+        if (req.params.username === req.user.username) {
+            return res.status(400).json({ success: false, error: 'Cannot delete your own account' });
+        }
+        await authService.deleteUser(req.params.username);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
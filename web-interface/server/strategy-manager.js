@@ -1,7 +1,8 @@
 const fs = require('fs').promises;
 const path = require('path');
-const { validateStrategy } = require('./strategy-validator');
+const StrategyValidator = require('./strategy-validator');
 const localStorage = require('./local-storage');
+const { backtester } = require('./analytics/backtester');
 
 const STRATEGIES_DIR = path.join(__dirname, '../../data/strategies');
 
@@ -44,7 +45,7 @@ class StrategyManager {
   async saveStrategy(strategy) {
     try {
       // Validate strategy before saving
-      const validation = await validateStrategy(strategy);
+      const validation = await StrategyValidator.validateStrategy(strategy);
       if (!validation.valid) {
         throw new Error(`Strategy validation failed: ${validation.errors.join(', ')}`);
       }
@@ -100,7 +101,7 @@ class StrategyManager {
 
   async validateStrategy(strategy) {
     try {
-      const validation = await validateStrategy(strategy);
+      const validation = await StrategyValidator.validateStrategy(strategy);
       return validation;
     } catch (error) {
       console.error('Error validating strategy:', error);
@@ -125,18 +126,11 @@ class StrategyManager {
     }
   }
 
-  async runBacktest(strategy, params) {
-    // TODO: Implement backtesting logic
-    // This will use historical data to test strategy performance
+  async runBacktest(strategy, params = {}) {
+    const results = await backtester.run(strategy, params);
     return {
       success: true,
-      results: {
-        totalTrades: 0,
-        winRate: 0,
-        profitLoss: 0,
-        maxDrawdown: 0,
-        sharpeRatio: 0
-      }
+      results
     };
   }
 }
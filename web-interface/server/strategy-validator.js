@@ -25,10 +25,6 @@ class StrategyValidator {
         errors.push(error.message);
       }
     }
-    const riskValidation = await validateRiskLevel(strategy.riskLevel);
-    if (!riskValidation.valid) {
-      errors.push(...riskValidation.errors);
-    }
 
     // Validate parameters based on strategy type
     const typeValidators = {
@@ -5,6 +5,12 @@ jest.mock('path', () => ({
   join: jest.fn().mockReturnValue('/mock/db/path')
 }));
 
+// Columns of an up-to-date agent_scores table
+const AGENT_SCORE_COLUMNS = [
+  'id', 'bot_id', 'overall_score', 'risk_adjusted_score', 'consistency_score', 'strategy_score',
+  'efficiency_score', 'reputation_score', 'pollen_virtual_score', 'last_virtual_rank', 'last_updated'
+];
+
 // Create a mock database implementation
 const createMockDb = () => {
   const mockDb = {
@@ -35,7 +41,9 @@ const createMockDb = () => {
         params = [];
       }
       
-      if (query.includes('FROM bots') || query.includes('agent_scores')) {
+      if (query.startsWith('PRAGMA table_info')) {
+        callback(null, AGENT_SCORE_COLUMNS.map(name => ({ name })));
+      } else if (query.includes('FROM bots') || query.includes('agent_scores')) {
         callback(null, [{
           bot_id: 'test-bot-1',
           name: 'Test Bot',
@@ -88,6 +96,11 @@ const mockPollenVirtualService = {
   getBotRank: jest.fn().mockResolvedValue({ rank: 5, totalParticipants: 100 })
 };
 
+// Mock the local reputation tracker
+const mockReputationTracker = {
+  getReputation: jest.fn().mockResolvedValue({ botId: 'test-bot-1', reputation: 1.2, score: 60 })
+};
+
 // Mock the Pollen Virtual service module
 jest.mock('../services/pollen-virtual-service', () => ({
   __esModule: true,
@@ -119,7 +132,8 @@ describe('Agent Scoring System', () => {
     
     // Create a new instance with the mock Pollen Virtual service
     agentScoring = new AgentScoring({
-      pollenVirtualService: mockPollenVirtualService
+      pollenVirtualService: mockPollenVirtualService,
+      reputationTracker: mockReputationTracker
     });
     
     // Set up the database instance
@@ -128,6 +142,7 @@ describe('Agent Scoring System', () => {
     // Reset the mock implementations
     mockPollenVirtualService.calculateVirtualScore.mockResolvedValue(85);
     mockPollenVirtualService.getBotRank.mockResolvedValue({ rank: 5, totalParticipants: 100 });
+    mockReputationTracker.getReputation.mockResolvedValue({ botId: 'test-bot-1', reputation: 1.2, score: 60 });
     
     // Setup the mock helper methods
     Object.assign(agentScoring, mockHelperMethods);
@@ -162,7 +177,9 @@ describe('Agent Scoring System', () => {
         params = [];
       }
       
-      if (query.includes('FROM bots') || query.includes('agent_scores')) {
+      if (query.startsWith('PRAGMA table_info')) {
+        callback(null, AGENT_SCORE_COLUMNS.map(name => ({ name })));
+      } else if (query.includes('FROM bots') || query.includes('agent_scores')) {
         callback(null, [{
           bot_id: 'test-bot-1',
           name: 'Test Bot',
@@ -188,6 +205,24 @@ describe('Agent Scoring System', () => {
     jest.clearAllMocks();
   });
 
+  describe('initializeTables', () => {
+    it('should add the columns a database from before them is missing', () => {
+      // An agent_scores table created before the reputation and Pollen Virtual columns
+      mockDb.all.mockImplementationOnce((query, callback) => {
+        callback(null, ['id', 'bot_id', 'overall_score', 'pollen_virtual_score', 'last_updated'].map(name => ({ name })));
+      });
+
+      agentScoring.initializeTables();
+
+      expect(mockDb.all).toHaveBeenCalledWith('PRAGMA table_info(agent_scores)', expect.any(Function));
+      const alters = mockDb.run.mock.calls.map(([query]) => query);
+      expect(alters).toEqual([
+        'ALTER TABLE agent_scores ADD COLUMN reputation_score DECIMAL(5,2) DEFAULT 0',
+        'ALTER TABLE agent_scores ADD COLUMN last_virtual_rank INTEGER'
+      ]);
+    });
+  });
+
   describe('updateAgentScore', () => {
     it('should calculate and update agent score', async () => {
       // Setup mocks
@@ -213,6 +248,10 @@ describe('Agent Scoring System', () => {
       // Verify the Pollen Virtual service was called
       expect(mockPollenVirtualService.calculateVirtualScore).toHaveBeenCalledWith('test-bot-1');
       
+      // Verify the reputation score was weighted in and stored
+      expect(mockReputationTracker.getReputation).toHaveBeenCalledWith('test-bot-1');
+      expect(runSpy.mock.calls[0][1]).toContain(60);
+      
       // Verify the helper methods were called with expected arguments
       expect(agentScoring.getHistoricalReturns).toHaveBeenCalledWith('test-bot-1');
       expect(agentScoring.calculateRiskAdjustedScore).toHaveBeenCalled();
@@ -256,6 +295,23 @@ describe('Agent Scoring System', () => {
     });
   });
 
+  describe('getReputationScore', () => {
+    it('should return the local reputation score', async () => {
+      const score = await agentScoring.getReputationScore('test-bot-1');
+      
+      expect(score).toBe(60);
+      expect(mockReputationTracker.getReputation).toHaveBeenCalledWith('test-bot-1');
+    });
+    
+    it('should return 0 if the reputation cannot be read', async () => {
+      mockReputationTracker.getReputation.mockRejectedValueOnce(new Error('SQLITE_BUSY'));
+      
+      const score = await agentScoring.getReputationScore('test-bot-1');
+      
+      expect(score).toBe(0);
+    });
+  });
+
   describe('getPollenVirtualScore', () => {
     it('should return the Pollen Virtual score', async () => {
       // Setup the mock to return a specific score
@@ -0,0 +1,145 @@
+const { ethers } = require('ethers');
+const { getAsset, listAssets } = require('../../../src/config/assets');
+const { AssetRegistry, toContractWeights, fromContractWeights } = require('../../../src/modules/asset-registry');
+const { getNetwork } = require('../../../src/config/networks');
+
+const DAO = new ethers.Interface([
+  'function getAssets() view returns (address[])',
+  'event AssetAdded(address indexed asset)',
+  'event AssetRemoved(address indexed asset)'
+]);
+const ERC20 = new ethers.Interface(['function symbol() view returns (string)']);
+
+const TOKENS = {
+  '0x1111111111111111111111111111111111111111': 'USDC',
+  '0x2222222222222222222222222222222222222222': 'WETH',
+  '0x3333333333333333333333333333333333333333': 'PEPE',
+  '0x4444444444444444444444444444444444444444': null // No symbol()
+};
+
+// Whitelist events of a DAO without getAssets(): [event, token, block]
+const WHITELIST_EVENTS = [
+  ['AssetAdded', '0x1111111111111111111111111111111111111111', 100],
+  ['AssetAdded', '0x2222222222222222222222222222222222222222', 5000],
+  ['AssetAdded', '0x3333333333333333333333333333333333333333', 15000],
+  ['AssetRemoved', '0x2222222222222222222222222222222222222222', 16000]
+];
+
+// A chain with the PollenDAO at the profile's address and the tokens above
+function createProvider({ getAssets = true } = {}) {
+  const network = getNetwork('base-sepolia');
+  const provider = {
+    getBlockNumber: async () => 20000,
+    call: async ({ to }) => {
+      if (to.toLowerCase() === network.contracts.pollenDAO.toLowerCase()) {
+        if (!getAssets) {
+          throw new Error('execution reverted');
+        }
+        return DAO.encodeFunctionResult('getAssets', [Object.keys(TOKENS)]);
+      }
+      const symbol = TOKENS[to.toLowerCase()];
+      if (!symbol) {
+        throw new Error('execution reverted');
+      }
+      return ERC20.encodeFunctionResult('symbol', [symbol]);
+    },
+    getLogs: jest.fn(async ({ fromBlock, toBlock }) => WHITELIST_EVENTS
+      .filter(([, , blockNumber]) => blockNumber >= fromBlock && blockNumber <= toBlock)
+      .map(([event, address, blockNumber]) => ({
+        ...DAO.encodeEventLog(event, [address]),
+        address: network.contracts.pollenDAO,
+        blockNumber,
+        blockHash: ethers.ZeroHash,
+        transactionHash: ethers.ZeroHash,
+        transactionIndex: 0,
+        index: 0,
+        removed: false
+      })))
+  };
+  provider.provider = provider;
+  return provider;
+}
+
+describe('asset registry', () => {
+  it('looks assets up in the catalog by symbol or alias', () => {
+    expect(getAsset('wbtc.e')).toMatchObject({
+      symbol: 'WBTC.E',
+      category: 'BLUE_CHIP',
+      riskLevel: 'low',
+      priceIds: { coingecko: 'wrapped-bitcoin', cryptocompare: 'BTC', binance: 'BTCUSDT' }
+    });
+    expect(getAsset('AAVE').symbol).toBe('AAVE.E');
+    expect(getAsset('USDT').priceIds.binance).toBeNull();
+    expect(getAsset('DOGE')).toBeNull();
+
+    const tradable = listAssets({ tradable: true }).map(asset => asset.symbol);
+    expect(tradable).toContain('cbETH');
+    expect(tradable).not.toContain('BTC');
+  });
+
+  it('starts from the profile order of the network', () => {
+    const registry = new AssetRegistry(getNetwork('base-sepolia'));
+
+    expect(registry.symbols).toEqual(['WBTC', 'cbETH', 'WETH', 'USDC', 'USDT', 'DAI', 'LINK']);
+    expect(registry.get('weth')).toMatchObject({ index: 2, symbol: 'WETH', address: null, category: 'BLUE_CHIP' });
+    expect(registry.indexOf('LINK')).toBe(6);
+    expect(registry.indexOf('WAVAX')).toBe(-1);
+  });
+
+  it('converts allocations to and from contract weights', () => {
+    const registry = new AssetRegistry(getNetwork('base-sepolia'));
+    const { weights, isShort } = registry.toContractWeights({ WBTC: 50, WETH: -100 / 3, USDC: 100 / 6 });
+
+    expect(weights).toEqual([50, 0, 33, 17, 0, 0, 0]);
+    expect(isShort).toEqual([false, false, true, false, false, false, false]);
+    expect(registry.fromContractWeights(weights, isShort)).toEqual({ WBTC: 50, cbETH: 0, WETH: -33, USDC: 17, USDT: 0, DAI: 0, LINK: 0 });
+    expect(fromContractWeights([60n, 40n], [false, true], ['A', 'B'])).toEqual({ A: 60, B: -40 });
+    expect(() => fromContractWeights([50, 50], [false, false], ['A'])).toThrow('only 1 assets are mapped');
+    expect(() => toContractWeights({ C: 10 }, ['A', 'B'])).toThrow('no weight');
+  });
+
+  it('syncs the whitelist order and token addresses from the DAO', async () => {
+    const registry = new AssetRegistry(getNetwork('base-sepolia'));
+
+    await registry.sync(createProvider());
+
+    expect(registry.symbols).toEqual(['USDC', 'WETH', 'PEPE', '0x4444444444444444444444444444444444444444']);
+    expect(registry.get('0x2222222222222222222222222222222222222222')).toMatchObject({ index: 1, symbol: 'WETH', riskLevel: 'low' });
+    expect(registry.get('PEPE')).toMatchObject({ index: 2, category: null, priceIds: {} });
+    expect(registry.syncedAt).toBeInstanceOf(Date);
+    expect(registry.toContractWeights({ WETH: 100 }).weights).toEqual([0, 100, 0, 0]);
+  });
+
+  it('replays the whitelist events from the deployment block without getAssets()', async () => {
+    const provider = createProvider({ getAssets: false });
+    const registry = new AssetRegistry({ ...getNetwork('base-sepolia'), assets: ['USDC', 'PEPE'] }, { fromBlock: 50 });
+
+    await registry.sync(provider);
+
+    expect(registry.symbols).toEqual(['USDC', 'PEPE']);
+    expect(registry.get('PEPE')).toMatchObject({ index: 1, address: '0x3333333333333333333333333333333333333333' });
+    const ranges = provider.getLogs.mock.calls.map(([{ fromBlock, toBlock }]) => [fromBlock, toBlock]);
+    expect(ranges[0]).toEqual([50, 2049]);
+    expect(ranges[ranges.length - 1]).toEqual([18050, 20000]);
+    await expect(new AssetRegistry(getNetwork('base')).sync(provider)).rejects.toThrow('Base has no PollenDAO address');
+  });
+
+  it('keeps the profile order when the replayed whitelist has a different length', async () => {
+    const registry = new AssetRegistry({ ...getNetwork('base-sepolia'), deployBlock: 0 });
+
+    await registry.sync(createProvider({ getAssets: false }));
+
+    expect(registry.symbols).toEqual(['WBTC', 'cbETH', 'WETH', 'USDC', 'USDT', 'DAI', 'LINK']);
+    expect(registry.syncedAt).toBeNull();
+  });
+
+  it('keeps the profile order instead of scanning from genesis without a deployment block', async () => {
+    const provider = createProvider({ getAssets: false });
+    const registry = new AssetRegistry({ ...getNetwork('base-sepolia'), deployBlock: null });
+
+    await registry.sync(provider);
+
+    expect(registry.symbols).toEqual(['WBTC', 'cbETH', 'WETH', 'USDC', 'USDT', 'DAI', 'LINK']);
+    expect(provider.getLogs).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,129 @@
+const sqlite3 = require('sqlite3');
+const { AuthService } = require('../auth/auth-service');
+const { createLoginThrottle, readToken, authenticate, requireRole } = require('../auth/access-control');
+
+function mockResponse() {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+}
+
+describe('AuthService', () => {
+    let db;
+    let now;
+    let auth;
+
+    beforeEach(() => {
+        db = new sqlite3.Database(':memory:');
+        now = Date.parse('2024-01-01T00:00:00Z');
+        auth = new AuthService({ db, now: () => now, sessionTtlMs: 60 * 60 * 1000 });
+    });
+
+    afterEach((done) => {
+        db.close(() => done());
+    });
+
+    it('hashes passwords and issues sessions that expire', async () => {
+        await auth.createUser('alice', 'correct horse', 'operator');
+
+        const [row] = await auth.all('SELECT password_hash FROM users');
+        expect(row.password_hash).toMatch(/^scrypt\$/);
+        await expect(auth.login('alice', 'wrong password')).resolves.toBeNull();
+        await expect(auth.login('bob', 'correct horse')).resolves.toBeNull();
+
+        const session = await auth.login('alice', 'correct horse');
+        expect(session.user).toMatchObject({ username: 'alice', role: 'operator' });
+        await expect(auth.authenticate(session.token)).resolves.toMatchObject({ username: 'alice' });
+
+        now += 2 * 60 * 60 * 1000;
+        await expect(auth.authenticate(session.token)).resolves.toBeNull();
+    });
+
+    it('keeps API tokens until they are revoked and reflects role changes', async () => {
+        const user = await auth.createUser('ci', 'build-bot-secret');
+        const { id, token } = await auth.createApiToken(user.id, 'deploy script');
+
+        now += 365 * 24 * 60 * 60 * 1000;
+        await expect(auth.authenticate(token)).resolves.toMatchObject({ role: 'viewer' });
+        await auth.setRole('ci', 'admin');
+        await expect(auth.authenticate(token)).resolves.toMatchObject({ role: 'admin' });
+
+        const [listed] = await auth.listTokens(user.id);
+        expect(listed).toMatchObject({ id, type: 'api', label: 'deploy script', expiresAt: null });
+        expect(listed.token).toBeUndefined();
+
+        await expect(auth.revokeToken(user.id, id)).resolves.toBe(true);
+        await expect(auth.authenticate(token)).resolves.toBeNull();
+    });
+
+    it('rejects invalid accounts', async () => {
+        await expect(auth.createUser('eve', 'short')).rejects.toThrow('at least 8 characters');
+        await expect(auth.createUser('eve', 'long enough', 'root')).rejects.toThrow('Role must be one of');
+        await expect(auth.createUser('e ve', 'long enough')).rejects.toThrow('Username may only contain');
+
+        await auth.createUser('eve', 'long enough');
+        await expect(auth.createUser('eve', 'long enough')).rejects.toThrow('User eve already exists');
+    });
+
+    it('creates the first admin with a generated password only once', async () => {
+        const password = await auth.ensureAdmin();
+
+        expect(password).toEqual(expect.any(String));
+        await expect(auth.login('admin', password)).resolves.toMatchObject({ user: { role: 'admin' } });
+        await expect(auth.ensureAdmin()).resolves.toBeNull();
+        await expect(auth.listUsers()).resolves.toHaveLength(1);
+    });
+});
+
+describe('access control', () => {
+    it('reads bearer tokens, session cookies and WebSocket query tokens', () => {
+        expect(readToken({ headers: { authorization: 'Bearer abc' } })).toBe('abc');
+        expect(readToken({ headers: { cookie: 'theme=dark; pollen_session=def' } })).toBe('def');
+        expect(readToken({ headers: {}, url: '/?token=ghi' })).toBeNull();
+        expect(readToken({ headers: {}, url: '/?token=ghi' }, { allowQuery: true })).toBe('ghi');
+    });
+
+    it('answers 401 without a user and 403 below the required role', async () => {
+        const service = { authenticate: async token => token === 'viewer-token' ? { username: 'v', role: 'viewer' } : null };
+        const next = jest.fn();
+
+        const anonymous = mockResponse();
+        await authenticate(service)({ headers: {} }, anonymous, next);
+        expect(anonymous.status).toHaveBeenCalledWith(401);
+
+        const req = { headers: { authorization: 'Bearer viewer-token' } };
+        await authenticate(service)(req, mockResponse(), next);
+        expect(req.user).toMatchObject({ role: 'viewer' });
+        expect(next).toHaveBeenCalledTimes(1);
+
+        const forbidden = mockResponse();
+        requireRole('operator')(req, forbidden, next);
+        expect(forbidden.status).toHaveBeenCalledWith(403);
+
+        requireRole('viewer')(req, mockResponse(), next);
+        expect(next).toHaveBeenCalledTimes(2);
+    });
+
+    it('throttles an address after repeated failed logins', () => {
+        let now = 0;
+        const throttle = createLoginThrottle({ maxFailures: 3, windowMs: 60000, now: () => now });
+        const attacker = { ip: '10.0.0.1' };
+        const user = { ip: '10.0.0.2' };
+
+        for (let i = 0; i < 3; i++) {
+            expect(throttle.retryAfterMs(attacker)).toBe(0);
+            throttle.recordFailure(attacker);
+            now += 1000;
+        }
+        expect(throttle.retryAfterMs(attacker)).toBe(57000);
+        expect(throttle.retryAfterMs(user)).toBe(0);
+
+        now += 57000;
+        expect(throttle.retryAfterMs(attacker)).toBe(0);
+
+        throttle.recordFailure(user);
+        throttle.reset(user);
+        expect(throttle.retryAfterMs(user)).toBe(0);
+    });
+});
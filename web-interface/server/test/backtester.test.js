@@ -0,0 +1,123 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { Backtester } = require('../analytics/backtester');
+const { loadPriceHistory } = require('../analytics/price-history');
+const { generateWeights, normalizeWeights } = require('../analytics/weight-generators');
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+
+function writeCsv(dir, symbol, closes) {
+  const rows = closes.map((close, i) => `${START + i * DAY},${close},${close},${close},${close},1000`);
+  fs.writeFileSync(
+    path.join(dir, `${symbol}.csv`),
+    ['timestamp,open,high,low,close,volume', ...rows].join('\n')
+  );
+}
+
+describe('Backtester', () => {
+  let dataDir;
+
+  beforeAll(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pollen-backtest-'));
+    // AAA rises 1% per day, BBB falls 1% per day
+    writeCsv(dataDir, 'AAA', Array.from({ length: 11 }, (_, i) => 100 * Math.pow(1.01, i)));
+    writeCsv(dataDir, 'BBB', Array.from({ length: 11 }, (_, i) => 100 * Math.pow(0.99, i)));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('applies weighted asset returns with shorts as negative weights', async () => {
+    const backtester = new Backtester({ pricesDir: dataDir });
+    const strategy = { id: 'fixed', type: 'custom', weights: { AAA: 0.5, BBB: -0.5 } };
+
+    const results = await backtester.run(strategy, {
+      assets: ['AAA', 'BBB'],
+      warmup: 0,
+      rebalanceEvery: 5,
+      initialValue: 100
+    });
+
+    // First holding period: 0.5 * (1.01^5 - 1) - 0.5 * (0.99^5 - 1)
+    const expectedPeriod = 0.5 * (Math.pow(1.01, 5) - 1) - 0.5 * (Math.pow(0.99, 5) - 1);
+    expect(results.rebalances[0].return).toBeCloseTo(expectedPeriod, 10);
+    expect(results.equityCurve[5].value).toBeCloseTo(100 * (1 + expectedPeriod), 8);
+
+    expect(results.totalTrades).toBe(2);
+    expect(results.winRate).toBe(1);
+    expect(results.profitLoss).toBeGreaterThan(0);
+    expect(results.maxDrawdown).toBe(0);
+    expect(results.equityCurve).toHaveLength(11);
+    expect(results.sharpeRatio).toBeGreaterThan(0);
+  });
+
+  it('goes short the falling asset for a momentum strategy', async () => {
+    const backtester = new Backtester({ pricesDir: dataDir });
+    const results = await backtester.run(
+      { id: 'mom', type: 'momentum', momentumPeriod: 3 },
+      { assets: ['AAA', 'BBB'], warmup: 4, rebalanceEvery: 3 }
+    );
+
+    const { weights } = results.rebalances[0];
+    expect(weights.AAA).toBeGreaterThan(0);
+    expect(weights.BBB).toBeLessThan(0);
+    expect(Math.abs(weights.AAA) + Math.abs(weights.BBB)).toBeCloseTo(1, 10);
+    expect(results.totalReturn).toBeGreaterThan(0);
+  });
+
+  it('rejects a history that is too short for the warmup', async () => {
+    const backtester = new Backtester({ pricesDir: dataDir });
+    await expect(backtester.run(
+      { type: 'conservative' },
+      { assets: ['AAA'], warmup: 20 }
+    )).rejects.toThrow('Not enough aligned candles');
+  });
+});
+
+describe('price history', () => {
+  it('loads candles from a SQLite ohlcv table', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pollen-prices-'));
+    const dbPath = path.join(dir, 'prices.db');
+
+    await new Promise((resolve, reject) => {
+      const db = new sqlite3.Database(dbPath);
+      db.serialize(() => {
+        db.run('CREATE TABLE ohlcv (symbol TEXT, timestamp INTEGER, open REAL, high REAL, low REAL, close REAL, volume REAL)');
+        db.run('INSERT INTO ohlcv VALUES (?, ?, 1, 1, 1, ?, 10)', ['AAA', START + DAY, 2]);
+        db.run('INSERT INTO ohlcv VALUES (?, ?, 1, 1, 1, ?, 10)', ['AAA', START, 1]);
+        db.close(err => err ? reject(err) : resolve());
+      });
+    });
+
+    const history = await loadPriceHistory(['AAA'], { pricesDir: dir, source: 'prices.db' });
+    expect(history.AAA.map(c => c.close)).toEqual([1, 2]);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('only reads sources inside the prices directory', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pollen-prices-'));
+
+    await expect(loadPriceHistory(['AAA'], { pricesDir: dir, source: '/etc/passwd' })).rejects.toThrow('relative path inside the prices directory');
+    await expect(loadPriceHistory(['AAA'], { pricesDir: dir, source: 'sub/../../secret.csv' })).rejects.toThrow('relative path inside the prices directory');
+    await expect(loadPriceHistory(['../secret'], { pricesDir: dir })).rejects.toThrow('Invalid asset symbols: ../secret');
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
+
+describe('weight generators', () => {
+  it('caps allocations while staying fully invested', () => {
+    const weights = normalizeWeights({ A: 8, B: 1, C: 1 }, 40);
+    expect(weights.A).toBeCloseTo(0.4, 10);
+    expect(weights.B + weights.C).toBeCloseTo(0.6, 10);
+  });
+
+  it('throws for unknown strategy types', () => {
+    expect(() => generateWeights({ type: 'unknown' }, { A: [1, 2] })).toThrow('No weight generator');
+  });
+});
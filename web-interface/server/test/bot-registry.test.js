@@ -0,0 +1,117 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const {
+  loadBotRegistry,
+  validateRegistry,
+  addBot,
+  updateBot,
+  getBot,
+  resolvePrivateKey,
+  getBotSigner
+} = require('../../../src/modules/bot-registry');
+
+function makeBot(overrides = {}) {
+  return {
+    id: 1,
+    name: 'Test Bot',
+    strategy: 'momentum',
+    risk: 'moderate',
+    maxAllocation: 20,
+    initialStake: '3',
+    interval: 120000,
+    key: 'env:TEST_BOT_1_KEY',
+    ...overrides
+  };
+}
+
+describe('bot registry', () => {
+  let dir;
+  let registryPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pollen-registry-'));
+    registryPath = path.join(dir, 'bots.json');
+    fs.writeFileSync(registryPath, JSON.stringify({ bots: [makeBot()] }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('loads the shipped registry with schema defaults applied', () => {
+    const registry = loadBotRegistry(path.resolve(__dirname, '../../../config/bots.json'));
+
+    expect(registry.bots).toHaveLength(11);
+    expect(registry.bots.every(bot => bot.enabled === true)).toBe(true);
+    expect(getBot(registry, 'bot8').strategy).toBe('high-frequency');
+    expect(getBot(registry, 6).staking.lockDuration).toBe(31536000);
+  });
+
+  it('reports schema errors', () => {
+    const { valid, errors } = validateRegistry({
+      bots: [makeBot({ strategy: 'yolo', privateKey: 'abc' })]
+    });
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      expect.stringContaining('registry.bots[0].strategy must be one of'),
+      'registry.bots[0].privateKey is not an allowed property'
+    ]);
+  });
+
+  it('rejects duplicate ids and addresses', () => {
+    const address = ethers.Wallet.createRandom().address;
+    const { errors } = validateRegistry({
+      bots: [
+        makeBot({ address }),
+        makeBot({ key: 'env:TEST_BOT_2_KEY', address: address.toLowerCase() })
+      ]
+    });
+
+    expect(errors).toEqual([
+      'registry.bots[1].id 1 is already used',
+      `registry.bots[1].address ${address.toLowerCase()} is already used`
+    ]);
+  });
+
+  it('fails at load time when the file is invalid', () => {
+    fs.writeFileSync(registryPath, JSON.stringify({ bots: [makeBot({ interval: 5 })] }));
+    expect(() => loadBotRegistry(registryPath)).toThrow('registry.bots[0].interval must be >= 10000');
+  });
+
+  it('adds and updates bots in the registry file', () => {
+    addBot(makeBot({ id: 2, key: 'env:TEST_BOT_2_KEY' }), registryPath);
+    const registry = updateBot(2, { id: 99, maxAllocation: 30 }, registryPath);
+
+    expect(getBot(registry, 2).maxAllocation).toBe(30);
+    expect(getBot(registry, 99)).toBeNull();
+    expect(() => addBot(makeBot({ id: 3 }), registryPath)).toThrow('key env:TEST_BOT_1_KEY is already used');
+  });
+
+  it('resolves env key references and checks the registered address', async () => {
+    const wallet = ethers.Wallet.createRandom();
+    process.env.TEST_BOT_1_KEY = wallet.privateKey;
+
+    try {
+      expect(resolvePrivateKey(makeBot())).toBe(wallet.privateKey);
+      expect((await getBotSigner(makeBot({ address: wallet.address }))).address).toBe(wallet.address);
+      await expect(getBotSigner(makeBot({ address: ethers.ZeroAddress }))).rejects.toThrow('expected');
+    } finally {
+      delete process.env.TEST_BOT_1_KEY;
+    }
+
+    expect(() => resolvePrivateKey(makeBot())).toThrow('TEST_BOT_1_KEY is not set');
+  });
+
+  it('resolves keystore references by bot id', async () => {
+    const wallet = ethers.Wallet.createRandom();
+    const store = { getSigner: jest.fn().mockResolvedValue(wallet) };
+
+    const signer = await getBotSigner(makeBot({ id: 4, key: 'keystore', address: wallet.address }), null, store);
+
+    expect(signer).toBe(wallet);
+    expect(store.getSigner).toHaveBeenCalledWith(4, null);
+  });
+});
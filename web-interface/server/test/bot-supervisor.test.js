@@ -0,0 +1,171 @@
+const { EventEmitter } = require('events');
+const { BotSupervisor } = require('../bot-supervisor');
+
+const REGISTRY = {
+    bots: [
+        { id: 1, name: 'Conservative Bot', strategy: 'conservative', interval: 60000, enabled: true },
+        { id: 2, name: 'Momentum Bot', strategy: 'momentum', interval: 60000, enabled: true, mode: 'paper' },
+        { id: 3, name: 'Idle Bot', strategy: 'momentum', interval: 60000, enabled: false }
+    ]
+};
+
+// Stands in for MultiBotManager: same events, no RPC
+class FakeManager extends EventEmitter {
+    constructor(registry, failing = []) {
+        super();
+        this.botConfigs = registry.bots.filter(bot => bot.enabled);
+        this.failing = failing;
+        this.running = false;
+        this.timers = new Set();
+        this.stopped = false;
+        this.inits = 0;
+    }
+
+    async init() {
+        this.inits++;
+    }
+
+    async portfolioInterfaceFor(bot) {
+        return { botId: bot.id, mode: bot.mode || 'live' };
+    }
+
+    async start() {
+        this.running = true;
+        this.botConfigs.filter(bot => !this.failing.includes(bot.id)).forEach(bot => this.startBotTradingLoop(bot));
+    }
+
+    async startBot(bot) {
+        if (this.failing.includes(bot.id)) {
+            return false;
+        }
+        this.running = true;
+        this.startBotTradingLoop(bot);
+        return true;
+    }
+
+    startBotTradingLoop(bot) {
+        this.timers.add(bot.id);
+        this.emit('botScheduled', { botId: bot.id, nextRunAt: 1000 + bot.interval });
+    }
+
+    stopBotTradingLoop(botId) {
+        return this.timers.delete(botId);
+    }
+
+    isTrading(botId) {
+        return this.timers.has(botId);
+    }
+
+    async stop() {
+        this.running = false;
+        this.stopped = true;
+        this.timers.clear();
+    }
+}
+
+describe('BotSupervisor', () => {
+    let managers;
+    let failing;
+    let supervisor;
+    let changes;
+
+    beforeEach(() => {
+        managers = [];
+        failing = [];
+        changes = [];
+        supervisor = new BotSupervisor({
+            getRegistry: () => REGISTRY,
+            createManager: (registry) => {
+                const manager = new FakeManager(registry, failing);
+                managers.push(manager);
+                return manager;
+            },
+            now: () => 1000
+        });
+        supervisor.on('stateChanged', state => changes.push(state));
+    });
+
+    it('starts the fleet and reports each bot as running with its next run', async () => {
+        const started = jest.fn();
+        supervisor.on('tradingStarted', started);
+
+        await supervisor.startAll();
+
+        expect(supervisor.isRunning()).toBe(true);
+        expect(started).toHaveBeenCalled();
+        expect(supervisor.getBotStates().map(bot => bot.status)).toEqual(['running', 'running', 'disabled']);
+        expect(supervisor.getBotState(2)).toMatchObject({ mode: 'paper', nextRunAt: new Date(61000).toISOString() });
+        expect(changes.filter(state => state.id === 1).map(state => state.status)).toEqual(['starting', 'running']);
+        expect(() => supervisor.startAll()).toThrow('Trading is already running');
+    });
+
+    it('pauses and resumes a single bot without touching the others', async () => {
+        await supervisor.startAll();
+        const [manager] = managers;
+
+        expect(supervisor.pauseBot('1')).toMatchObject({ status: 'paused', lastAction: 'paused', nextRunAt: null });
+        expect(manager.isTrading(1)).toBe(false);
+        expect(manager.isTrading(2)).toBe(true);
+        expect(() => supervisor.pauseBot(1)).toThrow('Bot 1 is paused');
+
+        expect(supervisor.resumeBot(1)).toMatchObject({ status: 'running', lastAction: 'resumed' });
+        expect(manager.isTrading(1)).toBe(true);
+    });
+
+    it('records rebalances, transactions and errors from the manager', async () => {
+        const transactions = [];
+        supervisor.on('transaction', tx => transactions.push(tx));
+        await supervisor.startAll();
+        const [manager] = managers;
+
+        manager.emit('transaction', { botId: 1, type: 'rebalance', hash: '0xabc' });
+        manager.emit('botCycle', { botId: 1, rebalanced: true });
+        manager.emit('botError', { botId: 2, error: 'InvalidWeights' });
+
+        expect(supervisor.getBotState(1)).toMatchObject({
+            lastAction: 'rebalanced',
+            lastTx: { hash: '0xabc', type: 'rebalance' }
+        });
+        expect(supervisor.getBotState(2).lastError).toMatchObject({ message: 'InvalidWeights' });
+        expect(transactions).toEqual([expect.objectContaining({ botId: 1, botName: 'Conservative Bot', hash: '0xabc' })]);
+        expect(supervisor.getRecentTransactions()).toHaveLength(1);
+    });
+
+    it('marks bots that fail to start and can start them individually later', async () => {
+        failing.push(2);
+        await supervisor.startAll();
+
+        expect(supervisor.getBotState(2)).toMatchObject({ status: 'error', lastError: { message: 'Bot failed to start' } });
+
+        failing.length = 0;
+        await expect(supervisor.startBot(2)).resolves.toMatchObject({ status: 'running', lastError: null });
+        expect(managers).toHaveLength(1);
+        expect(() => supervisor.startBot(3)).toThrow('Bot 3 is disabled');
+    });
+
+    it('stops the manager and every bot', async () => {
+        const stopped = jest.fn();
+        supervisor.on('tradingStopped', stopped);
+        await supervisor.startAll();
+
+        await supervisor.stopAll();
+
+        expect(managers[0].stopped).toBe(true);
+        expect(supervisor.isRunning()).toBe(false);
+        expect(stopped).toHaveBeenCalled();
+        expect(supervisor.getBotStates().map(bot => bot.status)).toEqual(['stopped', 'stopped', 'disabled']);
+
+        await supervisor.startAll();
+        expect(managers).toHaveLength(2);
+    });
+
+    it('hands out portfolio interfaces for risk actions without starting trading', async () => {
+        await expect(supervisor.getPortfolioInterface(1)).resolves.toEqual({ botId: 1, mode: 'live' });
+        await expect(supervisor.getPortfolioInterface('2')).resolves.toEqual({ botId: 2, mode: 'paper' });
+        await expect(supervisor.getPortfolioInterface(9)).rejects.toThrow('Bot 9 not found');
+
+        expect(managers).toHaveLength(1);
+        expect(managers[0].inits).toBe(2);
+        expect(supervisor.isRunning()).toBe(false);
+    });
+});
@@ -0,0 +1,85 @@
+const { ethers } = require('ethers');
+const {
+  ContractError,
+  ContractPanic,
+  PortfolioAlreadyInitialized,
+  InsufficientAllowance,
+  InvalidWeights,
+  LockExpired,
+  LockNotExpired,
+  decodeRevert,
+  toContractError
+} = require('../../../src/modules/contract-errors');
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+const POLLEN_ABI = ['error LockExpired(uint256 lockEnd)', 'error WeightsOutOfRange(uint256 index)'];
+
+function errorString(reason) {
+  return ethers.concat(['0x08c379a0', coder.encode(['string'], [reason])]);
+}
+
+// The shape ethers gives a reverted eth_call or eth_estimateGas
+function callException(data, extra = {}) {
+  return Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION', data, ...extra });
+}
+
+describe('contract errors', () => {
+  it('decodes Error(string) reverts into typed errors', () => {
+    const error = toContractError(callException(errorString('Portfolio has been initialized')));
+
+    expect(error).toBeInstanceOf(PortfolioAlreadyInitialized);
+    expect(error).toBeInstanceOf(ContractError);
+    expect(error.name).toBe('PortfolioAlreadyInitialized');
+    expect(error.message).toBe('Portfolio has been initialized');
+    expect(error.cause.code).toBe('CALL_EXCEPTION');
+
+    expect(toContractError(callException(errorString('Weights must sum to 100')))).toBeInstanceOf(InvalidWeights);
+    expect(toContractError(callException(errorString('ERC20: insufficient allowance')))).toBeInstanceOf(InsufficientAllowance);
+    expect(toContractError(callException(errorString('Lock not expired')))).toBeInstanceOf(LockNotExpired);
+    expect(toContractError(callException(errorString('Lock expired')))).toBeInstanceOf(LockExpired);
+  });
+
+  it('decodes panics', () => {
+    const data = ethers.concat(['0x4e487b71', coder.encode(['uint256'], [0x11])]);
+    const error = toContractError(callException(data));
+
+    expect(error).toBeInstanceOf(ContractPanic);
+    expect(error.panicCode).toBe(0x11);
+    expect(error.message).toBe('Panic 0x11: arithmetic overflow or underflow');
+  });
+
+  it('decodes custom errors from the given ABIs', () => {
+    const iface = new ethers.Interface(POLLEN_ABI);
+    const expired = toContractError(callException(iface.encodeErrorResult('LockExpired', [1234])), [POLLEN_ABI]);
+    const unknown = toContractError(callException(iface.encodeErrorResult('WeightsOutOfRange', [3])), [POLLEN_ABI]);
+
+    expect(expired).toBeInstanceOf(LockExpired);
+    expect(expired.args).toEqual([1234n]);
+    expect(unknown.constructor).toBe(ContractError);
+    expect(unknown.errorName).toBe('WeightsOutOfRange');
+
+    // OpenZeppelin 5 token errors are known without passing an ABI
+    const token = new ethers.Interface(['error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)']);
+    const data = token.encodeErrorResult('ERC20InsufficientAllowance', [ethers.ZeroAddress, 0, 5]);
+    expect(toContractError(callException(data))).toBeInstanceOf(InsufficientAllowance);
+  });
+
+  it('finds revert data nested in provider errors and falls back to the message', () => {
+    const nested = new Error('could not coalesce error');
+    nested.info = { error: { code: 3, message: 'execution reverted', data: errorString('Invalid weights length') } };
+    expect(decodeRevert(nested)).toMatchObject({ errorName: 'Error', reason: 'Invalid weights length' });
+
+    const hardhat = new Error("VM Exception while processing transaction: reverted with reason string 'Lock not expired'");
+    expect(toContractError(hardhat)).toBeInstanceOf(LockNotExpired);
+
+    const bare = callException('0x');
+    expect(toContractError(bare).message).toBe('Reverted without a reason');
+  });
+
+  it('leaves errors that are not reverts unchanged', () => {
+    const error = Object.assign(new Error('insufficient funds for intrinsic transaction cost'), { code: 'INSUFFICIENT_FUNDS' });
+
+    expect(decodeRevert(error)).toBeNull();
+    expect(toContractError(error)).toBe(error);
+  });
+});
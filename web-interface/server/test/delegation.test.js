@@ -0,0 +1,140 @@
+const { ethers } = require('ethers');
+const {
+  DelegationManager,
+  calculateReputation,
+  netOfDelegateShare,
+  normalizePolicy,
+  planDelegations
+} = require('../../../src/modules/delegation');
+
+const DAY = 24 * 60 * 60 * 1000;
+const ALICE = '0x1111111111111111111111111111111111111111';
+const BOB = '0x2222222222222222222222222222222222222222';
+const CAROL = '0x3333333333333333333333333333333333333333';
+
+describe('delegation math', () => {
+  it('compounds returns over the benchmark into a reputation', () => {
+    const readings = [
+      { valueIndex: 1, benchmarkValue: 100 },
+      { valueIndex: 1.1, benchmarkValue: 105 },
+      { valueIndex: 1.1, benchmarkValue: null }
+    ];
+    // (1 + 0.10 - 0.05) then a period without benchmark data
+    expect(calculateReputation(readings)).toBeCloseTo(1.05);
+    expect(calculateReputation([{ valueIndex: 1, benchmarkValue: 1 }, { valueIndex: 0.1, benchmarkValue: 2 }])).toBe(0);
+  });
+
+  it('leaves the delegate its share of gains but not of losses', () => {
+    expect(netOfDelegateShare(10)).toBeCloseTo(8);
+    expect(netOfDelegateShare(-10)).toBe(-10);
+  });
+
+  it('withdraws from delegates that dropped out and tops up the best-ranked within limits', () => {
+    const policy = normalizePolicy({ maxPerDelegate: '50', maxTotal: '80', maxDelegates: 2 });
+    const plan = planDelegations({
+      ranked: [{ address: ALICE }, { address: BOB }, { address: CAROL }],
+      positions: [
+        { delegate: BOB, principal: 20, value: 22 },
+        { delegate: CAROL, principal: 30, value: 27 }
+      ],
+      policy,
+      available: 100
+    });
+
+    // The DAO takes principal; Carol's 3 PLN loss is booked by the ledger
+    expect(plan.undelegate).toEqual([{ delegate: CAROL, amount: 30, reason: 'no longer ranked' }]);
+    // 80 total minus the 20 kept with Bob leaves 60: 50 for Alice, 10 more for Bob
+    expect(plan.delegate).toEqual([{ delegate: ALICE, amount: 50 }, { delegate: BOB, amount: 10 }]);
+  });
+
+  it('rejects invalid policies', () => {
+    expect(() => normalizePolicy({ maxDelegates: 0 })).toThrow('maxDelegates must be a positive integer');
+    expect(() => normalizePolicy({ maxTotal: 'lots' })).toThrow('maxTotal must be a non-negative number');
+  });
+});
+
+describe('DelegationManager', () => {
+  let now;
+  let portfolios;
+  let manager;
+
+  beforeEach(() => {
+    now = Date.parse('2024-01-01T00:00:00Z');
+    portfolios = {
+      [ALICE]: { totalValue: ethers.parseEther('100'), withdrawn: 0n },
+      [BOB]: { totalValue: ethers.parseEther('100'), withdrawn: 0n }
+    };
+    const reader = {
+      read: async owner => ({
+        exists: true,
+        isOpen: true,
+        depositPLN: ethers.parseEther('100'),
+        ...portfolios[owner]
+      })
+    };
+
+    manager = new DelegationManager(ethers.Wallet.createRandom(), {
+      contracts: { pollenDAO: CAROL, plnToken: CAROL },
+      policy: { candidates: [ALICE, BOB], maxPerDelegate: '40', maxTotal: '40', maxDelegates: 1, minReadings: 2 },
+      reader,
+      getBenchmarkValue: () => 1,
+      storeDir: null,
+      now: () => now
+    });
+
+    let tx = 0;
+    manager.send = jest.fn(async () => ({ hash: `0x${++tx}`, blockNumber: tx }));
+    manager.pln = {
+      balanceOf: async () => ethers.parseEther('500'),
+      allowance: async () => 0n,
+      approve: { populateTransaction: async () => ({}) }
+    };
+  });
+
+  async function advance(values) {
+    now += 2 * DAY;
+    Object.entries(values).forEach(([owner, value]) => {
+      portfolios[owner].totalValue = ethers.parseEther(String(value));
+    });
+    return manager.rebalance();
+  }
+
+  it('delegates to the best delegate once it has enough readings and tracks its P&L', async () => {
+    await expect(manager.rebalance()).resolves.toEqual({ undelegate: [], delegate: [] });
+    expect(manager.getSummary().lastRebalanceAt).toBeNull();
+
+    const plan = await advance({ [ALICE]: 120, [BOB]: 105 });
+    expect(plan.delegate).toEqual([{ delegate: ethers.getAddress(ALICE), amount: 40 }]);
+    expect(manager.send).toHaveBeenCalledWith(
+      expect.objectContaining({ data: manager.dao.interface.encodeFunctionData('delegatePollen', [[ALICE], [ethers.parseEther('40')], false]) }),
+      expect.any(String)
+    );
+
+    // Not due again for a week, but candidates are still read
+    await expect(advance({ [ALICE]: 150 })).resolves.toBeNull();
+    const [position] = manager.getPositions();
+    // 40 PLN bought in at 1.2 is worth 50; the delegator keeps 80% of the 10 PLN gain
+    expect(position.pnl).toBeCloseTo(8);
+    expect(position.value).toBeCloseTo(48);
+  });
+
+  it('withdraws and realizes P&L when a delegate falls out of the ranking', async () => {
+    await manager.rebalance();
+    await advance({ [ALICE]: 120, [BOB]: 105 });
+
+    now += 7 * DAY;
+    portfolios[ALICE].totalValue = ethers.parseEther('96');
+    portfolios[BOB].totalValue = ethers.parseEther('126');
+    const plan = await manager.rebalance();
+
+    expect(plan.undelegate).toEqual([{ delegate: ethers.getAddress(ALICE), amount: 40, reason: 'no longer ranked' }]);
+    expect(manager.send).toHaveBeenCalledWith(
+      expect.objectContaining({ data: manager.dao.interface.encodeFunctionData('undelegate', [[ALICE], [ethers.parseEther('40')], false]) }),
+      expect.any(String)
+    );
+    expect(plan.delegate).toEqual([{ delegate: ethers.getAddress(BOB), amount: 40 }]);
+    const summary = manager.getSummary();
+    expect(summary.realizedPnl).toBeCloseTo(-8);
+    expect(summary.positions.map(item => item.delegate)).toEqual([ethers.getAddress(BOB)]);
+  });
+});
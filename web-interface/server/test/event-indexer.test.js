@@ -0,0 +1,177 @@
+const sqlite3 = require('sqlite3');
+const { ethers } = require('ethers');
+const { EventIndexer, EVENT_ABIS } = require('../../../src/modules/event-indexer');
+
+const CONTRACTS = {
+  pollenDAO: '0xEF789258233E6cFBB5E0bb093FC9537E69e81Bb7',
+  vePLN: '0x3a28AB567b661B3edaF9Ef0bDE9489558EDB3995',
+  leagues: '0x55F04Ee2775925b80125F412C05cF5214Fd1317a'
+};
+const USER = '0x1111111111111111111111111111111111111111';
+const OTHER = '0x2222222222222222222222222222222222222222';
+
+const dao = new ethers.Interface(EVENT_ABIS.pollenDAO);
+const vePLN = new ethers.Interface(EVENT_ABIS.vePLN);
+
+// A chain whose blocks and logs the tests can rewrite, as a reorg would
+function makeChain() {
+  const chain = {
+    head: 0,
+    forks: {},
+    logs: [],
+    getLogs: jest.fn(async ({ address, fromBlock, toBlock }) => chain.logs.filter(log =>
+      log.address === address && log.blockNumber >= fromBlock && log.blockNumber <= toBlock)),
+    getNetwork: async () => ({ chainId: 84532n }),
+    getBlockNumber: async () => chain.head,
+    getBlock: async number => ({ number, hash: chain.blockHash(number) }),
+    blockHash: number => ethers.id(`block-${number}-${chain.forks[number] || 0}`),
+    emit(contract, iface, name, args, blockNumber) {
+      const { topics, data } = iface.encodeEventLog(name, args);
+      chain.logs.push({
+        address: CONTRACTS[contract],
+        topics,
+        data,
+        blockNumber,
+        blockHash: chain.blockHash(blockNumber),
+        transactionHash: ethers.id(`tx-${chain.logs.length}`),
+        index: 0
+      });
+    }
+  };
+  return chain;
+}
+
+describe('EventIndexer', () => {
+  let db;
+  let chain;
+  let indexer;
+
+  beforeEach(() => {
+    db = new sqlite3.Database(':memory:');
+    chain = makeChain();
+    indexer = new EventIndexer(chain, { contracts: CONTRACTS, db, startBlock: 0, chunkSize: 10, reorgDepth: 3 });
+  });
+
+  afterEach((done) => {
+    indexer.stop();
+    db.close(() => done());
+  });
+
+  it('backfills in chunks and answers portfolio, rebalance and lock queries', async () => {
+    chain.emit('pollenDAO', dao, 'PortfolioCreated', [USER, ethers.ZeroAddress, 100n, [50, 50], [false, true], false], 3);
+    chain.emit('pollenDAO', dao, 'PortfolioCreated', [OTHER, ethers.ZeroAddress, 5n, [100, 0], [false, false], false], 4);
+    chain.emit('pollenDAO', dao, 'PortfolioRebalanced', [USER, [70, 30], [false, false], 7n], 12);
+    chain.emit('vePLN', vePLN, 'Locked', [USER, 100n, 2000n], 15);
+    chain.emit('vePLN', vePLN, 'LockIncreased', [USER, 50n], 18);
+    chain.emit('vePLN', vePLN, 'LockExtended', [USER, 3000n], 21);
+    chain.head = 25;
+
+    await expect(indexer.sync()).resolves.toEqual({ head: 25, indexed: 6 });
+
+    const daoRanges = chain.getLogs.mock.calls
+      .filter(([filter]) => filter.address === CONTRACTS.pollenDAO)
+      .map(([{ fromBlock, toBlock }]) => [fromBlock, toBlock]);
+    expect(daoRanges).toEqual([[0, 9], [10, 19], [20, 25]]);
+
+    await expect(indexer.getPortfolioForUser(USER)).resolves.toMatchObject({
+      user: ethers.getAddress(USER),
+      amount: '100',
+      weights: [70, 30],
+      isShort: [false, false],
+      createdAt: { blockNumber: 3 },
+      lastRebalance: { blockNumber: 12 }
+    });
+    await expect(indexer.getRebalancesForUser(USER)).resolves.toMatchObject([{ weights: [70, 30], benchmarkRef: '7' }]);
+    await expect(indexer.getPortfolioForUser('0x3333333333333333333333333333333333333333')).resolves.toBeNull();
+
+    const locks = await indexer.getLocksForWallet(USER);
+    expect(locks).toMatchObject({ amount: '150', lockEnd: 3000 });
+    expect(locks.events.map(event => event.eventName)).toEqual(['Locked', 'LockIncreased', 'LockExtended']);
+  });
+
+  it('continues from the checkpoint', async () => {
+    chain.head = 8;
+    await indexer.sync();
+    chain.getLogs.mockClear();
+
+    chain.emit('vePLN', vePLN, 'Locked', [USER, 10n, 500n], 11);
+    chain.head = 12;
+    await indexer.sync();
+
+    expect(chain.getLogs.mock.calls.map(([{ fromBlock, toBlock }]) => [fromBlock, toBlock])).toEqual([[9, 12], [9, 12], [9, 12]]);
+    await expect(indexer.getLocksForWallet(USER)).resolves.toMatchObject({ amount: '10', lockEnd: 500 });
+  });
+
+  it('indexes from the head on without a start block', async () => {
+    const fresh = new EventIndexer(chain, { contracts: CONTRACTS, db, chunkSize: 10 });
+    chain.emit('vePLN', vePLN, 'Locked', [USER, 10n, 500n], 3);
+    chain.head = 5000;
+    await fresh.sync();
+
+    expect(chain.getLogs.mock.calls.map(([{ fromBlock, toBlock }]) => [fromBlock, toBlock])).toEqual([[5000, 5000], [5000, 5000], [5000, 5000]]);
+    await expect(fresh.getLocksForWallet(USER)).resolves.toMatchObject({ events: [] });
+  });
+
+  it('drops and re-indexes blocks replaced by a reorg', async () => {
+    const reorgs = [];
+    indexer.on('reorg', event => reorgs.push(event));
+    chain.emit('vePLN', vePLN, 'Locked', [USER, 10n, 500n], 9);
+    chain.head = 10;
+    await indexer.sync();
+
+    // Blocks 9 and 10 are replaced; the lock lands in block 10 with a different amount
+    chain.forks[9] = 1;
+    chain.forks[10] = 1;
+    chain.logs = [];
+    chain.emit('vePLN', vePLN, 'Locked', [USER, 20n, 600n], 10);
+    chain.head = 11;
+    await indexer.sync();
+
+    expect(reorgs).toContainEqual({ contract: 'vePLN', blockNumber: 10, rewindTo: 7 });
+    const { amount, events } = await indexer.getLocksForWallet(USER);
+    expect(amount).toBe('20');
+    expect(events.map(event => event.blockNumber)).toEqual([10]);
+  });
+
+  it('decodes stored logs of events added to the ABIs since they were indexed', async () => {
+    // An index built before the governance events were known
+    const pollenDAO = indexer.sources.find(source => source.name === 'pollenDAO');
+    pollenDAO.iface = new ethers.Interface(EVENT_ABIS.pollenDAO.filter(event => !event.includes('Proposal') && !event.includes('VoteCast')));
+    chain.emit('pollenDAO', dao, 'ProposalCreated', [7n, USER, [OTHER], [0n], [''], ['0x'], 10n, 20n, 'Raise the fee'], 3);
+    chain.head = 5;
+    await indexer.sync();
+    await expect(indexer.getEvents({ contract: 'pollenDAO' })).resolves.toMatchObject([{ eventName: null }]);
+
+    const upgraded = new EventIndexer(chain, { contracts: CONTRACTS, db, startBlock: 0, chunkSize: 10 });
+    chain.getLogs.mockClear();
+    await upgraded.sync();
+
+    const [proposal] = await upgraded.getEvents({ contract: 'pollenDAO', eventName: 'ProposalCreated' });
+    expect(proposal).toMatchObject({ account: USER, blockNumber: 3, args: { proposalId: '7', description: 'Raise the fee' } });
+    expect(chain.getLogs).not.toHaveBeenCalledWith(expect.objectContaining({ fromBlock: 0 }));
+  });
+
+  it('keeps logs it cannot decode and shrinks ranges the RPC rejects', async () => {
+    chain.logs.push({
+      address: CONTRACTS.leagues,
+      topics: [ethers.id('LeagueJoined(uint256,address)')],
+      data: '0x',
+      blockNumber: 2,
+      blockHash: chain.blockHash(2),
+      transactionHash: ethers.id('league-tx'),
+      index: 0
+    });
+    const getLogs = chain.getLogs.getMockImplementation();
+    chain.getLogs.mockImplementation(async filter => {
+      if (filter.toBlock - filter.fromBlock >= 5) throw new Error('query exceeds max block range');
+      return getLogs(filter);
+    });
+    chain.head = 9;
+
+    await indexer.sync();
+
+    const [league] = await indexer.getEvents({ contract: 'leagues' });
+    expect(league).toMatchObject({ eventName: null, args: null, blockNumber: 2 });
+    expect(chain.getLogs).toHaveBeenCalledWith(expect.objectContaining({ fromBlock: 0, toBlock: 4 }));
+  });
+});
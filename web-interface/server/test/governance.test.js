@@ -0,0 +1,145 @@
+const { ethers } = require('ethers');
+const {
+  GovernanceMonitor,
+  decodeAction,
+  evaluateProposal,
+  normalizePolicy
+} = require('../../../src/modules/governance');
+
+const DAO = '0x1111111111111111111111111111111111111111';
+const VEPLN = '0x2222222222222222222222222222222222222222';
+const ALICE = '0x3333333333333333333333333333333333333333';
+const CONTRACTS = { pollenDAO: DAO, vePLN: VEPLN };
+
+const vePLN = new ethers.Interface(['function burn(address account, uint256 amount)']);
+const burnCalldata = vePLN.encodeFunctionData('burn', [ALICE, 5n]);
+
+describe('proposal decoding', () => {
+  it('decodes calldata with the target contract ABI', () => {
+    const action = decodeAction({ target: VEPLN, calldata: burnCalldata }, CONTRACTS);
+
+    expect(action).toMatchObject({
+      contract: 'vePLN',
+      function: 'burn',
+      signature: 'burn(address,uint256)',
+      args: { account: ALICE, amount: '5' },
+      description: `vePLN.burn(account=${ALICE}, amount=5)`
+    });
+  });
+
+  it('decodes arguments against a given signature and falls back to the selector', () => {
+    const calldata = ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [7n]);
+    expect(decodeAction({ target: DAO, signature: 'setQuorum(uint256)', calldata }, CONTRACTS)).toMatchObject({
+      contract: 'pollenDAO',
+      function: 'setQuorum',
+      args: { arg0: '7' }
+    });
+
+    expect(decodeAction({ target: ALICE, calldata: '0xdeadbeef' }, CONTRACTS)).toMatchObject({
+      contract: null,
+      function: null,
+      selector: '0xdeadbeef'
+    });
+  });
+});
+
+describe('voting policy', () => {
+  const policy = {
+    rules: [
+      { contract: 'vePLN', function: 'burn', vote: 'against', reason: 'burns locked PLN' },
+      { contract: DAO, function: 'setQuorum(uint256)', vote: 'for' }
+    ]
+  };
+  const burn = decodeAction({ target: VEPLN, calldata: burnCalldata }, CONTRACTS);
+  const quorum = decodeAction({
+    target: DAO,
+    signature: 'setQuorum(uint256)',
+    calldata: ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [7n])
+  }, CONTRACTS);
+  const unknown = decodeAction({ target: ALICE, calldata: '0xdeadbeef' }, CONTRACTS);
+
+  it('votes against when any action is voted against and for only when all are', () => {
+    const against = evaluateProposal([quorum, burn], policy);
+    expect(against).toMatchObject({ vote: 'against', support: 0 });
+    expect(against.rationale).toContain('vePLN.burn');
+    expect(against.rationale).toContain('against (burns locked PLN)');
+
+    expect(evaluateProposal([quorum], policy)).toMatchObject({ vote: 'for', support: 1 });
+  });
+
+  it('abstains on actions no rule matches', () => {
+    const result = evaluateProposal([quorum, unknown], policy);
+    expect(result).toMatchObject({ vote: 'abstain', support: 2 });
+    expect(result.actions[1]).toMatchObject({ vote: 'abstain', reason: 'no matching rule' });
+  });
+
+  it('rejects invalid policies', () => {
+    expect(() => normalizePolicy({ defaultVote: 'maybe' })).toThrow('defaultVote must be one of against, for, abstain');
+    expect(() => normalizePolicy({ rules: [{ contract: 'vePLN' }] })).toThrow('rule 0 vote must be one of against, for, abstain');
+  });
+});
+
+describe('GovernanceMonitor', () => {
+  const proposal = {
+    contract: 'pollenDAO',
+    eventName: 'ProposalCreated',
+    args: {
+      proposalId: '4',
+      proposer: ALICE,
+      targets: [VEPLN],
+      values: ['0'],
+      signatures: [''],
+      calldatas: [burnCalldata],
+      startBlock: '100',
+      endBlock: '200',
+      description: 'Burn a holder\'s lock'
+    },
+    blockNumber: 99,
+    txHash: '0xabc'
+  };
+
+  function createMonitor(status, powers) {
+    const voters = Object.keys(powers).map(botId => ({ botId: Number(botId), wallet: ethers.Wallet.createRandom() }));
+    const monitor = new GovernanceMonitor({}, {
+      contracts: CONTRACTS,
+      indexer: { getEvents: jest.fn(async () => [proposal]) },
+      voters,
+      policy: { rules: [{ contract: 'vePLN', function: 'burn', vote: 'against' }] },
+      storeDir: null,
+      now: () => 1700000000000
+    });
+    monitor.send = jest.fn(async () => ({ hash: '0xvote', blockNumber: 101 }));
+    monitor.dao = {
+      state: jest.fn(async () => status()),
+      castVote: { populateTransaction: jest.fn(async () => ({})) }
+    };
+    monitor.vePLN = { getVotingPower: async address => powers[voters.find(voter => voter.wallet.address === address).botId] };
+    return monitor;
+  }
+
+  it('records the decision and votes once from each voter with voting power', async () => {
+    let status = 0;
+    const monitor = createMonitor(() => status, { 1: ethers.parseEther('10'), 2: 0n });
+
+    const decided = await monitor.poll();
+    expect(decided).toHaveLength(1);
+    expect(decided[0]).toMatchObject({ proposalId: '4', vote: 'against', status: 'Pending', closed: false, votes: {} });
+
+    // Active: bot 1 votes against, bot 2 has no voting power
+    status = 1;
+    await expect(monitor.poll()).resolves.toEqual([]);
+    const [decision] = monitor.getDecisions();
+    expect(monitor.send).toHaveBeenCalledTimes(1);
+    expect(monitor.dao.castVote.populateTransaction).toHaveBeenCalledWith('4', 0);
+    expect(decision.votes[1]).toMatchObject({ vote: 'against', votingPower: '10.0', txHash: '0xvote' });
+    expect(decision.votes[2]).toMatchObject({ skipped: 'no voting power' });
+
+    // Defeated: closed, and no longer read
+    status = 3;
+    await monitor.poll();
+    await monitor.poll();
+    expect(decision).toMatchObject({ status: 'Defeated', closed: true });
+    expect(monitor.dao.state).toHaveBeenCalledTimes(3);
+    expect(monitor.send).toHaveBeenCalledTimes(1);
+  });
+});
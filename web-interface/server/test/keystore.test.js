@@ -0,0 +1,77 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { Keystore } = require('../../../src/modules/keystore');
+
+// Cheap scrypt parameters keep the tests fast; production uses the ethers defaults
+const SCRYPT = { N: 1024, r: 8, p: 1 };
+
+describe('Keystore', () => {
+  let dir;
+  let keystore;
+  const wallet = ethers.Wallet.createRandom();
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pollen-keystore-'));
+    keystore = new Keystore({ dir, passphrase: 'correct horse', scrypt: SCRYPT });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('stores keys as Web3 Secret Storage files per bot', async () => {
+    const address = await keystore.importKey(3, wallet.privateKey.slice(2));
+    const json = JSON.parse(fs.readFileSync(path.join(dir, 'bot-3.json'), 'utf8'));
+
+    expect(address).toBe(wallet.address);
+    expect(json.version).toBe(3);
+    expect(json.Crypto.kdf).toBe('scrypt');
+    expect(JSON.stringify(json)).not.toContain(wallet.privateKey.slice(2));
+    expect(keystore.list()).toEqual([expect.objectContaining({ botId: 3, address: wallet.address })]);
+    await expect(keystore.importKey(3, wallet.privateKey)).rejects.toThrow('already has a key');
+  });
+
+  it('resolves a signer by bot id and rejects the wrong passphrase', async () => {
+    await keystore.importKey(1, wallet.privateKey);
+
+    const signer = await keystore.getSigner(1);
+    expect(signer.address).toBe(wallet.address);
+
+    const locked = new Keystore({ dir });
+    const previous = process.env.POLLEN_KEYSTORE_PASSPHRASE;
+    delete process.env.POLLEN_KEYSTORE_PASSPHRASE;
+    try {
+      await expect(locked.getSigner(1)).rejects.toThrow('Keystore is locked');
+      locked.unlock('wrong');
+      await expect(locked.getSigner(1)).rejects.toThrow('Unable to decrypt key for bot 1');
+    } finally {
+      if (previous !== undefined) process.env.POLLEN_KEYSTORE_PASSPHRASE = previous;
+    }
+    await expect(keystore.getSigner(2)).rejects.toThrow('No key for bot 2');
+  });
+
+  it('rotates a bot key and archives the previous file', async () => {
+    await keystore.importKey(1, wallet.privateKey);
+
+    const result = await keystore.rotateKey(1);
+
+    expect(result.previousAddress).toBe(wallet.address);
+    expect(result.address).not.toBe(wallet.address);
+    expect((await keystore.getSigner(1)).address).toBe(result.address);
+    expect(fs.existsSync(result.archive)).toBe(true);
+    expect(keystore.list()).toHaveLength(1);
+  });
+
+  it('changes the passphrase for every key', async () => {
+    await keystore.importKey(1, wallet.privateKey);
+    await keystore.importKey(2, ethers.Wallet.createRandom().privateKey);
+
+    await expect(keystore.changePassphrase('new', { passphrase: 'wrong' })).rejects.toThrow('Unable to decrypt');
+    expect(await keystore.changePassphrase('battery staple')).toEqual([1, 2]);
+
+    expect(await keystore.exportKey(1, 'battery staple')).toBe(wallet.privateKey);
+    await expect(keystore.exportKey(2, 'correct horse')).rejects.toThrow('Unable to decrypt');
+  });
+});
@@ -0,0 +1,81 @@
+const {
+  MAX_LOCK_PERIOD,
+  boostRate,
+  normalizePolicy,
+  planLock,
+  votingPower
+} = require('../../../src/modules/lock-planner');
+
+const YEAR = 365 * 24 * 60 * 60;
+const NOW = 1700000000;
+const POLICY = {
+  stakeThreshold: 0.6,
+  extendThreshold: 0.75,
+  minStakeAmount: '1',
+  lockDuration: YEAR,
+  minClaimAmount: '1'
+};
+
+describe('lock planner', () => {
+  it('decays voting power linearly to the lock end', () => {
+    expect(votingPower(100, NOW + MAX_LOCK_PERIOD, NOW)).toBe(100);
+    expect(votingPower(100, NOW + MAX_LOCK_PERIOD / 2, NOW)).toBe(50);
+    expect(votingPower(100, NOW - 1, NOW)).toBe(0);
+    expect(boostRate(NOW + YEAR, NOW)).toBe(0.25);
+  });
+
+  it('locks stakeThreshold of the wallet and schedules extensions before the boost decays', () => {
+    const plan = planLock({ now: NOW, amount: 0, lockEnd: 0, balance: 10 }, POLICY);
+
+    expect(plan.next).toMatchObject({ action: 'lock', at: NOW, amount: 6, lockEnd: NOW + YEAR, votingPower: 1.5 });
+    // Extended each time a quarter of the lock has run down
+    expect(plan.schedule.slice(1).map(step => [step.action, step.at - NOW])).toEqual([
+      ['extend', YEAR / 4],
+      ['extend', YEAR / 2],
+      ['extend', YEAR * 3 / 4],
+      ['extend', YEAR]
+    ]);
+  });
+
+  it('tops up the lock before claiming and relocking projected rewards', () => {
+    const plan = planLock({
+      now: NOW,
+      amount: 100,
+      lockEnd: NOW + 0.9 * YEAR,
+      balance: 100,
+      rewards: 0.5,
+      rewardRate: 1e-8
+    }, POLICY);
+
+    expect(plan.next).toMatchObject({ action: 'increase', amount: 20 });
+    // 0.5 PLN more at 120 PLN × 1e-8 PLN per second
+    expect(plan.schedule[1]).toMatchObject({ action: 'claim_and_relock', at: NOW + 416667, relock: true });
+    expect(plan.schedule[1].amount).toBeCloseTo(1);
+  });
+
+  it('holds until the next action is due and unlocks an expired lock', () => {
+    const active = planLock({ now: NOW, amount: 100, lockEnd: NOW + 0.9 * YEAR, balance: 0 }, POLICY);
+    expect(active.next).toEqual({ action: 'hold', at: NOW + 0.15 * YEAR, reason: 'next extend not due yet' });
+
+    const expired = planLock({ now: NOW, amount: 100, lockEnd: NOW - 10, balance: 0, rewards: 2 }, POLICY);
+    expect(expired.schedule.slice(0, 2).map(step => [step.action, step.amount])).toEqual([
+      ['unlock', 102],
+      ['lock', 102 * 0.6]
+    ]);
+  });
+
+  it('keeps a higher average boost with an earlier extendThreshold', () => {
+    const state = { now: NOW, amount: 100, lockEnd: NOW + YEAR, balance: 0 };
+    const eager = planLock(state, { ...POLICY, extendThreshold: 0.9 }).projection;
+    const lazy = planLock(state, { ...POLICY, extendThreshold: 0.5 }).projection;
+
+    expect(eager.averageBoostRate).toBeCloseTo(0.2375);
+    expect(lazy.averageBoostRate).toBeCloseTo(0.1875);
+    expect(eager.averageVotingPower).toBeGreaterThan(lazy.averageVotingPower);
+  });
+
+  it('rejects invalid policies', () => {
+    expect(() => normalizePolicy({ stakeThreshold: 1.5 })).toThrow('stakeThreshold must be between 0 and 1');
+    expect(() => normalizePolicy({ minClaimAmount: '0' })).toThrow('minClaimAmount must be a positive number');
+  });
+});
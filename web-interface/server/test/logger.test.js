@@ -0,0 +1,87 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readLogs, redact, withContext, getContext, LOG_DIR } = require('../../../src/modules/logger');
+
+describe('structured logger', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pollen-logs-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writeRecords(file, records) {
+    fs.writeFileSync(path.join(dir, file), records.map(record => JSON.stringify(record)).join('\n') + '\n');
+  }
+
+  it('filters records by bot, minimum level, time range and transaction', async () => {
+    writeRecords('pollen-bot.log', [
+      { level: 'info', message: 'cycle started', botId: 'bot1', timestamp: '2024-01-01T00:00:00.000Z' },
+      { level: 'error', message: 'rebalance failed', botId: 'bot1', txHash: '0xAB', timestamp: '2024-01-01T01:00:00.000Z' },
+      { level: 'warn', message: 'skipped', botId: 'bot2', timestamp: '2024-01-01T02:00:00.000Z' }
+    ]);
+    // Rotated file, and a line from before logs were structured
+    fs.writeFileSync(path.join(dir, 'pollen-bot1.log'), [
+      '2024-01-01 00:00:00 info: plain text',
+      JSON.stringify({ level: 'warn', message: 'slow RPC', botId: 'bot1', timestamp: '2024-01-01T03:00:00.000Z' })
+    ].join('\n'));
+    writeRecords('error.log', [
+      { level: 'error', message: 'duplicate of pollen-bot.log', botId: 'bot1', timestamp: '2024-01-01T01:00:00.000Z' }
+    ]);
+
+    const bot1 = await readLogs({ dir, botId: 'bot1' });
+    expect(bot1.map(record => record.message)).toEqual(['slow RPC', 'rebalance failed', 'cycle started']);
+
+    const warnings = await readLogs({ dir, level: 'warn' });
+    expect(warnings.map(record => record.message)).toEqual(['slow RPC', 'skipped', 'rebalance failed']);
+
+    const range = await readLogs({
+      dir,
+      since: Date.parse('2024-01-01T00:30:00Z'),
+      until: Date.parse('2024-01-01T02:30:00Z'),
+      limit: 1
+    });
+    expect(range.map(record => record.message)).toEqual(['skipped']);
+
+    await expect(readLogs({ dir, txHash: '0xab' })).resolves.toHaveLength(1);
+    await expect(readLogs({ dir, level: 'verbose' })).rejects.toThrow('Level must be one of');
+  });
+
+  it('redacts secrets by key and inside text', () => {
+    const redacted = redact({
+      botId: 'bot1',
+      wallet: { privateKey: '0x1234', address: '0xabc' },
+      headers: { Authorization: 'Bearer abc' },
+      rpcUrl: 'https://base-sepolia.infura.io/v3/0123456789abcdef',
+      detail: 'PRIVATE_KEY=0x1234 loaded'
+    });
+
+    expect(redacted).toEqual({
+      botId: 'bot1',
+      wallet: { privateKey: '[REDACTED]', address: '0xabc' },
+      headers: { Authorization: '[REDACTED]' },
+      rpcUrl: 'https://base-sepolia.infura.io/v3/[REDACTED]',
+      detail: 'PRIVATE_KEY=[REDACTED] loaded'
+    });
+  });
+
+  it('keeps context across awaits and merges nested context', async () => {
+    await withContext({ botId: 'bot1', correlationId: 'c1' }, async () => {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      await withContext({ action: 'rebalance' }, async () => {
+        expect(getContext()).toEqual({ botId: 'bot1', correlationId: 'c1', action: 'rebalance' });
+      });
+      expect(getContext()).toEqual({ botId: 'bot1', correlationId: 'c1' });
+    });
+    expect(getContext()).toEqual({});
+  });
+
+  it('writes log files outside the working tree under test', () => {
+    expect(process.env.NODE_ENV).toBe('test');
+    expect(LOG_DIR).toBe(path.join(os.tmpdir(), 'pollen-bot-logs'));
+  });
+});
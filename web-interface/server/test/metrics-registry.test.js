@@ -0,0 +1,71 @@
+const { MetricsRegistry, registry, trackCircuitBreaker } = require('../../../src/modules/metrics');
+
+describe('MetricsRegistry', () => {
+  let metrics;
+
+  beforeEach(() => {
+    metrics = new MetricsRegistry();
+  });
+
+  it('renders counters and gauges in the Prometheus text format', () => {
+    const rebalances = metrics.counter('pollen_rebalances_attempted_total', 'Rebalances sent', ['bot']);
+    const balance = metrics.gauge('pollen_eth_balance', 'ETH balance', ['bot']);
+
+    rebalances.inc({ bot: 'bot1' });
+    rebalances.inc({ bot: 'bot1' });
+    rebalances.inc({ bot: 'say "hi"' });
+    balance.set({ bot: 'bot1' }, 0.25);
+
+    expect(metrics.render()).toBe([
+      '# HELP pollen_rebalances_attempted_total Rebalances sent',
+      '# TYPE pollen_rebalances_attempted_total counter',
+      'pollen_rebalances_attempted_total{bot="bot1"} 2',
+      'pollen_rebalances_attempted_total{bot="say \\"hi\\""} 1',
+      '# HELP pollen_eth_balance ETH balance',
+      '# TYPE pollen_eth_balance gauge',
+      'pollen_eth_balance{bot="bot1"} 0.25',
+      ''
+    ].join('\n'));
+  });
+
+  it('renders cumulative histogram buckets', () => {
+    const latency = metrics.histogram('pollen_transaction_confirmation_seconds', 'Confirmation time', ['bot'], [5, 1]);
+
+    latency.observe({ bot: 'bot1' }, 0.5);
+    latency.observe({ bot: 'bot1' }, 3);
+    latency.observe({ bot: 'bot1' }, 30);
+
+    const lines = metrics.render().split('\n');
+    expect(lines).toEqual(expect.arrayContaining([
+      'pollen_transaction_confirmation_seconds_bucket{bot="bot1",le="1"} 1',
+      'pollen_transaction_confirmation_seconds_bucket{bot="bot1",le="5"} 2',
+      'pollen_transaction_confirmation_seconds_bucket{bot="bot1",le="+Inf"} 3',
+      'pollen_transaction_confirmation_seconds_sum{bot="bot1"} 33.5',
+      'pollen_transaction_confirmation_seconds_count{bot="bot1"} 3'
+    ]));
+  });
+
+  it('collects pulled values when rendering and rejects misuse', () => {
+    let depth = 3;
+    metrics.gauge('queue_depth', 'Queued requests', [], gauge => gauge.set({}, depth));
+    const errors = metrics.counter('rpc_errors_total', 'RPC errors', ['provider']);
+
+    expect(metrics.render()).toContain('queue_depth 3');
+    depth = 0;
+    expect(metrics.render()).toContain('queue_depth 0');
+
+    expect(metrics.counter('rpc_errors_total', 'RPC errors', ['provider'])).toBe(errors);
+    expect(() => metrics.gauge('rpc_errors_total', 'RPC errors')).toThrow('already registered as a counter');
+    expect(() => errors.inc({})).toThrow('needs label provider');
+    expect(() => errors.inc({ provider: 'Infura' }, -1)).toThrow('cannot decrease');
+  });
+
+  it('reports tracked circuit breakers on the shared registry', () => {
+    let state = 'CLOSED';
+    trackCircuitBreaker('test_breaker', () => state);
+
+    expect(registry.render()).toContain('pollen_circuit_breaker_state{breaker="test_breaker"} 0');
+    state = 'OPEN';
+    expect(registry.render()).toContain('pollen_circuit_breaker_state{breaker="test_breaker"} 2');
+  });
+});
@@ -0,0 +1,73 @@
+const {
+  ChainMismatchError,
+  getNetwork,
+  listNetworks,
+  assertChainId
+} = require('../../../src/config/networks');
+
+describe('network profiles', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('resolves a profile by name, alias or chain id', () => {
+    expect(getNetwork('base-sepolia')).toMatchObject({ name: 'base-sepolia', chainId: 84532 });
+    expect(getNetwork('base-testnet').name).toBe('base-sepolia');
+    expect(getNetwork('AVAX').name).toBe('avalanche');
+    expect(getNetwork(43113).name).toBe('avalanche-fuji');
+    expect(getNetwork('8453').name).toBe('base');
+    expect(listNetworks().map(network => network.name)).toEqual(['avalanche', 'avalanche-fuji', 'base', 'base-sepolia']);
+  });
+
+  it('defaults to NETWORK and then Base Sepolia', () => {
+    delete process.env.NETWORK;
+    expect(getNetwork().name).toBe('base-sepolia');
+
+    process.env.NETWORK = 'avalanche-mainnet';
+    expect(getNetwork().name).toBe('avalanche');
+  });
+
+  it('puts the RPC endpoint from the environment first', () => {
+    process.env.BASE_SEPOLIA_RPC_URL = 'https://rpc.example';
+    const network = getNetwork('base-sepolia');
+
+    expect(network.rpcUrl).toBe('https://rpc.example');
+    expect(network.rpcUrls).toEqual(['https://rpc.example', 'https://sepolia.base.org', 'https://base-sepolia-rpc.publicnode.com']);
+  });
+
+  it('starts event scans at the deployment block unless INDEXER_START_BLOCK is set', () => {
+    delete process.env.INDEXER_START_BLOCK;
+    expect(getNetwork('base').deployBlock).toBeNull();
+
+    process.env.INDEXER_START_BLOCK = '1200000';
+    expect(getNetwork('base-sepolia').deployBlock).toBe(1200000);
+  });
+
+  it('hands out copies of the contracts, assets and gas policy', () => {
+    getNetwork('base-sepolia').assets.push('DOGE');
+    getNetwork('base-sepolia').contracts.pollenDAO = null;
+
+    expect(getNetwork('base-sepolia').assets).not.toContain('DOGE');
+    expect(getNetwork('base-sepolia').contracts.pollenDAO).toBe('0xEF789258233E6cFBB5E0bb093FC9537E69e81Bb7');
+  });
+
+  it('rejects unknown networks', () => {
+    expect(() => getNetwork('goerli')).toThrow('Unknown network "goerli", expected one of: avalanche, avalanche-fuji, base, base-sepolia');
+  });
+
+  it('refuses an RPC endpoint on another chain', async () => {
+    const network = getNetwork('base-sepolia');
+
+    await expect(assertChainId({ send: async () => '0x14a34' }, network)).resolves.toBe(84532);
+
+    const mainnet = assertChainId({ send: async () => '0x2105' }, network);
+    await expect(mainnet).rejects.toThrow(ChainMismatchError);
+    await expect(mainnet).rejects.toMatchObject({
+      message: 'Connected to chain 8453, but Base Sepolia is chain 84532; check BASE_SEPOLIA_RPC_URL',
+      expected: 84532,
+      actual: 8453
+    });
+  });
+});
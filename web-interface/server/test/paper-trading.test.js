@@ -0,0 +1,130 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  PaperTradingLedger,
+  RecordedPrices,
+  createPortfolioInterface
+} = require('../../../src/modules/paper-trading');
+const PollenContractInterface = require('../../../src/modules/pollen-contract-interface');
+const {
+  InsufficientBalance,
+  PortfolioAlreadyInitialized,
+  PortfolioNotInitialized
+} = require('../../../src/modules/contract-errors');
+
+const SNAPSHOTS = [
+  { timestamp: 1000, prices: { WBTC: 100, WETH: 10, LINK: 5 } },
+  { timestamp: 2000, prices: { WBTC: 120, WETH: 8, LINK: 5 } },
+  { timestamp: 3000, prices: { WBTC: 60, WETH: 8, LINK: 10 } }
+];
+
+describe('PaperTradingLedger', () => {
+  let dir;
+  let prices;
+  let ledger;
+
+  function createLedger(options = {}) {
+    return new PaperTradingLedger({
+      botId: 1,
+      ledgerDir: dir,
+      getAssetPrice: prices.getAssetPrice,
+      now: prices.now,
+      ...options
+    });
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pollen-paper-'));
+    prices = new RecordedPrices(SNAPSHOTS);
+    ledger = createLedger();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('values long and short positions with the whitepaper return math', async () => {
+    const created = await ledger.createVirtualPortfolio(['WBTC', 'WETH'], [60, 40], '100', { isShort: [false, true] });
+
+    expect(created).toMatchObject({ success: true, paper: true, weights: [0.6, 0.4], isShort: [false, true] });
+    expect(created.plnStake).toBe('100000000000000000000');
+    await expect(ledger.getPLNBalance()).resolves.toBe('900');
+
+    // WBTC +20% long, WETH -20% short: 100 * (0.6 * 1.2 + 0.4 * 1.2)
+    prices.next();
+    const status = await ledger.getPortfolioStatus();
+    expect(status.value).toBeCloseTo(120);
+    expect(status.currentReturn).toBeCloseTo(0.2);
+    expect(status.currentWeights[0]).toBeCloseTo(0.6);
+  });
+
+  it('books the period return at each rebalance and compounds from there', async () => {
+    await ledger.createVirtualPortfolio(['WBTC', 'WETH'], [60, -40], 100);
+    prices.next();
+
+    const result = await ledger.rebalanceVirtualPortfolio(['WBTC', 'LINK'], [50, 50]);
+    expect(result).toMatchObject({ rebalanced: true, paper: true });
+    expect(result.value).toBeCloseTo(120);
+    expect(result.periodReturn).toBeCloseTo(0.2);
+
+    // WBTC halves, LINK doubles: 120 * (0.5 * 0.5 + 0.5 * 2)
+    prices.next();
+    const status = await ledger.getPortfolioStatus();
+    expect(status.value).toBeCloseTo(150);
+    expect(status.periodReturn).toBeCloseTo(0.25);
+    expect(status.currentReturn).toBeCloseTo(0.5);
+    expect(status.rebalanceCount).toBe(1);
+    expect(ledger.getHistory().map(entry => entry.type)).toEqual(['create', 'rebalance']);
+  });
+
+  it('skips rebalances within the threshold unless forced', async () => {
+    await ledger.createVirtualPortfolio(['WBTC', 'WETH'], [50, 50], 100);
+
+    await expect(ledger.rebalanceVirtualPortfolio(['WBTC', 'WETH'], [52, 48])).resolves.toEqual({ success: true, rebalanced: false });
+    await expect(ledger.rebalanceVirtualPortfolio(['WBTC', 'WETH'], [52, 48], { force: true }))
+      .resolves.toMatchObject({ rebalanced: true });
+  });
+
+  it('raises the same typed errors as the contracts', async () => {
+    await expect(ledger.rebalanceVirtualPortfolio(['WBTC'], [1])).rejects.toBeInstanceOf(PortfolioNotInitialized);
+    await expect(ledger.createVirtualPortfolio(['WBTC'], [1], 5000)).rejects.toBeInstanceOf(InsufficientBalance);
+
+    await ledger.createVirtualPortfolio(['WBTC'], [1], 10);
+    await expect(ledger.createVirtualPortfolio(['WBTC'], [1], 10)).rejects.toBeInstanceOf(PortfolioAlreadyInitialized);
+    await expect(ledger.rebalanceVirtualPortfolio(['DOGE'], [1], { force: true })).rejects.toThrow('No market price available for DOGE');
+  });
+
+  it('keeps the ledger across restarts', async () => {
+    await ledger.createVirtualPortfolio(['WBTC', 'WETH'], [60, 40], 100);
+
+    const reloaded = createLedger();
+    await reloaded.initialize();
+
+    await expect(reloaded.getPLNBalance()).resolves.toBe('900');
+    await expect(reloaded.getPortfolioStatus()).resolves.toMatchObject({ hasPortfolio: true, assets: ['WBTC', 'WETH'] });
+  });
+
+  it('reports drift in the portfolio snapshot shape the strategy pipelines read', async () => {
+    await ledger.createVirtualPortfolio(['WBTC', 'WETH'], [50, 50], 100);
+    prices.next();
+
+    const snapshot = await ledger.readSnapshot();
+
+    expect(snapshot).toMatchObject({ exists: true, simulated: true, depositPLN: 100000000000000000000n });
+    expect(snapshot.assets.map(asset => asset.symbol)).toEqual(['WBTC', 'WETH']);
+    expect(snapshot.assets[0].currentWeight).toBeCloseTo(0.6);
+    expect(snapshot.drift).toBeCloseTo(0.1);
+  });
+});
+
+describe('createPortfolioInterface', () => {
+  it('switches between paper and live on the trading mode', () => {
+    const paper = createPortfolioInterface(null, { address: '0xabc' }, { botId: 3, trading: { mode: 'paper' }, paper: { ledgerDir: null } });
+    expect(paper).toBeInstanceOf(PaperTradingLedger);
+    expect(paper.getWalletAddress()).toBe('0xabc');
+
+    expect(createPortfolioInterface(null, null, { trading: { mode: 'live' } })).toBeInstanceOf(PollenContractInterface);
+    expect(() => createPortfolioInterface(null, null, { trading: { mode: 'dry-run' } })).toThrow('Trading mode must be one of');
+  });
+});
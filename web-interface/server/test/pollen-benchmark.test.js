@@ -0,0 +1,109 @@
+const mockDb = {
+  exec: jest.fn(),
+  run: jest.fn((query, params, callback) => callback.call({ lastID: 1 }, null))
+};
+
+jest.mock('sqlite3', () => ({
+  Database: jest.fn(() => mockDb)
+}));
+
+const {
+  PollenBenchmark,
+  normalizeBenchmarkConfig,
+  calculateBenchmarkWeights,
+  buildBenchmarkSeries,
+  snapshotsFromCandles
+} = require('../../../src/modules/pollen-benchmark');
+const performanceBenchmark = require('../analytics/performance-benchmark');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Pollen benchmark', () => {
+  it('normalizes fixed weights and splits unweighted assets equally', () => {
+    expect(normalizeBenchmarkConfig({ weighting: 'fixed' }).weights).toEqual({
+      'WBTC.E': 0.4, 'WETH.E': 0.3, 'WAVAX': 0.15, 'LINK.E': 0.15
+    });
+    expect(normalizeBenchmarkConfig({ assets: ['A', 'B'] }).weights).toEqual({ A: 0.5, B: 0.5 });
+    expect(() => normalizeBenchmarkConfig({ weighting: 'price' })).toThrow('weighting must be one of');
+  });
+
+  it('weights by market cap and falls back to fixed weights', () => {
+    const config = normalizeBenchmarkConfig({ assets: ['A', 'B'], weights: { A: 3, B: 1 } });
+
+    expect(calculateBenchmarkWeights(config, { A: 100, B: 300 })).toEqual({ A: 0.25, B: 0.75 });
+    expect(calculateBenchmarkWeights(config, { A: 100, B: 0 })).toEqual({ A: 0.75, B: 0.25 });
+    expect(calculateBenchmarkWeights({ ...config, weighting: 'fixed' }, { A: 100, B: 300 })).toEqual({ A: 0.75, B: 0.25 });
+  });
+
+  it('holds the basket between scheduled rebalances', () => {
+    const config = normalizeBenchmarkConfig({ assets: ['A', 'B'], weighting: 'fixed', rebalanceInterval: 2 * DAY });
+    const snapshots = snapshotsFromCandles({
+      A: [100, 200, 200, 100].map((close, i) => ({ timestamp: i * DAY, close })),
+      B: [100, 100, 100, 100, 50].map((close, i) => ({ timestamp: i * DAY, close }))
+    });
+
+    const { points, rebalances } = buildBenchmarkSeries(snapshots, config);
+
+    // The day 4 candle only exists for B and is dropped
+    expect(points.map(point => point.value)).toEqual([1, 1.5, 1.5, 1.125]);
+    expect(points.map(point => point.rebalanced)).toEqual([true, false, true, false]);
+    expect(points[3].return).toBeCloseTo(-0.25, 10);
+    expect(rebalances).toBe(2);
+  });
+
+  it('samples market data and skips fallback prices', async () => {
+    const prices = { A: { price: 10, marketCap: 1000 }, B: { price: 5, marketCap: 3000 } };
+    const getAssetPrice = jest.fn(async asset => prices[asset]);
+    const benchmark = new PollenBenchmark({ assets: ['A', 'B'] }, { getAssetPrice, historyFile: null });
+
+    await benchmark.sample(0);
+    prices.A = { price: 12, marketCap: 1200 };
+    await benchmark.sample(DAY);
+    prices.B = { price: 100, isFallback: true };
+    expect(await benchmark.sample(2 * DAY)).toBeNull();
+
+    expect(benchmark.getSeries().weights).toEqual({ A: 0.25, B: 0.75 });
+    expect(benchmark.getReturns()).toEqual([expect.closeTo(0.05, 10)]);
+  });
+
+  it('values the basket at current prices', async () => {
+    const prices = { A: { price: 10 } };
+    const benchmark = new PollenBenchmark({ assets: ['A'] }, { getAssetPrice: async asset => prices[asset], historyFile: null });
+
+    await expect(benchmark.currentValue(0)).resolves.toBe(1);
+    prices.A = { price: 11 };
+    await expect(benchmark.currentValue(DAY)).resolves.toBeCloseTo(1.1, 10);
+    prices.A = { price: 11, isFallback: true };
+    await expect(benchmark.currentValue(2 * DAY)).resolves.toBeNull();
+  });
+
+  it('measures returns over the periods between rebalances', () => {
+    const benchmark = new PollenBenchmark({ assets: ['A'], weighting: 'fixed', weights: { A: 1 } }, { historyFile: null });
+    [100, 110, 121, 99, 132].forEach((price, i) => benchmark.addSnapshot({ timestamp: i * DAY, prices: { A: price } }));
+
+    // Rebalances on day 0, midway through day 2 and on day 4
+    expect(benchmark.getReturnsBetween([0, 2.5 * DAY, 4 * DAY])).toEqual([
+      expect.closeTo(0.21, 10),
+      expect.closeTo(132 / 121 - 1, 10)
+    ]);
+    expect(() => benchmark.getReturnsBetween([-DAY, DAY])).toThrow('No benchmark snapshot');
+  });
+});
+
+describe('performance metrics against the benchmark', () => {
+  it('computes alpha, beta and tracking error', async () => {
+    const benchmarkReturns = [0.01, -0.02, 0.03, 0.005, -0.01];
+    const returns = benchmarkReturns.map(r => 0.001 + 1.5 * r);
+
+    const metrics = await performanceBenchmark.calculatePerformanceMetrics(1, returns, benchmarkReturns);
+
+    expect(metrics.alphaBeta.alpha).toBeCloseTo(0.001, 10);
+    expect(metrics.alphaBeta.beta).toBeCloseTo(1.5, 10);
+    expect(metrics.trackingError).toBeCloseTo(performanceBenchmark.calculateVolatility(benchmarkReturns) * 0.5, 10);
+    expect(mockDb.run).toHaveBeenCalledWith(expect.stringContaining('benchmark_metrics'), [1, 'beta', metrics.alphaBeta.beta], expect.any(Function));
+  });
+
+  it('rejects return series of different lengths', async () => {
+    await expect(performanceBenchmark.calculatePerformanceMetrics(1, [0.01], [])).rejects.toThrow('same periods');
+  });
+});
@@ -0,0 +1,88 @@
+const { ethers } = require('ethers');
+const {
+  PortfolioStateReader,
+  decodePortfolio,
+  calculateDriftedWeights
+} = require('../../../src/modules/portfolio-state-reader');
+
+const OWNER = '0x000000000000000000000000000000000000dEaD';
+
+function makeReader(options = {}) {
+  const reader = new PortfolioStateReader(null, ethers.ZeroAddress, { assets: ['A', 'B', 'C'], ...options });
+  reader.contract = {
+    getPortfolio: jest.fn().mockResolvedValue([
+      [50n, 30n, 20n], ethers.parseEther('12'), ethers.parseEther('10'), 0n, true, 1700000000n, 42n, [false, false, true]
+    ])
+  };
+  return reader;
+}
+
+describe('portfolio state reader', () => {
+  it('decodes getPortfolio into a snapshot', () => {
+    const snapshot = decodePortfolio(OWNER, [[60n, 40n], 5n, 10n, 1n, true, 1700000000n, 7n, [false, true]], ['A', 'B']);
+
+    expect(snapshot).toMatchObject({
+      owner: OWNER,
+      exists: true,
+      isOpen: true,
+      totalValue: 5n,
+      depositPLN: 10n,
+      withdrawn: 1n,
+      benchmarkRef: 7n,
+      lastRebalance: new Date(1700000000 * 1000),
+      drift: null,
+      simulated: false
+    });
+    expect(snapshot.assets).toEqual([
+      { index: 0, symbol: 'A', rawWeight: 60n, weight: 0.6, isShort: false, currentWeight: null, drift: null },
+      { index: 1, symbol: 'B', rawWeight: 40n, weight: 0.4, isShort: true, currentWeight: null, drift: null }
+    ]);
+    expect(() => decodePortfolio(OWNER, [[1n, 1n, 1n], 0n, 0n, 0n, true, 0n, 0n, []], ['A', 'B'])).toThrow('only 2 assets are mapped');
+  });
+
+  it('drifts long and short weights with prices', () => {
+    const weights = calculateDriftedWeights(
+      [{ weight: 0.5, isShort: false }, { weight: 0.5, isShort: true }],
+      [1.5, 1.5]
+    );
+    expect(weights).toEqual([0.75, 0.25]);
+  });
+
+  it('reads the chain and measures drift since the last rebalance', async () => {
+    const reader = makeReader();
+    const snapshot = await reader.read(OWNER, {
+      rebalancePrices: { A: 100, B: 10, C: 1 },
+      prices: { A: 100, B: 10, C: 1 }
+    });
+
+    expect(reader.contract.getPortfolio).toHaveBeenCalledWith(OWNER, ethers.ZeroAddress);
+    expect(snapshot.totalValue).toBe(ethers.parseEther('12'));
+    expect(snapshot.assets.map(asset => asset.currentWeight)).toEqual([0.5, 0.3, 0.2]);
+    expect(snapshot.drift).toBe(0);
+
+    const moved = await reader.read(OWNER, {
+      rebalancePrices: { A: 100, B: 10, C: 1 },
+      prices: { A: 200, B: 10, C: 1 }
+    });
+    expect(moved.assets[0].currentWeight).toBeCloseTo(100 / 150, 10);
+    expect(moved.drift).toBeCloseTo(100 / 150 - 0.5, 10);
+  });
+
+  it('never falls back to mock prices outside simulation mode', async () => {
+    const getAssetPrice = jest.fn().mockResolvedValue({ price: 100, isFallback: true });
+    const reader = makeReader({ getAssetPrice });
+
+    await expect(reader.fetchPrices()).rejects.toThrow('No market price available for A');
+    const snapshot = await reader.read(OWNER, { rebalancePrices: { A: 100, B: 10, C: 1 } });
+    expect(snapshot.drift).toBeNull();
+  });
+
+  it('only returns simulated state in simulation mode', async () => {
+    const reader = makeReader({ simulation: true });
+    const snapshot = await reader.read(OWNER, { simulatedPositions: [{ weight: 75 }, { weight: 25, isShort: true }] });
+
+    expect(reader.contract.getPortfolio).not.toHaveBeenCalled();
+    expect(snapshot.simulated).toBe(true);
+    expect(snapshot.assets.map(asset => [asset.symbol, asset.weight, asset.isShort])).toEqual([['A', 0.75, false], ['B', 0.25, true]]);
+  });
+});
@@ -0,0 +1,93 @@
+jest.mock('axios');
+
+const axios = require('axios');
+const { buildConsensus, consensusOptions } = require('../../../src/modules/price-consensus');
+const { getAssetPrice } = require('../../../src/modules/market-data-sources');
+const sharedRateLimiter = require('../../../src/modules/shared-rate-limiter');
+const { registry } = require('../../../src/modules/metrics');
+
+function quote(source, price, extra = {}) {
+  return { source, price, change24h: 1, marketCap: 0, volume: 0, ...extra };
+}
+
+describe('price consensus', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('takes the median of agreeing sources and rejects outliers', () => {
+    const consensus = buildConsensus('ETH', [
+      quote('CoinGecko', 3000, { change24h: 2, marketCap: 360e9 }),
+      quote('CryptoCompare', 3010, { change24h: 3, marketCap: 362e9 }),
+      quote('Binance', 3300, { change24h: 12 })
+    ]);
+
+    expect(consensus).toMatchObject({
+      source: 'CoinGecko+CryptoCompare',
+      price: 3005,
+      change24h: 2.5,
+      marketCap: 361e9,
+      sources: ['CoinGecko', 'CryptoCompare'],
+      confidence: 0.64,
+      weakConsensus: false
+    });
+    expect(consensus.rejected).toEqual([{ source: 'Binance', price: 3300, deviationPercent: expect.closeTo(9.63, 2) }]);
+    expect(registry.getMetric('pollen_price_source_rejections_total').get({ source: 'Binance' })).toBe(1);
+    expect(registry.getMetric('pollen_price_consensus_confidence').get({ asset: 'ETH' })).toBe(0.64);
+  });
+
+  it('averages the middle quotes with the trimmed mean', () => {
+    const quotes = [quote('A', 99), quote('B', 100), quote('C', 100.5), quote('D', 101), quote('E', 101.5)];
+
+    expect(buildConsensus('BTC', quotes, { method: 'trimmed-mean' }).price).toBe(100.5);
+    expect(buildConsensus('BTC', quotes, { method: 'trimmed-mean', trimRatio: 0 }).price).toBe(100.4);
+  });
+
+  it('marks consensus weak when too few sources agree', () => {
+    const single = buildConsensus('AVAX', [quote('Binance', 35)], { sourceCount: 3 });
+    expect(single).toMatchObject({ price: 35, confidence: 0.33, weakConsensus: true });
+
+    // Neither quote is within the tolerance of their median
+    const split = buildConsensus('AVAX', [quote('CoinGecko', 30), quote('Binance', 40)]);
+    expect(split).toMatchObject({ source: 'consensus', price: 35, confidence: 0, sources: [], weakConsensus: true });
+    expect(split.rejected.map(rejected => rejected.source)).toEqual(['CoinGecko', 'Binance']);
+
+    expect(buildConsensus('AVAX', [quote('CoinGecko', 35), quote('Binance', 35.1)], { sourceCount: 3 }).weakConsensus).toBe(false);
+  });
+
+  it('reads its settings from the environment', () => {
+    process.env.PRICE_TOLERANCE_PERCENT = '5';
+    process.env.PRICE_CONSENSUS = 'trimmed-mean';
+
+    expect(consensusOptions({ minSources: 3 })).toMatchObject({ method: 'trimmed-mean', tolerancePercent: 5, minSources: 3, minConfidence: 0.5 });
+    expect(() => consensusOptions({ method: 'mode' })).toThrow('Unknown price consensus method "mode"');
+  });
+
+  it('queries every source in parallel under the shared rate limiter', async () => {
+    axios.get.mockImplementation(async (url) => {
+      if (url.includes('coingecko')) {
+        return { data: { 'avalanche-2': { usd: 35, usd_24h_change: 4, usd_market_cap: 14e9, usd_24h_vol: 5e8 } } };
+      }
+      if (url.includes('cryptocompare')) {
+        throw new Error('Request failed with status code 500');
+      }
+      return url.endsWith('/ticker/price')
+        ? { data: { price: '35.1' } }
+        : { data: { priceChangePercent: '5', volume: '1000', weightedAvgPrice: '35' } };
+    });
+
+    const price = await getAssetPrice('AVAX');
+
+    expect(price).toMatchObject({
+      source: 'CoinGecko+Binance',
+      price: 35.05,
+      change24h: 4.5,
+      sources: ['CoinGecko', 'Binance'],
+      confidence: 0.64,
+      weakConsensus: false
+    });
+    expect(sharedRateLimiter.getStatus().activeRequests).toEqual({ CoinGecko: 0, CryptoCompare: 0, Binance: 0 });
+  });
+});
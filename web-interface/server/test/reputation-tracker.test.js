@@ -0,0 +1,77 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { ReputationTracker } = require('../analytics/reputation-tracker');
+
+describe('ReputationTracker', () => {
+  let dir;
+  let db;
+  let tracker;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pollen-reputation-'));
+    db = new sqlite3.Database(path.join(dir, 'pollenos.db'));
+    tracker = new ReputationTracker({ db });
+  });
+
+  afterEach((done) => {
+    db.close(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+      done();
+    });
+  });
+
+  it('compounds excess returns as in the whitepaper', () => {
+    const reputation = tracker.calculateReputation([
+      { portfolioReturn: 0.05, benchmarkReturn: 0.02 },
+      { portfolioReturn: -0.01, benchmarkReturn: 0.01 }
+    ]);
+
+    expect(reputation).toBeCloseTo(1.03 * 0.98, 10);
+    expect(tracker.calculateReputation([{ portfolioReturn: -0.6, benchmarkReturn: 0.5 }])).toBe(0);
+    expect(tracker.toScore(1)).toBe(50);
+  });
+
+  it('starts bots without rebalances at a neutral reputation', async () => {
+    await expect(tracker.getReputation(7)).resolves.toEqual({
+      botId: 7,
+      reputation: 1,
+      score: 50,
+      rebalances: 0,
+      lastRebalance: null
+    });
+  });
+
+  it('persists every rebalance with the running reputation', async () => {
+    const updates = [];
+    tracker.on('reputationUpdated', event => updates.push(event));
+
+    await Promise.all([
+      tracker.recordRebalance(1, { portfolioReturn: 0.05, benchmarkReturn: 0.02, timestamp: '2024-01-01T00:00:00Z' }),
+      tracker.recordRebalance(1, { portfolioReturn: -0.01, benchmarkReturn: 0.01, timestamp: '2024-01-02T00:00:00Z', txHash: '0xabc' }),
+      tracker.recordRebalance(2, { portfolioReturn: 0.1, benchmarkReturn: 0.1 })
+    ]);
+
+    const history = await tracker.getHistory(1);
+    expect(history).toHaveLength(2);
+    expect(history[0].reputation).toBeCloseTo(1.03, 10);
+    expect(history[1].reputation).toBeCloseTo(1.03 * 0.98, 10);
+    expect(history[1]).toMatchObject({ txHash: '0xabc', rebalancedAt: '2024-01-02T00:00:00.000Z' });
+    expect(await tracker.getHistory(1, 1)).toEqual([history[1]]);
+    expect(updates).toHaveLength(3);
+
+    const reputation = await tracker.getReputation(1);
+    expect(reputation).toMatchObject({ rebalances: 2, lastRebalance: '2024-01-02T00:00:00.000Z' });
+    expect(reputation.reputation).toBeCloseTo(1.0094, 10);
+    expect((await tracker.getReputation(2)).reputation).toBeCloseTo(1, 10);
+  });
+
+  it('rejects rebalances without numeric returns', async () => {
+    await expect(tracker.recordRebalance(1, { portfolioReturn: '0.1' }))
+      .rejects.toMatchObject({
+        validationErrors: ['portfolioReturn must be a finite number', 'benchmarkReturn must be a finite number']
+      });
+    expect(await tracker.getHistory(1)).toEqual([]);
+  });
+});
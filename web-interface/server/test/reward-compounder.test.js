@@ -0,0 +1,128 @@
+const { ethers } = require('ethers');
+const { RewardCompounder, normalizePolicy, realizedApr } = require('../../../src/modules/reward-compounder');
+
+const DAY = 24 * 60 * 60 * 1000;
+const WALLET = '0x1111111111111111111111111111111111111111';
+const CONTRACT = '0x2222222222222222222222222222222222222222';
+
+describe('RewardCompounder', () => {
+  let now;
+  let rewards;
+  let portfolio;
+
+  beforeEach(() => {
+    now = Date.parse('2024-01-31T00:00:00Z');
+    rewards = ethers.parseEther('10');
+    portfolio = { exists: true, isOpen: true };
+  });
+
+  function createCompounder(policy, options = {}) {
+    const wallet = {
+      address: WALLET,
+      // 1 gwei per gas
+      provider: { getFeeData: async () => ({ maxFeePerGas: 1000000000n }) }
+    };
+    const compounder = new RewardCompounder(wallet, {
+      contracts: { vePLN: CONTRACT, plnToken: CONTRACT, pollenDAO: CONTRACT },
+      policy: { plnPriceEth: '0.001', ...policy },
+      reader: { read: async () => portfolio },
+      storeDir: null,
+      now: () => now,
+      ...options
+    });
+
+    let tx = 0;
+    compounder.send = jest.fn(async () => ({ hash: `0x${++tx}`, blockNumber: tx, fee: ethers.parseEther('0.0001') }));
+    compounder.vePLN = {
+      getAvailableRewards: async () => rewards,
+      locks: async () => ({
+        lockStart: BigInt(Date.parse('2024-01-01T00:00:00Z') / 1000),
+        lockEnd: BigInt(Date.parse('2025-01-01T00:00:00Z') / 1000),
+        amount: ethers.parseEther('1000')
+      }),
+      claimRewards: { estimateGas: async () => 100000n, populateTransaction: jest.fn(async () => ({})) },
+      increaseLock: { populateTransaction: jest.fn(async () => ({})) }
+    };
+    compounder.pln = {
+      allowance: async () => 0n,
+      approve: { populateTransaction: async () => ({}) }
+    };
+    compounder.dao = { depositPLN: { populateTransaction: jest.fn(async () => ({})) } };
+    return compounder;
+  }
+
+  it('annualizes rewards over the locked PLN', () => {
+    expect(realizedApr(10, 1000, 30 * DAY)).toBeCloseTo(0.01 * 365 / 30);
+    expect(realizedApr(10, 0, 30 * DAY)).toBeNull();
+  });
+
+  it('claims rewards worth the gas, restakes them and records the realized APR', async () => {
+    const compounder = createCompounder({ mode: 'restake' });
+
+    const result = await compounder.check();
+
+    // 240k gas at 1 gwei is 0.00024 ETH; 10 PLN at 0.001 ETH are worth 0.01 ETH
+    expect(result.gasCostEth).toBeCloseTo(0.00024);
+    expect(result.claimed).toBe(true);
+    expect(compounder.vePLN.increaseLock.populateTransaction).toHaveBeenCalledWith(ethers.parseEther('10'));
+    expect(result.entry).toMatchObject({
+      rewards: 10,
+      destination: 'lock',
+      compounded: 10,
+      principal: 1000,
+      period: 30 * DAY,
+      txHashes: ['0x1', '0x2', '0x3']
+    });
+    expect(result.entry.apr).toBeCloseTo(0.01 * 365 / 30);
+    expect(result.entry.gasSpentEth).toBeCloseTo(0.0003);
+
+    // Not due again within the check interval; the next claim's APR runs from this one
+    await expect(compounder.check()).resolves.toBeNull();
+    now += 10 * DAY;
+    rewards = ethers.parseEther('5');
+    const second = await compounder.check();
+    expect(second.entry.apr).toBeCloseTo(0.005 * 365 / 10);
+    const summary = compounder.getSummary();
+    expect(summary.claims).toBe(2);
+    expect(summary.totalCompounded).toBe(15);
+    expect(summary.realizedApr).toBeCloseTo(15 / 1000 * 365 / 40);
+  });
+
+  it('leaves rewards unclaimed while they are worth less than the gas multiple', async () => {
+    rewards = ethers.parseEther('0.1');
+    const compounder = createCompounder({ minGasMultiple: 5 });
+
+    const result = await compounder.check();
+
+    expect(result).toMatchObject({ claimed: false, reason: 'rewards below 5x the gas cost' });
+    expect(compounder.send).not.toHaveBeenCalled();
+  });
+
+  it('prices PLN from the price source and compounds the exact wei claimed', async () => {
+    // Through a float this would round up to 123.45678901234568 PLN
+    rewards = 123456789012345678901n;
+    const compounder = createCompounder({ plnPriceEth: '0.000001' }, { getPlnPrice: async () => 0.001 });
+
+    const result = await compounder.check();
+
+    expect(result).toMatchObject({ claimed: true, valueEth: expect.closeTo(0.123456789, 9) });
+    expect(compounder.vePLN.increaseLock.populateTransaction).toHaveBeenCalledWith(rewards);
+  });
+
+  it('deposits into the portfolio and keeps rewards in the wallet without one', async () => {
+    const compounder = createCompounder({ mode: 'deposit' });
+    await compounder.check();
+    expect(compounder.dao.depositPLN.populateTransaction).toHaveBeenCalledWith(ethers.parseEther('10'), WALLET);
+
+    portfolio = { exists: false, isOpen: false };
+    now += 7 * DAY;
+    const result = await compounder.check();
+    expect(result.entry).toMatchObject({ destination: 'wallet', compounded: 0, note: 'no open portfolio' });
+    expect(compounder.dao.depositPLN.populateTransaction).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects invalid policies', () => {
+    expect(() => normalizePolicy({ mode: 'hodl' })).toThrow('mode must be one of restake, deposit');
+    expect(() => normalizePolicy({ plnPriceEth: '0' })).toThrow('plnPriceEth must be a positive number');
+  });
+});
@@ -0,0 +1,94 @@
+const sqlite3 = require('sqlite3');
+const { RiskControls } = require('../risk/risk-controls');
+const { PaperTradingLedger } = require('../../../src/modules/paper-trading');
+
+const PRICES = { WBTC: 100, WETH: 10, LINK: 5, USDC: 1 };
+
+describe('RiskControls', () => {
+    let db;
+    let ledger;
+    let controls;
+    let now;
+
+    beforeEach(async () => {
+        db = new sqlite3.Database(':memory:');
+        now = Date.parse('2024-01-01T00:00:00Z');
+        ledger = new PaperTradingLedger({
+            botId: 1,
+            ledgerDir: null,
+            getAssetPrice: async asset => ({ price: PRICES[asset] })
+        });
+        await ledger.createVirtualPortfolio(['WBTC', 'WETH', 'LINK'], [50, 30, 20], 100, { isShort: [false, false, true] });
+        controls = new RiskControls({ db, getPortfolioInterface: async () => ledger, now: () => now });
+    });
+
+    afterEach((done) => {
+        db.close(() => done());
+    });
+
+    it('sells the asset that hit its stop-loss and records the action', async () => {
+        await controls.createControl(1, 'stop-loss', { threshold: 0.1 });
+
+        const actions = await controls.evaluateControls(1, { price_change: { WBTC: -0.15, WETH: -0.05 } });
+
+        expect(actions).toHaveLength(1);
+        expect(actions[0]).toMatchObject({ action: 'sell_position', asset: 'WBTC', result: { status: 'executed' } });
+
+        const status = await ledger.getPortfolioStatus();
+        expect(status.assets).toEqual(['WETH', 'LINK', 'USDC']);
+        expect(status.weights[2]).toBeCloseTo(0.5);
+        expect(status.isShort).toEqual([false, true, false]);
+
+        const [audit] = await controls.getActionHistory(1);
+        expect(audit).toMatchObject({ action: 'sell_position', asset: 'WBTC', status: 'executed', metricValue: -0.15 });
+        expect(audit.newAllocation.USDC).toBeCloseTo(0.5);
+    });
+
+    it('scales a position down by the configured factor', async () => {
+        await controls.createControl(1, 'position-size', { maxSize: 0.4, asset: 'WBTC', reduceFactor: 0.6 });
+
+        await controls.evaluateControls(1, { position_size: 0.5 });
+
+        const status = await ledger.getPortfolioStatus();
+        expect(status.weights[status.assets.indexOf('WBTC')]).toBeCloseTo(0.3);
+        expect(status.weights[status.assets.indexOf('USDC')]).toBeCloseTo(0.2);
+    });
+
+    it('flattens shorts and moves long weight to the stable asset when volatility is high', async () => {
+        await controls.createControl(1, 'volatility', { maxVolatility: 0.8 });
+
+        await expect(controls.evaluateControls(1, { volatility: 0.5 })).resolves.toEqual([]);
+        await controls.evaluateControls(1, { volatility: 0.9 });
+
+        const status = await ledger.getPortfolioStatus();
+        expect(status.assets).toEqual(['WBTC', 'WETH', 'USDC']);
+        expect(status.weights.map(weight => Math.round(weight * 100))).toEqual([25, 15, 60]);
+        expect(status.isShort).toEqual([false, false, false]);
+    });
+
+    it('waits for the cooldown before firing a trigger again', async () => {
+        await controls.createControl(1, 'volatility', { maxVolatility: 0.8 });
+
+        await controls.evaluateControls(1, { volatility: 0.9 });
+        await expect(controls.evaluateControls(1, { volatility: 0.9 })).resolves.toEqual([]);
+
+        now += 2 * 60 * 60 * 1000;
+        await expect(controls.evaluateControls(1, { volatility: 0.9 })).resolves.toHaveLength(1);
+    });
+
+    it('records failed and skipped actions without throwing', async () => {
+        await controls.createControl(1, 'liquidity', { minLiquidity: 0.2 });
+        await controls.createControl(1, 'stop-loss', { threshold: 0.1, asset: 'DOGE' });
+
+        const actions = await controls.evaluateControls(1, { liquidity_ratio: 0.1, price_change: -0.5 });
+
+        expect(actions.map(action => action.result.status)).toEqual(['skipped', 'skipped']);
+        ledger.getAssetPrice = async () => null;
+        await controls.createControl(1, 'position-size', { maxSize: 0.4, asset: 'WBTC' });
+        const [failed] = await controls.evaluateControls(1, { position_size: 0.9 });
+        expect(failed.result).toMatchObject({ status: 'failed' });
+
+        const history = await controls.getActionHistory(1);
+        expect(history.map(entry => entry.status)).toEqual(['failed', 'skipped', 'skipped']);
+    });
+});
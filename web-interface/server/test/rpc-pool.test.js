@@ -0,0 +1,127 @@
+const { RpcPool, getRpcHealth } = require('../../../src/modules/rpc-pool');
+const { getNetwork } = require('../../../src/config/networks');
+const { registry } = require('../../../src/modules/metrics');
+
+const FAST = 'https://fast.example';
+const SLOW = 'https://slow.example';
+const BEHIND = 'https://behind.example';
+
+describe('RpcPool', () => {
+  let now;
+  let nodes;
+  let pool;
+
+  // A fake node per URL: its block height, latency and a way to make it fail
+  function createPool(options = {}) {
+    pool = new RpcPool(getNetwork('base-sepolia'), {
+      urls: Object.keys(nodes),
+      now: () => now,
+      hedgeAfterMs: 20,
+      transport: jest.fn(async (url, payload) => {
+        const node = nodes[url];
+        now += node.latency;
+        if (node.delay) {
+          await new Promise(resolve => setTimeout(resolve, node.delay));
+        }
+        if (node.fail) {
+          throw new Error(`${url} is down`);
+        }
+        const results = {
+          eth_chainId: node.chainId || '0x14a34',
+          eth_blockNumber: `0x${node.head.toString(16)}`,
+          eth_getBalance: `0x${node.head.toString(16)}`,
+          eth_sendRawTransaction: '0xhash'
+        };
+        return [{ jsonrpc: '2.0', id: payload.id, result: results[payload.method] }];
+      }),
+      ...options
+    });
+    return pool;
+  }
+
+  function sentTo(url) {
+    return pool.transport.mock.calls.filter(([target]) => target === url).map(([, payload]) => payload.method);
+  }
+
+  beforeEach(() => {
+    now = 1700000000000;
+    nodes = {
+      [SLOW]: { head: 1000, latency: 1000 },
+      [FAST]: { head: 1000, latency: 50 },
+      [BEHIND]: { head: 990, latency: 10 }
+    };
+  });
+
+  afterEach(() => {
+    pool.destroy();
+  });
+
+  it('routes calls to the fastest endpoint at the chain head', async () => {
+    createPool();
+
+    const health = await pool.start();
+    expect(health).toMatchObject({ network: 'base-sepolia', head: 1000, healthy: 2 });
+    expect(health.endpoints.find(endpoint => endpoint.name === 'behind.example')).toMatchObject({ stale: true, lag: 10, healthy: false });
+    expect(getRpcHealth()).toEqual([pool.getHealth()]);
+
+    await expect(pool.getBalance('0x1111111111111111111111111111111111111111')).resolves.toBe(1000n);
+    expect(sentTo(FAST)).toContain('eth_getBalance');
+    expect(sentTo(BEHIND)).not.toContain('eth_getBalance');
+
+    const metrics = registry.render();
+    expect(metrics).toContain('pollen_rpc_endpoint_up{network="base-sepolia",endpoint="fast.example"} 1');
+    expect(metrics).toContain('pollen_rpc_endpoint_block_lag{network="base-sepolia",endpoint="behind.example"} 10');
+
+    pool.stop();
+    expect(getRpcHealth()).toEqual([]);
+  });
+
+  it('opens an endpoint\'s breaker after repeated failures and closes it after the cooldown', async () => {
+    createPool({ failureThreshold: 2, cooldownMs: 60000 });
+    await pool.start();
+
+    nodes[FAST].fail = true;
+    await pool.send('eth_blockNumber', []);
+    await pool.send('eth_blockNumber', []);
+    expect(pool.getHealth().endpoints.find(endpoint => endpoint.name === 'fast.example')).toMatchObject({ state: 'OPEN', healthy: false });
+
+    // Reads fail over while the breaker is open, without trying the endpoint
+    const tried = sentTo(FAST).length;
+    await expect(pool.send('eth_blockNumber', [])).resolves.toBe('0x3e8');
+    expect(sentTo(FAST)).toHaveLength(tried);
+
+    nodes[FAST].fail = false;
+    now += 60000;
+    await pool.probe();
+    expect(pool.getHealth().endpoints.find(endpoint => endpoint.name === 'fast.example')).toMatchObject({ state: 'CLOSED', healthy: true });
+  });
+
+  it('hedges a slow read on the next endpoint', async () => {
+    createPool();
+    await pool.start();
+
+    nodes[FAST].delay = 200;
+    await expect(pool.send('eth_blockNumber', [])).resolves.toBe('0x3e8');
+    expect(sentTo(SLOW)).toContain('eth_blockNumber');
+    expect(registry.getMetric('pollen_rpc_hedged_requests_total').get({ network: 'base-sepolia' })).toBeGreaterThan(0);
+  });
+
+  it('sends writes once', async () => {
+    createPool();
+    await pool.start();
+
+    nodes[FAST].fail = true;
+    await expect(pool.send('eth_sendRawTransaction', ['0x00'])).rejects.toThrow('https://fast.example is down');
+    expect(sentTo(SLOW)).not.toContain('eth_sendRawTransaction');
+  });
+
+  it('leaves out endpoints on another chain', async () => {
+    nodes[SLOW].chainId = '0x2105';
+    createPool();
+
+    const health = await pool.start();
+
+    expect(health.endpoints.find(endpoint => endpoint.name === 'slow.example')).toMatchObject({ wrongChain: true, healthy: false });
+    expect(sentTo(SLOW)).toEqual(['eth_chainId']);
+  });
+});
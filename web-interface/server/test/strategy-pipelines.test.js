@@ -0,0 +1,87 @@
+const {
+  buildTargetAllocation,
+  toContractWeights,
+  toStrategyPortfolio,
+  planRebalance
+} = require('../../../src/modules/strategy-pipelines');
+
+const ASSETS = ['A', 'B', 'C'];
+
+// A trends up, B is mildly bullish and C trends down
+function makeMarketData(overrides = {}) {
+  return {
+    assets: {
+      A: { price: 110, EMA20: 105, EMA50: 100, EMA200: 100, RSI: 60, change24h: 6 },
+      B: { price: 100, EMA20: 95, EMA50: 99, EMA200: 90, RSI: 50, change24h: 0 },
+      C: { price: 90, EMA20: 95, EMA50: 100, EMA200: 100, RSI: 40, change24h: -6 },
+      ...overrides
+    }
+  };
+}
+
+function makeBot(strategy) {
+  return { id: 1, strategy, risk: 'moderate', maxAllocation: 50, rebalanceThreshold: 5 };
+}
+
+function makeSnapshot(positions) {
+  return {
+    assets: positions.map(([symbol, weight, isShort], index) => ({
+      index, symbol, weight, isShort, currentWeight: null, drift: null
+    }))
+  };
+}
+
+describe('strategy pipelines', () => {
+  it('allocates trend strategies to the strongest signals', async () => {
+    const { allocation } = await buildTargetAllocation(makeBot('technical'), makeMarketData());
+
+    expect(allocation).toEqual({ A: 59, B: 41, C: 0 });
+  });
+
+  it('fades the trend and shorts the strongest assets for mean reversion', async () => {
+    const plan = await planRebalance(makeBot('mean-reversion'), makeMarketData(), null, { assets: ASSETS });
+
+    expect(plan.weights).toEqual([18, 12, 70]);
+    expect(plan.isShort).toEqual([true, true, false]);
+    expect(plan.allocation).toEqual({ A: -18, B: -12, C: 70 });
+  });
+
+  it('rounds weights to whole percentages summing to 100', async () => {
+    expect(toContractWeights({ A: 100 / 3, B: -100 / 3, C: 100 / 3, USDC: 0 }, ASSETS)).toEqual({
+      weights: [34, 33, 33],
+      isShort: [false, true, false]
+    });
+    expect(() => toContractWeights({ USDC: 100 }, ASSETS)).toThrow('no weight');
+    await expect(buildTargetAllocation(makeBot('hodl'), makeMarketData())).rejects.toThrow('No signal pipeline');
+  });
+
+  it('only rebalances when drift exceeds the bot threshold', async () => {
+    const bot = makeBot('technical');
+    const onTarget = makeSnapshot([['A', 0.625, false], ['B', 0.375, false]]);
+    const drifted = makeSnapshot([['A', 0.5, false], ['B', 0.3, false], ['C', 0.2, false]]);
+
+    expect(toStrategyPortfolio(onTarget)).toEqual({ tokens: ['A', 'B'], allocations: [62.5, 37.5] });
+    expect((await planRebalance(bot, makeMarketData(), onTarget, { assets: ASSETS })).rebalance).toBe(false);
+
+    const plan = await planRebalance(bot, makeMarketData(), drifted, { assets: ASSETS });
+    expect(plan).toMatchObject({ rebalance: true, weights: [59, 41, 0], isShort: [false, false, false] });
+  });
+
+  it('refuses to plan from fallback market data outside simulation mode', async () => {
+    const marketData = makeMarketData({ C: { price: 90, isFallback: true } });
+
+    const live = await planRebalance(makeBot('technical'), marketData, null, { assets: ASSETS });
+    expect(live).toEqual({ rebalance: false, reason: 'no live market data for C' });
+
+    const simulated = await planRebalance(makeBot('technical'), marketData, null, { assets: ASSETS, simulation: true });
+    expect(simulated.rebalance).toBe(true);
+  });
+
+  it('refuses to trade on a weak price consensus', async () => {
+    const marketData = makeMarketData();
+    marketData.assets.B = { ...marketData.assets.B, confidence: 0.33, weakConsensus: true };
+
+    const live = await planRebalance(makeBot('technical'), marketData, null, { assets: ASSETS });
+    expect(live).toEqual({ rebalance: false, reason: 'weak price consensus for B' });
+  });
+});
@@ -0,0 +1,208 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { TransactionManager, getTransactionManager, closeTransactionManagers } = require('../../../src/modules/transaction-manager');
+
+const TARGET = '0x000000000000000000000000000000000000dEaD';
+
+// A node that mines only when told to and does not count mempool transactions
+function makeProvider(chainId = 1n) {
+  const provider = {
+    sent: new Map(),
+    receipts: new Map(),
+    mined: 0,
+    getNetwork: async () => ({ chainId }),
+    getTransactionCount: async () => provider.mined,
+    estimateGas: async () => 50000n,
+    getFeeData: async () => ({ gasPrice: 50n }),
+    getBlockNumber: async () => 10,
+    getTransaction: async hash => provider.sent.get(hash) || null,
+    getTransactionReceipt: async hash => provider.receipts.get(hash) || null,
+    broadcastTransaction: async raw => {
+      const tx = ethers.Transaction.from(raw);
+      provider.sent.set(tx.hash, tx);
+      return tx;
+    },
+    mine(hash, status = 1) {
+      const tx = provider.sent.get(hash);
+      provider.receipts.set(hash, { hash, to: tx.to, status, blockNumber: 10 });
+      provider.mined = tx.nonce + 1;
+    }
+  };
+  return provider;
+}
+
+const gasOptimizer = {
+  getGasParams: async estimatedGas => ({
+    maxFeePerGas: 100n,
+    maxPriorityFeePerGas: 10n,
+    gasLimit: estimatedGas * 12n / 10n,
+    type: 2
+  })
+};
+
+describe('TransactionManager', () => {
+  let dir;
+  let provider;
+  let wallet;
+  let manager;
+
+  function createManager(options = {}) {
+    return new TransactionManager(wallet, { gasOptimizer, transactionsDir: dir, ...options });
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pollen-transactions-'));
+    provider = makeProvider();
+    wallet = ethers.Wallet.createRandom().connect(provider);
+    manager = createManager();
+  });
+
+  afterEach(() => {
+    manager.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('assigns consecutive nonces and prices with EIP-1559 fees', async () => {
+    const submitted = [];
+    manager.on('submitted', event => submitted.push(event));
+
+    const [first, second] = await Promise.all([
+      manager.send({ to: TARGET, data: '0x01' }, { label: 'first' }),
+      manager.send({ to: TARGET, data: '0x02' }, { label: 'second' })
+    ]);
+
+    expect([first.nonce, second.nonce]).toEqual([0, 1]);
+    expect(submitted.map(event => event.label)).toEqual(['first', 'second']);
+    const tx = provider.sent.get(first.hash);
+    expect(tx.type).toBe(2);
+    expect(tx.maxFeePerGas).toBe(100n);
+    expect(tx.gasLimit).toBe(60000n);
+
+    provider.mine(first.hash);
+    provider.mine(second.hash);
+    await expect(second.wait()).resolves.toMatchObject({ hash: second.hash, status: 1 });
+    await expect(first.wait()).resolves.toMatchObject({ hash: first.hash });
+    expect(manager.hasPending()).toBe(false);
+  });
+
+  it('does not use up a nonce when gas estimation fails', async () => {
+    provider.estimateGas = jest.fn()
+      .mockRejectedValueOnce(new Error('execution reverted'))
+      .mockResolvedValue(50000n);
+
+    await expect(manager.send({ to: TARGET, data: '0x01' })).rejects.toThrow('execution reverted');
+
+    expect((await manager.send({ to: TARGET, data: '0x01' })).nonce).toBe(0);
+  });
+
+  it('replaces a stalled transaction with bumped fees', async () => {
+    manager = createManager({ timeoutMs: 0 });
+    const replaced = jest.fn();
+    const mined = jest.fn();
+    manager.on('replaced', replaced);
+    manager.on('mined', mined);
+
+    const handle = await manager.send({ to: TARGET, data: '0x01' });
+    const original = handle.hash;
+    await manager.poll();
+
+    expect(handle.hash).not.toBe(original);
+    expect(replaced).toHaveBeenCalledWith(expect.objectContaining({ nonce: 0, previousHash: original, cancel: false }));
+    const replacement = provider.sent.get(handle.hash);
+    expect(replacement.nonce).toBe(0);
+    expect(replacement.maxFeePerGas).toBe(115n);
+    expect(replacement.maxPriorityFeePerGas).toBe(11n);
+
+    // The original can still win the race
+    provider.mine(original);
+    await expect(handle.wait()).resolves.toMatchObject({ hash: original });
+    expect(handle.hash).toBe(original);
+    expect(mined).toHaveBeenCalledWith(expect.objectContaining({ hash: original }));
+  });
+
+  it('cancels a pending transaction with a self-transfer', async () => {
+    const cancelled = jest.fn();
+    manager.on('cancelled', cancelled);
+    const handle = await manager.send({ to: TARGET, data: '0x01', value: 5n });
+
+    await manager.cancel(handle.nonce);
+
+    const cancellation = provider.sent.get(handle.hash);
+    expect(cancellation.to).toBe(wallet.address);
+    expect(cancellation.value).toBe(0n);
+    expect(cancellation.nonce).toBe(handle.nonce);
+
+    provider.mine(handle.hash);
+    await expect(handle.wait()).rejects.toThrow('was cancelled');
+    expect(cancelled).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects waiters when the transaction reverts', async () => {
+    const handle = await manager.send({ to: TARGET, data: '0x01' }, { label: 'rebalance' });
+    provider.mine(handle.hash, 0);
+
+    const error = await handle.wait().catch(err => err);
+
+    expect(error.message).toMatch('rebalance reverted');
+    expect(error.receipt.status).toBe(0);
+  });
+
+  it('resumes pending transactions after a restart', async () => {
+    const handle = await manager.send({ to: TARGET, data: '0x01', value: 7n }, { label: 'lock' });
+    manager.stop();
+    const stored = JSON.parse(fs.readFileSync(path.join(dir, '1', `${wallet.address.toLowerCase()}.json`), 'utf8'));
+    expect(stored).toMatchObject([{ chainId: 1, nonce: 0, label: 'lock', hashes: [handle.hash], request: { value: '7' } }]);
+
+    // The node lost the transaction while the bot was down
+    provider.sent.clear();
+    manager = createManager();
+    await manager.ready();
+
+    expect(provider.sent.has(handle.hash)).toBe(true);
+    expect((await manager.send({ to: TARGET, data: '0x02' })).nonce).toBe(1);
+
+    provider.mine(handle.hash);
+    await expect(manager.wait(0)).resolves.toMatchObject({ hash: handle.hash });
+    expect(manager.getPending().map(tx => tx.nonce)).toEqual([1]);
+  });
+
+  it('keeps the pending transactions of each chain apart', async () => {
+    await manager.send({ to: TARGET, data: '0x01' }, { label: 'lock' });
+    manager.stop();
+
+    // The same wallet after switching to another network
+    provider = makeProvider(8453n);
+    wallet = wallet.connect(provider);
+    manager = createManager();
+    await manager.ready();
+
+    expect(manager.hasPending()).toBe(false);
+    expect(provider.sent.size).toBe(0);
+    expect((await manager.send({ to: TARGET, data: '0x02' })).nonce).toBe(0);
+    expect(fs.readdirSync(dir).sort()).toEqual(['1', '8453']);
+
+    await expect(createManager({ chainId: 1 }).ready()).rejects.toThrow('connected to chain 8453, not 1');
+  });
+
+  it('reads the network again after a failed ready()', async () => {
+    const getNetwork = provider.getNetwork;
+    provider.getNetwork = async () => {
+      throw new Error('network timeout');
+    };
+    await expect(manager.ready()).rejects.toThrow('network timeout');
+
+    provider.getNetwork = getNetwork;
+    expect((await manager.send({ to: TARGET, data: '0x01' })).nonce).toBe(0);
+  });
+
+  it('shares one manager per wallet and chain', () => {
+    const shared = getTransactionManager(wallet, { gasOptimizer, transactionsDir: null, chainId: 1, timeoutMs: 1000 });
+
+    expect(getTransactionManager(wallet, { chainId: 1, timeoutMs: 5000 })).toBe(shared);
+    expect(shared.options.timeoutMs).toBe(5000);
+    expect(getTransactionManager(wallet, { gasOptimizer, transactionsDir: null, chainId: 8453 })).not.toBe(shared);
+    closeTransactionManagers();
+  });
+});
@@ -1,12 +1,35 @@
 const WebSocket = require('ws');
 
 module.exports = class WebSocketHandler {
-    constructor(server) {
-        this.wss = new WebSocket.Server({ server });
+    /**
+     * @param {http.Server} server
+     * @param {Object} [options]
+     * @param {Function} [options.authenticate] - async req => user or null; connections without a user are refused
+     */
+    constructor(server, options = {}) {
+        this.wss = new WebSocket.Server({
+            server,
+            verifyClient: options.authenticate ? this.verifyClient(options.authenticate) : undefined
+        });
         this.clients = new Set();
         this.initializeWebSocket();
     }
 
+    // Rejects the upgrade with 401 unless authenticate resolves a user, which is kept on req.user
+    verifyClient(authenticate) {
+        return ({ req }, done) => {
+            authenticate(req)
+                .then((user) => {
+                    req.user = user;
+                    done(Boolean(user), 401, 'Unauthorized');
+                })
+                .catch((error) => {
+                    console.error('WebSocket authentication failed:', error);
+                    done(false, 500);
+                });
+        };
+    }
+
     // Event handler for WebSocket connections
     on(event, handler) {
         if (event === 'connection') {